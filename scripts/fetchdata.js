@@ -101,12 +101,26 @@ function filterValues(card) {
 
     populateMissingData(card.attributes, filteredObj.id);
 
-    if (card.attributes.upgradeHp != null) {
-        filteredObj.hp = card.attributes.upgradeHp;
-    }
+    // if a card has multiple types it will be still in one string, like 'token upgrade'
+    filteredObj.types = getAttributeNames(card.attributes.type).split(' ');
+
+    // upgrade stats are the card's own stats, but units with Piloting keep their upgrade stats separately from their unit stats
+    if (filteredObj.types.includes('upgrade')) {
+        if (card.attributes.upgradeHp != null) {
+            filteredObj.hp = card.attributes.upgradeHp;
+        }
+
+        if (card.attributes.upgradePower != null) {
+            filteredObj.power = card.attributes.upgradePower;
+        }
+    } else {
+        if (card.attributes.upgradeHp != null) {
+            filteredObj.upgradeHp = card.attributes.upgradeHp;
+        }
 
-    if (card.attributes.upgradePower != null) {
-        filteredObj.power = card.attributes.upgradePower;
+        if (card.attributes.upgradePower != null) {
+            filteredObj.upgradePower = card.attributes.upgradePower;
+        }
     }
 
     filteredObj.aspects = getAttributeNames(card.attributes.aspects).concat(getAttributeNames(card.attributes.aspectDuplicates));
@@ -121,9 +135,6 @@ function filterValues(card) {
         filteredObj.backSideTitle = card.attributes.backSideTitle;
     }
 
-    // if a card has multiple types it will be still in one string, like 'token upgrade'
-    filteredObj.types = getAttributeNames(card.attributes.type).split(' ');
-
     filteredObj.setId = { set: card.attributes.expansion.data.attributes.code };
 
     // tokens use a different numbering scheme, can ignore for now
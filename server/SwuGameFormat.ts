@@ -1,5 +1,15 @@
 export enum SwuGameFormat {
     Premier = 'premier',
     NextSetPreview = 'nextSetPreview',
-    Open = 'open'
+    Open = 'open',
+
+    /** Multiplayer free-for-all with two leaders and singleton decks */
+    TwinSuns = 'twinSuns'
+}
+
+/** Inclusive range of the number of players a game in the format can have */
+export function getPlayerCountRange(format: SwuGameFormat): { min: number; max: number } {
+    return format === SwuGameFormat.TwinSuns
+        ? { min: 3, max: 4 }
+        : { min: 2, max: 2 };
 }
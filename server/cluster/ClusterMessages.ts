@@ -0,0 +1,81 @@
+import type { ILobbyGameResult } from '../gamenode/Lobby';
+import type { SwuGameFormat } from '../SwuGameFormat';
+import type { IAuthenticatedUser } from '../utils/auth/UserTokens';
+import type { Deck } from '../utils/deck/Deck';
+import type { ISwuDbDecklist } from '../utils/deck/DeckInterfaces';
+
+/*
+ * Messages exchanged over ZeroMQ between the lobby router (a ROUTER socket) and the game nodes (DEALER sockets whose routing id is the node name).
+ * Each message is a single JSON frame. Nodes register simply by sending their status, so a restarted router picks up the running nodes.
+ */
+
+/** Lobby on a game node, as listed to clients by the router */
+export interface IClusterLobbySummary {
+    id: string;
+    userIds: string[];
+
+    /** Public lobby waiting for another player */
+    hasOpenSeat: boolean;
+
+    /** Public lobby with a game in progress that accepts spectators */
+    isSpectatable: boolean;
+}
+
+/** Status each game node reports to the router on every heartbeat */
+export interface IGameNodeStatus {
+    name: string;
+
+    /** Address clients connect their socket to, as host:port */
+    address: string;
+
+    /** Most lobbies the node accepts, or null if unlimited */
+    maxGames: number | null;
+
+    /** Draining nodes don't take new lobbies, see the admin API of the game server */
+    isDraining: boolean;
+    lobbyCount: number;
+    gameCount: number;
+
+    /** One-minute load average of the node's machine, divided by its number of cpus */
+    cpuLoad: number;
+    lobbies: IClusterLobbySummary[];
+}
+
+/** Result of a command run by a game node, with the same status code and body as the equivalent HTTP endpoint of the node */
+export interface IGameNodeResponse {
+    status: number;
+    body: any;
+}
+
+export interface IQueueMatchPlayer {
+    user: IAuthenticatedUser;
+    deck: Deck;
+}
+
+/** Commands the router sends to a game node */
+export type GameNodeCommand =
+  | { type: 'createLobby'; user: IAuthenticatedUser; request: any }
+  | { type: 'joinLobby'; user: IAuthenticatedUser; lobbyId: string }
+  | { type: 'validateQueueDeck'; deck: ISwuDbDecklist; format?: SwuGameFormat }
+  | { type: 'createQueueLobby'; format: SwuGameFormat; players: [IQueueMatchPlayer, IQueueMatchPlayer] };
+
+export type RouterToNodeMessage =
+  | { type: 'request'; requestId: string; command: GameNodeCommand };
+
+export type NodeToRouterMessage =
+  | { type: 'status'; status: IGameNodeStatus }
+  | { type: 'response'; requestId: string; response: IGameNodeResponse }
+
+  /** Result of a matchmade game, since ratings are kept by the router */
+  | { type: 'gameResult'; result: ILobbyGameResult }
+
+  /** A player left their matchmade lobby to go back into the queue */
+  | { type: 'requeue'; user: IAuthenticatedUser; deck: Deck; format: SwuGameFormat };
+
+export function encodeClusterMessage(message: RouterToNodeMessage | NodeToRouterMessage): string {
+    return JSON.stringify(message);
+}
+
+export function decodeClusterMessage<TMessage extends RouterToNodeMessage | NodeToRouterMessage>(frame: Buffer): TMessage {
+    return JSON.parse(frame.toString('utf8'));
+}
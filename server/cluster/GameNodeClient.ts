@@ -0,0 +1,80 @@
+import { Dealer } from 'zeromq';
+import { logger } from '../logger';
+import type { GameNodeCommand, IGameNodeResponse, IGameNodeStatus, NodeToRouterMessage, RouterToNodeMessage } from './ClusterMessages';
+import { decodeClusterMessage, encodeClusterMessage } from './ClusterMessages';
+
+/** What a game node provides to the cluster, implemented by the game server */
+export interface IGameNodeHandler {
+    getNodeStatus(): IGameNodeStatus;
+    runClusterCommandAsync(command: GameNodeCommand): Promise<IGameNodeResponse>;
+}
+
+/**
+ * Connects a game node to the lobby router, reports its status on a regular heartbeat and runs the commands the router sends it
+ */
+export class GameNodeClient {
+    public static readonly heartbeatIntervalMs = 2000;
+
+    private readonly socket: Dealer;
+
+    // zeromq sockets reject a send while another one is pending, so sends are chained
+    private sendChain: Promise<void> = Promise.resolve();
+
+    public constructor(
+        private readonly routerUrl: string,
+        nodeName: string,
+        private readonly handler: IGameNodeHandler
+    ) {
+        this.socket = new Dealer({ routingId: nodeName });
+    }
+
+    public start(): void {
+        this.socket.connect(this.routerUrl);
+        logger.info(`Game node connecting to lobby router at ${this.routerUrl}`);
+
+        this.sendStatus();
+        setInterval(() => this.sendStatus(), GameNodeClient.heartbeatIntervalMs);
+
+        this.receiveMessagesAsync().catch((error) => logger.error(`Stopped receiving messages from the lobby router: ${error}`));
+    }
+
+    /** Sends the node's status to the router now instead of waiting for the next heartbeat, e.g. after a lobby was created */
+    public sendStatus(): void {
+        this.send({ type: 'status', status: this.handler.getNodeStatus() });
+    }
+
+    public send(message: NodeToRouterMessage): void {
+        this.sendChain = this.sendChain
+            .then(() => this.socket.send(encodeClusterMessage(message)))
+            .catch((error) => {
+                logger.error(`Failed to send ${message.type} message to the lobby router: ${error}`);
+            });
+    }
+
+    private async receiveMessagesAsync() {
+        for await (const [frame] of this.socket) {
+            let message: RouterToNodeMessage;
+            try {
+                message = decodeClusterMessage(frame);
+            } catch (error) {
+                logger.error(`Ignoring malformed message from the lobby router: ${error}`);
+                continue;
+            }
+
+            // commands are not awaited here so that a slow one doesn't hold up the others
+            this.respondAsync(message.requestId, message.command);
+        }
+    }
+
+    private async respondAsync(requestId: string, command: GameNodeCommand) {
+        let response: IGameNodeResponse;
+        try {
+            response = await this.handler.runClusterCommandAsync(command);
+        } catch (error) {
+            logger.error(`Failed to run ${command?.type} command from the lobby router: ${error}`);
+            response = { status: 500, body: { success: false, message: 'Internal server error' } };
+        }
+
+        this.send({ type: 'response', requestId, response });
+    }
+}
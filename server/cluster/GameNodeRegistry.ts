@@ -0,0 +1,102 @@
+import { logger } from '../logger';
+import type { IClusterLobbySummary, IGameNodeStatus } from './ClusterMessages';
+
+interface IRegisteredGameNode {
+    status: IGameNodeStatus;
+    lastSeenMs: number;
+}
+
+/**
+ * The game nodes known to the lobby router, from the statuses they report.
+ * A node is dropped once it misses several heartbeats in a row.
+ */
+export class GameNodeRegistry {
+    private readonly nodes = new Map<string, IRegisteredGameNode>();
+
+    public constructor(
+        private readonly nodeTimeoutMs: number,
+        private readonly now: () => number = () => Date.now()
+    ) {}
+
+    public get nodeStatuses(): IGameNodeStatus[] {
+        this.removeTimedOutNodes();
+        return Array.from(this.nodes.values()).map((node) => node.status);
+    }
+
+    public updateStatus(status: IGameNodeStatus): void {
+        if (!this.nodes.has(status.name)) {
+            logger.info(`Game node ${status.name} registered at ${status.address}`);
+        }
+
+        this.nodes.set(status.name, { status, lastSeenMs: this.now() });
+    }
+
+    public getNode(name: string): IGameNodeStatus | undefined {
+        this.removeTimedOutNodes();
+        return this.nodes.get(name)?.status;
+    }
+
+    /**
+     * Records a lobby created on a node so that it can be found before the node next reports its status
+     */
+    public addLobby(nodeName: string, lobby: IClusterLobbySummary): void {
+        const status = this.nodes.get(nodeName)?.status;
+        if (!status) {
+            return;
+        }
+
+        status.lobbies = status.lobbies.filter((existing) => existing.id !== lobby.id).concat(lobby);
+        status.lobbyCount = status.lobbies.length;
+    }
+
+    /**
+     * Returns the node with the fewest lobbies among those that are not draining and are below their game limit, preferring the one with the lowest cpu load
+     * if several are tied. Returns null if no node can take a new lobby.
+     */
+    public getLeastLoadedNode(): IGameNodeStatus | null {
+        const availableNodes = this.nodeStatuses.filter((node) => !node.isDraining && (node.maxGames == null || node.lobbyCount < node.maxGames));
+        if (availableNodes.length === 0) {
+            return null;
+        }
+
+        return availableNodes.reduce((leastLoaded, node) => {
+            const isLessLoaded = node.lobbyCount === leastLoaded.lobbyCount
+                ? node.cpuLoad < leastLoaded.cpuLoad
+                : node.lobbyCount < leastLoaded.lobbyCount;
+
+            return isLessLoaded ? node : leastLoaded;
+        });
+    }
+
+    public findLobby(lobbyId: string): { node: IGameNodeStatus; lobby: IClusterLobbySummary } | null {
+        for (const node of this.nodeStatuses) {
+            const lobby = node.lobbies.find((nodeLobby) => nodeLobby.id === lobbyId);
+            if (lobby) {
+                return { node, lobby };
+            }
+        }
+
+        return null;
+    }
+
+    public findUserLobby(userId: string): { node: IGameNodeStatus; lobby: IClusterLobbySummary } | null {
+        for (const node of this.nodeStatuses) {
+            const lobby = node.lobbies.find((nodeLobby) => nodeLobby.userIds.includes(userId));
+            if (lobby) {
+                return { node, lobby };
+            }
+        }
+
+        return null;
+    }
+
+    private removeTimedOutNodes() {
+        const now = this.now();
+        for (const [name, node] of this.nodes) {
+            if (now - node.lastSeenMs > this.nodeTimeoutMs) {
+                logger.info(`Game node ${name} timed out and was removed`);
+                this.nodes.delete(name);
+            }
+        }
+    }
+}
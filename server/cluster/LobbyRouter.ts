@@ -0,0 +1,321 @@
+import http from 'http';
+import express from 'express';
+import cors from 'cors';
+import { v4 as uuid } from 'uuid';
+import { Router } from 'zeromq';
+
+import { logger } from '../logger';
+import * as env from '../env';
+import * as Contract from '../game/core/utils/Contract';
+import type { IAuthenticatedUser } from '../utils/auth/UserTokens';
+import { requireAuthenticatedUser, signGuestToken, signUserToken } from '../utils/auth/UserTokens';
+import type { Deck } from '../utils/deck/Deck';
+import type { SwuGameFormat } from '../SwuGameFormat';
+import { MatchmakingQueue } from '../gamenode/matchmaking/MatchmakingQueue';
+import type { IRatingStore } from '../gamenode/matchmaking/IRatingStore';
+import { InMemoryRatingStore } from '../gamenode/matchmaking/InMemoryRatingStore';
+import { FileRatingStore } from '../gamenode/matchmaking/FileRatingStore';
+import { RatingService } from '../gamenode/matchmaking/RatingService';
+import type { GameNodeCommand, IClusterLobbySummary, IGameNodeResponse, IGameNodeStatus, NodeToRouterMessage } from './ClusterMessages';
+import { decodeClusterMessage, encodeClusterMessage } from './ClusterMessages';
+import { GameNodeClient } from './GameNodeClient';
+import { GameNodeRegistry } from './GameNodeRegistry';
+
+interface IPendingNodeRequest {
+    resolve: (response: IGameNodeResponse) => void;
+    reject: (error: Error) => void;
+    timeout: NodeJS.Timeout;
+}
+
+/**
+ * Entry point for clients of a cluster of game nodes. Lobbies are created on the least loaded node and queue matches are made
+ * here across all nodes, then clients are given the address of the node to connect their socket to.
+ *
+ * The router keeps no lobby state of its own: it knows the lobbies from the statuses the nodes report over ZeroMQ (see {@link GameNodeClient}).
+ * Players waiting in the queue have no socket until they are matched, so they poll `/api/queue-status` instead.
+ */
+export class LobbyRouter {
+    public static async createAsync(): Promise<LobbyRouter> {
+        Contract.assertNotNullLike(env.mqUrl, 'MQ_URL must be set to run the lobby router');
+        Contract.assertNotNullLike(env.lobbyPort, 'LOBBY_PORT must be set to run the lobby router');
+
+        const ratingStore = env.ratingStoreFile == null
+            ? new InMemoryRatingStore()
+            : await FileRatingStore.createAsync(env.ratingStoreFile);
+
+        const router = new LobbyRouter(ratingStore);
+        await router.bindAsync(env.mqUrl);
+        router.listen(env.lobbyPort);
+
+        return router;
+    }
+
+    /** Matchmaking is re-run regularly, since the rating gap queued players accept widens while they wait */
+    private static readonly matchmakingIntervalMs = 5000;
+    private static readonly nodeRequestTimeoutMs = 10000;
+
+    private readonly app = express();
+    private readonly socket = new Router({ mandatory: true });
+    private readonly nodes = new GameNodeRegistry(GameNodeClient.heartbeatIntervalMs * 3);
+    private readonly pendingRequests = new Map<string, IPendingNodeRequest>();
+    private readonly queue = new MatchmakingQueue();
+    private readonly ratingService: RatingService;
+
+    // zeromq sockets reject a send while another one is pending, so sends are chained
+    private sendChain: Promise<void> = Promise.resolve();
+
+    private constructor(ratingStore: IRatingStore) {
+        this.ratingService = new RatingService(ratingStore);
+
+        this.app.use(express.json());
+        this.app.use(cors({
+            origin: ['http://localhost:3000', 'https://beta.karabast.net'],
+            methods: ['GET', 'POST'],
+            credentials: true
+        }));
+        this.setupAppRoutes();
+
+        setInterval(() => this.matchmakeQueuePlayersAndCatchErrorsAsync(), LobbyRouter.matchmakingIntervalMs);
+    }
+
+    private async bindAsync(mqUrl: string) {
+        await this.socket.bind(mqUrl);
+        logger.info(`Lobby router accepting game nodes at ${mqUrl}`);
+
+        this.receiveMessagesAsync().catch((error) => logger.error(`Stopped receiving messages from game nodes: ${error}`));
+    }
+
+    private listen(port: number) {
+        http.createServer(this.app).listen(port);
+        logger.info(`Lobby router listening on port ${port}`);
+    }
+
+    private setupAppRoutes() {
+        this.app.post('/api/guest-token', (_, res) => {
+            return res.status(200).json({ success: true, token: signGuestToken() });
+        });
+
+        // local token issuer so that any user can be signed in while developing without the site that owns the user accounts
+        if (env.environment === 'development') {
+            this.app.post('/api/dev-token', (req, res) => {
+                const { id, username } = req.body;
+                if (typeof id !== 'string' || id.length === 0 || (username != null && typeof username !== 'string')) {
+                    return res.status(400).json({ success: false, message: 'A user id and optional username are required' });
+                }
+
+                return res.status(200).json({ success: true, token: signUserToken({ id, username }) });
+            });
+        }
+
+        this.app.post('/api/create-lobby', requireAuthenticatedUser, async (req, res) => {
+            const node = this.nodes.getLeastLoadedNode();
+            if (!node) {
+                return res.status(503).json({ success: false, message: 'No game server is available' });
+            }
+
+            const response = await this.sendCommandAndCatchErrorsAsync(node, { type: 'createLobby', user: res.locals.user, request: req.body });
+            if (response.status === 200) {
+                this.nodes.addLobby(node.name, { id: response.body.lobbyId, userIds: [res.locals.user.id], hasOpenSeat: false, isSpectatable: false });
+            }
+            return LobbyRouter.sendNodeResponse(res, node, response);
+        });
+
+        this.app.get('/api/available-lobbies', (_, res) => {
+            return res.json(this.listLobbies((lobby) => lobby.hasOpenSeat));
+        });
+
+        this.app.get('/api/spectatable-lobbies', (_, res) => {
+            return res.json(this.listLobbies((lobby) => lobby.isSpectatable));
+        });
+
+        this.app.post('/api/join-lobby', requireAuthenticatedUser, async (req, res) => {
+            const found = this.nodes.findLobby(req.body.lobbyId);
+            if (!found) {
+                return res.status(404).json({ success: false, message: 'Lobby not found' });
+            }
+
+            const response = await this.sendCommandAndCatchErrorsAsync(found.node, { type: 'joinLobby', user: res.locals.user, lobbyId: found.lobby.id });
+            return LobbyRouter.sendNodeResponse(res, found.node, response);
+        });
+
+        this.app.post('/api/enter-queue', requireAuthenticatedUser, async (req, res) => {
+            const user: IAuthenticatedUser = res.locals.user;
+            if (this.nodes.findUserLobby(user.id)) {
+                logger.info(`User ${user.id} already in a lobby, ignoring queue request.`);
+                return res.status(400).json({ success: false, message: 'Failed to enter queue' });
+            }
+
+            // decks are validated by a game node, since the router doesn't load the card data
+            const node = this.nodes.getLeastLoadedNode() ?? this.nodes.nodeStatuses[0];
+            if (!node) {
+                return res.status(503).json({ success: false, message: 'No game server is available' });
+            }
+
+            const response = await this.sendCommandAndCatchErrorsAsync(node, { type: 'validateQueueDeck', deck: req.body.deck, format: req.body.format });
+            if (response.status !== 200) {
+                return res.status(response.status).json(response.body);
+            }
+
+            await this.enterQueueAsync(user, req.body.deck, response.body.format);
+            return res.status(200).json({ success: true });
+        });
+
+        this.app.get('/api/queue-status', requireAuthenticatedUser, (_, res) => {
+            const user: IAuthenticatedUser = res.locals.user;
+            if (this.queue.find(user.id)) {
+                return res.status(200).json({ success: true, queued: true, status: this.queue.getStatus(user.id) });
+            }
+
+            const found = this.nodes.findUserLobby(user.id);
+            if (found) {
+                return res.status(200).json({ success: true, queued: false, lobbyId: found.lobby.id, nodeAddress: found.node.address });
+            }
+
+            return res.status(200).json({ success: true, queued: false });
+        });
+
+        this.app.post('/api/leave-queue', requireAuthenticatedUser, (_, res) => {
+            return res.status(200).json({ success: this.queue.remove(res.locals.user.id) });
+        });
+
+        this.app.get('/api/health', (_, res) => {
+            return res.status(200).json({ success: true, nodeCount: this.nodes.nodeStatuses.length });
+        });
+    }
+
+    private static sendNodeResponse(res: express.Response, node: IGameNodeStatus, response: IGameNodeResponse) {
+        if (response.status !== 200) {
+            return res.status(response.status).json(response.body);
+        }
+
+        return res.status(200).json({ ...response.body, nodeAddress: node.address });
+    }
+
+    private listLobbies(condition: (lobby: IClusterLobbySummary) => boolean) {
+        return this.nodes.nodeStatuses.flatMap((node) =>
+            node.lobbies.filter(condition).map((lobby) => ({
+                id: lobby.id,
+                name: `Game #${lobby.id}`,
+                nodeAddress: node.address
+            }))
+        );
+    }
+
+    private async enterQueueAsync(user: IAuthenticatedUser, deck: Deck, format: SwuGameFormat) {
+        if (this.queue.find(user.id)) {
+            logger.info(`User ${user.id} is already in queue, rejoining`);
+        }
+
+        this.queue.add({
+            user,
+            deck,
+            format,
+            rating: await this.ratingService.getRatingAsync(user.id, format),
+            socket: null
+        });
+    }
+
+    private async matchmakeQueuePlayersAndCatchErrorsAsync() {
+        try {
+            await this.matchmakeQueuePlayersAsync();
+        } catch (e) {
+            logger.error(e);
+        }
+    }
+
+    /**
+     * Creates a lobby on the least loaded node for each pair of queued players whose ratings are close enough.
+     * If no node can take the lobby, the players are put back in the queue.
+     */
+    private async matchmakeQueuePlayersAsync() {
+        for (const [p1, p2] of this.queue.takeMatches()) {
+            const node = this.nodes.getLeastLoadedNode();
+            const response = node
+                ? await this.sendCommandAndCatchErrorsAsync(node, {
+                    type: 'createQueueLobby',
+                    format: p1.format,
+                    players: [{ user: p1.user, deck: p1.deck }, { user: p2.user, deck: p2.deck }]
+                })
+                : null;
+
+            if (response?.status !== 200) {
+                logger.error(`Failed to create a lobby for matched players ${p1.user.id} and ${p2.user.id}, returning them to the queue`);
+                this.queue.add(p1);
+                this.queue.add(p2);
+                continue;
+            }
+
+            this.nodes.addLobby(node.name, { id: response.body.lobbyId, userIds: [p1.user.id, p2.user.id], hasOpenSeat: false, isSpectatable: false });
+            logger.info(`Matched players ${p1.user.username} (${p1.rating}) and ${p2.user.username} (${p2.rating}) in lobby ${response.body.lobbyId} on node ${node.name}.`);
+        }
+    }
+
+    private async sendCommandAndCatchErrorsAsync(node: IGameNodeStatus, command: GameNodeCommand): Promise<IGameNodeResponse> {
+        try {
+            return await this.sendCommandAsync(node.name, command);
+        } catch (error) {
+            logger.error(`Failed to run ${command.type} command on game node ${node.name}: ${error}`);
+            return { status: 502, body: { success: false, message: 'The game server did not respond' } };
+        }
+    }
+
+    private sendCommandAsync(nodeName: string, command: GameNodeCommand): Promise<IGameNodeResponse> {
+        const requestId = uuid();
+
+        const response = new Promise<IGameNodeResponse>((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.pendingRequests.delete(requestId);
+                reject(new Error(`No response after ${LobbyRouter.nodeRequestTimeoutMs}ms`));
+            }, LobbyRouter.nodeRequestTimeoutMs);
+
+            this.pendingRequests.set(requestId, { resolve, reject, timeout });
+        });
+
+        this.sendChain = this.sendChain
+            .then(() => this.socket.send([nodeName, encodeClusterMessage({ type: 'request', requestId, command })]))
+            .catch((error) => this.settleRequest(requestId, (pending) => pending.reject(error)));
+
+        return response;
+    }
+
+    private settleRequest(requestId: string, settle: (pending: IPendingNodeRequest) => void) {
+        const pending = this.pendingRequests.get(requestId);
+        if (!pending) {
+            return;
+        }
+
+        clearTimeout(pending.timeout);
+        this.pendingRequests.delete(requestId);
+        settle(pending);
+    }
+
+    private async receiveMessagesAsync() {
+        for await (const [identity, frame] of this.socket) {
+            try {
+                await this.handleNodeMessageAsync(identity.toString('utf8'), decodeClusterMessage(frame));
+            } catch (error) {
+                logger.error(`Failed to handle message from game node ${identity.toString('utf8')}: ${error}`);
+            }
+        }
+    }
+
+    private async handleNodeMessageAsync(nodeName: string, message: NodeToRouterMessage) {
+        switch (message.type) {
+            case 'status':
+                Contract.assertTrue(message.status.name === nodeName, `Game node ${nodeName} reported a status for ${message.status.name}`);
+                this.nodes.updateStatus(message.status);
+                break;
+            case 'response':
+                this.settleRequest(message.requestId, (pending) => pending.resolve(message.response));
+                break;
+            case 'gameResult':
+                await this.ratingService.recordMatchmadeGameResultAsync(message.result);
+                break;
+            case 'requeue':
+                await this.enterQueueAsync(message.user, message.deck, message.format);
+                break;
+            default:
+                Contract.fail(`Unknown message from game node ${nodeName}: ${JSON.stringify(message)}`);
+        }
+    }
+}
@@ -0,0 +1,8 @@
+import { LobbyRouter } from './LobbyRouter';
+
+let router;
+LobbyRouter.createAsync()
+    .then((createdRouter) => router = createdRouter)
+    .catch((error) => {
+        throw error;
+    });
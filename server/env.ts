@@ -1,14 +1,31 @@
 import * as dotenv from 'dotenv';
+import path from 'path';
 import { z } from 'zod';
 
 dotenv.config();
 
 const parsedEnv = z
     .object({
+        ADMIN_USER_IDS: z.string().optional(),
+        CARD_DATA_CACHE_DIRECTORY: z.string().optional(),
         ENVIRONMENT: z.string(),
+        ERROR_DUMP_DIRECTORY: z.string().optional(),
+        GAME_HISTORY_FILE: z.string().optional(),
         GAME_NODE_HOST: z.string(),
         GAME_NODE_NAME: z.string(),
         GAME_NODE_SOCKET_IO_PORT: z.coerce.number().int(),
+        LOBBY_PORT: z.coerce.number().int()
+            .optional(),
+        MAX_GAMES: z.coerce.number().int()
+            .positive()
+            .optional(),
+        MQ_URL: z.string().optional(),
+        RECONNECT_WINDOW_SECONDS: z.coerce.number().int()
+            .nonnegative()
+            .optional(),
+        PREFETCH_CARD_DATA: z.enum(['true', 'false']).optional(),
+        RATING_STORE_FILE: z.string().optional(),
+        REPLAY_DIRECTORY: z.string().optional(),
         SECRET: z.string()
     })
     .safeParse(process.env);
@@ -42,12 +59,19 @@ if (!parsedEnv.success) {
     throw Error(`Failed to initialize environment variables: ${(parsedEnv as any).error.message}`);
 }
 
+// comma-separated ids of the users allowed to use the admin API
+export const adminUserIds = (parsedEnv.data.ADMIN_USER_IDS ?? '').split(',')
+    .map((id) => id.trim())
+    .filter((id) => id.length > 0);
+export const cardDataCacheDirectory = parsedEnv.data.CARD_DATA_CACHE_DIRECTORY ?? path.join(__dirname, 'data', 'cardDataCache');
 // export const captchaKey = parsedEnv.data.CAPTCHA_KEY;
 // export const cookieLifetime = parsedEnv.data.COOKIE_LIFETIME;
 // export const dbPath = parsedEnv.data.DB_PATH;
 // export const domain = parsedEnv.data.DOMAIN;
 // export const emailPath = parsedEnv.data.EMAIL_PATH;
 export const environment = parsedEnv.data.ENVIRONMENT;
+export const errorDumpDirectory = parsedEnv.data.ERROR_DUMP_DIRECTORY ?? path.join(__dirname, 'logs', 'errorDumps');
+export const gameHistoryFile = parsedEnv.data.GAME_HISTORY_FILE ?? path.join(__dirname, 'data', 'gameHistory.jsonl');
 // export const gameNodeCertPath = parsedEnv.data.GAME_NODE_CERT_PATH;
 export const gameNodeHost = parsedEnv.data.GAME_NODE_HOST;
 // export const gameNodeKeyPath = parsedEnv.data.GAME_NODE_KEY_PATH;
@@ -57,8 +81,12 @@ export const gameNodeName = parsedEnv.data.GAME_NODE_NAME;
 export const gameNodeSocketIoPort = parsedEnv.data.GAME_NODE_SOCKET_IO_PORT;
 // export const hmacSecret = parsedEnv.data.HMAC_SECRET;
 // export const https = parsedEnv.data.HTTPS;
-// export const lobbyPort = parsedEnv.data.LOBBY_PORT;
-// export const maxGames = parsedEnv.data.MAX_GAMES;
-// export const mqUrl = parsedEnv.data.MQ_URL;
+export const lobbyPort = parsedEnv.data.LOBBY_PORT;
+export const maxGames = parsedEnv.data.MAX_GAMES;
+export const mqUrl = parsedEnv.data.MQ_URL;
+export const prefetchCardData = parsedEnv.data.PREFETCH_CARD_DATA === 'true';
+export const ratingStoreFile = parsedEnv.data.RATING_STORE_FILE;
+export const reconnectWindowSeconds = parsedEnv.data.RECONNECT_WINDOW_SECONDS ?? 60;
+export const replayDirectory = parsedEnv.data.REPLAY_DIRECTORY;
 export const secret = parsedEnv.data.SECRET;
 // export const sentryDsn = parsedEnv.data.SENTRY_DSN;
@@ -12,7 +12,7 @@ export class RestoreAbility extends TriggeredAbility {
     public static buildRestoreAbilityProperties<TSource extends Card = Card>(restoreAmount: number): ITriggeredAbilityProps<TSource> {
         return {
             title: `Restore ${restoreAmount}`,
-            when: { onAttackDeclared: (event, context) => event.attack.attacker === context.source },
+            when: { onAttackDeclared: (event, context) => event.attack.isAttacker(context.source) },
             zoneFilter: WildcardZoneName.AnyArena,
             immediateEffect: GameSystemLibrary.heal((context) => ({
                 amount: restoreAmount,
@@ -15,7 +15,7 @@ export class SaboteurDefeatShieldsAbility extends TriggeredAbility {
     public static buildSaboteurAbilityProperties<TSource extends Card = Card>(): ITriggeredAbilityProps<TSource> {
         return {
             title: 'Saboteur: defeat all shields',
-            when: { onAttackDeclared: (event, context) => event.attack.attacker === context.source },
+            when: { onAttackDeclared: (event, context) => event.attack.isAttacker(context.source) },
             zoneFilter: WildcardZoneName.AnyArena,
             targetResolver: {
                 cardCondition: (card: Card, context: TriggeredAbilityContext) => {
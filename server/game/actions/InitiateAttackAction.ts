@@ -27,7 +27,13 @@ export class InitiateAttackAction extends PlayerAction {
             ? new GameSystemCost(new ExhaustSystem({ isCost: true }), true)
             : exhaustSelf();
 
-        super(game, card, 'Attack', [exhaustCost], {
+        // any units attacking together with this one are exhausted as well
+        const costs = [exhaustCost];
+        if (attackProperties?.additionalAttackers?.length > 0) {
+            costs.push(new GameSystemCost(new ExhaustSystem({ isCost: true, target: attackProperties.additionalAttackers }), attackProperties.allowExhaustedAttacker));
+        }
+
+        super(game, card, 'Attack', costs, {
             immediateEffect: new AttackStepsSystem(Object.assign({}, attackProperties, { attacker: card })),
             zoneFilter: WildcardZoneName.AnyAttackable,
             activePromptTitle: 'Choose a target for attack'
@@ -47,6 +53,12 @@ export class InitiateAttackAction extends PlayerAction {
         if (context.player.hasRestriction(AbilityRestriction.Attack, context)) {
             return 'restriction';
         }
+        if (
+            !this.attackProperties?.allowExhaustedAttacker &&
+            this.attackProperties?.additionalAttackers?.some((attacker) => !attacker.canBeExhausted() || attacker.exhausted)
+        ) {
+            return 'cost';
+        }
         if (!this.targetResolvers[0].hasLegalTarget(context)) {
             return 'target';
         }
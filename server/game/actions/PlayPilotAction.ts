@@ -0,0 +1,70 @@
+import type { AbilityContext } from '../core/ability/AbilityContext';
+import type { PlayCardContext, IPlayCardActionProperties } from '../core/ability/PlayCardAction';
+import { PlayCardAction } from '../core/ability/PlayCardAction';
+import type { Card } from '../core/card/Card';
+import type { NonLeaderUnitCard } from '../core/card/NonLeaderUnitCard';
+import { AbilityRestriction, KeywordName, PlayType, RelativePlayer } from '../core/Constants';
+import type Game from '../core/Game';
+import * as Contract from '../core/utils/Contract';
+import { AttachUpgradeSystem } from '../gameSystems/AttachUpgradeSystem';
+import { attachUpgrade } from '../gameSystems/GameSystemLibrary';
+
+/**
+ * Plays a unit with the Piloting keyword as an upgrade on a friendly Vehicle unit, paying its Piloting cost instead of its printed cost.
+ * Which Vehicles the pilot can be attached to is decided by {@link NonLeaderUnitCard.canAttach}.
+ */
+export class PlayPilotAction extends PlayCardAction {
+    // we pass in a targetResolver holding the attachUpgrade system so that the action will be blocked if there are no valid targets
+    public constructor(game: Game, card: Card, properties: IPlayCardActionProperties) {
+        Contract.assertTrue(properties.playType === PlayType.Piloting);
+
+        super(game, card,
+            {
+                ...properties,
+                targetResolver: {
+                    controller: RelativePlayer.Self,
+                    immediateEffect: attachUpgrade<AbilityContext<NonLeaderUnitCard>>((context) => ({ upgrade: context.source }))
+                }
+            }
+        );
+    }
+
+    public override executeHandler(context: PlayCardContext) {
+        Contract.assertTrue(context.source.hasSomeKeyword(KeywordName.Piloting));
+
+        const events = [
+            new AttachUpgradeSystem({
+                upgrade: context.source as NonLeaderUnitCard,
+                target: context.target,
+                newController: RelativePlayer.Self
+            }).generateEvent(context),
+            this.generateOnPlayEvent(context, { attachTarget: context.target })
+        ];
+
+        context.game.openEventWindow(events);
+    }
+
+    public override clone(overrideProperties: Partial<Omit<IPlayCardActionProperties, 'playType'>>) {
+        return new PlayPilotAction(this.game, this.card, { ...this.createdWithProperties, ...overrideProperties });
+    }
+
+    public override meetsRequirements(context = this.createContext(), ignoredRequirements: string[] = []): string {
+        if (
+            context.player.hasRestriction(AbilityRestriction.PlayUpgrade, context) ||
+            context.player.hasRestriction(AbilityRestriction.PutIntoPlay, context) ||
+            context.source.hasRestriction(AbilityRestriction.EnterPlay, context)
+        ) {
+            return 'restriction';
+        }
+
+        if (!this.hasSomeLegalTarget(context)) {
+            return 'attachTarget';
+        }
+
+        return super.meetsRequirements(context, ignoredRequirements);
+    }
+
+    public override displayMessage(context: AbilityContext) {
+        context.game.addMessage('{0} plays {1} as a pilot, attaching it to {2}', context.player, context.source, context.target);
+    }
+}
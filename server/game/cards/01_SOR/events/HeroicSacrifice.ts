@@ -27,7 +27,7 @@ export default class HeroicSacrifice extends EventCard {
                                     when: {
                                         onDamageDealt: (event, context) => (
                                             event.type === DamageType.Combat &&
-                                            event.damageSource.attack.attacker === context.source &&
+                                            event.damageSource.attack.isAttacker(context.source) &&
                                             event.damageSource.damageDealtBy === context.source)
                                     },
                                     immediateEffect: AbilityHelper.immediateEffects.defeat(),
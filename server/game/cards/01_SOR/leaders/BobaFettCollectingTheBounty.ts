@@ -42,7 +42,7 @@ export default class BobaFettCollectingTheBounty extends LeaderUnitCard {
         this.addTriggeredAbility({
             title: 'Ready 2 resources',
             when: {
-                onAttackCompleted: (event, context) => event.attack.attacker === context.source,
+                onAttackCompleted: (event, context) => event.attack.isAttacker(context.source),
             },
             immediateEffect: AbilityHelper.immediateEffects.conditional({
                 condition: (context) => {
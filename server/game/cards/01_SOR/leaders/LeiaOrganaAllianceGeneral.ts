@@ -32,7 +32,7 @@ export default class LeiaOrganaAllianceGeneral extends LeaderUnitCard {
             title: 'Attack with another Rebel unit',
             optional: true,
             when: {
-                onAttackCompleted: (event, context) => event.attack.attacker === context.source
+                onAttackCompleted: (event, context) => event.attack.isAttacker(context.source)
             },
             initiateAttack: {
                 attackerCondition: (card, context) => card.hasSomeTrait(Trait.Rebel) && card !== context.source
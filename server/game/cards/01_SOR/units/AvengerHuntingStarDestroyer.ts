@@ -14,7 +14,7 @@ export default class AvengerHuntingStarDestroyer extends NonLeaderUnitCard {
         this.addTriggeredAbility({
             title: 'Choose a friendly non-leader unit to defeat',
             when: {
-                onAttackDeclared: (event, context) => event.attack.attacker === context.source,
+                onAttackDeclared: (event, context) => event.attack.isAttacker(context.source),
                 onCardPlayed: (event, context) => event.card === context.source
             },
             targetResolver: {
@@ -18,7 +18,7 @@ export default class BlizzardAssaultAtat extends NonLeaderUnitCard {
             when: {
                 onCardDefeated: (event, context) =>
                     event.isDefeatedByAttackerDamage &&
-                    event.defeatSource.attack.attacker === context.source
+                    event.defeatSource.attack.isAttacker(context.source)
             },
             targetResolver: {
                 cardTypeFilter: WildcardCardType.Unit,
@@ -14,7 +14,7 @@ export default class EzraBridger extends NonLeaderUnitCard {
         this.addTriggeredAbility({
             title: 'Look at the top card of your deck.',
             when: {
-                onAttackCompleted: (event, context) => event.attack.attacker === context.source,
+                onAttackCompleted: (event, context) => event.attack.isAttacker(context.source),
             },
             immediateEffect: AbilityHelper.immediateEffects.lookAtAndChooseOption((context) => {
                 const topCardOfDeck = context.source.controller.getTopCardOfDeck();
@@ -16,7 +16,7 @@ export default class MaceWinduPartyCrasher extends NonLeaderUnitCard {
                 onCardDefeated: (event, context) =>
                     // TODO: update trigger condition so that defender being defeated by attacker at the 'on attack' stage will also work
                     event.isDefeatedByAttackerDamage &&
-                    event.defeatSource.attack.attacker === context.source
+                    event.defeatSource.attack.isAttacker(context.source)
             },
             immediateEffect: AbilityHelper.immediateEffects.ready((context) => ({ target: context.source })),
         });
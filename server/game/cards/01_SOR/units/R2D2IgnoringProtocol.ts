@@ -15,7 +15,7 @@ export default class R2D2IgnoringProtocol extends NonLeaderUnitCard {
             title: 'Look at the top 2 cards of your deck. Put any number of them on the bottom of your deck and the rest on top in any order.',
             when: {
                 onCardPlayed: (event, context) => event.card === context.source,
-                onAttackDeclared: (event, context) => event.attack.attacker === context.source,
+                onAttackDeclared: (event, context) => event.attack.isAttacker(context.source),
             },
             immediateEffect: AbilityHelper.immediateEffects.lookMoveDeckCardsTopOrBottom({ amount: 1 })
         });
@@ -16,7 +16,7 @@ export default class RukhThrawnsAssassin extends NonLeaderUnitCard {
             when: {
                 onDamageDealt: (event, context) =>
                     event.type === DamageType.Combat &&
-                    event.damageSource.attack.attacker === context.source &&
+                    event.damageSource.attack.isAttacker(context.source) &&
                     event.damageSource.damageDealtBy === context.source &&
                     event.damageSource.attack.target?.isNonLeaderUnit()
             },
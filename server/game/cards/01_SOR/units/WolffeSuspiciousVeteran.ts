@@ -15,7 +15,7 @@ export default class WolffeSuspiciousVeteran extends NonLeaderUnitCard {
             title: 'Bases can\'t be healed',
             when: {
                 onCardPlayed: (event, context) => event.card === context.source,
-                onAttackDeclared: (event, context) => event.attack.attacker === context.source,
+                onAttackDeclared: (event, context) => event.attack.isAttacker(context.source),
             },
             immediateEffect: AbilityHelper.immediateEffects.forThisPhaseCardEffect((context) => ({
                 effect: AbilityHelper.ongoingEffects.cardCannot(AbilityRestriction.BeHealed),
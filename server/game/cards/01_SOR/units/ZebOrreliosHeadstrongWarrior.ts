@@ -23,7 +23,7 @@ export default class ZebOrreliosHeadstrongWarrior extends NonLeaderUnitCard {
         this.addTriggeredAbility({
             title: 'If the defender was defeated, you may deal 4 damage to a ground unit',
             when: {
-                onAttackCompleted: (event, context) => event.attack.attacker === context.source,
+                onAttackCompleted: (event, context) => event.attack.isAttacker(context.source),
             },
             optional: true,
             targetResolver: {
@@ -17,7 +17,7 @@ export default class ArquitensAssaultCruiser extends NonLeaderUnitCard {
                     // TODO: update trigger condition so that defender being defeated by attacker at the 'on attack' stage will also work
                     event.isDefeatedByAttackerDamage &&
                     event.card.isNonLeaderUnit() &&
-                    event.defeatSource.attack.attacker === context.source
+                    event.defeatSource.attack.isAttacker(context.source)
             },
             immediateEffect: AbilityHelper.immediateEffects.resourceCard((context) => ({ target: context.event.card }))
         });
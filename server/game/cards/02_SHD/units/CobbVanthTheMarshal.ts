@@ -20,7 +20,7 @@ export default class CobbVanthTheMarshal extends NonLeaderUnitCard {
                     AbilityHelper.immediateEffects.discardSpecificCard(),
                     AbilityHelper.immediateEffects.forThisPhaseCardEffect((deckSearchContext) => ({
                         effect: [
-                            OngoingEffectLibrary.canPlayFromDiscard(),
+                            OngoingEffectLibrary.canPlayFromOutOfPlay(),
                             OngoingEffectLibrary.forFree({
                                 match: (card) => deckSearchContext.selectedPromptCards.includes(card) // note cost adjusters are attached to player, so have to refilter
                             })
@@ -14,7 +14,7 @@ export default class CovetousRivals extends NonLeaderUnitCard {
         this.addTriggeredAbility({
             title: 'Deal 2 damage to a unit with a Bounty',
             when: {
-                onAttackDeclared: (event, context) => event.attack.attacker === context.source,
+                onAttackDeclared: (event, context) => event.attack.isAttacker(context.source),
                 onCardPlayed: (event, context) => event.card === context.source
             },
             targetResolver: {
@@ -23,7 +23,7 @@ export default class EmboStoicAndResolute extends NonLeaderUnitCard {
         this.addTriggeredAbility({
             title: 'If the defender was defeated, heal up to 2 damage from a unit',
             when: {
-                onAttackCompleted: (event, context) => event.attack.attacker === context.source,
+                onAttackCompleted: (event, context) => event.attack.isAttacker(context.source),
             },
             immediateEffect: AbilityHelper.immediateEffects.conditional({
                 condition: (context) => AttackHelpers.defenderWasDefeated(context.event.attack, this.unitsDefeatedThisPhaseWatcher),
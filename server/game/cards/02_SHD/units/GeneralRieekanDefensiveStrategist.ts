@@ -14,7 +14,7 @@ export default class GeneralRieekanDefensiveStrategist extends NonLeaderUnitCard
         this.addTriggeredAbility({
             title: 'Choose a friendly unit. If it has Sentinel, give an Experience token to it. Otherwise, it gains Sentinel for this phase',
             when: {
-                onAttackDeclared: (event, context) => event.attack.attacker === context.source,
+                onAttackDeclared: (event, context) => event.attack.isAttacker(context.source),
                 onCardPlayed: (event, context) => event.card === context.source
             },
             targetResolver: {
@@ -17,7 +17,7 @@ export default class KraganGorrWarbirdCaptain extends NonLeaderUnitCard {
             },
             targetResolver: {
                 // TODO: update this to use last known state (once implemented) to get attacker zone in case it's defeated
-                cardCondition: (card, context) => card.controller === context.source.controller && card.zoneName === context.event.attack.attacker.zoneName,
+                cardCondition: (card, context) => card.controller === context.source.controller && context.event.attack.attackers.some((attacker) => attacker.zoneName === card.zoneName),
                 immediateEffect: AbilityHelper.immediateEffects.giveShield()
             }
         });
@@ -18,7 +18,7 @@ export default class SurvivorsGauntlet extends NonLeaderUnitCard {
             title: 'Attach an upgrade on a unit to another eligible unit controlled by the same player',
             when: {
                 onCardPlayed: (event, context) => event.card === context.source,
-                onAttackDeclared: (event, context) => event.attack.attacker === context.source,
+                onAttackDeclared: (event, context) => event.attack.isAttacker(context.source),
             },
             targetResolvers: {
                 chooseUpgrade: {
@@ -1,7 +1,6 @@
 import { UpgradeCard } from '../../../core/card/UpgradeCard';
 import { Trait } from '../../../core/Constants';
 import type { Card } from '../../../core/card/Card';
-import AbilityHelper from '../../../AbilityHelper';
 
 export default class BobaFettsArmor extends UpgradeCard {
     protected override getImplementationId() {
@@ -22,11 +21,9 @@ export default class BobaFettsArmor extends UpgradeCard {
                   !event.isIndirect,
             },
             replaceWith: {
-                replacementImmediateEffect: AbilityHelper.immediateEffects.damage((context) => ({
-                    target: context.source.parentCard,
-                    amount: () => (Math.max(context.event.amount - 2, 0)),
-                    source: context.event.damageSource.damageDealtBy,
-                }))
+                modifyEvent: (event) => {
+                    event.amount = Math.max(event.amount - 2, 0);
+                }
             },
             effect: 'Boba Fett\'s armor prevents 2 damage to {1}',
             effectArgs: (context) => [context.source.parentCard]
@@ -17,7 +17,7 @@ export default class InspiringMentor extends UpgradeCard {
         this.addGainTriggeredAbilityTargetingAttached({
             title: 'Give an Experience token to another friendly unit',
             when: {
-                onAttackDeclared: (event, context) => event.attack.attacker === context.source,
+                onAttackDeclared: (event, context) => event.attack.isAttacker(context.source),
                 onCardDefeated: (event, context) => event.card === context.source,
             },
             targetResolver: {
@@ -16,7 +16,7 @@ export default class SecondChance extends UpgradeCard {
             title: 'For this phase, this unit\'s owner may play it from their discard pile for free.',
             immediateEffect: AbilityHelper.immediateEffects.forThisPhaseCardEffect((context) => ({
                 effect: [
-                    OngoingEffectLibrary.canPlayFromDiscard(),
+                    OngoingEffectLibrary.canPlayFromOutOfPlay(),
                     OngoingEffectLibrary.forFree({ match: (card) => card === context.source })
                 ]
             }))
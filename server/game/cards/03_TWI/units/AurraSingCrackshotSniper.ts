@@ -16,7 +16,7 @@ export default class AurraSingCrackshotSniper extends NonLeaderUnitCard {
             when: {
                 onAttackDeclared: (event, context) =>
                     event.attack.attacker.controller !== context.source.controller &&
-                    event.attack.attacker.zoneName === ZoneName.GroundArena &&
+                    event.attack.attackers.some((attacker) => attacker.zoneName === ZoneName.GroundArena) &&
                     event.attack.target === context.source.controller.base,
             },
             immediateEffect: AbilityHelper.immediateEffects.ready(),
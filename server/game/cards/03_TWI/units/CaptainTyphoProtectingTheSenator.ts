@@ -15,7 +15,7 @@ export default class CaptainTyphoProtectingTheSenator extends NonLeaderUnitCard
             title: 'Give a unit Sentinel for this phase',
             optional: false,
             when: {
-                onAttackDeclared: (event, context) => event.attack.attacker === context.source,
+                onAttackDeclared: (event, context) => event.attack.isAttacker(context.source),
                 onCardPlayed: (event, context) => event.card === context.source
             },
             targetResolver: {
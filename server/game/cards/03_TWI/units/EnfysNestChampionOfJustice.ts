@@ -15,7 +15,7 @@ export default class EnfysNestChampionOfJustice extends NonLeaderUnitCard {
             title: 'Return an enemy non-leader unit with less power than this unit to its owner\'s hand',
             when: {
                 onCardPlayed: (event, context) => event.card === context.source,
-                onAttackDeclared: (event, context) => event.attack.attacker === context.source,
+                onAttackDeclared: (event, context) => event.attack.isAttacker(context.source),
             },
             optional: true,
             targetResolver: {
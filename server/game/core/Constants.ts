@@ -39,6 +39,7 @@ export type Arena = ZoneName.GroundArena | ZoneName.SpaceArena;
 export enum PlayType {
     PlayFromHand = 'playFromHand',
     Smuggle = 'smuggle',
+    Piloting = 'piloting',
     PlayFromOutOfPlay = 'playFromOutOfPlay',
 }
 
@@ -67,7 +68,7 @@ export enum EffectName {
     CanAttackSpaceArenaFromGroundArena = 'canAttackSpaceArenaFromGroundArena',
     CanBeTriggeredByOpponent = 'canBeTriggeredByOpponent',
     CannotBeDefeatedByDamage = 'cannotBeDefeatedByDamage',
-    CanPlayFromDiscard = 'canPlayFromDiscard',
+    CanPlayFromOutOfPlay = 'canPlayFromOutOfPlay',
     ChangeType = 'changeType',
     CostAdjuster = 'costAdjuster',
     DelayedEffect = 'delayedEffect',
@@ -157,6 +158,9 @@ export enum CardType {
     Event = 'event',
     Leader = 'leader',
     LeaderUnit = 'leaderUnit',
+
+    /** non-leader unit that is attached to a Vehicle as an upgrade using its Piloting keyword */
+    NonLeaderUnitUpgrade = 'nonLeaderUnitUpgrade',
     TokenUnit = 'tokenUnit',
     TokenUpgrade = 'tokenUpgrade',
 }
@@ -171,7 +175,7 @@ export enum WildcardCardType {
     /** Any unit type, including leader and token units */
     Unit = 'unit',
 
-    /** Any upgrade type, including token upgrades */
+    /** Any upgrade type, including token upgrades and units attached as pilots */
     Upgrade = 'upgrade',
 }
 
@@ -303,7 +307,6 @@ export enum KeywordName {
     Overwhelm = 'overwhelm',
     Raid = 'raid',
     Restore = 'restore',
-    /** @deprecated not implemented yet */
     Piloting = 'piloting',
     Saboteur = 'saboteur',
     Sentinel = 'sentinel',
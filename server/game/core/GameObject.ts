@@ -1,5 +1,3 @@
-import { v4 as uuidv4 } from 'uuid';
-
 import type { AbilityContext } from './ability/AbilityContext';
 import { AbilityRestriction, EffectName, Stage } from './Constants';
 import type { IOngoingCardEffect } from './ongoingEffect/IOngoingCardEffect';
@@ -8,7 +6,7 @@ import type Player from './Player';
 import type { Card } from './card/Card';
 
 export abstract class GameObject {
-    public uuid = uuidv4();
+    public uuid: string;
     protected id: string;
     private ongoingEffects = [] as IOngoingCardEffect[];
     private nameField: string;
@@ -21,6 +19,7 @@ export abstract class GameObject {
         public game: Game,
         name: string
     ) {
+        this.uuid = game.generateUuid();
         this.id = name;
         this.nameField = name;
     }
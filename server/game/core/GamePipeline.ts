@@ -91,7 +91,7 @@ export class GamePipeline {
         return false;
     }
 
-    public handleMenuCommand(player: Player, arg: string, uuid: string, method: string) {
+    public handleMenuCommand(player: Player, arg: string | number, uuid: string, method: string) {
         if (this.pipeline.length === 0) {
             return false;
         }
@@ -1,14 +1,37 @@
 import type { Zone } from '../Interfaces';
 import type { PlayType } from './Constants';
 import type { Card } from './card/Card';
+import type { CostAdjuster } from './cost/CostAdjuster';
+
+export interface IPlayableZoneProperties {
+
+    /** If set, only cards in the zone that match the condition can be played from it */
+    cardCondition?: (card: Card) => boolean;
+
+    /** Cost adjusters applied to the play actions granted by this zone, e.g. to make the card free or ignore its aspect penalties */
+    costAdjusters?: CostAdjuster[];
+}
 
 export class PlayableZone {
+    public readonly costAdjusters: CostAdjuster[];
+
+    private readonly cardCondition: (card: Card) => boolean;
+
     public constructor(
         public playingType: PlayType,
-        private zone: Zone
-    ) {}
+        private zone: Zone,
+        properties: IPlayableZoneProperties = {}
+    ) {
+        this.cardCondition = properties.cardCondition ?? (() => true);
+        this.costAdjusters = properties.costAdjusters ?? [];
+    }
+
+    /** The cards that can currently be played from this zone */
+    public get cards(): Card[] {
+        return (this.zone.cards as Card[]).filter((card) => this.cardCondition(card));
+    }
 
     public includes(card: Card) {
-        return this.zone.hasCard(card);
+        return this.zone.hasCard(card) && this.cardCondition(card);
     }
 }
@@ -51,8 +51,17 @@ class Player extends GameObject {
         this.printedType = 'player';
         this.socket = null;
         this.disconnected = false;
+
+        /** @type {number | null} time (in ms, from the game's clock source) by which a disconnected player has to reconnect */
+        this.reconnectDeadline = null;
         this.left = false;
 
+        /** in multiplayer games, set once the player's base is defeated. An eliminated player no longer takes turns and is no one's opponent */
+        this.eliminated = false;
+
+        /** @type {import('./card/propertyMixins/LeaderProperties').ILeaderCard | null} only set in formats with two leaders */
+        this.secondLeader = null;
+
         this.handZone = new HandZone(this);
         this.resourceZone = new ResourceZone(this);
         this.discardZone = new DiscardZone(this);
@@ -77,6 +86,9 @@ class Player extends GameObject {
         /** @type {Deck} */
         this.decklistNames = null;
         this.costAdjusters = [];
+
+        /** @type {PlayableZone[]} playable zones granted by abilities, see {@link Player.addPlayableZone} */
+        this.grantedPlayableZones = [];
         this.abilityMaxByIdentifier = {}; // This records max limits for abilities
         this.promptedActionWindows = user.promptedActionWindows || {
             // these flags represent phase settings
@@ -103,10 +115,35 @@ class Player extends GameObject {
         return this.optionSettings.autoSingleTarget;
     }
 
+    /**
+     * The player's opponent. In multiplayer games, this is the next remaining player in turn order,
+     * use {@link opponents} for effects that apply to every opponent
+     * @returns {Player}
+     */
+    get opponent() {
+        return this.game.getOtherPlayer(this);
+    }
+
+    /**
+     * All remaining players other than this one
+     * @returns {Player[]}
+     */
+    get opponents() {
+        return this.game.getOpponents(this);
+    }
+
+    /**
+     * The player's leaders, two in formats with two leaders
+     * @returns {import('./card/propertyMixins/LeaderProperties').ILeaderCard[]}
+     */
+    get leaders() {
+        return this.secondLeader ? [this.leader, this.secondLeader] : [this.leader];
+    }
+
     startClock() {
         this.clock.start();
-        if (this.opponent) {
-            this.opponent.clock.opponentStart();
+        for (const opponent of this.opponents) {
+            opponent.clock.opponentStart();
         }
     }
 
@@ -228,7 +265,7 @@ class Player extends GameObject {
      * @returns { boolean } true if this player controls a unit or leader with the given title
      */
     controlsLeaderOrUnitWithTitle(title) {
-        return this.leader.title === title || this.hasSomeArenaUnit({ condition: (card) => card.title === title });
+        return this.leaders.some((leader) => leader.title === title) || this.hasSomeArenaUnit({ condition: (card) => card.title === title });
     }
 
     getZone(zoneName) {
@@ -463,13 +500,30 @@ class Player extends GameObject {
      * @param {String} playingType
      */
     isCardInPlayableZone(card, playingType = null) {
-        return this.playableZones.some(
+        return this.playableZones.concat(this.grantedPlayableZones).some(
             (zone) => (!playingType || zone.playingType === playingType) && zone.includes(card)
         );
     }
 
+    /**
+     * Returns the playable zones granted to this player by abilities which allow the passed card to be played
+     * @param card BaseCard
+     * @returns {PlayableZone[]}
+     */
+    getGrantedPlayableZones(card) {
+        return this.grantedPlayableZones.filter((zone) => zone.includes(card));
+    }
+
+    /**
+     * Returns all cards that this player has been granted permission to play by abilities (see {@link Player.addPlayableZone})
+     * @returns {import('./card/Card').Card[]}
+     */
+    getCardsInGrantedPlayableZones() {
+        return [...new Set(this.grantedPlayableZones.flatMap((zone) => zone.cards))];
+    }
+
     findPlayType(card) {
-        let zone = this.playableZones.find((zone) => zone.includes(card));
+        let zone = this.playableZones.concat(this.grantedPlayableZones).find((zone) => zone.includes(card));
         if (zone) {
             return zone.playingType;
         }
@@ -522,13 +576,7 @@ class Player extends GameObject {
      * @param {number} numCards
      */
     drawCardsToHand(numCards) {
-        if (numCards > this.drawDeck.length) {
-            // TODO: move log message into the DrawSystem
-            // Game log message about empty deck damage(the damage itself is handled in DrawSystem.updateEvent()).
-            this.game.addMessage('{0} attempts to draw {1} cards from their empty deck and takes {2} damage instead ',
-                this.name, numCards - this.drawDeck.length, 3 * (numCards - this.drawDeck.length)
-            );
-        }
+        // drawing from an empty deck is handled by a replacement effect on the player's base (see BaseCard)
         for (let card of this.drawDeck.slice(0, numCards)) {
             card.moveTo(ZoneName.Hand);
         }
@@ -619,6 +667,7 @@ class Player extends GameObject {
 
         this.base = preparedDecklist.base;
         this.leader = preparedDecklist.leader;
+        this.secondLeader = preparedDecklist.secondLeader;
 
         this.deckZone = new DeckZone(this, preparedDecklist.deckCards);
 
@@ -626,11 +675,12 @@ class Player extends GameObject {
         this.playableZones = [
             new PlayableZone(PlayType.PlayFromHand, this.handZone),
             new PlayableZone(PlayType.Smuggle, this.resourceZone),
+            new PlayableZone(PlayType.Piloting, this.handZone),
             new PlayableZone(PlayType.PlayFromOutOfPlay, this.deckZone),
             new PlayableZone(PlayType.PlayFromOutOfPlay, this.discardZone),
         ];
 
-        this.baseZone = new BaseZone(this, this.base, this.leader);
+        this.baseZone = new BaseZone(this, this.base, this.leaders);
 
         this.decklist = preparedDecklist;
     }
@@ -639,7 +689,6 @@ class Player extends GameObject {
      * Called when the Game object starts the game. Creates all cards on this players decklist, shuffles the decks and initialises player parameters for the start of the game
      */
     initialiseAsync() {
-        this.opponent = this.game.getOtherPlayer(this);
         return this.prepareDecksAsync();
     }
 
@@ -666,21 +715,33 @@ class Player extends GameObject {
         }
     }
 
-    addPlayableZone(type, zone) {
-        let playableZone = new PlayableZone(type, zone);
-        this.playableZones.push(playableZone);
+    /**
+     * Grants this player permission to play cards from the passed zone, e.g. from their discard pile or the top of their deck.
+     * Cards in granted playable zones have play actions available to them (see {@link PlayableOrDeployableCard.getPlayCardActions})
+     * @param {PlayType} type
+     * @param {import('../Interfaces').Zone} zone
+     * @param {import('./PlayableZone').IPlayableZoneProperties} properties used to restrict which cards can be played and to adjust their cost
+     * @returns {PlayableZone}
+     */
+    addPlayableZone(type, zone, properties = {}) {
+        let playableZone = new PlayableZone(type, zone, properties);
+        this.grantedPlayableZones.push(playableZone);
         return playableZone;
     }
 
+    /**
+     * Removes a playable zone previously granted with {@link Player.addPlayableZone}
+     * @param {PlayableZone} zone
+     */
     removePlayableZone(zone) {
-        this.playableZones = this.playableZones.filter((l) => l !== zone);
+        this.grantedPlayableZones = this.grantedPlayableZones.filter((l) => l !== zone);
     }
 
     /**
-     * Returns the aspects for this player (derived from base and leader)
+     * Returns the aspects for this player (derived from base and leaders)
      */
     getAspects() {
-        return this.leader.aspects.concat(this.base.aspects);
+        return this.leaders.flatMap((leader) => leader.aspects).concat(this.base.aspects);
     }
 
     getPenaltyAspects(costAspects) {
@@ -1133,11 +1194,14 @@ class Player extends GameObject {
                 discard: this.getSummaryForZone(ZoneName.Discard, activePlayer)
             },
             disconnected: this.disconnected,
+            reconnectTimeLeft: this.reconnectDeadline == null ? null : Math.max(0, Math.ceil((this.reconnectDeadline - this.game.clockSource.now()) / 1000)),
             // faction: this.faction,
             hasInitiative: this.hasInitiative(),
             availableResources: this.readyResourceCount,
             leader: this.leader.getSummary(activePlayer),
+            secondLeader: this.secondLeader?.getSummary(activePlayer),
             base: this.base.getSummary(activePlayer),
+            eliminated: this.eliminated,
             id: this.id,
             left: this.left,
             name: this.name,
@@ -21,6 +21,11 @@ export function parseKeywords(expectedKeywordsRaw: string[], cardText: string, c
             if (smuggleValuesOrNull != null) {
                 keywords.push(smuggleValuesOrNull);
             }
+        } else if (keywordName === KeywordName.Piloting) {
+            const pilotingValuesOrNull = parsePilotingIfEnabled(cardText, cardName);
+            if (pilotingValuesOrNull != null) {
+                keywords.push(pilotingValuesOrNull);
+            }
         } else if (keywordName === KeywordName.Bounty) {
             if (isKeywordEnabled(keywordName, cardText, cardName)) {
                 keywords.push(new BountyKeywordInstance(keywordName));
@@ -158,10 +163,39 @@ function parseSmuggleIfEnabled(cardText: string, cardName: string): KeywordWithC
     return new KeywordWithCostValues(KeywordName.Smuggle, smuggleCost, smuggleAspects, additionalSmuggleCosts);
 }
 
+/**
+ * Checks if the Piloting keyword is enabled and returns its cost values. If the Piloting cost does not list any aspects,
+ * the returned aspect list is empty and the card's own aspects should be used for the cost.
+ *
+ * @returns null if the keyword is not enabled, or the cost values if enabled
+ */
+function parsePilotingIfEnabled(cardText: string, cardName: string): KeywordWithCostValues {
+    const regex = getRegexForKeyword(KeywordName.Piloting);
+    const matchIter = cardText.matchAll(regex);
+
+    const match = matchIter.next();
+    if (match.done) {
+        return null;
+    }
+
+    if (matchIter.next().done !== true) {
+        throw new Error(`Expected to match at most one instance of enabled keyword ${KeywordName.Piloting} in card ${cardName}, but found multiple`);
+    }
+
+    const pilotingCost = Number(match.value[1]);
+    const aspectString = match.value[2];
+    const pilotingAspects = aspectString == null
+        ? []
+        : EnumHelpers.checkConvertToEnum(aspectString.trim().toLowerCase()
+            .split(/\s+/), Aspect);
+
+    return new KeywordWithCostValues(KeywordName.Piloting, pilotingCost, pilotingAspects, false);
+}
+
 function getRegexForKeyword(keyword: KeywordName) {
     // these regexes check that the keyword is starting on its own line, indicating that it's not part of an ability text.
     // For numeric keywords, the regex also grabs the numeric value after the keyword as a capture group.
-    // For Smuggle, this also captures the aspects that are part of the Smuggle cost.
+    // For Smuggle and Piloting, this also captures the aspects that are part of the keyword cost.
     // Does not capture any ability text for Bounty or Coordinate since that must provided explicitly in the card implementation.
 
     switch (keyword) {
@@ -178,7 +212,7 @@ function getRegexForKeyword(keyword: KeywordName) {
         case KeywordName.Overwhelm:
             return /(?:^|(?:\n))Overwhelm/g;
         case KeywordName.Piloting:
-            return /(?:^|(?:\n))Piloting/g;
+            return /(?:^|(?:\n))Piloting\s\[\s*(\d+)\s+resources?(?:,\s*([\w\s]+))?\]/g;
         case KeywordName.Raid:
             return /(?:^|(?:\n))Raid ([\d]+)/g;
         case KeywordName.Restore:
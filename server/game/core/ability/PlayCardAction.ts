@@ -38,7 +38,13 @@ export interface ISmuggleCardActionProperties extends IPlayCardActionPropertiesB
     appendSmuggleToTitle?: boolean;
 }
 
-export type IPlayCardActionProperties = IStandardPlayActionProperties | ISmuggleCardActionProperties;
+export interface IPilotingCardActionProperties extends IPlayCardActionPropertiesBase {
+    playType: PlayType.Piloting;
+    pilotingResourceCost: number;
+    pilotingAspects: Aspect[];
+}
+
+export type IPlayCardActionProperties = IStandardPlayActionProperties | ISmuggleCardActionProperties | IPilotingCardActionProperties;
 
 export type PlayCardContext = AbilityContext & { onPlayCardSource: any };
 
@@ -71,6 +77,9 @@ export abstract class PlayCardAction extends PlayerAction {
             cost = properties.smuggleResourceCost;
             aspects = properties.smuggleAspects;
             appendSmuggleToTitle = properties.appendSmuggleToTitle;
+        } else if (properties.playType === PlayType.Piloting) {
+            cost = properties.pilotingResourceCost;
+            aspects = properties.pilotingAspects;
         } else {
             cost = card.cost;
             aspects = card.aspects;
@@ -104,6 +113,9 @@ export abstract class PlayCardAction extends PlayerAction {
             case PlayType.Smuggle:
                 updatedTitle += appendToTitle ? ' with Smuggle' : '';
                 break;
+            case PlayType.Piloting:
+                updatedTitle += ' with Piloting';
+                break;
             case PlayType.PlayFromHand:
             case PlayType.PlayFromOutOfPlay:
                 break;
@@ -142,6 +154,9 @@ export abstract class PlayCardAction extends PlayerAction {
         if (PlayType.Smuggle === this.playType && !context.source.hasSomeKeyword(KeywordName.Smuggle)) {
             return 'smuggleKeyword';
         }
+        if (PlayType.Piloting === this.playType && !context.source.hasSomeKeyword(KeywordName.Piloting)) {
+            return 'pilotingKeyword';
+        }
         return super.meetsRequirements(context, ignoredRequirements);
     }
 
@@ -6,11 +6,16 @@ import TriggeredAbility from './TriggeredAbility';
 import { ReplacementEffectSystem } from '../../gameSystems/ReplacementEffectSystem';
 
 export default class ReplacementEffectAbility extends TriggeredAbility {
+    /** Whether this ability changes the parameters of the event it replaces instead of cancelling it */
+    public readonly isPartialReplacement: boolean;
+
     public constructor(game: Game, card: Card, properties: IReplacementEffectAbilityProps) {
         const { replaceWith: cancelProps, ...otherProps } = properties;
         const triggeredAbilityProps: ITriggeredAbilityProps =
             Object.assign(otherProps, { immediateEffect: new ReplacementEffectSystem(cancelProps) });
 
         super(game, card, triggeredAbilityProps, AbilityType.ReplacementEffect);
+
+        this.isPartialReplacement = cancelProps?.modifyEvent != null;
     }
 }
@@ -2,6 +2,7 @@ import { GameObject } from '../GameObject';
 import type Game from '../Game';
 import type { Card } from '../card/Card';
 import * as Contract from '../utils/Contract';
+import * as Helpers from '../utils/Helpers';
 import { EffectName, KeywordName } from '../Constants';
 import type { IAttackableCard } from '../card/CardInterfaces';
 import type { IUnitCard } from '../card/propertyMixins/UnitProperties';
@@ -10,8 +11,9 @@ import type { IUnitCard } from '../card/propertyMixins/UnitProperties';
 type StatisticTotal = number;
 
 export class Attack extends GameObject {
-    public readonly attacker: IUnitCard;
-    public readonly attackerInPlayId: number;
+    /** All units attacking together, starting with the unit that declared the attack */
+    public readonly attackers: IUnitCard[];
+    public readonly attackerInPlayIds: number[];
     public readonly isAmbush: boolean;
     public readonly target: IAttackableCard;
     public readonly targetInPlayId?: number;
@@ -20,25 +22,49 @@ export class Attack extends GameObject {
 
     public constructor(
         game: Game,
-        attacker: IUnitCard,
+        attacker: IUnitCard | IUnitCard[],
         target: IAttackableCard,
         isAmbush: boolean = false
     ) {
         super(game, 'Attack');
 
-        this.attacker = attacker;
+        this.attackers = Helpers.asArray(attacker);
+        Contract.assertNonEmpty(this.attackers, 'Attack must have at least one attacker');
+
         this.target = target;
 
         // we grab the in-play IDs of the attacker and defender cards in case other abilities need to refer back to them later.
         // e.g., to check if the defender was defeated
-        this.attackerInPlayId = attacker.inPlayId;
+        this.attackerInPlayIds = this.attackers.map((attackingUnit) => attackingUnit.inPlayId);
         this.targetInPlayId = target.canBeInPlay() ? target.inPlayId : null;
 
         this.isAmbush = isAmbush;
     }
 
+    /** The unit that declared the attack. For attacks with a single attacker, this is the attacker. */
+    public get attacker(): IUnitCard {
+        return this.attackers[0];
+    }
+
+    public get attackerInPlayId(): number {
+        return this.attackerInPlayIds[0];
+    }
+
+    public hasMultipleAttackers(): boolean {
+        return this.attackers.length > 1;
+    }
+
+    public isAttacker(card: Card): boolean {
+        return this.attackers.some((attackingUnit) => (attackingUnit as Card) === card);
+    }
+
+    public getAttackersInPlay(): IUnitCard[] {
+        return this.attackers.filter((attackingUnit) => attackingUnit.isInPlay());
+    }
+
+    /** Combined power of all attackers that are still in play */
     public getAttackerTotalPower(): number | null {
-        return this.getUnitPower(this.attacker);
+        return this.getAttackersInPlay().reduce((total, attackingUnit) => total + this.getUnitPower(attackingUnit), 0);
     }
 
     public getTargetTotalPower(): number | null {
@@ -48,15 +74,19 @@ export class Attack extends GameObject {
     }
 
     public hasOverwhelm(): boolean {
-        return this.attacker.hasSomeKeyword(KeywordName.Overwhelm);
+        return this.getAttackersInPlay().some((attackingUnit) => attackingUnit.hasSomeKeyword(KeywordName.Overwhelm));
     }
 
+    /**
+     * The attackers deal their combined damage as a single event, so it can only be dealt before the defender's damage
+     * if every attacker deals combat damage before the defender. Otherwise all combat damage is dealt at the same time.
+     */
     public attackerDealsDamageBeforeDefender(): boolean {
-        return this.attacker.hasOngoingEffect(EffectName.DealsDamageBeforeDefender);
+        return this.getAttackersInPlay().every((attackingUnit) => attackingUnit.hasOngoingEffect(EffectName.DealsDamageBeforeDefender));
     }
 
     public isAttackerInPlay(): boolean {
-        return this.attacker.isInPlay();
+        return this.getAttackersInPlay().length > 0;
     }
 
     public isAttackTargetLegal(): boolean {
@@ -64,14 +94,12 @@ export class Attack extends GameObject {
     }
 
     public isInvolved(card: Card): boolean {
-        return (
-            ([this.attacker as Card, this.target as Card].includes(card))
-        );
+        return this.isAttacker(card) || (this.target as Card) === card;
     }
 
     // TODO: if we end up using this we need to refactor it to reflect attacks in SWU (i.e., show HP)
     public getTotalsForDisplay(): string {
-        return `${this.attacker.name}: ${this.getAttackerTotalPower()} vs ${this.getTargetTotalPower()}: ${this.target.name}`;
+        return `${this.attackers.map((attackingUnit) => attackingUnit.name).join(' and ')}: ${this.getAttackerTotalPower()} vs ${this.getTargetTotalPower()}: ${this.target.name}`;
     }
 
     private getUnitPower(involvedUnit: IUnitCard): StatisticTotal {
@@ -9,6 +9,8 @@ import type { Card } from '../card/Card';
 import { TriggerHandlingMode } from '../event/EventWindow';
 import { DamageSystem } from '../../gameSystems/DamageSystem';
 import type { IAttackableCard } from '../card/CardInterfaces';
+import type { IUnitCard } from '../card/propertyMixins/UnitProperties';
+import { StatefulPromptType } from '../gameSteps/PromptInterfaces';
 
 export class AttackFlow extends BaseStepWithPipeline {
     public constructor(
@@ -33,7 +35,9 @@ export class AttackFlow extends BaseStepWithPipeline {
     }
 
     private declareAttack() {
-        this.attack.attacker.setActiveAttack(this.attack);
+        for (const attacker of this.attack.attackers) {
+            attacker.setActiveAttack(this.attack);
+        }
         this.attack.target.setActiveAttack(this.attack);
 
         this.game.createEventAndOpenWindow(EventName.OnAttackDeclared, this.context, { attack: this.attack }, TriggerHandlingMode.ResolvesTriggers);
@@ -77,17 +81,53 @@ export class AttackFlow extends BaseStepWithPipeline {
             this.context.game.openEventWindow(this.createAttackerDamageEvent());
             this.context.game.queueSimpleStep(() => {
                 if (!this.attack.target.isBase() && this.attack.target.isInPlay()) {
-                    this.context.game.openEventWindow(this.createDefenderDamageEvent());
+                    this.queueDefenderDamageSteps((defenderDamageEvents) => this.context.game.openEventWindow(defenderDamageEvents));
                 }
             }, 'check and queue event for defender damage');
+        } else if (this.attack.target.isBase()) {
+            this.context.game.openEventWindow(this.createAttackerDamageEvent());
         } else {
             // normal attack
-            const damageEvents = [this.createAttackerDamageEvent()];
-            if (!this.attack.target.isBase()) {
-                damageEvents.push(this.createDefenderDamageEvent());
-            }
-            this.context.game.openEventWindow(damageEvents);
+            this.queueDefenderDamageSteps((defenderDamageEvents) =>
+                this.context.game.openEventWindow([this.createAttackerDamageEvent(), ...defenderDamageEvents])
+            );
+        }
+    }
+
+    /**
+     * Builds the events for the defender's combat damage and passes them to the handler. If there are multiple attackers,
+     * the defending player first chooses how to divide the defender's damage among them.
+     */
+    private queueDefenderDamageSteps(handler: (defenderDamageEvents: GameEvent[]) => void) {
+        const attackersInPlay = this.attack.getAttackersInPlay();
+        const defenderPower = this.attack.getTargetTotalPower();
+
+        if (attackersInPlay.length === 1) {
+            handler([this.createDefenderDamageEvent(attackersInPlay[0], defenderPower)]);
+            return;
+        }
+        if (defenderPower <= 0) {
+            handler([]);
+            return;
         }
+
+        let damageAssignment = new Map<Card, number>();
+        this.game.promptDistributeAmongTargets(this.attack.target.controller, {
+            type: StatefulPromptType.DistributeDamage,
+            amount: defenderPower,
+            source: this.attack.target,
+            promptTitle: `Divide ${defenderPower} combat damage from ${this.attack.target.title} among the attackers`,
+            canChooseNoTargets: false,
+            canDistributeLess: false,
+            legalTargets: attackersInPlay,
+            resultsHandler: (results) => damageAssignment = results.valueDistribution
+        });
+
+        this.game.queueSimpleStep(() => handler(
+            attackersInPlay
+                .filter((attacker) => damageAssignment.get(attacker) > 0)
+                .map((attacker) => this.createDefenderDamageEvent(attacker, damageAssignment.get(attacker)))
+        ), 'create events for assigned defender damage');
     }
 
     private createAttackerDamageEvent(): GameEvent {
@@ -121,12 +161,12 @@ export class AttackFlow extends BaseStepWithPipeline {
         return attackerDamageEvent;
     }
 
-    private createDefenderDamageEvent(): GameEvent {
+    private createDefenderDamageEvent(attacker: IUnitCard, amount: number): GameEvent {
         return new DamageSystem({
             type: DamageType.Combat,
-            amount: this.attack.getTargetTotalPower(),
+            amount,
             sourceAttack: this.attack,
-            target: this.attack.attacker
+            target: attacker
         }).generateEvent(this.context);
     }
 
@@ -138,7 +178,9 @@ export class AttackFlow extends BaseStepWithPipeline {
 
     private cleanUpAttack() {
         this.game.currentAttack = this.attack.previousAttack;
-        this.checkUnsetActiveAttack(this.attack.attacker);
+        for (const attacker of this.attack.attackers) {
+            this.checkUnsetActiveAttack(attacker);
+        }
         this.checkUnsetActiveAttack(this.attack.target);
     }
 
@@ -1,6 +1,6 @@
 import type Player from '../Player';
 import { Card } from './Card';
-import { CardType } from '../Constants';
+import { CardType, DamageType } from '../Constants';
 import * as Contract from '../utils/Contract';
 import type { ICardWithDamageProperty } from './propertyMixins/Damage';
 import { WithDamage } from './propertyMixins/Damage';
@@ -12,6 +12,8 @@ import { WithTriggeredAbilities, type ICardWithTriggeredAbilities } from './prop
 import { WithConstantAbilities } from './propertyMixins/ConstantAbilityRegistration';
 import type { IConstantAbility } from '../ongoingEffect/IConstantAbility';
 import type TriggeredAbility from '../ability/TriggeredAbility';
+import type { ICardStateSnapshot } from '../snapshot/SnapshotInterfaces';
+import { DamageSystem } from '../../gameSystems/DamageSystem';
 
 const BaseCardParent = WithConstantAbilities(WithTriggeredAbilities(WithDamage(WithStandardAbilitySetup(Card))));
 
@@ -31,6 +33,8 @@ export class BaseCard extends BaseCardParent implements IBaseCard {
     public constructor(owner: Player, cardData: any) {
         super(owner, cardData);
         Contract.assertEqual(this.printedType, CardType.Base);
+
+        this.addDeckOutReplacementAbility();
     }
 
     public override isBase(): this is IBaseCard {
@@ -68,6 +72,39 @@ export class BaseCard extends BaseCardParent implements IBaseCard {
         return ability;
     }
 
+    /**
+     * Game rule: if a player would draw a card while their deck is empty, they deal 3 damage to their own base instead.
+     * This is a partial replacement of the draw, since any cards left in the deck are still drawn.
+     */
+    private addDeckOutReplacementAbility() {
+        // the damage is checked again when it resolves, after the draw was reduced, so the reduction is kept on the event
+        const getCardsNotDrawn = (event) => event.amountNotDrawn ?? Math.max(event.amount - event.player.drawDeck.length, 0);
+
+        const deckOutAbility = this.addReplacementEffectAbility({
+            title: 'Deal 3 damage to your base for each card you can\'t draw from your empty deck',
+            when: {
+                onCardsDrawn: (event, context) => event.player === context.source.controller && getCardsNotDrawn(event) > 0
+            },
+            replaceWith: {
+                // the damage is dealt by the drawing player, which matters for cards like Forced Surrender (FFG ruling)
+                replacementImmediateEffect: new DamageSystem((context) => ({
+                    type: DamageType.Ability,
+                    target: context.source,
+                    amount: 3 * getCardsNotDrawn(context.event)
+                })),
+                modifyEvent: (event) => {
+                    event.amountNotDrawn = getCardsNotDrawn(event);
+                    event.amount = event.player.drawDeck.length;
+                }
+            },
+            effect: 'deal {1} damage to their base instead of drawing from their empty deck',
+            effectArgs: (context) => [3 * getCardsNotDrawn(context.event)]
+        });
+
+        // bases never change zone, so the ability can listen for events for the whole game
+        deckOutAbility.registerEvents();
+    }
+
     protected setEpicActionAbility(properties: IEpicActionProps<this>): void {
         Contract.assertIsNullLike(this._epicActionAbility, 'Epic action ability already set');
 
@@ -88,4 +125,18 @@ export class BaseCard extends BaseCardParent implements IBaseCard {
             epicActionSpent: this.epicActionSpentInternal()
         };
     }
+
+    public override getStateSnapshot() {
+        return this._epicActionAbility == null
+            ? super.getStateSnapshot()
+            : { ...super.getStateSnapshot(), epicActionSpent: this.epicActionSpentInternal() };
+    }
+
+    public override restoreStateSnapshot(snapshot: ICardStateSnapshot): void {
+        super.restoreStateSnapshot(snapshot);
+
+        if (snapshot.epicActionSpent && !this.epicActionSpentInternal()) {
+            this._epicActionAbility.limit.increment(this.owner);
+        }
+    }
 }
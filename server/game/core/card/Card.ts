@@ -14,7 +14,6 @@ import type Shield from '../../cards/01_SOR/tokens/Shield';
 import type { KeywordInstance, KeywordWithCostValues } from '../ability/KeywordInstance';
 import * as KeywordHelpers from '../ability/KeywordHelpers';
 import type { StateWatcherRegistrar } from '../stateWatcher/StateWatcherRegistrar';
-import { v4 as uuidv4 } from 'uuid';
 import type { IConstantAbility } from '../ongoingEffect/IConstantAbility';
 import TriggeredAbility from '../ability/TriggeredAbility';
 import type { ICardWithDamageProperty } from './propertyMixins/Damage';
@@ -33,6 +32,7 @@ import type { INonLeaderUnitCard } from './NonLeaderUnitCard';
 import type { ICardCanChangeControllers } from './CardInterfaces';
 import type { ILeaderCard } from './propertyMixins/LeaderProperties';
 import type { ICardWithTriggeredAbilities } from './propertyMixins/TriggeredAbilityRegistration';
+import type { ICardStateSnapshot } from '../snapshot/SnapshotInterfaces';
 
 // required for mixins to be based on this class
 export type CardConstructor = new (...args: any[]) => Card;
@@ -346,7 +346,7 @@ export class Card extends OngoingEffectSource {
             sourceZoneFilter,
             ...properties,
             ...this.buildGeneralAbilityProps('constant'),
-            uuid: uuidv4()
+            uuid: this.game.generateUuid()
         };
     }
 
@@ -583,7 +583,7 @@ export class Card extends OngoingEffectSource {
     protected removeFromCurrentZone() {
         if (this._zone.name === ZoneName.Base) {
             Contract.assertTrue(this.isLeader(), `Attempting to move card ${this.internalName} from ${this._zone}`);
-            this._zone.removeLeader();
+            this._zone.removeLeader(this);
         } else {
             this._zone.removeCard(this);
         }
@@ -974,6 +974,25 @@ export class Card extends OngoingEffectSource {
         return state;
     }
 
+    /** Serializable view of the card's state, used for game snapshots */
+    public getStateSnapshot(): ICardStateSnapshot {
+        return {
+            uuid: this.uuid,
+            id: this.id,
+            internalName: this.internalName,
+            owner: this.owner.id,
+            controller: this.controller.id,
+            zone: this.zoneName
+        };
+    }
+
+    /**
+     * Sets the card's own state (damage, exhausted, etc.) from a snapshot taken with {@link getStateSnapshot}, for restoring a game from a recorded state.
+     * The card must already be in its recorded zone, since moving a card resets its state. Zones and attached cards are restored by {@link restoreGameState}.
+     */
+    // eslint-disable-next-line @typescript-eslint/no-empty-function
+    public restoreStateSnapshot(snapshot: ICardStateSnapshot): void {}
+
     public override getShortSummaryForControls(activePlayer: Player): any {
         if (!this.isHiddenForPlayer(activePlayer)) {
             return { hidden: true };
@@ -985,11 +1004,9 @@ export class Card extends OngoingEffectSource {
         switch (player) {
             case this.controller:
                 return this.hiddenForController;
-            case this.controller.opponent:
-                return this.hiddenForOpponent;
             default:
-                Contract.fail(`Unknown player: ${player}`);
-                return false;
+                // in multiplayer games, every player other than the controller is an opponent
+                return this.hiddenForOpponent;
         }
     }
 
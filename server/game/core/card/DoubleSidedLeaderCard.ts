@@ -2,6 +2,7 @@ import type Player from '../Player';
 import type { Aspect } from '../Constants';
 import { ZoneName } from '../Constants';
 import type { IActionAbilityProps, IConstantAbilityProps, ITriggeredAbilityProps } from '../../Interfaces';
+import type { ICardStateSnapshot } from '../snapshot/SnapshotInterfaces';
 import { WithLeaderProperties, type ILeaderCard } from './propertyMixins/LeaderProperties';
 import { PlayableOrDeployableCard } from './baseClasses/PlayableOrDeployableCard';
 import { WithAllAbilityTypes } from './propertyMixins/AllAbilityTypeRegistrations';
@@ -63,6 +64,15 @@ export class DoubleSidedLeaderCard extends DoubleSidedLeaderCardParent implement
         return { ...super.getSummary(activePlayer), onStartingSide: this._onStartingSide };
     }
 
+    public override getStateSnapshot() {
+        return { ...super.getStateSnapshot(), onStartingSide: this._onStartingSide };
+    }
+
+    public override restoreStateSnapshot(snapshot: ICardStateSnapshot): void {
+        super.restoreStateSnapshot(snapshot);
+        this._onStartingSide = snapshot.onStartingSide ?? this._onStartingSide;
+    }
+
     protected override addActionAbility(properties: IActionAbilityProps<this>) {
         properties.zoneFilter = ZoneName.Base;
         if (this.setupLeaderBackSide) {
@@ -11,6 +11,7 @@ import { EpicActionLimit } from '../ability/AbilityLimit';
 import { DeployLeaderSystem } from '../../gameSystems/DeployLeaderSystem';
 import type { ActionAbility } from '../ability/ActionAbility';
 import type { ILeaderCard } from './propertyMixins/LeaderProperties';
+import type { ICardStateSnapshot } from '../snapshot/SnapshotInterfaces';
 import { WithLeaderProperties } from './propertyMixins/LeaderProperties';
 import { InPlayCard } from './baseClasses/InPlayCard';
 
@@ -171,4 +172,16 @@ export class LeaderUnitCard extends LeaderUnitCardParent implements ILeaderUnitC
             epicActionSpent: this.epicActionAbility.limit.isAtMax(this.owner)
         };
     }
+
+    public override getStateSnapshot() {
+        return { ...super.getStateSnapshot(), deployed: this._deployed, epicActionSpent: this.epicActionAbility.limit.isAtMax(this.owner) };
+    }
+
+    public override restoreStateSnapshot(snapshot: ICardStateSnapshot): void {
+        super.restoreStateSnapshot(snapshot);
+
+        if (snapshot.epicActionSpent && !this.epicActionAbility.limit.isAtMax(this.owner)) {
+            this.epicActionAbility.limit.increment(this.owner);
+        }
+    }
 }
@@ -1,29 +1,79 @@
 import type Player from '../Player';
 import { PlayUnitAction } from '../../actions/PlayUnitAction';
+import { PlayPilotAction } from '../../actions/PlayPilotAction';
 import * as Contract from '../utils/Contract';
-import { CardType, ZoneName } from '../Constants';
+import type { MoveZoneDestination } from '../Constants';
+import { AbilityType, CardType, KeywordName, PlayType, Trait, WildcardRelativePlayer, ZoneName } from '../Constants';
 import type { IUnitCard } from './propertyMixins/UnitProperties';
 import { WithUnitProperties } from './propertyMixins/UnitProperties';
 import { InPlayCard } from './baseClasses/InPlayCard';
 import { WithStandardAbilitySetup } from './propertyMixins/StandardAbilitySetup';
-import type { IPlayCardActionProperties } from '../ability/PlayCardAction';
-import type { IPlayableCard } from './baseClasses/PlayableOrDeployableCard';
+import type { IPlayCardActionProperties, PlayCardAction } from '../ability/PlayCardAction';
+import type { IPlayableCard, IPlayCardActionOverrides } from './baseClasses/PlayableOrDeployableCard';
 import type { ICardCanChangeControllers } from './CardInterfaces';
+import type { IUpgradeCard } from './UpgradeCard';
+import type { Card } from './Card';
+import type { IActionAbilityProps, IConstantAbilityProps, IKeywordProperties, ITriggeredAbilityBaseProps, ITriggeredAbilityProps } from '../../Interfaces';
+import type { ActionAbility } from '../ability/ActionAbility';
+import type { IConstantAbility } from '../ongoingEffect/IConstantAbility';
+import type TriggeredAbility from '../ability/TriggeredAbility';
+import OngoingEffectLibrary from '../../ongoingEffects/OngoingEffectLibrary';
 
 const NonLeaderUnitCardParent = WithUnitProperties(WithStandardAbilitySetup(InPlayCard));
 
 export interface INonLeaderUnitCard extends IUnitCard, IPlayableCard {}
 
-export class NonLeaderUnitCard extends NonLeaderUnitCardParent implements INonLeaderUnitCard, ICardCanChangeControllers {
+/** The abilities for one side of a card with Piloting, i.e. the abilities it has as a unit or as a pilot upgrade */
+interface IAbilitySide {
+    actionAbilities: ActionAbility[];
+    constantAbilities: IConstantAbility[];
+    triggeredAbilities: TriggeredAbility[];
+}
+
+export class NonLeaderUnitCard extends NonLeaderUnitCardParent implements INonLeaderUnitCard, IUpgradeCard, ICardCanChangeControllers {
+    public readonly printedUpgradeHp: number = null;
+    public readonly printedUpgradePower: number = null;
+
+    protected _parentCard?: IUnitCard = null;
+
+    private pilotingAbilitiesActive = false;
+    private inactiveSideAbilities?: IAbilitySide = null;
+
     public constructor(owner: Player, cardData: any) {
         super(owner, cardData);
 
         // superclasses check that we are a unit, check here that we are a non-leader unit
         Contract.assertFalse(this.printedType === CardType.Leader);
+
+        if (this.printedKeywords.some((keyword) => keyword.name === KeywordName.Piloting)) {
+            Contract.assertNotNullLike(cardData.upgradeHp, `Card ${this.internalName} has Piloting but no upgrade hp in its card data`);
+            Contract.assertNotNullLike(cardData.upgradePower, `Card ${this.internalName} has Piloting but no upgrade power in its card data`);
+
+            this.printedUpgradeHp = cardData.upgradeHp;
+            this.printedUpgradePower = cardData.upgradePower;
+
+            // the abilities from setupCardAbilities are the unit side, set up the piloting side separately and then switch back
+            this.inactiveSideAbilities = { actionAbilities: [], constantAbilities: [], triggeredAbilities: [] };
+            this.swapAbilitySides();
+            this.setupPilotingAbilities(this);
+            this.swapAbilitySides();
+        }
+    }
+
+    public override get type(): CardType {
+        return this._parentCard ? CardType.NonLeaderUnitUpgrade : super.type;
+    }
+
+    public override isUnit(): this is IUnitCard {
+        return this._parentCard == null;
     }
 
     public override isNonLeaderUnit(): this is INonLeaderUnitCard {
-        return true;
+        return this._parentCard == null;
+    }
+
+    public override isUpgrade(): this is IUpgradeCard {
+        return this._parentCard != null;
     }
 
     public override canChangeController(): this is ICardCanChangeControllers {
@@ -31,24 +81,224 @@ export class NonLeaderUnitCard extends NonLeaderUnitCardParent implements INonLe
     }
 
     public override buildPlayCardAction(properties: IPlayCardActionProperties) {
+        if (properties.playType === PlayType.Piloting) {
+            return new PlayPilotAction(this.game, this, properties);
+        }
+
         return new PlayUnitAction(this.game, this, properties);
     }
 
+    protected override buildPlayCardActions(playType: PlayType = PlayType.PlayFromHand, propertyOverrides: IPlayCardActionOverrides = null): PlayCardAction[] {
+        const playCardActions = super.buildPlayCardActions(playType, propertyOverrides);
+
+        if (playType === PlayType.PlayFromHand && this.hasSomeKeyword(KeywordName.Piloting)) {
+            for (const pilotingKeyword of this.getKeywordsWithCostValues(KeywordName.Piloting)) {
+                playCardActions.push(this.buildPlayCardAction({
+                    ...propertyOverrides,
+                    playType: PlayType.Piloting,
+                    pilotingResourceCost: pilotingKeyword.cost,
+
+                    // if the Piloting cost doesn't list any aspects, the card's own aspects apply
+                    pilotingAspects: pilotingKeyword.aspects.length > 0 ? pilotingKeyword.aspects : this.aspects
+                }));
+            }
+        }
+
+        return playCardActions;
+    }
+
     public override isPlayable(): this is IPlayableCard {
         return true;
     }
 
+    public override getActions() {
+        // a pilot upgrade can't attack, it only has the action abilities from its piloting side
+        return this._parentCard ? this.getActionAbilities() : super.getActions();
+    }
+
+    public override getHp(): number {
+        return this._parentCard ? this.printedUpgradeHp : super.getHp();
+    }
+
+    public override getPower(): number {
+        return this._parentCard ? this.printedUpgradePower : super.getPower();
+    }
+
+    // ************************************* PILOT UPGRADE *************************************
+    /** The Vehicle unit that this card is attached to as a pilot */
+    public get parentCard(): IUnitCard {
+        Contract.assertNotNullLike(this._parentCard);
+        Contract.assertTrue(this.isInPlay());
+
+        return this._parentCard;
+    }
+
+    public override moveTo(targetZoneName: MoveZoneDestination) {
+        Contract.assertFalse(this._parentCard && targetZoneName !== this._parentCard.zoneName,
+            `Attempting to move pilot ${this.internalName} while it is still attached to ${this._parentCard?.internalName}`);
+
+        super.moveTo(targetZoneName);
+    }
+
+    /** Attaches this card to a Vehicle unit as a pilot upgrade. If it is not already a pilot, it enters play as one. */
+    public attachTo(newParentCard: IUnitCard, newController?: Player) {
+        Contract.assertTrue(newParentCard.isUnit());
+
+        // this assert needed for type narrowing or else the moveTo fails
+        Contract.assertTrue(newParentCard.zoneName === ZoneName.SpaceArena || newParentCard.zoneName === ZoneName.GroundArena);
+
+        if (this._parentCard) {
+            this._parentCard.unattachUpgrade(this);
+        } else {
+            Contract.assertFalse(this.isInPlay(), `Attempting to attach ${this.internalName} as a pilot while it is in play as a unit`);
+            Contract.assertNotNullLike(this.inactiveSideAbilities, `Attempting to attach ${this.internalName} as a pilot but it does not have Piloting`);
+
+            if (!this.pilotingAbilitiesActive) {
+                this.swapAbilitySides();
+            }
+        }
+
+        // set the parent card before moving so that the card is initialized as an upgrade in the arena
+        this._parentCard = newParentCard;
+
+        if (newController && newController !== this.controller) {
+            this.takeControl(newController, newParentCard.zoneName);
+        } else {
+            this.moveTo(newParentCard.zoneName);
+        }
+
+        newParentCard.attachUpgrade(this);
+    }
+
+    public isAttached(): boolean {
+        return !!this._parentCard;
+    }
+
+    public unattach() {
+        Contract.assertNotNullLike(this._parentCard, 'Attempting to unattach pilot when already unattached');
+
+        this.parentCard.unattachUpgrade(this);
+        this._parentCard = null;
+    }
+
+    /**
+     * Checks whether this card can be attached to the passed card as a pilot. Pilots can only be attached
+     * to Vehicle units, and a Vehicle can only have one Pilot upgrade.
+     */
+    public canAttach(targetCard: Card, controller: Player = this.controller): boolean {
+        if (targetCard === this || !targetCard.isUnit() || !targetCard.isInPlay() || !targetCard.hasSomeTrait(Trait.Vehicle)) {
+            return false;
+        }
+
+        return !targetCard.upgrades.some((upgrade) => upgrade !== this && upgrade.hasSomeTrait(Trait.Pilot));
+    }
+
+    public override resolveAbilitiesForNewZone() {
+        super.resolveAbilitiesForNewZone();
+
+        // once a pilot has left play its piloting abilities have been unregistered, so it goes back to being a unit
+        if (this.pilotingAbilitiesActive && !this.isInPlay()) {
+            this.swapAbilitySides();
+        }
+    }
+
+    private swapAbilitySides() {
+        const activeSideAbilities: IAbilitySide = {
+            actionAbilities: this.actionAbilities,
+            constantAbilities: this.constantAbilities,
+            triggeredAbilities: this.triggeredAbilities
+        };
+
+        this.actionAbilities = this.inactiveSideAbilities.actionAbilities;
+        this.constantAbilities = this.inactiveSideAbilities.constantAbilities;
+        this.triggeredAbilities = this.inactiveSideAbilities.triggeredAbilities;
+
+        this.inactiveSideAbilities = activeSideAbilities;
+        this.pilotingAbilitiesActive = !this.pilotingAbilitiesActive;
+    }
+
+    // ************************************* PILOTING ABILITY SETUP *************************************
+    /**
+     * Create the abilities that the card has while it is attached to a Vehicle as a pilot upgrade. Any ability added here
+     * (including e.g. "When Played" abilities) is only active while the card is a pilot, and the abilities from
+     * {@link setupCardAbilities} are only active while it is a unit.
+     */
+    // eslint-disable-next-line @typescript-eslint/no-empty-function
+    protected setupPilotingAbilities(sourceCard: this) { }
+
+    /**
+     * Helper that adds an effect that applies to the Vehicle this card is piloting. You can provide a match function
+     * to narrow down whether the effect is applied (for cases where the effect has conditions).
+     */
+    protected addPilotingConstantAbilityTargetingAttached(properties: Pick<IConstantAbilityProps<this>, 'title' | 'condition' | 'matchTarget' | 'ongoingEffect'>) {
+        Contract.assertTrue(this.pilotingAbilitiesActive, `Attempting to add piloting ability '${properties.title}' to ${this.internalName} outside of setupPilotingAbilities`);
+
+        this.addConstantAbility({
+            title: properties.title,
+            condition: properties.condition || (() => true),
+            matchTarget: (card, context) => context.source.isAttached() && card === context.source.parentCard && (!properties.matchTarget || properties.matchTarget(card, context)),
+            targetController: WildcardRelativePlayer.Any,   // this means that the effect continues to work even if the other player gains control of the pilot
+            ongoingEffect: properties.ongoingEffect
+        });
+    }
+
+    /** Adds an "attached Vehicle gains [X]" ability while piloting, where X is a triggered ability */
+    protected addPilotingGainTriggeredAbilityTargetingAttached(properties: ITriggeredAbilityProps<IUnitCard>) {
+        this.addPilotingConstantAbilityTargetingAttached({
+            title: 'Give ability to the attached card',
+            ongoingEffect: OngoingEffectLibrary.gainAbility({ type: AbilityType.Triggered, ...properties })
+        });
+    }
+
+    /** Adds an "attached Vehicle gains [X]" ability while piloting, where X is an action ability */
+    protected addPilotingGainActionAbilityTargetingAttached(properties: IActionAbilityProps<IUnitCard>) {
+        this.addPilotingConstantAbilityTargetingAttached({
+            title: 'Give ability to the attached card',
+            ongoingEffect: OngoingEffectLibrary.gainAbility({ type: AbilityType.Action, ...properties })
+        });
+    }
+
+    /** Adds an "attached Vehicle gains [X]" ability while piloting, where X is an "on attack" triggered ability */
+    protected addPilotingGainOnAttackAbilityTargetingAttached(properties: ITriggeredAbilityBaseProps<IUnitCard>) {
+        this.addPilotingGainTriggeredAbilityTargetingAttached({
+            ...properties,
+            when: { onAttackDeclared: (event, context) => event.attack.isAttacker(context.source) }
+        });
+    }
+
+    /** Adds an "attached Vehicle gains [X]" ability while piloting, where X is a keyword */
+    protected addPilotingGainKeywordTargetingAttached(properties: IKeywordProperties) {
+        this.addPilotingConstantAbilityTargetingAttached({
+            title: 'Give keyword to the attached card',
+            ongoingEffect: OngoingEffectLibrary.gainKeyword(properties)
+        });
+    }
+
+    // ************************************* ZONE AND STATE *************************************
+    public override getSummary(activePlayer: Player) {
+        return this._parentCard == null
+            ? super.getSummary(activePlayer)
+            : { ...super.getSummary(activePlayer), parentCardId: this._parentCard.uuid };
+    }
+
+    public override getStateSnapshot() {
+        return this._parentCard == null
+            ? super.getStateSnapshot()
+            : { ...super.getStateSnapshot(), parentCard: this._parentCard.uuid };
+    }
+
     protected override initializeForCurrentZone(prevZone?: ZoneName): void {
         super.initializeForCurrentZone(prevZone);
 
         switch (this.zoneName) {
             case ZoneName.GroundArena:
             case ZoneName.SpaceArena:
-                this.setActiveAttackEnabled(true);
-                this.setDamageEnabled(true);
-                this.setExhaustEnabled(true);
-                this.setUpgradesEnabled(true);
-                this.setCaptureZoneEnabled(true);
+                // a pilot attached to a Vehicle is an upgrade, so it has none of the unit statuses
+                this.setActiveAttackEnabled(!this._parentCard);
+                this.setDamageEnabled(!this._parentCard);
+                this.setExhaustEnabled(!this._parentCard);
+                this.setUpgradesEnabled(!this._parentCard);
+                this.setCaptureZoneEnabled(!this._parentCard);
                 break;
 
             case ZoneName.Resource:
@@ -36,6 +36,12 @@ const UpgradeCardParent = WithPrintedPower(WithPrintedHp(WithStandardAbilitySetu
 
 export interface IUpgradeCard extends IInPlayCard, ICardWithPrintedPowerProperty, ICardWithPrintedHpProperty, ICardWithCostProperty, ICardCanChangeControllers {
     get parentCard(): IUnitCard;
+
+    /** The hp bonus that this card gives to the unit it is attached to */
+    get printedUpgradeHp(): number;
+
+    /** The power bonus that this card gives to the unit it is attached to */
+    get printedUpgradePower(): number;
     attachTo(newParentCard: IUnitCard, newController?: Player);
     isAttached(): boolean;
     unattach();
@@ -75,6 +81,20 @@ export class UpgradeCard extends UpgradeCardParent implements IUpgradeCard, IPla
         };
     }
 
+    public override getStateSnapshot() {
+        return this._parentCard == null
+            ? super.getStateSnapshot()
+            : { ...super.getStateSnapshot(), parentCard: this._parentCard.uuid };
+    }
+
+    public get printedUpgradeHp(): number {
+        return this.printedHp;
+    }
+
+    public get printedUpgradePower(): number {
+        return this.printedPower;
+    }
+
     /** The card that this card is underneath */
     public get parentCard(): IUnitCard {
         Contract.assertNotNullLike(this._parentCard);
@@ -181,7 +201,7 @@ export class UpgradeCard extends UpgradeCardParent implements IUpgradeCard, IPla
      */
     protected addGainOnAttackAbilityTargetingAttached(properties: ITriggeredAbilityBasePropsWithGainCondition<this, IUnitCard>) {
         const { gainCondition, ...gainedAbilityProperties } = properties;
-        const propsWithWhen = Object.assign(gainedAbilityProperties, { when: { onAttackDeclared: (event, context) => event.attack.attacker === context.source } });
+        const propsWithWhen = Object.assign(gainedAbilityProperties, { when: { onAttackDeclared: (event, context) => event.attack.isAttacker(context.source) } });
 
         this.addConstantAbilityTargetingAttached({
             title: 'Give ability to the attached card',
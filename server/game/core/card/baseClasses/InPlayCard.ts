@@ -13,6 +13,7 @@ import type { IConstantAbility } from '../../ongoingEffect/IConstantAbility';
 import type { ICardWithCostProperty } from '../propertyMixins/Cost';
 import { WithCost } from '../propertyMixins/Cost';
 import type { ICardWithTriggeredAbilities } from '../propertyMixins/TriggeredAbilityRegistration';
+import type { ICardStateSnapshot } from '../../snapshot/SnapshotInterfaces';
 import { WithAllAbilityTypes } from '../propertyMixins/AllAbilityTypeRegistrations';
 
 const InPlayCardParent = WithCost(WithAllAbilityTypes(PlayableOrDeployableCard));
@@ -88,6 +89,15 @@ export class InPlayCard extends InPlayCardParent implements IInPlayCard {
         return this._mostRecentInPlayId;
     }
 
+    public override getStateSnapshot(): ICardStateSnapshot {
+        return { ...super.getStateSnapshot(), inPlayId: this._mostRecentInPlayId };
+    }
+
+    public override restoreStateSnapshot(snapshot: ICardStateSnapshot): void {
+        super.restoreStateSnapshot(snapshot);
+        this._mostRecentInPlayId = snapshot.inPlayId ?? this._mostRecentInPlayId;
+    }
+
     /**
      * If true, then this card is queued to be defeated as a consequence of another effect (damage, unique rule)
      * and will be removed from the field after the current event window has finished the resolution step.
@@ -6,13 +6,15 @@ import { KeywordWithNumericValue } from '../../ability/KeywordInstance';
 import type { IPlayCardActionProperties, IPlayCardActionPropertiesBase, ISmuggleCardActionProperties, PlayCardAction } from '../../ability/PlayCardAction';
 import type PlayerOrCardAbility from '../../ability/PlayerOrCardAbility';
 import type { Aspect } from '../../Constants';
-import { CardType, EffectName, KeywordName, PlayType, WildcardRelativePlayer, WildcardZoneName, ZoneName } from '../../Constants';
+import { CardType, KeywordName, PlayType, WildcardRelativePlayer, WildcardZoneName, ZoneName } from '../../Constants';
 import type { ICostAdjusterProperties, IIgnoreAllAspectsCostAdjusterProperties, IIgnoreSpecificAspectsCostAdjusterProperties, IIncreaseOrDecreaseCostAdjusterProperties } from '../../cost/CostAdjuster';
 import { CostAdjustType } from '../../cost/CostAdjuster';
 import type Player from '../../Player';
 import * as Contract from '../../utils/Contract';
+import * as Helpers from '../../utils/Helpers';
 import { Card } from '../Card';
 import type { ICardWithCostProperty } from '../propertyMixins/Cost';
+import type { ICardStateSnapshot } from '../../snapshot/SnapshotInterfaces';
 
 export type IPlayCardActionOverrides = Omit<IPlayCardActionPropertiesBase, 'playType'>;
 
@@ -86,22 +88,27 @@ export class PlayableOrDeployableCard extends Card implements IPlayableOrDeploya
      * Get the available "play card" actions for this card in its current zone. If `propertyOverrides` is provided, will generate the actions using the included overrides.
      *
      * Note that if the card is currently in an out-of-play zone, by default this will return nothing since cards cannot be played from out of play in normal circumstances.
-     * If using an ability to grant an out-of-play action, use `getPlayCardFromOutOfPlayActions` which will generate the appropriate actions.
+     * The exception is if an ability has granted its owner permission to play it from that zone (see {@link OngoingEffectLibrary.canPlayFromOutOfPlay}).
+     * If an ability is playing the card directly from out of play, use `getPlayCardFromOutOfPlayActions` which will generate the appropriate actions.
      */
     public getPlayCardActions(propertyOverrides: IPlayCardActionOverrides = null): PlayCardAction[] {
         if (this.zoneName === ZoneName.Hand) {
             return this.buildPlayCardActions(PlayType.PlayFromHand, propertyOverrides);
         }
 
+        let playCardActions: PlayCardAction[] = [];
         if (this.zoneName === ZoneName.Resource && this.hasSomeKeyword(KeywordName.Smuggle)) {
-            return this.buildPlayCardActions(PlayType.Smuggle, propertyOverrides);
+            playCardActions = this.buildPlayCardActions(PlayType.Smuggle, propertyOverrides);
         }
 
-        if (this.zoneName === ZoneName.Discard && this.hasOngoingEffect(EffectName.CanPlayFromDiscard)) {
-            return this.buildPlayCardActions(PlayType.PlayFromOutOfPlay, propertyOverrides);
+        for (const playableZone of this.owner.getGrantedPlayableZones(this)) {
+            playCardActions = playCardActions.concat(this.buildPlayCardActions(playableZone.playingType, {
+                ...propertyOverrides,
+                costAdjusters: Helpers.asArray(propertyOverrides?.costAdjusters).concat(playableZone.costAdjusters)
+            }));
         }
 
-        return [];
+        return playCardActions;
     }
 
     /**
@@ -126,6 +133,8 @@ export class PlayableOrDeployableCard extends Card implements IPlayableOrDeploya
                 defaultPlayAction = this.buildCheapestSmuggleAction(propertyOverrides);
             }
         } else {
+            // Piloting actions are built by the unit itself alongside its play from hand actions, see NonLeaderUnitCard
+            Contract.assertTrue(playType !== PlayType.Piloting, `Attempting to build Piloting actions for ${this.internalName} directly`);
             defaultPlayAction = this.buildPlayCardAction({ ...propertyOverrides, playType });
         }
 
@@ -189,6 +198,20 @@ export class PlayableOrDeployableCard extends Card implements IPlayableOrDeploya
         return { ...super.getSummary(activePlayer), exhausted: this._exhausted };
     }
 
+    public override getStateSnapshot() {
+        return this._exhausted == null
+            ? super.getStateSnapshot()
+            : { ...super.getStateSnapshot(), exhausted: this._exhausted };
+    }
+
+    public override restoreStateSnapshot(snapshot: ICardStateSnapshot): void {
+        super.restoreStateSnapshot(snapshot);
+
+        if (this._exhausted != null && snapshot.exhausted != null) {
+            this._exhausted = snapshot.exhausted;
+        }
+    }
+
     protected setExhaustEnabled(enabledStatus: boolean) {
         this._exhausted = enabledStatus ? true : null;
     }
@@ -5,6 +5,7 @@ import type Player from '../../Player';
 import type { ICardWithPrintedHpProperty } from './PrintedHp';
 import { WithPrintedHp } from './PrintedHp';
 import type { IDamageSource } from '../../../IDamageOrDefeatSource';
+import type { ICardStateSnapshot } from '../../snapshot/SnapshotInterfaces';
 import { EffectName } from '../../Constants';
 
 export interface ICardWithDamageProperty extends ICardWithPrintedHpProperty {
@@ -120,6 +121,20 @@ export function WithDamage<TBaseClass extends CardConstructor>(BaseClass: TBaseC
             return { ...super.getSummary(activePlayer), damage: this._damage };
         }
 
+        public override getStateSnapshot() {
+            return this._damage == null
+                ? super.getStateSnapshot()
+                : { ...super.getStateSnapshot(), damage: this._damage };
+        }
+
+        public override restoreStateSnapshot(snapshot: ICardStateSnapshot): void {
+            super.restoreStateSnapshot(snapshot);
+
+            if (this._damage != null && snapshot.damage != null) {
+                this._damage = snapshot.damage;
+            }
+        }
+
         protected setActiveAttackEnabled(enabledStatus: boolean) {
             if (!enabledStatus) {
                 if (this._activeAttack !== null) {
@@ -83,11 +83,12 @@ export function WithUnitProperties<TBaseClass extends InPlayCardConstructor>(Bas
                 }
             });
 
-            // register listeners for on-attack keyword abilities
+            // register listeners for on-attack keyword abilities, for every unit in the attack
             game.on(EventName.OnAttackDeclared, (event) => {
-                const card = event.attack.attacker as Card;
-                if (card.isUnit()) {
-                    card.checkRegisterOnAttackKeywordAbilities(event);
+                for (const attacker of event.attack.attackers as Card[]) {
+                    if (attacker.isUnit()) {
+                        attacker.checkRegisterOnAttackKeywordAbilities(event);
+                    }
                 }
             });
 
@@ -144,7 +145,7 @@ export function WithUnitProperties<TBaseClass extends InPlayCardConstructor>(Bas
         }
 
         public isAttacking(): boolean {
-            return (this as Card) === (this.activeAttack?.attacker as Card);
+            return this.activeAttack?.isAttacker(this) ?? false;
         }
 
         public isCaptured(): boolean {
@@ -240,7 +241,7 @@ export function WithUnitProperties<TBaseClass extends InPlayCardConstructor>(Bas
         }
 
         protected addOnAttackAbility(properties: Omit<ITriggeredAbilityProps<this>, 'when' | 'aggregateWhen'>): void {
-            const triggeredProperties = { ...properties, when: { onAttackDeclared: (event, context) => event.attack.attacker === context.source } };
+            const triggeredProperties = { ...properties, when: { onAttackDeclared: (event, context) => event.attack.isAttacker(context.source) } };
             this.addTriggeredAbility(triggeredProperties);
         }
 
@@ -696,5 +697,13 @@ export function WithUnitProperties<TBaseClass extends InPlayCardConstructor>(Bas
                 parentCardId: this.getCaptor()?.uuid,
             };
         }
+
+        public override getStateSnapshot() {
+            return {
+                ...super.getStateSnapshot(),
+                ...(this._upgrades != null && { upgrades: this._upgrades.map((upgrade) => upgrade.uuid) }),
+                ...(this._captureZone != null && { capturedUnits: this._captureZone.cards.map((card) => card.uuid) })
+            };
+        }
     };
 }
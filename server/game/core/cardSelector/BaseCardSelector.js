@@ -43,7 +43,7 @@ class BaseCardSelector {
             if (controllerProp === RelativePlayer.Self) {
                 return context.game.allCards.filter((card) => card.controller === context.player);
             } else if (controllerProp === RelativePlayer.Opponent) {
-                return context.game.allCards.filter((card) => card.controller === context.player.opponent);
+                return context.game.allCards.filter((card) => card.controller !== context.player);
             }
             return context.game.allCards;
         }
@@ -54,10 +54,12 @@ class BaseCardSelector {
                 (array, zoneFilter) => array.concat(this.getCardsForPlayerZones(zoneFilter, context.player, context.game)), possibleCards
             );
         }
-        if (controllerProp !== RelativePlayer.Self && context.player.opponent) {
-            possibleCards = this.zoneFilter.reduce(
-                (array, zoneFilter) => array.concat(this.getCardsForPlayerZones(zoneFilter, context.player.opponent, context.game)), possibleCards
-            );
+        if (controllerProp !== RelativePlayer.Self) {
+            for (const opponent of context.player.opponents) {
+                possibleCards = this.zoneFilter.reduce(
+                    (array, zoneFilter) => array.concat(this.getCardsForPlayerZones(zoneFilter, opponent, context.game)), possibleCards
+                );
+            }
         }
 
         possibleCards = this.filterCaptureZones(possibleCards, context);
@@ -130,7 +132,7 @@ class BaseCardSelector {
         if (controllerProp === RelativePlayer.Self && card.controller !== context.player) {
             return false;
         }
-        if (controllerProp === RelativePlayer.Opponent && card.controller !== context.player.opponent) {
+        if (controllerProp === RelativePlayer.Opponent && card.controller === context.player) {
             return false;
         }
         if (!EnumHelpers.cardZoneMatches(card.zoneName, this.zoneFilter) && card.zoneName !== ZoneName.Capture) {
@@ -1,5 +1,5 @@
 import type Player from '../Player';
-import type { IClock } from './IClock';
+import type { IClock, IClockSnapshot } from './IClock';
 
 export type Mode = 'stop' | 'down' | 'up' | 'off';
 
@@ -31,7 +31,7 @@ export class BasicClock implements IClock {
     }
 
     public opponentStart() {
-        this.timerStart = Date.now();
+        this.timerStart = this.now();
         this.updateStateId();
     }
 
@@ -40,19 +40,70 @@ export class BasicClock implements IClock {
 
     public start() {
         if (!this.paused && !this.manuallyPaused) {
-            this.timerStart = Date.now();
+            this.timerStart = this.now();
             this.updateStateId();
         }
     }
 
     public stop() {
         if (this.timerStart > 0) {
-            this.updateTimeLeft(Math.floor((Date.now() - this.timerStart) / 1000 + 0.5));
+            this.updateTimeLeft(Math.floor((this.now() - this.timerStart) / 1000 + 0.5));
             this.timerStart = 0;
             this.updateStateId();
         }
     }
 
+    public getMsUntilRunOut(): number | null {
+        if (this.mode !== 'down' || this.timerStart === 0 || this.timeLeft === 0) {
+            return null;
+        }
+
+        // stop() rounds the elapsed time to the nearest second, so the time runs out half a second before the exact time left
+        return (this.timeLeft + (this.delayToStartClock ?? 0)) * 1000 - 500 - (this.now() - this.timerStart);
+    }
+
+    public runOut() {
+        this.timeLeft = 0;
+        this.timerStart = 0;
+        this.updateStateId();
+        this.timeRanOut();
+    }
+
+    public getSnapshot(): IClockSnapshot {
+        return { timeLeft: this.getCurrentTimeLeft() };
+    }
+
+    public restoreSnapshot(snapshot: IClockSnapshot) {
+        this.timeLeft = snapshot.timeLeft;
+        if (this.timerStart > 0) {
+            this.timerStart = this.now();
+        }
+        this.updateStateId();
+    }
+
+    /** The time left with the time since the clock was started counted, without stopping the clock */
+    protected getCurrentTimeLeft(): number {
+        if (this.timerStart === 0 || this.timeLeft === 0) {
+            return this.timeLeft;
+        }
+
+        const secs = Math.floor((this.now() - this.timerStart) / 1000 + 0.5) - (this.delayToStartClock ?? 0);
+        if (secs <= 0) {
+            return this.timeLeft;
+        }
+
+        if (this.mode === 'down') {
+            return Math.max(0, this.timeLeft - secs);
+        } else if (this.mode === 'up') {
+            return this.timeLeft + secs;
+        }
+        return this.timeLeft;
+    }
+
+    protected now(): number {
+        return this.player.game.clockSource.now();
+    }
+
     protected pause() {
         this.paused = true;
     }
@@ -78,9 +129,11 @@ export class BasicClock implements IClock {
         }
         if (this.mode === 'down') {
             this.modify(-secs);
-            if (this.timeLeft < 0) {
+            if (this.timeLeft <= 0) {
                 this.timeLeft = 0;
-                this.timeRanOut();
+
+                // time outs go through the game so that they are recorded for replays
+                this.player.game.clockRanOut(this.player.id);
             }
         } else if (this.mode === 'up') {
             this.modify(secs);
@@ -1,6 +1,6 @@
 import type Player from '../Player';
 import { ChessClock } from './ChessClock';
-import type { IClock } from './IClock';
+import type { IClock, IClockSnapshot } from './IClock';
 
 export class Byoyomi extends ChessClock implements IClock {
     public override readonly name = 'Byoyomi';
@@ -17,6 +17,15 @@ export class Byoyomi extends ChessClock implements IClock {
         }
     }
 
+    public override getSnapshot(): IClockSnapshot {
+        return { ...super.getSnapshot(), periods: this.periods };
+    }
+
+    public override restoreSnapshot(snapshot: IClockSnapshot) {
+        this.periods = snapshot.periods ?? this.periods;
+        super.restoreSnapshot(snapshot);
+    }
+
     public override getState() {
         const state = super.getState();
         return Object.assign(
@@ -40,6 +40,11 @@ export class ChessClock extends BasicClock implements IClock {
     // eslint-disable-next-line @typescript-eslint/no-empty-function
     public override opponentStart() {}
 
+    public override runOut() {
+        this.mode = 'stop';
+        super.runOut();
+    }
+
     protected override timeRanOut() {
         this.player.game.addMessage('{0}\'s clock has run out', this.player);
         if (this.player.opponent && this.player.opponent.clock.timeLeft > 0) {
@@ -58,9 +63,9 @@ export class ChessClock extends BasicClock implements IClock {
         secs = secs - this.delayToStartClock;
         if (this.mode === 'down') {
             this.modify(-secs);
-            if (this.timeLeft < 0) {
+            if (this.timeLeft <= 0) {
                 this.timeLeft = 0;
-                this.timeRanOut();
+                this.player.game.clockRanOut(this.player.id);
             }
         } else if (this.mode === 'up') {
             this.modify(secs);
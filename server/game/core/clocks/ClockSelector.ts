@@ -15,7 +15,16 @@ export enum ClockType {
 }
 
 export interface ClockConfig {
-    type: ClockType; time: 0; periods: 0; timePeriod: 0;
+    type: ClockType;
+
+    /** Main time per player, in minutes */
+    time: number;
+
+    /** Number of byoyomi periods (byoyomi only) */
+    periods: number;
+
+    /** Length of each byoyomi period, in seconds (byoyomi only) */
+    timePeriod: number;
 }
 
 export function clockFor(player: Player, details?: ClockConfig): IClock {
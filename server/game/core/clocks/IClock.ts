@@ -1,3 +1,13 @@
+/** State of a clock saved with a game's input log, so that a game rebuilt by replaying its inputs doesn't give back the time used */
+export interface IClockSnapshot {
+
+    /** Time left in seconds, including the time used since the clock was last started */
+    timeLeft: number;
+
+    /** Byoyomi periods left */
+    periods?: number;
+}
+
 export interface IClock {
     name: string;
     timeLeft: number;
@@ -14,4 +24,20 @@ export interface IClock {
     reset(): void;
     start(): void;
     stop(): void;
+
+    /** Milliseconds until the clock runs out if it keeps running, or null if it is not running down */
+    getMsUntilRunOut(): number | null;
+
+    /** Ends the remaining time immediately and applies the consequences of running out of time */
+    runOut(): void;
+
+    getSnapshot(): IClockSnapshot;
+
+    /** Sets the time left from a snapshot. If the clock is running, it counts from now on. */
+    restoreSnapshot(snapshot: IClockSnapshot): void;
+}
+
+/** Source of the current time (in ms) used by the clocks of a game, can be replaced with a fake in tests */
+export interface IClockSource {
+    now(): number;
 }
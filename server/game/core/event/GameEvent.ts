@@ -3,6 +3,7 @@ import * as Contract from '../utils/Contract';
 import * as EnumHelpers from '../utils/EnumHelpers';
 import type { EventWindow } from './EventWindow';
 import type { AbilityContext } from '../ability/AbilityContext';
+import type TriggeredAbility from '../ability/TriggeredAbility';
 
 export enum EventResolutionStatus {
     CREATED = 'created',
@@ -22,6 +23,8 @@ export class GameEvent {
     private _context = null;
     private contingentEventsGenerator?: () => any[] = null;
     private _preResolutionEffect = null;
+    private partialReplacementAbilities: TriggeredAbility[] = [];
+    private partialReplacementHandler?: (event) => void = null;
     private replacementEvents: any[] = [];
     private resolutionStatus: EventResolutionStatus = EventResolutionStatus.CREATED;
     private _window: EventWindow = null;
@@ -131,7 +134,6 @@ export class GameEvent {
         }
     }
 
-    // TODO: refactor this to allow for "partial" replacement effects like Boba Fett's Armor
     public setReplacementEvent(replacementEvent: any) {
         Contract.assertNotNullLike(replacementEvent, `Attempting to set null replacementEvent for ${this.name}`);
         Contract.assertNotNullLike(this.replacementEvents, 'GameEvent.replacementEvents can not be null');
@@ -140,6 +142,31 @@ export class GameEvent {
         this.resolutionStatus = EventResolutionStatus.REPLACED;
     }
 
+    /**
+     * Applies a "partial" replacement effect such as Boba Fett's Armor, which changes some of the event's parameters
+     * (e.g. reducing its damage) instead of replacing the whole event. The event still resolves afterwards.
+     */
+    public applyPartialReplacement(ability: TriggeredAbility, modifier: (event) => void) {
+        Contract.assertTrue(this.canResolve, `Attempting to apply partial replacement to ${this.name} but it is not in a resolvable state: ${this.resolutionStatus}`);
+        Contract.assertFalse(this.hasPartialReplacementFrom(ability), `Attempting to apply partial replacement '${ability}' to ${this.name} more than once`);
+
+        this.partialReplacementAbilities.push(ability);
+        modifier(this);
+
+        if (this.partialReplacementHandler) {
+            this.partialReplacementHandler(this);
+        }
+    }
+
+    public hasPartialReplacementFrom(ability: TriggeredAbility): boolean {
+        return this.partialReplacementAbilities.includes(ability);
+    }
+
+    /** Sets a handler to update any values that were derived from the event's parameters after a partial replacement changes them */
+    public setPartialReplacementHandler(handler: (event) => void) {
+        this.partialReplacementHandler = handler;
+    }
+
     public setContingentEventsGenerator(generator: (event) => any[]) {
         Contract.assertIsNullLike(this.contingentEventsGenerator, 'Attempting to set contingentEventsGenerator but it already has a value');
 
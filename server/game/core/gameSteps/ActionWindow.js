@@ -6,7 +6,7 @@ const KeywordHelpers = require('../ability/KeywordHelpers.js');
 const { cardCannot } = require('../../ongoingEffects/CardCannot.js');
 
 class ActionWindow extends UiPrompt {
-    constructor(game, title, windowName, prevPlayerPassed, setPassStatus, activePlayer = null) {
+    constructor(game, title, windowName, consecutivelyPassedPlayers, setPassStatus, activePlayer = null) {
         super(game);
 
         this.title = title;
@@ -14,9 +14,10 @@ class ActionWindow extends UiPrompt {
         this.activePlayer = activePlayer ?? this.game.actionPhaseActivePlayer;
         this.activePlayerConsecutiveActions = 0;
         this.opportunityCounter = 0;
+        this.undoCheckpointCreated = false;
 
-        // whether the previous player passed their action
-        this.prevPlayerPassed = prevPlayerPassed;
+        // the players who passed their action since the last action was taken
+        this.consecutivelyPassedPlayers = consecutivelyPassedPlayers;
 
         // used to inform the owning ActionPhase of whether this window was passed or not
         this.setPassStatus = setPassStatus;
@@ -65,7 +66,7 @@ class ActionWindow extends UiPrompt {
     }
 
     postResolutionUpdate(resolver) {
-        this.setPassStatus(false);
+        this.setPassStatus(this.activePlayer, false);
 
         // if (this.activePlayerConsecutiveActions > 1) {
         //     this.markBonusActionsTaken();
@@ -77,14 +78,30 @@ class ActionWindow extends UiPrompt {
     // TODO: confirm that this works correctly
     /** @override */
     continue() {
+        // a player who was eliminated (e.g. by conceding) while it was their turn doesn't get to act
+        if (this.activePlayer.eliminated) {
+            this.complete();
+        }
+
         // TODO: do we need promptedActionWindows?
-        if (!this.activePlayer.promptedActionWindows[this.windowName]) {
+        if (!this.isComplete() && !this.activePlayer.promptedActionWindows[this.windowName]) {
             this.pass();
         }
 
+        if (!this.isComplete() && !this.undoCheckpointCreated) {
+            // recorded before the prompt is shown, so that a game restored from this state shows the prompt in the same way
+            this.game.currentActionWindow = this;
+            this.game.recordResumableState();
+        }
+
         let completed = super.continue();
 
         if (!completed) {
+            if (!this.undoCheckpointCreated) {
+                this.game.undoHandler.createCheckpoint(this.activePlayer);
+                this.undoCheckpointCreated = true;
+            }
+
             this.highlightSelectableCards();
             this.game.currentActionWindow = this;
         } else {
@@ -101,6 +118,12 @@ class ActionWindow extends UiPrompt {
         if (!this.game.isInitiativeClaimed) {
             buttons.push({ text: 'Claim Initiative', arg: 'claimInitiative' });
         }
+        if (this.game.isTwinSuns && !this.game.isBlastClaimed) {
+            buttons.push({ text: 'Claim Blast', arg: 'claimBlast' });
+        }
+        if (this.game.isTwinSuns && !this.game.isPlanClaimed) {
+            buttons.push({ text: 'Claim Plan', arg: 'claimPlan' });
+        }
         if (this.game.manualMode) {
             buttons.unshift({ text: 'Manual Action', arg: 'manual' });
         }
@@ -144,6 +167,14 @@ class ActionWindow extends UiPrompt {
                 this.claimInitiative();
                 return true;
 
+            case 'claimBlast':
+                this.claimBlast();
+                return true;
+
+            case 'claimPlan':
+                this.claimPlan();
+                return true;
+
             default:
                 Contract.fail(`Unknown menu command: ${choice}`);
         }
@@ -154,15 +185,17 @@ class ActionWindow extends UiPrompt {
             this.game.addMessage('{0} passes', this.activePlayer);
         }
 
-        if (this.prevPlayerPassed) {
-            // in the (unusual) case that both players pass without claiming initiative, phase ends and initiative stays where it is
-            this.activePlayer.passedActionPhase = true;
-            this.activePlayer.opponent.passedActionPhase = true;
-        } else if (this.activePlayer.opponent.passedActionPhase) {
-            // if opponent already claimed initiative, we're done
-            this.activePlayer.passedActionPhase = true;
+        const playersInPhase = this.game.getRemainingPlayers().filter((player) => !player.passedActionPhase || player === this.activePlayer);
+        const passedPlayers = new Set(this.consecutivelyPassedPlayers).add(this.activePlayer);
+
+        if (playersInPhase.every((player) => passedPlayers.has(player))) {
+            // if all players still in the phase have passed in a row, the phase ends. In the (unusual) case that this
+            // happens without anyone claiming initiative, initiative stays where it is
+            for (const player of playersInPhase) {
+                player.passedActionPhase = true;
+            }
         } else {
-            this.setPassStatus(true);
+            this.setPassStatus(this.activePlayer, true);
         }
 
         this.complete();
@@ -186,6 +219,22 @@ class ActionWindow extends UiPrompt {
         this.pass(false);
     }
 
+    claimBlast() {
+        this.game.addMessage('{0} claims the Blast counter and passes', this.activePlayer);
+        this.game.claimBlast(this.activePlayer);
+
+        // Calls this.complete()
+        this.pass(false);
+    }
+
+    claimPlan() {
+        this.game.addMessage('{0} claims the Plan counter and passes', this.activePlayer);
+        this.game.claimPlan(this.activePlayer);
+
+        // Calls this.complete()
+        this.pass(false);
+    }
+
     /** @override */
     complete() {
         // this.teardownBonusActions();
@@ -194,14 +243,18 @@ class ActionWindow extends UiPrompt {
 
     /** @override */
     highlightSelectableCards() {
-        const allPossibleCards = this.game.findAnyCardsInPlay().concat(
+        const allPossibleCards = new Set(this.game.findAnyCardsInPlay().concat(
             this.activePlayer.discardZone.cards,
             this.activePlayer.resourceZone.cards,
             this.activePlayer.handZone.cards,
-            this.activePlayer.baseZone.cards
-        );
-        this.activePlayer.setSelectableCards(allPossibleCards.filter((card) => this.getCardLegalActions(card, this.activePlayer).length > 0));
-        this.activePlayer.opponent.setSelectableCards([]);
+            this.activePlayer.baseZone.cards,
+            // cards that abilities have made playable from other zones, e.g. the top of the deck or captured cards
+            this.activePlayer.getCardsInGrantedPlayableZones()
+        ));
+        this.activePlayer.setSelectableCards([...allPossibleCards].filter((card) => this.getCardLegalActions(card, this.activePlayer).length > 0));
+        for (const opponent of this.activePlayer.opponents) {
+            opponent.setSelectableCards([]);
+        }
     }
 
     // IMPORTANT: the below code is referenced in the debugging guide (docs/debugging-guide.md). If you make changes here, make sure to update that document as well.
@@ -18,7 +18,7 @@ export abstract class BaseStep implements IStep {
         Contract.fail(`Attempting to trigger onCardClicked prompt command for player '${player.name}' and card '${card.internalName}' but it is not supported by the current step'`);
     }
 
-    public onMenuCommand(player: Player, arg: string, uuid: string, method: string): boolean {
+    public onMenuCommand(player: Player, arg: string | number, uuid: string, method: string): boolean {
         Contract.fail(`Attempting to trigger onMenuCommand prompt command for player '${player.name}' but it is not supported by the current step`);
     }
 
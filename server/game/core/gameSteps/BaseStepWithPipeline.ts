@@ -29,7 +29,7 @@ export abstract class BaseStepWithPipeline extends BaseStep implements IStep {
         return this.pipeline.handleCardClicked(player, card);
     }
 
-    public override onMenuCommand(player: Player, arg: string, uuid: string, method: string) {
+    public override onMenuCommand(player: Player, arg: string | number, uuid: string, method: string) {
         return this.pipeline.handleMenuCommand(player, arg, uuid, method);
     }
 
@@ -5,7 +5,7 @@ import type { IStatefulPromptResults } from './PromptInterfaces';
 
 export interface IStep {
     onCardClicked(player: Player, card: Card): boolean;
-    onMenuCommand(player: Player, arg: string, uuid: string, method: string): boolean;
+    onMenuCommand(player: Player, arg: string | number, uuid: string, method: string): boolean;
     onPerCardMenuCommand(player: Player, arg: string, cardUuid: string, uuid: string, method: string): boolean;
     onStatefulPromptResults(player: Player, results: IStatefulPromptResults, uuid: string): boolean;
     getDebugInfo(): string;
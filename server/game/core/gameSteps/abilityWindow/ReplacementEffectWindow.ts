@@ -7,6 +7,8 @@ import type Game from '../../Game';
 import type Player from '../../Player';
 import { TriggerWindowBase } from './TriggerWindowBase';
 import type Shield from '../../../cards/01_SOR/tokens/Shield';
+import type TriggeredAbility from '../../ability/TriggeredAbility';
+import type ReplacementEffectAbility from '../../ability/ReplacementEffectAbility';
 
 export class ReplacementEffectWindow extends TriggerWindowBase {
     // starts as true so that we will do the trigger cleanup and initial prompt setup on the first pass
@@ -47,9 +49,25 @@ export class ReplacementEffectWindow extends TriggerWindowBase {
         if (replacement && replacement.context.ability === context.ability) {
             return;
         }
+
+        // a partially replaced event stays in the window, so make sure the same effect isn't applied to it again when events are re-emitted
+        if (context.event.hasPartialReplacementFrom(context.ability as TriggeredAbility)) {
+            return;
+        }
+
         super.addTriggeredAbilityToWindow(context);
     }
 
+    /** Partial replacement effects on an event are ordered by the player affected by the event, regardless of who controls them */
+    protected override getOrderingPlayer(context: TriggeredAbilityContext): Player {
+        if (!(context.ability as ReplacementEffectAbility).isPartialReplacement) {
+            return super.getOrderingPlayer(context);
+        }
+
+        const event: any = context.event;
+        return event.card?.controller ?? event.player ?? context.player;
+    }
+
     protected override cleanUpTriggers(): void {
         super.cleanUpTriggers();
 
@@ -102,14 +102,20 @@ export abstract class TriggerWindowBase extends BaseStep {
 
     public addTriggeredAbilityToWindow(context: TriggeredAbilityContext) {
         if ((context.event.canResolve || context.event.isResolved) && context.ability) {
-            if (!this.unresolved.has(context.player)) {
-                this.unresolved.set(context.player, [context]);
+            const orderingPlayer = this.getOrderingPlayer(context);
+            if (!this.unresolved.has(orderingPlayer)) {
+                this.unresolved.set(orderingPlayer, [context]);
             } else {
-                this.unresolved.get(context.player).push(context);
+                this.unresolved.get(orderingPlayer).push(context);
             }
         }
     }
 
+    /** Gets the player who chooses when the triggered ability resolves relative to their other triggers, by default its controller */
+    protected getOrderingPlayer(context: TriggeredAbilityContext): Player {
+        return context.player;
+    }
+
     protected assertWindowResolutionNotStarted(triggerTypeName: string, source: Card) {
         Contract.assertFalse(this.choosePlayerResolutionOrderComplete, `Attempting to add new triggered ${triggerTypeName} from source '${source.internalName}' to a window that has already started resolution`);
     }
@@ -226,20 +232,26 @@ export abstract class TriggerWindowBase extends BaseStep {
     }
 
     private promptForResolvePlayerOrder() {
-        this.game.promptWithHandlerMenu(this.game.actionPhaseActivePlayer, {
-            activePromptTitle: 'Both players have triggered abilities in response. Choose a player to resolve all of their abilities first:',
+        const activePlayer = this.game.actionPhaseActivePlayer;
+        const playersWithTriggers = [activePlayer, ...activePlayer.opponents].filter((player) => this.unresolved.has(player));
+        const isMultiplayer = playersWithTriggers.length > 2;
+
+        // after the chosen player, the others resolve their abilities in turn order
+        this.game.promptWithHandlerMenu(activePlayer, {
+            activePromptTitle: isMultiplayer
+                ? 'Several players have triggered abilities in response. Choose a player to resolve all of their abilities first:'
+                : 'Both players have triggered abilities in response. Choose a player to resolve all of their abilities first:',
             waitingPromptTitle: 'Waiting for opponent to choose a player to resolve their triggers first',
-            choices: ['You', 'Opponent'],
-            handlers: [
-                () => {
-                    this.resolvePlayerOrder = [this.game.actionPhaseActivePlayer, this.game.actionPhaseActivePlayer.opponent];
-                    this.promptUnresolvedAbilities();
-                },
-                () => {
-                    this.resolvePlayerOrder = [this.game.actionPhaseActivePlayer.opponent, this.game.actionPhaseActivePlayer];
-                    this.promptUnresolvedAbilities();
+            choices: playersWithTriggers.map((player) => {
+                if (player === activePlayer) {
+                    return 'You';
                 }
-            ]
+                return isMultiplayer ? player.name : 'Opponent';
+            }),
+            handlers: playersWithTriggers.map((_, index) => () => {
+                this.resolvePlayerOrder = playersWithTriggers.slice(index).concat(playersWithTriggers.slice(0, index));
+                this.promptUnresolvedAbilities();
+            })
         });
     }
 
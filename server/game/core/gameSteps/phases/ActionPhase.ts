@@ -5,36 +5,80 @@ import { Phase } from './Phase';
 import { SimpleStep } from '../SimpleStep';
 import ActionWindow from '../ActionWindow';
 
+/** An action window that a restored game continues from, see {@link Game.resumeRoundAtActionWindow} */
+export interface IResumedActionWindow {
+
+    /** Uuid of the window in the original game, which the recorded inputs refer to */
+    uuid: string;
+    consecutivelyPassedPlayers: Player[];
+}
+
 export class ActionPhase extends Phase {
     public activePlayer?: Player;
 
     // each ActionWindow will use this handler to indicate if the window was passed or not
-    private readonly passStatusHandler = (passed: boolean) => this.prevPlayerPassed = passed;
-    private prevPlayerPassed = false;
+    private readonly passStatusHandler = (player: Player, passed: boolean) => {
+        if (passed) {
+            this.consecutivelyPassedPlayers.add(player);
+        } else {
+            this.consecutivelyPassedPlayers.clear();
+        }
+    };
 
-    public constructor(game: Game) {
+    private readonly consecutivelyPassedPlayers = new Set<Player>();
+
+    /**
+     * @param resumedActionWindow if given, the phase continues from this action window of a restored game instead of starting from the beginning
+     */
+    public constructor(game: Game, resumedActionWindow: IResumedActionWindow = null) {
         super(game, PhaseName.Action);
-        this.initialise([
-            new SimpleStep(this.game, () => this.setupActionPhase(), 'setupActionPhase'),
-            new SimpleStep(this.game, () => this.queueNextAction(), 'queueNextAction'),
+
+        if (!resumedActionWindow) {
+            this.initialise([
+                new SimpleStep(this.game, () => this.setupActionPhase(), 'setupActionPhase'),
+                new SimpleStep(this.game, () => this.queueNextAction(), 'queueNextAction'),
+                new SimpleStep(this.game, () => this.tearDownActionPhase(), 'tearDownActionPhase'),
+                new SimpleStep(this.game, () => this.endPhase(), 'endPhase'),
+            ]);
+            return;
+        }
+
+        for (const player of resumedActionWindow.consecutivelyPassedPlayers) {
+            this.consecutivelyPassedPlayers.add(player);
+        }
+
+        // the window is created now, before the restored game's random generators are set, so that it doesn't change the uuids that follow
+        const actionWindow = this.createActionWindow();
+        actionWindow.uuid = resumedActionWindow.uuid;
+
+        this.initialiseResumed([
+            new SimpleStep(this.game, () => this.queueActionWindow(actionWindow), 'queueNextAction'),
             new SimpleStep(this.game, () => this.tearDownActionPhase(), 'tearDownActionPhase'),
             new SimpleStep(this.game, () => this.endPhase(), 'endPhase'),
         ]);
     }
 
     private setupActionPhase() {
-        for (const player of this.game.getPlayers()) {
+        for (const player of this.game.getRemainingPlayers()) {
             player.resetForActionPhase();
         }
     }
 
     private queueNextAction() {
-        this.game.queueStep(new ActionWindow(this.game, 'Action Window', 'action', this.prevPlayerPassed, this.passStatusHandler));
+        this.queueActionWindow(this.createActionWindow());
+    }
+
+    private createActionWindow() {
+        return new ActionWindow(this.game, 'Action Window', 'action', this.consecutivelyPassedPlayers, this.passStatusHandler);
+    }
+
+    private queueActionWindow(actionWindow: ActionWindow) {
+        this.game.queueStep(actionWindow);
         this.game.queueSimpleStep(() => this.rotateActiveQueueNextAction(), 'rotateActiveQueueNextAction');
     }
 
     private rotateActiveQueueNextAction() {
-        // breaks the action loop if both players have passed
+        // breaks the action loop if all players have passed
         this.game.queueSimpleStep(() => this.game.rotateActivePlayer(), 'rotateActivePlayer');
         this.game.queueSimpleStep(() => {
             if (this.game.actionPhaseActivePlayer !== null) {
@@ -48,5 +92,7 @@ export class ActionPhase extends Phase {
             player.cleanupFromActionPhase();
         }
         this.game.isInitiativeClaimed = false;
+        this.game.isBlastClaimed = false;
+        this.game.isPlanClaimed = false;
     }
 }
@@ -23,6 +23,15 @@ export abstract class Phase extends BaseStepWithPipeline {
         this.steps = [startStep, ...steps, endStep];
     }
 
+    /**
+     * Sets up the phase to continue with the given steps, for a game restored from a state recorded during the phase.
+     * The phase was already created and started in the original game, so its events are not raised again.
+     */
+    public initialiseResumed(steps: IStep[]): void {
+        this.steps = [...steps, new SimpleStep(this.game, () => this.endPhase(), 'endPhase')];
+        this.pipeline.initialise([...this.steps]);
+    }
+
     protected createPhase(): void {
         this.game.createEventAndOpenWindow(EventName.OnPhaseCreated, null, { phase: this.name }, TriggerHandlingMode.CannotHaveTriggers, () => {
             for (const step of this.steps) {
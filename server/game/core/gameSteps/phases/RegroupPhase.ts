@@ -21,7 +21,7 @@ export class RegroupPhase extends Phase {
     }
 
     private drawTwo() {
-        for (const player of this.game.getPlayers()) {
+        for (const player of this.game.getRemainingPlayers()) {
             // create a single event for drawing cards step
             new DrawSystem({ amount: 2 }).resolve(
                 player,
@@ -34,13 +34,10 @@ export class RegroupPhase extends Phase {
     private readyAllCards() {
         const cardsToReady: ICardWithExhaustProperty[] = [];
 
-        for (const player of this.game.getPlayers()) {
+        for (const player of this.game.getRemainingPlayers()) {
             cardsToReady.push(...player.getUnitsInPlay());
             cardsToReady.push(...player.resources);
-
-            if (player.leader.zoneName === ZoneName.Base) {
-                cardsToReady.push(player.leader);
-            }
+            cardsToReady.push(...player.leaders.filter((leader) => leader.zoneName === ZoneName.Base));
         }
 
         // create a single event for the ready cards step as well as individual events for readying each card
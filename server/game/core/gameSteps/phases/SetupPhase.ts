@@ -23,11 +23,30 @@ export class SetupPhase extends Phase {
     }
 
     private chooseFirstPlayer() {
-        const firstPlayer = randomItem(this.game.getPlayers(), this.game.randomGenerator);
+        const isChosenByPreviousLoser = this.game.initiativeChooserId != null;
+        const firstPlayer = isChosenByPreviousLoser
+            ? this.game.getPlayerById(this.game.initiativeChooserId)
+            : randomItem(this.game.getPlayers(), this.game.randomGenerator);
+        const titlePrefix = isChosenByPreviousLoser ? 'You lost the previous game.' : 'You won the flip.';
+
+        // with more than two players, declining the initiative isn't enough to know who gets it, so the player chooses who starts with it
+        if (this.game.getPlayers().length > 2) {
+            const players = [firstPlayer, ...firstPlayer.opponents];
+            this.game.promptWithHandlerMenu(firstPlayer, {
+                promptType: PromptType.Initiative,
+                activePromptTitle: `${titlePrefix} Choose who starts with initiative:`,
+                source: 'Choose Initiative Player',
+                choices: players.map((player) => (player === firstPlayer ? 'You' : player.name)),
+                handlers: players.map((player) => () => {
+                    this.game.initiativePlayer = player;
+                })
+            });
+            return;
+        }
 
         this.game.promptWithHandlerMenu(firstPlayer, {
             promptType: PromptType.Initiative,
-            activePromptTitle: 'You won the flip. Do you want to start with initiative:',
+            activePromptTitle: `${titlePrefix} Do you want to start with initiative:`,
             source: 'Choose Initiative Player',
             choices: ['Yes', 'No'],
             handlers: [
@@ -80,7 +80,9 @@ export class DistributeAmongTargetsPrompt extends UiPrompt {
 
     protected override highlightSelectableCards(): void {
         this.player.setSelectableCards(this.properties.legalTargets);
-        this.player.opponent.setSelectableCards([]);
+        for (const opponent of this.player.opponents) {
+            opponent.setSelectableCards([]);
+        }
     }
 
     public override activeCondition(player) {
@@ -23,7 +23,9 @@ export class ResourcePrompt extends AllPlayerPrompt {
     }
 
     public override completionCondition(player: Player) {
-        return this.playersDone[player.name];
+        // players eliminated from a multiplayer game don't resource. This is checked when prompting since the
+        // prompt is created when the round starts, before players can be eliminated during the action phase
+        return player.eliminated || this.playersDone[player.name];
     }
 
     public override continue() {
@@ -123,7 +125,7 @@ export class ResourcePrompt extends AllPlayerPrompt {
     }
 
     public override complete() {
-        this.game.getPlayers().forEach((player) => this.resourceSelectedCards(player));
+        this.game.getRemainingPlayers().forEach((player) => this.resourceSelectedCards(player));
 
         return super.complete();
     }
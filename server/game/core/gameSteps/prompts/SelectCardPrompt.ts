@@ -145,7 +145,9 @@ export class SelectCardPrompt extends UiPrompt {
 
     protected override highlightSelectableCards() {
         this.choosingPlayer.setSelectableCards(this.selector.findPossibleCards(this.context).filter((card) => this.checkCardCondition(card)));
-        this.choosingPlayer.opponent.setSelectableCards([]);
+        for (const opponent of this.choosingPlayer.opponents) {
+            opponent.setSelectableCards([]);
+        }
     }
 
     public override activeCondition(player) {
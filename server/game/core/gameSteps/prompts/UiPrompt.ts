@@ -1,4 +1,3 @@
-import { v1 as uuid } from 'uuid';
 import type Player from '../../Player';
 import { BaseStep } from '../BaseStep';
 import * as Contract from '../../utils/Contract';
@@ -9,17 +8,18 @@ import type Game from '../../Game';
 
 export abstract class UiPrompt extends BaseStep {
     public completed = false;
-    public uuid = uuid();
+    public uuid: string;
 
     public constructor(game: Game) {
         super(game);
 
+        this.uuid = game.generateUuid();
         this.clearPrompts();
     }
 
     public abstract activePrompt(player: Player): IPlayerPromptStateProperties;
 
-    public abstract menuCommand(player: Player, arg: string, uuid: string): boolean;
+    public abstract menuCommand(player: Player, arg: string | number, uuid: string): boolean;
 
     public override continue(): boolean {
         const completed = this.isComplete();
@@ -41,7 +41,7 @@ export abstract class UiPrompt extends BaseStep {
         this.completed = true;
     }
 
-    public override onMenuCommand(player: Player, arg: string, uuid: string, method: string): boolean {
+    public override onMenuCommand(player: Player, arg: string | number, uuid: string, method: string): boolean {
         this.checkPlayerAndUuid(player, uuid);
         return this.menuCommand(player, arg, uuid);
     }
@@ -51,16 +51,22 @@ export abstract class UiPrompt extends BaseStep {
     }
 
     public setPrompt(): void {
+        const activePlayers = this.game.getPlayers().filter((player) => this.activeCondition(player));
+
         for (const player of this.game.getPlayers()) {
-            if (this.activeCondition(player)) {
+            if (activePlayers.includes(player)) {
                 player.setPrompt(this.addButtonDefaultsToPrompt(this.activePrompt(player)));
-                player.startClock();
             } else {
                 player.setPrompt(this.waitingPrompt());
                 player.resetClock();
             }
         }
 
+        // active clocks are started after the waiting players' clocks are reset, since starting a clock can also start the opponent's (e.g. hourglass)
+        for (const player of activePlayers) {
+            player.startClock();
+        }
+
         this.highlightSelectableCards();
     }
 
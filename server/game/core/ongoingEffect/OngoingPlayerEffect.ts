@@ -26,7 +26,7 @@ export class OngoingPlayerEffect extends OngoingEffect {
             return false;
         }
 
-        if (this.targetController === RelativePlayer.Self && target === this.source.controller.opponent) {
+        if (this.targetController === RelativePlayer.Self && target !== this.source.controller) {
             return false;
         } else if (this.targetController === RelativePlayer.Opponent && target === this.source.controller) {
             return false;
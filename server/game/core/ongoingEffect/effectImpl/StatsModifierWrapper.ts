@@ -54,16 +54,26 @@ export default class StatsModifierWrapper {
     }
 
     public static fromPrintedValues(card: Card, overrides = false) {
+        // upgrades use their printed upgrade values, which differ from the printed unit values for pilots
+        if (card.isUpgrade()) {
+            return new this({
+                hp: card.printedUpgradeHp,
+                power: card.printedUpgradePower
+            },
+            `${card.name} bonus`,
+            overrides,
+            this.getCardType(card)
+            );
+        }
+
         Contract.assertHasProperty(card, 'printedHp');
         Contract.assertHasProperty(card, 'printedPower');
 
-        const description = card.isUpgrade() ? `${card.name} bonus` : `${card.name} base`;
-
         return new this({
             hp: card.printedHp,
             power: card.printedPower
         },
-        description,
+        `${card.name} base`,
         overrides,
         this.getCardType(card)
         );
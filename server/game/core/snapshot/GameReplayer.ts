@@ -0,0 +1,131 @@
+import Game from '../Game';
+import * as Contract from '../utils/Contract';
+import { Deck } from '../../../utils/deck/Deck';
+import { gameStateMatches } from './GameSnapshotBuilder';
+import type { IGameInputLog, IGameRestoreProperties, IGameStateSnapshot, IPlayerInputSnapshot } from './SnapshotInterfaces';
+
+/**
+ * Re-runs the input log of a game through a fresh {@link Game}, either all at once or step by step for reviewing the game.
+ * Since all randomness is derived from the logged seed, the replayed game goes through exactly the same states as the original.
+ */
+export class GameReplayer {
+    /** Sets up a new game with the settings, decks and seed from the log, ready to replay the first input */
+    public static async createAsync(inputLog: IGameInputLog, properties: IGameRestoreProperties): Promise<GameReplayer> {
+        const game = new Game({
+            ...inputLog.settings,
+            randomSeed: inputLog.randomSeed,
+            playableCardTitles: properties.playableCardTitles,
+            cardDataGetter: properties.cardDataGetter
+        }, { router: properties.router });
+
+        game.started = true;
+        for (const [playerId, decklist] of Object.entries(inputLog.decklists)) {
+            game.selectDeck(playerId, new Deck(decklist, properties.cardDataGetter));
+        }
+
+        game.initialiseTokens(properties.tokenCardsData);
+
+        // a game restored from a recorded state only replays the inputs given after that state
+        const startingState = inputLog.startingState;
+        if (startingState) {
+            Contract.assertTrue(startingState.inputCount <= inputLog.inputHistory.length, 'The starting state of the input log is after its last input');
+            game.inputHistory.push(...structuredClone(inputLog.inputHistory.slice(0, startingState.inputCount)));
+        }
+
+        await game.initialiseAsync(startingState ?? null);
+
+        return new GameReplayer(game, inputLog, startingState?.inputCount ?? 0);
+    }
+
+    private inputErrors = 0;
+
+    private constructor(
+        public readonly game: Game,
+        private readonly inputLog: IGameInputLog,
+        private nextInputIndex: number
+    ) {}
+
+    public get isComplete(): boolean {
+        return this.nextInputIndex >= this.inputLog.inputHistory.length;
+    }
+
+    public get inputsReplayed(): number {
+        return this.nextInputIndex;
+    }
+
+    /** Number of replayed inputs that threw an error. Any errors mean that the replay may have diverged from the original game */
+    public get inputErrorCount(): number {
+        return this.inputErrors;
+    }
+
+    /**
+     * Replays the next logged input
+     * @returns the input that was replayed, or null if all inputs have already been replayed
+     */
+    public stepInput(): IPlayerInputSnapshot | null {
+        if (this.isComplete) {
+            return null;
+        }
+
+        const input = this.inputLog.inputHistory[this.nextInputIndex];
+        this.nextInputIndex++;
+
+        Contract.assertTrue(typeof this.game[input.command] === 'function', `Unknown game command '${input.command}' in input log`);
+
+        const historyLength = this.game.inputHistory.length;
+
+        // inputs that errored in the original game were reported at the time, so here we just count the error and continue like the lobby did
+        try {
+            this.game[input.command](input.playerId, ...input.args);
+            this.game.continue();
+        } catch {
+            this.inputErrors++;
+        }
+
+        // keep the original timestamp so that the replayed game's input log matches the original
+        if (this.game.inputHistory.length > historyLength) {
+            this.game.inputHistory[historyLength].timestamp = input.timestamp;
+        }
+
+        return input;
+    }
+
+    /**
+     * Replays inputs until the next action window is opened, i.e. until the result of the current action is visible
+     * @returns the inputs that were replayed
+     */
+    public stepAction(): IPlayerInputSnapshot[] {
+        const startingActionWindow = this.game.currentActionWindow;
+        return this.stepWhile(() => this.game.currentActionWindow == null || this.game.currentActionWindow === startingActionWindow);
+    }
+
+    /**
+     * Replays inputs until the start of the given round
+     * @returns the inputs that were replayed
+     */
+    public stepToRound(roundNumber: number): IPlayerInputSnapshot[] {
+        return this.stepWhile(() => this.game.roundNumber < roundNumber);
+    }
+
+    /**
+     * Replays all remaining inputs
+     * @returns the inputs that were replayed
+     */
+    public stepToEnd(): IPlayerInputSnapshot[] {
+        return this.stepWhile(() => true);
+    }
+
+    /** Checks whether the current state of the replayed game matches a state recorded in the original game */
+    public stateMatches(state: IGameStateSnapshot): boolean {
+        return gameStateMatches(this.game, state);
+    }
+
+    private stepWhile(condition: () => boolean): IPlayerInputSnapshot[] {
+        const replayedInputs: IPlayerInputSnapshot[] = [];
+        while (!this.isComplete && condition()) {
+            replayedInputs.push(this.stepInput());
+        }
+
+        return replayedInputs;
+    }
+}
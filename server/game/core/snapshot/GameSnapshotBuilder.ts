@@ -0,0 +1,243 @@
+import { isDeepStrictEqual } from 'util';
+import type Game from '../Game';
+import type Player from '../Player';
+import { Duration } from '../Constants';
+import { GameObject } from '../GameObject';
+import * as Contract from '../utils/Contract';
+import type { IDecklistInternal } from '../../../utils/deck/DeckInterfaces';
+import type { IClockSnapshot } from '../clocks/IClock';
+import type { OngoingEffect } from '../ongoingEffect/OngoingEffect';
+import { OngoingPlayerEffect } from '../ongoingEffect/OngoingPlayerEffect';
+import StaticOngoingEffectImpl from '../ongoingEffect/effectImpl/StaticOngoingEffectImpl';
+import { OngoingEffectValueWrapper } from '../ongoingEffect/effectImpl/OngoingEffectValueWrapper';
+import { Restriction } from '../ongoingEffect/effectImpl/Restriction';
+import { KeywordInstance, KeywordWithNumericValue } from '../ability/KeywordInstance';
+import type {
+    IActionWindowSnapshot,
+    IGameInputLog,
+    IGameSnapshot,
+    IGameStateSnapshot,
+    ILastingEffectSnapshot,
+    ILastingEffectValueSnapshot,
+    IPlayerStateSnapshot
+} from './SnapshotInterfaces';
+
+/**
+ * Builds a serializable snapshot of the game, containing everything needed to rebuild it with
+ * {@link restoreGameFromSnapshotAsync} as well as the current state for verifying the result.
+ */
+export function buildGameSnapshot(game: Game): IGameSnapshot {
+    const snapshot: IGameSnapshot = {
+        ...buildGameInputLog(game),
+        state: serializeGameState(game)
+    };
+
+    if (game.resumableState) {
+        // if no inputs were given since, the game is still waiting in the same action window and the current state is more up to date
+        const { inputCount, state } = game.resumableState;
+        snapshot.resumableState = inputCount === game.inputHistory.length
+            ? { inputCount, randomGeneratorState: state.randomGeneratorState, uuidGeneratorState: state.uuidGeneratorState }
+            : structuredClone(game.resumableState);
+    }
+
+    return snapshot;
+}
+
+/**
+ * Builds the log of the game's setup and all player inputs so far, from which the game can be rebuilt
+ * with {@link rebuildGameFromInputLogAsync}
+ */
+export function buildGameInputLog(game: Game): IGameInputLog {
+    Contract.assertTrue(game.playStarted, 'Cannot build the input log of a game that has not started');
+
+    const decklists: Record<string, IDecklistInternal> = {};
+    const clocks: Record<string, IClockSnapshot> = {};
+    for (const player of game.getPlayers()) {
+        Contract.assertNotNullLike(player.decklistNames, `Player ${player.name} has no deck selected`);
+        decklists[player.id] = player.decklistNames.getDecklist();
+        clocks[player.id] = player.clock.getSnapshot();
+    }
+
+    return {
+        randomSeed: game.randomSeed,
+        settings: structuredClone(game.settingsSnapshot),
+        decklists,
+        inputHistory: structuredClone(game.inputHistory),
+        clocks,
+        ...(game.startingState && { startingState: structuredClone(game.startingState) })
+    };
+}
+
+/**
+ * Serializes the current game state. Two games that have been given the same inputs
+ * will produce identical serialized states.
+ */
+export function serializeGameState(game: Game): IGameStateSnapshot {
+    const stateWatchers: Record<string, any> = {};
+    for (const [watcherKey, value] of game.stateWatcherRegistrar.getAllStateValues()) {
+        stateWatchers[watcherKey] = toSnapshotValue(value);
+    }
+
+    return {
+        roundNumber: game.roundNumber,
+        currentPhase: game.currentPhase,
+        initiativePlayer: game.initiativePlayer?.id ?? null,
+        isInitiativeClaimed: game.isInitiativeClaimed,
+        isBlastClaimed: game.isBlastClaimed,
+        isPlanClaimed: game.isPlanClaimed,
+        actionPhaseActivePlayer: game.actionPhaseActivePlayer?.id ?? null,
+        actionWindow: serializeActionWindow(game),
+        winner: game.winner ?? null,
+        gameEndReason: game.gameEndReason ?? null,
+        players: game.getPlayers().map((player) => serializePlayerState(player)),
+        groundArena: game.groundArena.cards.map((card) => card.uuid),
+        spaceArena: game.spaceArena.cards.map((card) => card.uuid),
+        cards: game.allCards.map((card) => card.getStateSnapshot()),
+        lastingEffects: serializeLastingEffects(game),
+        stateWatchers,
+        randomGeneratorState: game.randomGenerator.state(),
+        uuidGeneratorState: game.uuidGenerator.state()
+    };
+}
+
+/** Checks whether the current state of the game is the same as the serialized state from a snapshot */
+export function gameStateMatches(game: Game, state: IGameStateSnapshot): boolean {
+    // round-trip through JSON so that a state that was read back from a file compares equal
+    return isDeepStrictEqual(JSON.parse(JSON.stringify(serializeGameState(game))), JSON.parse(JSON.stringify(state)));
+}
+
+function serializePlayerState(player: Player): IPlayerStateSnapshot {
+    return {
+        id: player.id,
+        uuid: player.uuid,
+        name: player.name,
+        passedActionPhase: player.passedActionPhase,
+        eliminated: player.eliminated,
+        base: player.base.uuid,
+        leader: player.leader.uuid,
+        secondLeader: player.secondLeader?.uuid ?? null,
+        zones: {
+            hand: player.handZone.cards.map((card) => card.uuid),
+            deck: player.deckZone.cards.map((card) => card.uuid),
+            discard: player.discardZone.cards.map((card) => card.uuid),
+            resources: player.resourceZone.cards.map((card) => card.uuid),
+            outsideTheGame: player.outsideTheGameZone.cards.map((card) => card.uuid)
+        },
+        promptState: toSnapshotValue(player.promptState.getState())
+    };
+}
+
+function serializeActionWindow(game: Game): IActionWindowSnapshot | null {
+    const actionWindow = game.currentActionWindow;
+    if (actionWindow == null) {
+        return null;
+    }
+
+    return {
+        uuid: actionWindow.uuid,
+        activePlayer: actionWindow.activePlayer.id,
+        consecutivelyPassedPlayers: Array.from<Player>(actionWindow.consecutivelyPassedPlayers).map((player) => player.id)
+    };
+}
+
+function serializeLastingEffects(game: Game): ILastingEffectSnapshot[] {
+    // persistent effects come from constant abilities and are rebuilt from card state, so only lasting effects are stored
+    return game.ongoingEffectEngine.effects
+        .filter((effect) => effect.duration !== Duration.Persistent)
+        .map((effect) => {
+            const value = serializeLastingEffectValue(effect);
+            return {
+                source: effect.source.uuid,
+                duration: effect.duration,
+                type: effect.impl.type,
+                targets: effect.targets.map((target) => target.uuid),
+                ...(value && { value })
+            };
+        });
+}
+
+/**
+ * Stores the value of a lasting effect if the effect can be rebuilt from it, see {@link ILastingEffectValueSnapshot}.
+ * Card effects must apply to specific cards, since a function matching the targets can't be stored.
+ */
+function serializeLastingEffectValue(effect: OngoingEffect): ILastingEffectValueSnapshot | undefined {
+    if (
+        effect.duration === Duration.Custom ||
+        effect.impl.isConditional ||
+        (typeof effect.matchTarget === 'function' && !(effect instanceof OngoingPlayerEffect)) ||
+        !(effect.impl instanceof StaticOngoingEffectImpl)
+    ) {
+        return undefined;
+    }
+
+    const valueWrapper = effect.impl.valueWrapper;
+    if (valueWrapper instanceof Restriction) {
+        const hasConditions = valueWrapper.restrictedActionCondition != null || valueWrapper.applyingPlayer != null || valueWrapper.params != null;
+        return hasConditions ? undefined : { restriction: valueWrapper.type };
+    }
+
+    // other wrappers (gained abilities, lost keywords, etc.) hold references into the game
+    if (valueWrapper.constructor !== OngoingEffectValueWrapper) {
+        return undefined;
+    }
+
+    const value = valueWrapper.value;
+    if (value instanceof KeywordWithNumericValue) {
+        return { keyword: value.name, amount: value.value };
+    }
+    if (value instanceof KeywordInstance) {
+        return value.constructor === KeywordInstance ? { keyword: value.name } : undefined;
+    }
+
+    return isPlainData(value) ? { data: value } : undefined;
+}
+
+/** Checks that a value only holds JSON-compatible data, so that it is unchanged by storing it */
+function isPlainData(value: any): boolean {
+    if (value == null || ['string', 'number', 'boolean'].includes(typeof value)) {
+        return true;
+    }
+    if (Array.isArray(value)) {
+        return value.every((item) => isPlainData(item));
+    }
+
+    return typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype && Object.values(value).every((item) => isPlainData(item));
+}
+
+/**
+ * Converts a value to plain JSON-compatible data, replacing any {@link GameObject} with a reference to its uuid.
+ * Other class instances (events, contexts, etc.) are reduced to their uuid if they have one and otherwise to their class name,
+ * since they can hold references back into the whole game.
+ */
+function toSnapshotValue(value: any): any {
+    if (value == null || typeof value !== 'object') {
+        return typeof value === 'function' ? undefined : value;
+    }
+
+    if (value instanceof GameObject) {
+        return { uuid: value.uuid };
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((item) => toSnapshotValue(item));
+    }
+
+    if (value instanceof Map) {
+        return Array.from(value.entries()).map(([key, item]) => [toSnapshotValue(key), toSnapshotValue(item)]);
+    }
+
+    if (value instanceof Set) {
+        return Array.from(value).map((item) => toSnapshotValue(item));
+    }
+
+    if (Object.getPrototypeOf(value) !== Object.prototype) {
+        return typeof value.uuid === 'string' ? { uuid: value.uuid } : { type: value.constructor?.name };
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = toSnapshotValue(item);
+    }
+
+    return result;
+}
@@ -0,0 +1,64 @@
+import type Game from '../Game';
+import { logger } from '../../../logger';
+import { gameStateMatches } from './GameSnapshotBuilder';
+import { GameReplayer } from './GameReplayer';
+import type { IGameInputLog, IGameRestoreProperties, IGameSnapshot } from './SnapshotInterfaces';
+
+/**
+ * Rebuilds a running {@link Game} from a snapshot taken with {@link Game.getSnapshot}.
+ *
+ * Since all randomness is derived from the seed, replaying the snapshot's input log normally reproduces
+ * the original game exactly, which is checked against the snapshot state. If it doesn't (e.g. the state was modified
+ * directly instead of through player inputs, or the engine changed since the snapshot was taken), the game is instead
+ * restored from the last state recorded at an action window and only the inputs given after it are replayed.
+ */
+export async function restoreGameFromSnapshotAsync(snapshot: IGameSnapshot, properties: IGameRestoreProperties): Promise<Game> {
+    let replayError: unknown = null;
+    try {
+        const game = await rebuildGameFromInputLogAsync(snapshot, properties);
+        if (gameStateMatches(game, snapshot.state)) {
+            return game;
+        }
+    } catch (error) {
+        replayError = error;
+    }
+
+    const resumableState = snapshot.resumableState;
+    if (!resumableState) {
+        throw replayError ?? new Error(`Game state restored from snapshot for game ${snapshot.settings.id} does not match the state recorded in the snapshot`);
+    }
+
+    logger.warn(
+        `Replaying the inputs of game ${snapshot.settings.id} did not reach the state recorded in the snapshot${replayError ? ` (${replayError})` : ''}, ` +
+        `restoring it from the state recorded after input ${resumableState.inputCount}`
+    );
+
+    return rebuildGameFromInputLogAsync({
+        ...snapshot,
+        startingState: 'state' in resumableState
+            ? resumableState
+            : {
+                inputCount: resumableState.inputCount,
+                state: { ...snapshot.state, randomGeneratorState: resumableState.randomGeneratorState, uuidGeneratorState: resumableState.uuidGeneratorState }
+            }
+    }, properties);
+}
+
+/**
+ * Sets up a new {@link Game} with the same settings, decks and random seed as the logged game
+ * and then replays all of the logged player inputs in order. The players' clocks are then set from the log,
+ * so that rebuilding the game (e.g. for an undo) doesn't give back the time they used.
+ */
+export async function rebuildGameFromInputLogAsync(inputLog: IGameInputLog, properties: IGameRestoreProperties): Promise<Game> {
+    const replayer = await GameReplayer.createAsync(inputLog, properties);
+    replayer.stepToEnd();
+
+    for (const player of replayer.game.getPlayers()) {
+        const clockSnapshot = inputLog.clocks?.[player.id];
+        if (clockSnapshot) {
+            player.clock.restoreSnapshot(clockSnapshot);
+        }
+    }
+
+    return replayer.game;
+}
@@ -0,0 +1,265 @@
+import type Game from '../Game';
+import type Player from '../Player';
+import { Card } from '../card/Card';
+import type { IUpgradeCard } from '../card/UpgradeCard';
+import type { PlayableOrDeployableCard } from '../card/baseClasses/PlayableOrDeployableCard';
+import type { Arena } from '../Constants';
+import { DeckZoneDestination, PhaseName, WildcardZoneName, ZoneName } from '../Constants';
+import type { GameObject } from '../GameObject';
+import * as Contract from '../utils/Contract';
+import { OngoingEffectBuilder } from '../ongoingEffect/OngoingEffectBuilder';
+import { Restriction } from '../ongoingEffect/effectImpl/Restriction';
+import { KeywordInstance, KeywordWithNumericValue } from '../ability/KeywordInstance';
+import type { ICardStateSnapshot, IGameStateSnapshot, ILastingEffectSnapshot, ILastingEffectValueSnapshot } from './SnapshotInterfaces';
+
+/**
+ * Sets up a newly initialised game, whose cards are created but whose pipeline hasn't started, to match a state
+ * recorded at an action window (see {@link Game.recordResumableState}) and continues the round from that window.
+ *
+ * This is used when replaying the recorded inputs doesn't reach the recorded state, e.g. because the state was
+ * changed outside of the player inputs or because the engine changed since the game was played.
+ * Lasting effects whose value wasn't stored (see {@link ILastingEffectValueSnapshot}) can't be rebuilt and are left out.
+ */
+export function restoreGameState(game: Game, state: IGameStateSnapshot): void {
+    Contract.assertTrue(
+        state.currentPhase === PhaseName.Action && state.actionWindow != null && state.winner == null,
+        'A game can only be restored from a state recorded at an action window of a game in progress'
+    );
+
+    const cardsByUuid = matchCards(game, state.cards);
+    placeCards(game, state, cardsByUuid);
+
+    for (const cardState of state.cards) {
+        cardsByUuid.get(cardState.uuid).restoreStateSnapshot(cardState);
+    }
+
+    const gameObjectsByUuid = new Map<string, Card | Player>(cardsByUuid);
+    for (const playerState of state.players) {
+        const player = game.getPlayerById(playerState.id);
+        player.passedActionPhase = playerState.passedActionPhase;
+        player.eliminated = playerState.eliminated;
+        gameObjectsByUuid.set(playerState.uuid, player);
+    }
+
+    game.roundNumber = state.roundNumber;
+    game.currentPhase = state.currentPhase;
+    game.initiativePlayer = game.getPlayerById(state.initiativePlayer);
+    game.isInitiativeClaimed = state.isInitiativeClaimed;
+    game.isBlastClaimed = state.isBlastClaimed;
+    game.isPlanClaimed = state.isPlanClaimed;
+    game.actionPhaseActivePlayer = game.getPlayerById(state.actionPhaseActivePlayer);
+
+    restoreLastingEffects(state.lastingEffects, gameObjectsByUuid);
+    restoreStateWatchers(game, state.stateWatchers, gameObjectsByUuid);
+
+    game.resolveGameState(true);
+
+    game.resumeRoundAtActionWindow({
+        uuid: state.actionWindow.uuid,
+        consecutivelyPassedPlayers: state.actionWindow.consecutivelyPassedPlayers.map((playerId) => game.getPlayerById(playerId))
+    });
+
+    // setting up the game used the generators, so they are set last
+    game.restoreRandomGeneratorStates(state.randomGeneratorState, state.uuidGeneratorState);
+}
+
+/**
+ * Finds the card for each card in the recorded state and gives it the recorded uuid.
+ * Cards are matched by uuid if the engine still creates them in the same order and otherwise by owner and card id.
+ * Tokens that were created during the recorded game are created again.
+ */
+function matchCards(game: Game, cardStates: ICardStateSnapshot[]): Map<string, Card> {
+    const cardsByUuid = new Map<string, Card>();
+    const unmatchedCards = new Set(game.allCards);
+    const unmatchedCardStates: ICardStateSnapshot[] = [];
+
+    const gameCardsByUuid = new Map(game.allCards.map((card) => [card.uuid, card]));
+    for (const cardState of cardStates) {
+        const card = gameCardsByUuid.get(cardState.uuid);
+        if (card && card.id === cardState.id && card.owner.id === cardState.owner) {
+            cardsByUuid.set(cardState.uuid, card);
+            unmatchedCards.delete(card);
+        } else {
+            unmatchedCardStates.push(cardState);
+        }
+    }
+
+    for (const cardState of unmatchedCardStates) {
+        let card = Array.from(unmatchedCards).find((unmatchedCard) => unmatchedCard.id === cardState.id && unmatchedCard.owner.id === cardState.owner);
+        if (card) {
+            unmatchedCards.delete(card);
+        } else {
+            const tokenName = game.tokenNamesByCardId.get(cardState.id);
+            Contract.assertNotNullLike(tokenName, `Card ${cardState.internalName} (${cardState.uuid}) from the recorded state is not in the game`);
+            card = game.generateToken(game.getPlayerById(cardState.owner), tokenName);
+        }
+
+        card.uuid = cardState.uuid;
+        cardsByUuid.set(cardState.uuid, card);
+    }
+
+    return cardsByUuid;
+}
+
+/**
+ * Moves the cards to their recorded zones, in the recorded order. In a newly initialised game
+ * the cards that aren't leaders or bases are all in the decks, so the decks are put in order last.
+ */
+function placeCards(game: Game, state: IGameStateSnapshot, cardsByUuid: Map<string, Card>): void {
+    const cardStatesByUuid = new Map(state.cards.map((cardState) => [cardState.uuid, cardState]));
+    const getCard = (uuid: string) => {
+        const card = cardsByUuid.get(uuid);
+        Contract.assertNotNullLike(card, `Card ${uuid} is in a zone of the recorded state but is not in its card list`);
+        return card;
+    };
+    const takeControlIfNeeded = (card: Card, cardState: ICardStateSnapshot) => {
+        if (card.controller.id !== cardState.controller) {
+            (card as PlayableOrDeployableCard).takeControl(game.getPlayerById(cardState.controller));
+        }
+    };
+
+    const placedCards = new Set<Card>();
+    const upgradesToAttach: Card[] = [];
+    const attachUpgrade = (upgrade: Card) => {
+        const upgradeState = cardStatesByUuid.get(upgrade.uuid);
+        const parentCard = getCard(upgradeState.parentCard);
+        Contract.assertTrue(parentCard.isUnit());
+
+        // a unit played with Piloting is attached the same way as an upgrade
+        (upgrade as IUpgradeCard).attachTo(parentCard, game.getPlayerById(upgradeState.controller));
+        placedCards.add(upgrade);
+    };
+
+    const placeInArena = (uuid: string, arena: Arena) => {
+        const card = getCard(uuid);
+        const cardState = cardStatesByUuid.get(uuid);
+
+        if (cardState.parentCard != null) {
+            if (placedCards.has(getCard(cardState.parentCard))) {
+                attachUpgrade(card);
+            } else {
+                upgradesToAttach.push(card);
+            }
+            return;
+        }
+
+        if (card.isDeployableLeader() && cardState.deployed) {
+            card.deploy();
+        } else {
+            card.moveTo(arena);
+        }
+        takeControlIfNeeded(card, cardState);
+        placedCards.add(card);
+    };
+
+    state.groundArena.forEach((uuid) => placeInArena(uuid, ZoneName.GroundArena));
+    state.spaceArena.forEach((uuid) => placeInArena(uuid, ZoneName.SpaceArena));
+
+    // an upgrade that was moved to another unit can come before its new parent
+    while (upgradesToAttach.length > 0) {
+        const upgradeIndex = upgradesToAttach.findIndex((upgrade) => placedCards.has(getCard(cardStatesByUuid.get(upgrade.uuid).parentCard)));
+        Contract.assertTrue(upgradeIndex >= 0, 'An upgrade in the recorded state is not attached to a unit in the arena');
+        attachUpgrade(upgradesToAttach.splice(upgradeIndex, 1)[0]);
+    }
+
+    for (const cardState of state.cards) {
+        const captor = cardsByUuid.get(cardState.uuid);
+        for (const capturedUuid of cardState.capturedUnits ?? []) {
+            const capturedUnit = getCard(capturedUuid);
+            Contract.assertTrue(captor.isUnit() && capturedUnit.isUnit());
+            capturedUnit.moveToCaptureZone(captor.captureZone);
+        }
+    }
+
+    for (const playerState of state.players) {
+        for (const uuid of playerState.zones.resources) {
+            const card = getCard(uuid);
+            card.moveTo(ZoneName.Resource);
+            takeControlIfNeeded(card, cardStatesByUuid.get(uuid));
+        }
+
+        playerState.zones.hand.forEach((uuid) => getCard(uuid).moveTo(ZoneName.Hand));
+        playerState.zones.discard.forEach((uuid) => getCard(uuid).moveTo(ZoneName.Discard));
+        playerState.zones.outsideTheGame.forEach((uuid) => getCard(uuid).moveTo(ZoneName.OutsideTheGame));
+    }
+
+    for (const playerState of state.players) {
+        playerState.zones.deck.forEach((uuid) => getCard(uuid).moveTo(DeckZoneDestination.DeckBottom));
+    }
+}
+
+function restoreLastingEffects(lastingEffects: ILastingEffectSnapshot[], gameObjectsByUuid: Map<string, Card | Player>): void {
+    for (const lastingEffect of lastingEffects) {
+        const source = gameObjectsByUuid.get(lastingEffect.source);
+        const targets = lastingEffect.targets.map((uuid) => gameObjectsByUuid.get(uuid));
+        if (lastingEffect.value == null || !(source instanceof Card) || targets.some((target) => target == null)) {
+            continue;
+        }
+
+        const effectValue = buildLastingEffectValue(lastingEffect.value);
+
+        // each target gets its own effect, like a lasting effect applied to a single card or player
+        for (const target of targets) {
+            source.addEffectToEngine(target instanceof Card
+                ? {
+                    duration: lastingEffect.duration,
+                    zoneFilter: WildcardZoneName.Any,
+                    matchTarget: target,
+                    isLastingEffect: true,
+                    ongoingEffect: OngoingEffectBuilder.card.static(lastingEffect.type, effectValue)
+                }
+                : {
+                    duration: lastingEffect.duration,
+                    zoneFilter: WildcardZoneName.Any,
+                    targetController: target,
+                    ongoingEffect: OngoingEffectBuilder.player.static(lastingEffect.type, effectValue)
+                });
+        }
+    }
+}
+
+function buildLastingEffectValue(value: ILastingEffectValueSnapshot) {
+    if ('restriction' in value) {
+        return new Restriction(value.restriction);
+    }
+    if ('keyword' in value) {
+        return value.amount == null ? new KeywordInstance(value.keyword) : new KeywordWithNumericValue(value.keyword, value.amount);
+    }
+
+    return structuredClone(value.data);
+}
+
+function restoreStateWatchers(game: Game, stateWatchers: Record<string, any>, gameObjectsByUuid: Map<string, GameObject>): void {
+    for (const [watcherKey, value] of Object.entries(stateWatchers)) {
+        // watchers are registered by the cards' abilities, so a watcher of a card that changed since may not exist
+        if (game.stateWatcherRegistrar.isRegistered(watcherKey)) {
+            game.stateWatcherRegistrar.setStateValue(watcherKey, fromSnapshotValue(value, gameObjectsByUuid));
+        }
+    }
+}
+
+/**
+ * Reverses the conversion done for the recorded state, replacing references to cards and players with the objects.
+ * References to other objects (e.g. events) can't be resolved and are kept as they are.
+ */
+function fromSnapshotValue(value: any, gameObjectsByUuid: Map<string, GameObject>): any {
+    if (value == null || typeof value !== 'object') {
+        return value;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((item) => fromSnapshotValue(item, gameObjectsByUuid));
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length === 1 && typeof value.uuid === 'string') {
+        return gameObjectsByUuid.get(value.uuid) ?? value;
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = fromSnapshotValue(item, gameObjectsByUuid);
+    }
+
+    return result;
+}
@@ -0,0 +1,210 @@
+import type { IDecklistInternal } from '../../../utils/deck/DeckInterfaces';
+import type { CardDataGetter, ITokenCardsData } from '../../../utils/cardData/CardDataGetter';
+import type { Duration, EffectName, KeywordName, PhaseName, ZoneName } from '../Constants';
+import type { ClockConfig } from '../clocks/ClockSelector';
+import type { IClockSnapshot } from '../clocks/IClock';
+import type { SwuGameFormat } from '../../../SwuGameFormat';
+
+/** Reference to a {@link GameObject} (card, player, etc.) by its uuid, used in place of object references in a snapshot */
+export interface IGameObjectReference {
+    uuid: string;
+}
+
+export interface IGameSettingsSnapshot {
+    id: string;
+    name: string;
+    allowSpectators: boolean;
+    spectatorSquelch: boolean;
+    owner: string;
+    clocks?: ClockConfig;
+    gameMode: any;
+    initiativeChooserId?: string;
+    format?: SwuGameFormat;
+    players: { user: any }[];
+}
+
+/** A single state-changing input received from a player, stored so that it can be replayed in order */
+export interface IPlayerInputSnapshot {
+
+    /** Name of the {@link Game} method that handled the input, e.g. 'cardClicked' */
+    command: string;
+    playerId: string;
+    args: any[];
+
+    /** ISO timestamp of when the input was received */
+    timestamp: string;
+}
+
+export interface ICardStateSnapshot {
+    uuid: string;
+    id: string;
+    internalName: string;
+    owner: string;
+    controller: string;
+    zone: ZoneName;
+    exhausted?: boolean;
+    damage?: number;
+
+    /** Uuids of the upgrades attached to this unit */
+    upgrades?: string[];
+
+    /** Uuids of the units captured by this unit */
+    capturedUnits?: string[];
+
+    /** Uuid of the unit that this upgrade is attached to */
+    parentCard?: string;
+    deployed?: boolean;
+    onStartingSide?: boolean;
+
+    /** Counts the times the card has entered play, which state watchers use to tell its separate times in play apart */
+    inPlayId?: number;
+    epicActionSpent?: boolean;
+}
+
+/**
+ * Value of a lasting effect, stored only for effects whose value is plain data, a keyword or a restriction without conditions.
+ * Other values (e.g. gained abilities) hold functions, so those effects can only be rebuilt by replaying the player inputs.
+ */
+export type ILastingEffectValueSnapshot =
+  | { data: any }
+  | { keyword: KeywordName; amount?: number }
+  | { restriction: string };
+
+export interface ILastingEffectSnapshot {
+
+    /** Uuid of the card that created the effect */
+    source: string;
+    duration: Duration;
+    type: EffectName;
+
+    /** Uuids of the cards / players currently affected */
+    targets: string[];
+
+    /** Missing if the effect can't be restored from the state, see {@link ILastingEffectValueSnapshot} */
+    value?: ILastingEffectValueSnapshot;
+}
+
+/** The action window that is open in the action phase */
+export interface IActionWindowSnapshot {
+
+    /** Uuid of the window's prompt, which the recorded inputs refer to */
+    uuid: string;
+    activePlayer: string;
+
+    /** Ids of the players who passed in a row since the last action was taken */
+    consecutivelyPassedPlayers: string[];
+}
+
+/** Internal state of a seeded random generator */
+export interface IRandomGeneratorState {
+    i: number;
+    j: number;
+    S: number[];
+}
+
+export interface IPlayerStateSnapshot {
+    id: string;
+    uuid: string;
+    name: string;
+    passedActionPhase: boolean;
+    eliminated: boolean;
+    base: string;
+    leader: string;
+    secondLeader: string | null;
+
+    /** Card uuids in each of the player's zones, in zone order */
+    zones: {
+        hand: string[];
+        deck: string[];
+        discard: string[];
+        resources: string[];
+        outsideTheGame: string[];
+    };
+
+    /** The prompt currently displayed to the player, if any */
+    promptState: Record<string, any>;
+}
+
+/**
+ * Serialized view of the game state. Used to verify that a restored game matches the game
+ * that the snapshot was taken from, and to restore the game if replaying its inputs doesn't reach this state.
+ */
+export interface IGameStateSnapshot {
+    roundNumber: number;
+    currentPhase: PhaseName | null;
+    initiativePlayer: string | null;
+    isInitiativeClaimed: boolean;
+    isBlastClaimed: boolean;
+    isPlanClaimed: boolean;
+    actionPhaseActivePlayer: string | null;
+    actionWindow: IActionWindowSnapshot | null;
+    winner: string[] | null;
+    gameEndReason: string | null;
+    players: IPlayerStateSnapshot[];
+    groundArena: string[];
+    spaceArena: string[];
+    cards: ICardStateSnapshot[];
+    lastingEffects: ILastingEffectSnapshot[];
+
+    /** Current value of each registered state watcher, with object references replaced by {@link IGameObjectReference} */
+    stateWatchers: Record<string, any>;
+    randomGeneratorState: IRandomGeneratorState;
+    uuidGeneratorState: IRandomGeneratorState;
+}
+
+/** A game state that play can be resumed from, recorded when an action window opened after `inputCount` player inputs */
+export interface IResumableGameState {
+    inputCount: number;
+    state: IGameStateSnapshot;
+}
+
+/**
+ * Everything needed to rebuild a {@link Game}: a new game is created with the same settings,
+ * decks and random seed and the recorded player inputs are replayed in order
+ */
+export interface IGameInputLog {
+    randomSeed: string;
+    settings: IGameSettingsSnapshot;
+
+    /** Decklist of each player, keyed by player id */
+    decklists: Record<string, IDecklistInternal>;
+    inputHistory: IPlayerInputSnapshot[];
+
+    /**
+     * Clock of each player when the log was built, keyed by player id. Replaying the inputs takes no time,
+     * so the clocks are set from this afterwards. Missing in logs saved before clocks were recorded.
+     */
+    clocks?: Record<string, IClockSnapshot>;
+
+    /**
+     * Set if the game was restored from a recorded state instead of being played from the start, see {@link restoreGameFromSnapshotAsync}.
+     * The game is then rebuilt from this state and only the inputs after it are replayed.
+     */
+    startingState?: IResumableGameState;
+}
+
+/**
+ * Serializable snapshot of a {@link Game}. After the game is rebuilt from the input log,
+ * the result is checked against the recorded `state`.
+ */
+export interface IGameSnapshot extends IGameInputLog {
+    state: IGameStateSnapshot;
+
+    /**
+     * The latest state that play can be resumed from if replaying the inputs doesn't reach `state` (e.g. after the engine or card data changed).
+     * If no inputs were given since it was recorded, `state` is used instead and only the random generator states are stored,
+     * since showing the action window's prompt has used the generators since.
+     * Missing if the snapshot was taken before the first action window.
+     */
+    resumableState?: IResumableGameState | (Pick<IGameStateSnapshot, 'randomGeneratorState' | 'uuidGeneratorState'> & { inputCount: number });
+}
+
+/** Shared data needed to build any {@link Game} from an input log */
+export interface IGameRestoreProperties {
+    cardDataGetter: CardDataGetter;
+    tokenCardsData: ITokenCardsData;
+    playableCardTitles: string[];
+
+    /** Receives error reports from the restored game, see {@link Game.reportError} */
+    router: object;
+}
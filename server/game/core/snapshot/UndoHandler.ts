@@ -0,0 +1,179 @@
+import type Game from '../Game';
+import type Player from '../Player';
+import { EventName } from '../Constants';
+
+/** Point in the game that can be rolled back to, identified by the number of player inputs received before it */
+export interface IUndoCheckpoint {
+    inputCount: number;
+
+    /** The player about to take an action when the checkpoint was created */
+    player: Player;
+    hiddenInformationRevealed: boolean;
+
+    /** Set once another player takes an action after the checkpoint, which rolling back would also undo */
+    playerWhoActedSince: Player | null;
+}
+
+interface IUndoRequest {
+    requestingPlayer: Player;
+    checkpoint: IUndoCheckpoint;
+
+    /** The opponents who have accepted the request so far */
+    acceptingPlayers: Set<Player>;
+}
+
+/**
+ * Tracks undo checkpoints for a {@link Game} and handles requests from a player to roll back their last action.
+ * A checkpoint is created before each top-level action in an action window. Rolling back requires the consent of
+ * every remaining opponent and is not allowed if any hidden information (draws, deck searches, etc.) was revealed since the checkpoint,
+ * or if another player has taken an action since then.
+ *
+ * Once a request is accepted, the owner of the game is responsible for replacing it with a game rebuilt from the
+ * input log up to {@link UndoHandler.acceptedCheckpoint}.
+ */
+export class UndoHandler {
+    private static readonly hiddenInformationEvents = [
+        EventName.OnCardRevealed,
+        EventName.OnCardsDrawn,
+        EventName.OnDeckSearch,
+        EventName.OnDiscardFromDeck,
+        EventName.OnLookAtCard,
+        EventName.OnLookMoveDeckCardsTopOrBottom
+    ];
+
+    private readonly checkpointsByPlayerId = new Map<string, IUndoCheckpoint>();
+    private latestCheckpoint: IUndoCheckpoint = null;
+    private pendingRequest: IUndoRequest = null;
+    private _acceptedCheckpoint: IUndoCheckpoint = null;
+
+    public get acceptedCheckpoint(): IUndoCheckpoint | null {
+        return this._acceptedCheckpoint;
+    }
+
+    public constructor(private readonly game: Game) {
+        for (const eventName of UndoHandler.hiddenInformationEvents) {
+            game.on(eventName, () => this.markHiddenInformationRevealed());
+        }
+    }
+
+    /** Creates a checkpoint for the player about to take an action, replacing their previous one */
+    public createCheckpoint(player: Player) {
+        this.markActionTaken();
+
+        this.latestCheckpoint = {
+            inputCount: this.game.inputHistory.length,
+            player,
+            hiddenInformationRevealed: false,
+            playerWhoActedSince: null
+        };
+        this.checkpointsByPlayerId.set(player.id, this.latestCheckpoint);
+    }
+
+    public requestUndo(player: Player) {
+        if (this.game.winner) {
+            return;
+        }
+
+        if (this.pendingRequest != null) {
+            this.game.addMessage('{0} cannot request an undo while another undo request is pending', player);
+            return;
+        }
+
+        const checkpoint = this.checkpointsByPlayerId.get(player.id);
+        if (checkpoint == null) {
+            this.game.addMessage('{0} has no action to undo', player);
+            return;
+        }
+
+        if (checkpoint.hiddenInformationRevealed) {
+            this.game.addMessage('{0} cannot undo their last action because hidden information has been revealed since then', player);
+            return;
+        }
+
+        this.markActionTaken();
+        if (checkpoint.playerWhoActedSince != null) {
+            this.game.addMessage('{0} cannot undo their last action because {1} has taken an action since then', player, checkpoint.playerWhoActedSince);
+            return;
+        }
+
+        this.pendingRequest = { requestingPlayer: player, checkpoint, acceptingPlayers: new Set() };
+        this.game.addAlert('warning', '{0} requests to undo their last action', player);
+    }
+
+    public respondToUndoRequest(player: Player, accept: boolean) {
+        if (!this.canRespond(player)) {
+            return;
+        }
+
+        if (!accept) {
+            this.game.addMessage('{0} declines the undo request', player);
+            this.pendingRequest = null;
+            return;
+        }
+
+        // players can keep acting while the request is pending
+        const { requestingPlayer, checkpoint, acceptingPlayers } = this.pendingRequest;
+        this.markActionTaken();
+        if (checkpoint.playerWhoActedSince != null) {
+            this.game.addMessage('The undo request from {0} is cancelled because {1} has taken an action since then', requestingPlayer, checkpoint.playerWhoActedSince);
+            this.pendingRequest = null;
+            return;
+        }
+
+        this.game.addAlert('warning', '{0} accepts the undo request', player);
+        acceptingPlayers.add(player);
+
+        // in Twin Suns, every remaining opponent has to accept
+        if (requestingPlayer.opponents.every((opponent) => acceptingPlayers.has(opponent))) {
+            this._acceptedCheckpoint = checkpoint;
+            this.pendingRequest = null;
+        }
+    }
+
+    public getState(activePlayer: Player | null) {
+        if (this.pendingRequest == null) {
+            return null;
+        }
+
+        return {
+            requestingPlayer: this.pendingRequest.requestingPlayer.name,
+            canRespond: this.canRespond(activePlayer)
+        };
+    }
+
+    private canRespond(player: Player | null) {
+        return this.pendingRequest != null &&
+          this.pendingRequest.requestingPlayer.opponents.includes(player) &&
+          !this.pendingRequest.acceptingPlayers.has(player);
+    }
+
+    /**
+     * If the player of the latest checkpoint has given an input since it, they have taken an action, which is marked on the
+     * earlier checkpoints of the other players. Inputs from other players before that, e.g. an opponent choosing a target
+     * for an earlier player's action, are part of that action.
+     */
+    private markActionTaken() {
+        const latestCheckpoint = this.latestCheckpoint;
+        if (latestCheckpoint == null || !this.game.inputHistory.slice(latestCheckpoint.inputCount).some((input) => input.playerId === latestCheckpoint.player.id)) {
+            return;
+        }
+
+        for (const checkpoint of this.checkpointsByPlayerId.values()) {
+            if (checkpoint.player !== latestCheckpoint.player && checkpoint.inputCount < latestCheckpoint.inputCount) {
+                checkpoint.playerWhoActedSince ??= latestCheckpoint.player;
+            }
+        }
+    }
+
+    private markHiddenInformationRevealed() {
+        for (const checkpoint of this.checkpointsByPlayerId.values()) {
+            checkpoint.hiddenInformationRevealed = true;
+        }
+
+        // the checkpoint of a pending request can no longer be rolled back to either
+        if (this.pendingRequest != null) {
+            this.game.addMessage('The undo request from {0} is cancelled because hidden information was revealed', this.pendingRequest.requestingPlayer);
+            this.pendingRequest = null;
+        }
+    }
+}
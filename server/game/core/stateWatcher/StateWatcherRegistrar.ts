@@ -47,6 +47,11 @@ export class StateWatcherRegistrar {
         return this.watchedState.get(watcherKey);
     }
 
+    /** Returns the current state value of every registered watcher, keyed by watcher key */
+    public getAllStateValues(): Map<string, any> {
+        return new Map(this.watchedState);
+    }
+
     public setStateValue(watcherKey: string, newValue: any, initializing: boolean = false) {
         if (!initializing && !this.assertRegistered(watcherKey)) {
             return;
@@ -123,6 +123,7 @@ export const isUpgrade = (cardType: CardTypeFilter) => {
     switch (cardType) {
         case WildcardCardType.Upgrade:
         case CardType.BasicUpgrade:
+        case CardType.NonLeaderUnitUpgrade:
         case CardType.TokenUpgrade:
             return true;
         default:
@@ -182,13 +183,13 @@ export const cardTypeMatches = (cardType: CardType, cardTypeFilter: CardTypeFilt
 export const getCardTypesForFilter = (cardTypeFilter: CardTypeFilter): CardType[] => {
     switch (cardTypeFilter) {
         case WildcardCardType.Any:
-            return [CardType.Base, CardType.Event, CardType.Leader, CardType.BasicUnit, CardType.BasicUpgrade, CardType.TokenUnit, CardType.TokenUpgrade, CardType.LeaderUnit];
+            return [CardType.Base, CardType.Event, CardType.Leader, CardType.BasicUnit, CardType.BasicUpgrade, CardType.TokenUnit, CardType.TokenUpgrade, CardType.LeaderUnit, CardType.NonLeaderUnitUpgrade];
         case WildcardCardType.NonLeaderUnit:
             return [CardType.BasicUnit, CardType.TokenUnit];
         case WildcardCardType.Unit:
             return [CardType.BasicUnit, CardType.LeaderUnit, CardType.TokenUnit];
         case WildcardCardType.Upgrade:
-            return [CardType.BasicUpgrade, CardType.TokenUpgrade];
+            return [CardType.BasicUpgrade, CardType.TokenUpgrade, CardType.NonLeaderUnitUpgrade];
         case WildcardCardType.Token:
             return [CardType.TokenUnit, CardType.TokenUpgrade];
         case WildcardCardType.Playable:
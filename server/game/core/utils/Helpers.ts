@@ -75,6 +75,7 @@ export function defaultLegalZonesForCardType(cardType: CardType) {
         case CardType.TokenUpgrade:
             return [ZoneName.SpaceArena, ZoneName.GroundArena, ZoneName.OutsideTheGame];
         case CardType.LeaderUnit:
+        case CardType.NonLeaderUnitUpgrade:
             return [ZoneName.SpaceArena, ZoneName.GroundArena];
         case CardType.Base:
         case CardType.Leader:
@@ -7,7 +7,7 @@ import type { IZoneCardFilterProperties } from './ZoneAbstract';
 import { ZoneAbstract } from './ZoneAbstract';
 
 /**
- * Base zone which holds the player's base and leader
+ * Base zone which holds the player's base and leader (or both leaders in formats with two leaders)
  */
 export class BaseZone extends ZoneAbstract<ILeaderCard | IBaseCard> {
     public readonly base: IBaseCard;
@@ -15,31 +15,38 @@ export class BaseZone extends ZoneAbstract<ILeaderCard | IBaseCard> {
     public override readonly owner: Player;
     public override readonly name: ZoneName.Base;
 
-    private _leader?: ILeaderCard;
+    private _leaders: ILeaderCard[];
 
     public override get cards(): (ILeaderCard | IBaseCard)[] {
-        return this._leader ? [this.base, this._leader] : [this.base];
+        return [this.base, ...this._leaders];
     }
 
     public override get count() {
-        return this._leader ? 2 : 1;
+        return 1 + this._leaders.length;
     }
 
+    /** The first leader in this zone, if any */
     public get leader(): ILeaderCard | null {
-        return this._leader;
+        return this._leaders[0] ?? null;
     }
 
-    public constructor(owner: Player, base: IBaseCard, leader: ILeaderCard) {
+    public get leaders(): ILeaderCard[] {
+        return [...this._leaders];
+    }
+
+    public constructor(owner: Player, base: IBaseCard, leaders: ILeaderCard[]) {
         super(owner);
 
         this.hiddenForPlayers = null;
         this.name = ZoneName.Base;
 
         this.base = base;
-        this._leader = leader;
+        this._leaders = [...leaders];
 
         base.initializeZone(this);
-        leader.initializeZone(this);
+        for (const leader of leaders) {
+            leader.initializeZone(this);
+        }
     }
 
     public override getCards(filter?: IZoneCardFilterProperties): (ILeaderCard | IBaseCard)[] {
@@ -48,14 +55,14 @@ export class BaseZone extends ZoneAbstract<ILeaderCard | IBaseCard> {
 
     public setLeader(leader: ILeaderCard) {
         Contract.assertEqual(leader.controller, this.owner, `Attempting to add card ${leader.internalName} to ${this} as leader but its controller is ${leader.controller}`);
-        Contract.assertIsNullLike(this._leader, `Attempting to add leader ${leader.internalName} to ${this} but a leader is already there`);
+        Contract.assertFalse(this._leaders.includes(leader), `Attempting to add leader ${leader.internalName} to ${this} but it is already there`);
 
-        this._leader = leader;
+        this._leaders.push(leader);
     }
 
-    public removeLeader() {
-        Contract.assertNotNullLike(this._leader, `Attempting to remove leader from ${this} but it is in zone ${this.owner.leader.zone}`);
+    public removeLeader(leader: ILeaderCard) {
+        Contract.assertTrue(this._leaders.includes(leader), `Attempting to remove leader ${leader.internalName} from ${this} but it is in zone ${leader.zone}`);
 
-        this._leader = null;
+        this._leaders = this._leaders.filter((card) => card !== leader);
     }
 }
@@ -28,13 +28,14 @@ export abstract class ConcreteArenaZone extends ConcreteOrMetaArenaZone implemen
         return cardCount;
     }
 
-    public constructor(owner: Game, player1: Player, player2: Player) {
+    public constructor(owner: Game, players: Player[]) {
         super(owner);
 
         this.hiddenForPlayers = null;
 
-        this._cards.set(player1, []);
-        this._cards.set(player2, []);
+        for (const player of players) {
+            this._cards.set(player, []);
+        }
     }
 
     public override getCards(filter?: IArenaZoneCardFilterProperties): IInPlayCard[] {
@@ -56,7 +57,7 @@ export abstract class ConcreteArenaZone extends ConcreteOrMetaArenaZone implemen
         const cardListForController = this._cards.get(controller);
 
         Contract.assertHasKey(this._cards, controller, `Attempting to add card ${card.internalName} to ${this} but the controller ${controller} is not registered`);
-        Contract.assertFalse(this._cards.get(controller.opponent).includes(card), `Attempting to add card ${card.internalName} for ${controller} to ${this} but it is already in the arena for the opponent`);
+        Contract.assertFalse(this.isInArenaForOtherPlayer(card, controller), `Attempting to add card ${card.internalName} for ${controller} to ${this} but it is already in the arena for another player`);
         Contract.assertFalse(cardListForController.includes(card), `Attempting to add card ${card.internalName} for ${controller} to ${this} twice`);
 
         cardListForController.push(card);
@@ -70,7 +71,7 @@ export abstract class ConcreteArenaZone extends ConcreteOrMetaArenaZone implemen
         const cardIdx = cardListForController.indexOf(card);
 
         Contract.assertHasKey(this._cards, controller, `Attempting to add card ${card.internalName} to ${this} but the controller ${controller} is not registered`);
-        Contract.assertFalse(this._cards.get(controller.opponent).includes(card), `Attempting to remove card ${card.internalName} for controller ${controller} from ${this} but it is in the arena for the opponent`);
+        Contract.assertFalse(this.isInArenaForOtherPlayer(card, controller), `Attempting to remove card ${card.internalName} for controller ${controller} from ${this} but it is in the arena for another player`);
         Contract.assertFalse(cardIdx === -1, `Attempting to remove card ${card.internalName} for ${controller} from ${this} but it does not exist`);
 
         cardListForController.splice(cardIdx, 1);
@@ -86,12 +87,21 @@ export abstract class ConcreteArenaZone extends ConcreteOrMetaArenaZone implemen
             return;
         }
 
-        const opponentCardsList = this._cards.get(card.controller.opponent);
-        const removeCardIdx = opponentCardsList.indexOf(card);
+        const previousControllerCardsList = Array.from(this._cards.values()).find((cards) => cards.includes(card));
 
-        Contract.assertTrue(removeCardIdx !== -1, `Attempting to update controller of card ${card.internalName} to ${card.controller} in ${this} but it is not in the arena`);
+        Contract.assertNotNullLike(previousControllerCardsList, `Attempting to update controller of card ${card.internalName} to ${card.controller} in ${this} but it is not in the arena`);
 
-        opponentCardsList.splice(removeCardIdx, 1);
+        previousControllerCardsList.splice(previousControllerCardsList.indexOf(card), 1);
         controllerCardsList.push(card);
     }
+
+    private isInArenaForOtherPlayer(card: IInPlayCard, controller: Player) {
+        for (const [player, playerCards] of this._cards) {
+            if (player !== controller && playerCards.includes(card)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
 }
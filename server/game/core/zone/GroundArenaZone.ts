@@ -6,8 +6,8 @@ import { ConcreteArenaZone } from './ConcreteArenaZone';
 export class GroundArenaZone extends ConcreteArenaZone {
     public override readonly name: ZoneName.GroundArena;
 
-    public constructor(owner: Game, player1: Player, player2: Player) {
-        super(owner, player1, player2);
+    public constructor(owner: Game, players: Player[]) {
+        super(owner, players);
 
         this.name = ZoneName.GroundArena;
     }
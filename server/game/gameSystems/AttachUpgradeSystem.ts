@@ -4,7 +4,7 @@ import { GameEvent } from '../core/event/GameEvent.js';
 import type { IUpgradeCard } from '../core/card/UpgradeCard';
 import type { CardTypeFilter } from '../core/Constants';
 import { RelativePlayer } from '../core/Constants';
-import { AbilityRestriction, EventName, WildcardCardType } from '../core/Constants';
+import { AbilityRestriction, EventName, KeywordName, WildcardCardType } from '../core/Constants';
 import type { ICardTargetSystemProperties } from '../core/gameSystem/CardTargetSystem';
 import { CardTargetSystem } from '../core/gameSystem/CardTargetSystem';
 import * as Contract from '../core/utils/Contract';
@@ -20,10 +20,11 @@ export class AttachUpgradeSystem<TContext extends AbilityContext = AbilityContex
     protected override readonly targetTypeFilter: CardTypeFilter[] = [WildcardCardType.Unit];
 
     public override eventHandler(event, additionalProperties = {}): void {
-        const upgradeCard = (event.upgradeCard as Card);
+        const upgradeCard = (event.upgradeCard as IUpgradeCard);
         const parentCard = (event.parentCard as Card);
 
-        Contract.assertTrue(upgradeCard.isUpgrade());
+        // a unit played with Piloting only becomes an upgrade once it is attached
+        Contract.assertTrue(upgradeCard.hasSomeKeyword(KeywordName.Piloting) || upgradeCard.isUpgrade());
         Contract.assertTrue(parentCard.isUnit());
 
         event.originalZone = upgradeCard.zoneName;
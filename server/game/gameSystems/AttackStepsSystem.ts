@@ -24,6 +24,13 @@ type IAttackLastingEffectPropertiesOrFactory<TContext extends AbilityContext = A
 
 export interface IAttackProperties<TContext extends AbilityContext = AbilityContext> extends ICardTargetSystemProperties {
     attacker?: Card;
+
+    /**
+     * Other units that attack together with `attacker` against the same target. Their combined power is dealt to the target
+     * and the defending player divides the defender's damage among them.
+     */
+    additionalAttackers?: Card[];
+
     targetCondition?: (card: Card, context: TContext) => boolean;
     message?: string;
     messageArgs?: (attack: Attack, context: TContext) => any | any[];
@@ -32,11 +39,10 @@ export interface IAttackProperties<TContext extends AbilityContext = AbilityCont
 
     /**
      * Effects to apply to the attacker for the duration of the attack. Can be one or more {@link IAttackLastingEffectProperties}
-     * or a function generator(s) for them.
+     * or a function generator(s) for them. Only `attacker` gets these effects, not the `additionalAttackers`.
      */
     attackerLastingEffects?: IAttackLastingEffectPropertiesOrFactory<TContext> | IAttackLastingEffectPropertiesOrFactory<TContext>[];
 
-    // TODO: allow declaring multiple attackers (new Maul)
     /**
      * Effects to apply to the attacker for the duration of the attack. Can be one or more {@link IAttackLastingEffectProperties}
      * or a function generator(s) for them.
@@ -53,7 +59,8 @@ export class AttackStepsSystem<TContext extends AbilityContext = AbilityContext>
     public override readonly eventName = MetaEventName.AttackSteps;
     protected override readonly targetTypeFilter: CardTypeFilter[] = [WildcardCardType.Unit, CardType.Base];
     protected override readonly defaultProperties: IAttackProperties<TContext> = {
-        targetCondition: () => true
+        targetCondition: () => true,
+        additionalAttackers: []
     };
 
     public eventHandler(event, additionalProperties): void {
@@ -85,7 +92,7 @@ export class AttackStepsSystem<TContext extends AbilityContext = AbilityContext>
         const properties = this.generatePropertiesFromContext(context);
         return [
             '{0} initiates attack against {1}',
-            [properties.attacker, properties.target]
+            [[properties.attacker, ...properties.additionalAttackers], properties.target]
         ];
     }
 
@@ -108,6 +115,11 @@ export class AttackStepsSystem<TContext extends AbilityContext = AbilityContext>
         if (targetCard === properties.attacker || targetCard.controller === properties.attacker.controller) {
             return false; // cannot attack yourself or your controller's cards
         }
+        if (properties.additionalAttackers.some((attacker) =>
+            !attacker.isUnit() || !attacker.isInPlay() || attacker.controller !== properties.attacker.controller || attacker.effectsPreventAttack(targetCard)
+        )) {
+            return false; // all attackers must be units in play controlled by the same player
+        }
         if ( // sentinel keyword overrides "can't be attacked" abilities (SWU Comp Rules 2.0 7.5.11.D)
             ((targetCard.hasRestriction(AbilityRestriction.BeAttacked, context) && !targetCard.hasSomeKeyword(KeywordName.Sentinel)) ||
               properties.attacker.effectsPreventAttack(targetCard))
@@ -186,7 +198,7 @@ export class AttackStepsSystem<TContext extends AbilityContext = AbilityContext>
         event.attacker = properties.attacker;
         event.attack = new Attack(
             context.game,
-            properties.attacker as IUnitCard,
+            [properties.attacker, ...properties.additionalAttackers] as IUnitCard[],
             event.target as IAttackableCard,
             properties.isAmbush
         );
@@ -8,6 +8,7 @@ import type { Attack } from '../core/attack/Attack';
 import type { IDamagedOrDefeatedByAbility, IDamagedOrDefeatedByAttack } from '../IDamageOrDefeatSource';
 import { DamageSourceType } from '../IDamageOrDefeatSource';
 import type { IUnitCard } from '../core/card/propertyMixins/UnitProperties';
+import type { ICardWithDamageProperty } from '../core/card/propertyMixins/Damage';
 
 export interface IDamagePropertiesBase extends ICardTargetSystemProperties {
     type: DamageType;
@@ -174,6 +175,21 @@ export class DamageSystem<TContext extends AbilityContext = AbilityContext, TPro
 
         Contract.assertTrue(card.canBeDamaged());
 
+        this.updateExpectedDamageResult(event, card);
+
+        // partial replacement effects (e.g. Boba Fett's Armor) can change the damage amount before the event resolves
+        event.setPartialReplacementHandler((event) => {
+            // if all of the damage is prevented, no damage is dealt at all
+            if (this.getDamageAmountFromEvent(event) === 0) {
+                event.cancel();
+                return;
+            }
+
+            this.updateExpectedDamageResult(event, card);
+        });
+    }
+
+    private updateExpectedDamageResult(event: any, card: ICardWithDamageProperty) {
         const damageAmount = this.getDamageAmountFromEvent(event);
         event.availableExcessDamage = damageAmount - Math.min(damageAmount, card.remainingHp);
 
@@ -193,16 +209,14 @@ export class DamageSystem<TContext extends AbilityContext = AbilityContext, TPro
         } else if (event.isOverwhelmDamage) {
             damageDealtBy = properties.sourceAttack.attacker;
         } else {
-            switch (card) {
-                case properties.sourceAttack.attacker:
-                    Contract.assertTrue(properties.sourceAttack.target.isUnit());
-                    damageDealtBy = properties.sourceAttack.target;
-                    break;
-                case properties.sourceAttack.target:
-                    damageDealtBy = properties.sourceAttack.attacker;
-                    break;
-                default:
-                    Contract.fail(`Combat damage is being dealt to card ${card.internalName} but it is not involved in the attack`);
+            // combined damage from multiple attackers is attributed to the unit that declared the attack
+            if (properties.sourceAttack.isAttacker(card)) {
+                Contract.assertTrue(properties.sourceAttack.target.isUnit());
+                damageDealtBy = properties.sourceAttack.target;
+            } else if (card === properties.sourceAttack.target) {
+                damageDealtBy = properties.sourceAttack.attacker;
+            } else {
+                Contract.fail(`Combat damage is being dealt to card ${card.internalName} but it is not involved in the attack`);
             }
         }
 
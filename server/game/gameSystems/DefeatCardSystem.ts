@@ -98,7 +98,7 @@ export class DefeatCardSystem<TContext extends AbilityContext = AbilityContext,
 
             event.isDefeatedByAttackerDamage =
                 eventDefeatSource.type === DamageSourceType.Attack &&
-                eventDefeatSource.damageDealtBy === eventDefeatSource.attack.attacker;
+                eventDefeatSource.attack.isAttacker(eventDefeatSource.damageDealtBy);
         } else {
             eventDefeatSource = this.buildDefeatSourceForType(defeatSource, event, context);
         }
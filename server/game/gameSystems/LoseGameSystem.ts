@@ -14,6 +14,11 @@ export class LoseGameSystem<TContext extends AbilityContext = AbilityContext> ex
 
     public eventHandler(event: any): void {
         const player = event.player as Player;
+        if (player.game.isTwinSuns) {
+            player.game.eliminatePlayers([player], event.endGameReason);
+            return;
+        }
+
         player.game.endGame(player.opponent, event.endGameReason);
     }
 
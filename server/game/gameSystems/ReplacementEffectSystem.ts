@@ -11,6 +11,12 @@ export interface IReplacementEffectSystemProperties<TContext extends TriggeredAb
 
     /** The immediate effect to replace the original effect with or `null` to indicate that the original effect should be cancelled with no replacement */
     replacementImmediateEffect?: GameSystem<TContext>;
+
+    /**
+     * Makes this a "partial" replacement effect that changes the parameters of the original event (e.g. preventing some of its damage)
+     * instead of cancelling it. If `replacementImmediateEffect` is also set, its events resolve alongside the changed original event.
+     */
+    modifyEvent?: (event: any, context: TContext) => void;
 }
 
 export class ReplacementEffectSystem<TContext extends TriggeredAbilityContext = TriggeredAbilityContext> extends GameSystem<TContext, IReplacementEffectSystemProperties<TContext>> {
@@ -25,6 +31,8 @@ export class ReplacementEffectSystem<TContext extends TriggeredAbilityContext =
             `Replacement effect '${this} resolving in trigger window of type ${triggerWindow.triggerAbilityType}`
         );
 
+        const modifyEvent = event.modifyEvent;
+
         const replacementImmediateEffect = event.replacementImmediateEffect;
         if (replacementImmediateEffect) {
             const eventWindow = event.context.event.window;
@@ -40,13 +48,22 @@ export class ReplacementEffectSystem<TContext extends TriggeredAbilityContext =
 
             events.forEach((replacementEvent) => {
                 event.context.game.queueSimpleStep(() => {
-                    event.context.event.setReplacementEvent(replacementEvent);
+                    // a partially replaced event still resolves, so it is not marked as replaced
+                    if (!modifyEvent) {
+                        event.context.event.setReplacementEvent(replacementEvent);
+                    }
                     eventWindow.addEvent(replacementEvent);
                     triggerWindow.addReplacementEffectEvent(replacementEvent);
                 }, 'replacementEffect: replace window event');
             });
         }
-        event.context.cancel();
+
+        // the original event is changed only after any replacement events were generated from it
+        if (modifyEvent) {
+            event.context.event.applyPartialReplacement(event.context.ability, (originalEvent) => modifyEvent(originalEvent, event.context));
+        } else {
+            event.context.cancel();
+        }
     }
 
     public override queueGenerateEventGameSteps(events: GameEvent[], context: TContext, additionalProperties = {}) {
@@ -59,10 +76,13 @@ export class ReplacementEffectSystem<TContext extends TriggeredAbilityContext =
     }
 
     public override getEffectMessage(context: TContext): [string, any[]] {
-        const { replacementImmediateEffect, effect } = this.generatePropertiesFromContext(context);
+        const { replacementImmediateEffect, modifyEvent, effect } = this.generatePropertiesFromContext(context);
         if (effect) {
             return [effect, []];
         }
+        if (modifyEvent && !replacementImmediateEffect) {
+            return ['change the effects of {0}', [context.event.card]];
+        }
         if (replacementImmediateEffect) {
             return ['{1} {0} instead of {2}', [context.target, replacementImmediateEffect.name, context.event.card]];
         }
@@ -80,8 +100,9 @@ export class ReplacementEffectSystem<TContext extends TriggeredAbilityContext =
     public override addPropertiesToEvent(event: any, target: any, context: TContext, additionalProperties?: any): void {
         super.addPropertiesToEvent(event, target, context, additionalProperties);
 
-        const { replacementImmediateEffect } = this.generatePropertiesFromContext(event.context, additionalProperties);
+        const { replacementImmediateEffect, modifyEvent } = this.generatePropertiesFromContext(event.context, additionalProperties);
         event.replacementImmediateEffect = replacementImmediateEffect;
+        event.modifyEvent = modifyEvent;
     }
 
     public override hasLegalTarget(context: TContext, additionalProperties = {}, _mustChangeGameState): boolean {
@@ -0,0 +1,46 @@
+import type { AbilityContext } from '../core/ability/AbilityContext';
+import type { Card } from '../core/card/Card';
+import { EffectName, PlayType, ZoneName } from '../core/Constants';
+import type { ICostAdjusterProperties } from '../core/cost/CostAdjuster';
+import { CostAdjuster } from '../core/cost/CostAdjuster';
+import { OngoingEffectBuilder } from '../core/ongoingEffect/OngoingEffectBuilder';
+import type { PlayableZone } from '../core/PlayableZone';
+
+export interface ICanPlayFromOutOfPlayProperties {
+
+    /** Modifies the cost of playing the card with the granted action, e.g. to make it free or to ignore its aspect penalties */
+    adjustCost?: ICostAdjusterProperties;
+}
+
+const grantableZones = [ZoneName.Discard, ZoneName.Deck, ZoneName.Resource, ZoneName.Capture];
+
+/**
+ * Grants the owner of the target card permission to play it from its current zone (discard, top of deck, resources or captured).
+ * The permission is registered as a {@link PlayableZone} on the owner and only covers the card while it stays in that zone.
+ * If the card is in the deck, it can only be played while it is the top card. If it is in any other zone (e.g. in play), the effect does nothing.
+ */
+export function canPlayFromOutOfPlay(properties: ICanPlayFromOutOfPlayProperties = {}) {
+    return OngoingEffectBuilder.card.detached(EffectName.CanPlayFromOutOfPlay, {
+        apply: (card: Card, context: AbilityContext) => {
+            if (!grantableZones.includes(card.zoneName)) {
+                return null;
+            }
+
+            return card.owner.addPlayableZone(PlayType.PlayFromOutOfPlay, card.zone, {
+                cardCondition: (zoneCard: Card) => {
+                    if (zoneCard !== card) {
+                        return false;
+                    }
+                    return card.zoneName !== ZoneName.Deck || card.owner.getTopCardOfDeck() === card;
+                },
+                costAdjusters: properties.adjustCost ? [new CostAdjuster(context.game, context.source, properties.adjustCost)] : []
+            });
+        },
+        unapply: (card: Card, context: AbilityContext, playableZone: PlayableZone) => {
+            if (playableZone) {
+                playableZone.costAdjusters.forEach((adjuster) => adjuster.unregisterEvents());
+                card.owner.removePlayableZone(playableZone);
+            }
+        }
+    });
+}
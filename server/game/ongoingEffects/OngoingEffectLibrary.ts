@@ -8,6 +8,8 @@ import { cardCannot } from './CardCannot';
 // const { gainAllAbilities } = require('./Effects/Library/GainAllAbilities');
 // const { mustBeDeclaredAsAttacker } = require('./Effects/Library/mustBeDeclaredAsAttacker');
 import { modifyCost } from './ModifyCost';
+import type { ICanPlayFromOutOfPlayProperties } from './CanPlayFromOutOfPlay';
+import { canPlayFromOutOfPlay } from './CanPlayFromOutOfPlay';
 // const { switchAttachmentSkillModifiers } = require('./Effects/Library/switchAttachmentSkillModifiers');
 import type { KeywordName } from '../core/Constants';
 import { EffectName } from '../core/Constants';
@@ -46,14 +48,8 @@ export = {
     blankEventCard: () => OngoingEffectBuilder.card.static(EffectName.Blank),
     // calculatePrintedMilitarySkill: (func) => OngoingEffectBuilder.card.static(EffectName.CalculatePrintedMilitarySkill, func),
 
-    // canPlayFromOutOfPlay: (player, playType = PlayType.PlayFromHand) =>
-    //    OngoingEffectBuilder.card.flexible(
-    //        EffectName.CanPlayFromOutOfPlay,
-    //        Object.assign({ player: player, playType: playType })
-    //    ),
-
     // registerToPlayFromOutOfPlay: () =>
-    //    OngoingEffectBuilder.card.detached(EffectName.CanPlayFromDiscard, {
+    //    OngoingEffectBuilder.card.detached(EffectName.CanPlayFromOutOfPlay, {
     //        apply: (card) => {
     //            for (const triggeredAbility of card.getTriggeredAbilities()) {
     //                triggeredAbility.registerEvents();
@@ -62,7 +58,7 @@ export = {
     //        unapply: () => true
     //    }),
 
-    canPlayFromDiscard: () => OngoingEffectBuilder.card.static(EffectName.CanPlayFromDiscard),
+    canPlayFromOutOfPlay: (properties: ICanPlayFromOutOfPlayProperties = {}) => canPlayFromOutOfPlay(properties),
     // canBeSeenWhenFacedown: () => OngoingEffectBuilder.card.static(EffectName.CanBeSeenWhenFacedown),
     // canBeTriggeredByOpponent: () => OngoingEffectBuilder.card.static(EffectName.CanBeTriggeredByOpponent),
     // canOnlyBeDeclaredAsAttackerWithElement: (element) =>
@@ -5,6 +5,7 @@ import type Player from '../core/Player';
 import type { Card } from '../core/card/Card';
 import type { BaseCard } from '../core/card/BaseCard';
 import type { IUnitCard } from '../core/card/propertyMixins/UnitProperties';
+import type { Attack } from '../core/attack/Attack';
 
 export interface AttackEntry {
     attacker: IUnitCard;
@@ -28,7 +29,7 @@ export class AttacksThisPhaseWatcher extends StateWatcher<IAttacksThisPhase> {
     /**
      * Returns an array of {@link AttackEntry} objects representing every attack this
      * phase so far. Lists the attacker and target cards and which player was attacking
-     * or defending.
+     * or defending. Attacks with multiple attackers have one entry per attacker.
      */
     public override getCurrentValue(): IAttacksThisPhase {
         return super.getCurrentValue();
@@ -69,14 +70,14 @@ export class AttacksThisPhaseWatcher extends StateWatcher<IAttacksThisPhase> {
                 onAttackDeclared: () => true,
             },
             update: (currentState: IAttacksThisPhase, event: any) =>
-                currentState.concat({
-                    attacker: event.attack.attacker,
-                    attackerInPlayId: event.attack.attacker.inPlayId,
-                    attackingPlayer: event.attack.attacker.controller,
+                currentState.concat((event.attack as Attack).attackers.map((attacker) => ({
+                    attacker,
+                    attackerInPlayId: attacker.inPlayId,
+                    attackingPlayer: attacker.controller,
                     target: event.attack.target,
                     targetInPlayId: event.attack.targetInPlayId,
                     defendingPlayer: event.attack.target.controller
-                })
+                })))
         });
     }
 
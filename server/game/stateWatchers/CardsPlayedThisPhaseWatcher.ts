@@ -51,15 +51,19 @@ export class CardsPlayedThisPhaseWatcher extends StateWatcher<PlayedCardEntry[]>
             when: {
                 onCardPlayed: () => true,
             },
-            update: (currentState: ICardsPlayedThisPhase, event: any) =>
-                currentState.concat({
+            update: (currentState: ICardsPlayedThisPhase, event: any) => {
+                // units with Piloting only have a parent card if they were played as an upgrade
+                const parentCard = event.card.isUpgrade() ? event.card.parentCard : null;
+
+                return currentState.concat({
                     card: event.card,
                     playEvent: event,
-                    parentCard: event.card.parentCard ?? null,
-                    parentCardInPlayId: event.card.parentCard?.canBeInPlay() ? event.card.parentCard.inPlayId : null,
+                    parentCard,
+                    parentCardInPlayId: parentCard?.canBeInPlay() ? parentCard.inPlayId : null,
                     inPlayId: event.card.canBeInPlay() ? event.card.inPlayId : null,
                     playedBy: event.card.controller
-                })
+                });
+            }
         });
     }
 
@@ -0,0 +1,104 @@
+import express from 'express';
+import { logger } from '../logger';
+import { requireAdminUser } from '../utils/auth/UserTokens';
+import type { Lobby } from './Lobby';
+
+/** What the admin API can see and change on a game server, implemented by the game server */
+export interface IAdminServer {
+    getLobbies(): Lobby[];
+    getLobby(lobbyId: string): Lobby | undefined;
+    getQueuedPlayerCount(): number;
+
+    /**
+     * Removes the user from the matchmaking queue and from their lobby
+     * @returns false if the user is in neither
+     */
+    kickUser(userId: string): boolean;
+
+    isServerDraining(): boolean;
+
+    /** A draining server doesn't start new lobbies or games, so that it can be shut down once its games are over */
+    setServerDraining(isDraining: boolean): void;
+}
+
+/**
+ * Routes for running the server, only available to the users listed in `ADMIN_USER_IDS`
+ */
+export function createAdminRouter(server: IAdminServer): express.Router {
+    const admin = express.Router();
+    admin.use(requireAdminUser);
+
+    admin.get('/lobbies', (_, res) => {
+        return res.status(200).json({
+            success: true,
+            isDraining: server.isServerDraining(),
+            queuedPlayerCount: server.getQueuedPlayerCount(),
+            lobbies: server.getLobbies().map((lobby) => lobby.getAdminSummary())
+        });
+    });
+
+    admin.get('/lobbies/:lobbyId/game', (req, res) => {
+        const debugInfo = server.getLobby(req.params.lobbyId)?.getGameDebugInfo();
+        if (!debugInfo) {
+            return res.status(404).json({ success: false, message: 'Game not found' });
+        }
+
+        return res.status(200).json({ success: true, ...debugInfo });
+    });
+
+    admin.post('/lobbies/:lobbyId/end-game', (req, res) => {
+        const { reason } = req.body;
+        if (typeof reason !== 'string' || reason.length === 0) {
+            return res.status(400).json({ success: false, message: 'A reason is required' });
+        }
+
+        const lobby = server.getLobby(req.params.lobbyId);
+        if (!lobby) {
+            return res.status(404).json({ success: false, message: 'Lobby not found' });
+        }
+
+        if (!lobby.forceEndGame(reason)) {
+            return res.status(400).json({ success: false, message: 'The lobby has no game in progress' });
+        }
+
+        logger.info(`Admin ${res.locals.user.id} ended the game in lobby ${lobby.id}: ${reason}`);
+        return res.status(200).json({ success: true });
+    });
+
+    admin.post('/users/:userId/kick', (req, res) => {
+        const { userId } = req.params;
+        if (!server.kickUser(userId)) {
+            return res.status(404).json({ success: false, message: 'User is not in a lobby or the queue' });
+        }
+
+        logger.info(`Admin ${res.locals.user.id} kicked user ${userId}`);
+        return res.status(200).json({ success: true });
+    });
+
+    admin.post('/alert', (req, res) => {
+        const { message, type = 'warning' } = req.body;
+        if (typeof message !== 'string' || message.length === 0 || typeof type !== 'string') {
+            return res.status(400).json({ success: false, message: 'An alert message is required' });
+        }
+
+        const lobbies = server.getLobbies();
+        for (const lobby of lobbies) {
+            lobby.broadcastAlert(type, message);
+        }
+        return res.status(200).json({ success: true, lobbyCount: lobbies.length });
+    });
+
+    admin.post('/drain', (req, res) => {
+        const { isDraining } = req.body;
+        if (typeof isDraining !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'isDraining must be true or false' });
+        }
+
+        server.setServerDraining(isDraining);
+
+        logger.info(`Admin ${res.locals.user.id} ${isDraining ? 'started' : 'stopped'} draining the server`);
+        return res.status(200).json({ success: true, isDraining });
+    });
+
+    return admin;
+}
@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuid } from 'uuid';
+import type Game from '../game/core/Game';
+import { logger } from '../logger';
+
+/** Ways the players can resolve a server error in their game, from least to most drastic */
+export enum GameErrorRecoveryChoice {
+
+    /** Keep playing from the current state */
+    Continue = 'continue',
+
+    /** Rebuild the game from its input log as it was before the input that caused the error */
+    Rollback = 'rollback',
+
+    /** End the game without a result */
+    NoContest = 'noContest'
+}
+
+/**
+ * Everything needed to investigate a server error in a game. The snapshot holds the full game state and input history
+ * in the same format as a replay file, so once saved on its own it can be stepped through with `npm run replay`.
+ *
+ * Each section is built separately so that one that fails (e.g. because the error left the game in a broken state)
+ * is recorded as a message instead of losing the whole dump.
+ */
+export interface IGameErrorDump {
+    id: string;
+    lobbyId: string;
+    gameId: string;
+    timestamp: string;
+    error: { message: string; stack?: string };
+    pipeline: unknown;
+    playerStates: unknown;
+    recentChat: unknown;
+    snapshot: unknown;
+}
+
+export class GameErrorReporter {
+    private static readonly recentChatLength = 50;
+
+    public constructor(private readonly dumpDirectory: string) {}
+
+    public buildDump(game: Game, lobbyId: string, error: Error): IGameErrorDump {
+        return {
+            id: uuid(),
+            lobbyId,
+            gameId: game.id,
+            timestamp: new Date().toISOString(),
+            error: { message: error?.message ?? String(error), stack: error?.stack },
+            pipeline: GameErrorReporter.tryBuildSection(() => game.pipeline.getDebugInfo()),
+            playerStates: GameErrorReporter.tryBuildSection(() =>
+                Object.fromEntries(game.getPlayers().map((player) => [player.id, player.getState(player)]))
+            ),
+            recentChat: GameErrorReporter.tryBuildSection(() => game.gameChat.messages.slice(-GameErrorReporter.recentChatLength)),
+            snapshot: GameErrorReporter.tryBuildSection(() => game.getSnapshot())
+        };
+    }
+
+    /**
+     * Writes the dump as JSON to the dump directory and returns the path of the file, or null if it could not be written
+     */
+    public async writeDumpAsync(dump: IGameErrorDump): Promise<string | null> {
+        try {
+            const dumpPath = path.join(this.dumpDirectory, `${dump.lobbyId}-${dump.id}.json`);
+
+            await fs.promises.mkdir(this.dumpDirectory, { recursive: true });
+            await fs.promises.writeFile(dumpPath, JSON.stringify(dump));
+
+            logger.info(`Saved error dump for game ${dump.gameId} in lobby ${dump.lobbyId} to ${dumpPath}`);
+            return dumpPath;
+        } catch (e) {
+            logger.error(`Failed to save error dump for game ${dump.gameId} in lobby ${dump.lobbyId}: ${e}`);
+            return null;
+        }
+    }
+
+    // sections are round-tripped through JSON here so that serialization errors (e.g. circular references) are caught per section
+    private static tryBuildSection(buildSection: () => unknown): unknown {
+        try {
+            return JSON.parse(JSON.stringify(buildSection()));
+        } catch (e) {
+            return { sectionError: `Failed to build section: ${e?.message ?? e}` };
+        }
+    }
+}
@@ -1,4 +1,5 @@
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import http from 'http';
 import express from 'express';
@@ -8,21 +9,43 @@ import { Server as IOServer } from 'socket.io';
 
 import { logger } from '../logger';
 
+import type { ILobbyGameResult } from './Lobby';
 import { Lobby, MatchType } from './Lobby';
 import Socket from '../socket';
 import * as env from '../env';
 import type { Deck } from '../utils/deck/Deck';
+import type { ISwuDbDecklist } from '../utils/deck/DeckInterfaces';
 import type { CardDataGetter, ITokenCardsData } from '../utils/cardData/CardDataGetter';
 import * as Contract from '../game/core/utils/Contract';
-import { RemoteCardDataGetter } from '../utils/cardData/RemoteCardDataGetter';
+import { CachingCardDataGetter } from '../utils/cardData/CachingCardDataGetter';
+import { DeckValidator } from '../utils/deck/DeckValidator';
+import type { IDeckValidationFailure } from '../utils/deck/DeckValidator';
+import { SwuGameFormat } from '../SwuGameFormat';
+import type { IAuthenticatedUser } from '../utils/auth/UserTokens';
+import { requireAuthenticatedUser, signGuestToken, signUserToken, verifyUserToken } from '../utils/auth/UserTokens';
+import type { IQueuedPlayer } from './matchmaking/MatchmakingQueue';
+import { MatchmakingQueue } from './matchmaking/MatchmakingQueue';
+import type { IRatingStore } from './matchmaking/IRatingStore';
+import { InMemoryRatingStore } from './matchmaking/InMemoryRatingStore';
+import { FileRatingStore } from './matchmaking/FileRatingStore';
+import { RatingService } from './matchmaking/RatingService';
+import type { IGameHistoryStore } from './history/IGameHistoryStore';
+import { FileGameHistoryStore } from './history/FileGameHistoryStore';
+import { createGameHistoryRouter } from './history/GameHistoryRoutes';
+import type { IAdminServer } from './AdminRoutes';
+import { createAdminRouter } from './AdminRoutes';
+import type { IReconnectServer } from './ReconnectWindows';
+import { ReconnectWindows } from './ReconnectWindows';
+import { MetricsRegistry } from '../utils/metrics/Metrics';
+import { activeGames, activeLobbies, queuedPlayers, queueWaitSeconds, serverMetrics } from '../utils/metrics/ServerMetrics';
+import type { IGameNodeHandler } from '../cluster/GameNodeClient';
+import { GameNodeClient } from '../cluster/GameNodeClient';
+import type { GameNodeCommand, IGameNodeResponse, IGameNodeStatus, IQueueMatchPlayer } from '../cluster/ClusterMessages';
 
 /**
  * Represents a user object
  */
-interface User {
-    id: string;
-    username: string;
-}
+type User = IAuthenticatedUser;
 
 /**
  * Represents additional Socket types we can leverage these later.
@@ -32,16 +55,7 @@ interface SocketData {
     manualDisconnect?: boolean;
 }
 
-/**
- * Represents a player waiting in the queue.
- */
-interface QueuedPlayer {
-    deck: Deck;
-    socket?: Socket;
-    user: User;
-}
-
-export class GameServer {
+export class GameServer implements IGameNodeHandler, IAdminServer, IReconnectServer {
     public static async create(): Promise<GameServer> {
         let cardDataGetter: CardDataGetter;
         let testGameBuilder: any = null;
@@ -56,15 +70,29 @@ export class GameServer {
             cardDataGetter = await GameServer.buildRemoteCardDataGetter();
         }
 
+        const ratingStore = env.ratingStoreFile == null
+            ? new InMemoryRatingStore()
+            : await FileRatingStore.createAsync(env.ratingStoreFile);
+
         return new GameServer(cardDataGetter,
             await cardDataGetter.tokenData,
             await cardDataGetter.playableCardTitles,
+            ratingStore,
+            await FileGameHistoryStore.createAsync(env.gameHistoryFile),
             testGameBuilder);
     }
 
-    private static buildRemoteCardDataGetter(): Promise<RemoteCardDataGetter> {
+    private static async buildRemoteCardDataGetter(): Promise<CachingCardDataGetter> {
         // TODO: move this url to a config
-        return RemoteCardDataGetter.createAsync('https://karabast-assets.s3.amazonaws.com/data/');
+        const cardDataGetter = await CachingCardDataGetter.createWithCacheAsync('https://karabast-assets.s3.amazonaws.com/data/', env.cardDataCacheDirectory);
+
+        if (env.prefetchCardData) {
+            cardDataGetter.prefetchAllAsync()
+                .then((result) => logger.info(`Prefetched card data: ${result.fetchedCount} fetched, ${result.cachedCount} already cached, ${result.failedInternalNames.length} failed`))
+                .catch((error) => logger.error(`Failed to prefetch card data: ${error}`));
+        }
+
+        return cardDataGetter;
     }
 
     private static getTestGameBuilder() {
@@ -81,15 +109,39 @@ export class GameServer {
 
     private readonly lobbies = new Map<string, Lobby>();
     private readonly userLobbyMap = new Map<string, string>();
+    private readonly reconnectWindows = new ReconnectWindows(this, env.reconnectWindowSeconds);
     private readonly io: IOServer;
     private readonly cardDataGetter: CardDataGetter;
+    private readonly deckValidator: DeckValidator;
     private readonly testGameBuilder?: any;
     private readonly tokenCardsData: ITokenCardsData;
     private readonly playableCardTitles: string[];
 
-    private queue: QueuedPlayer[] = [];
+    private readonly queue = new MatchmakingQueue();
+    private readonly ratingService: RatingService;
+
+    /** While draining, no new lobbies or queue entries are accepted but games in progress can finish, e.g. before a restart */
+    private isDraining = false;
+
+    private static readonly drainingResponse: IGameNodeResponse = {
+        status: 503,
+        body: { success: false, message: 'The server is not accepting new games right now' }
+    };
+
+    /** Set if this server is a game node of a cluster coordinated by the lobby router (see `server/cluster`) */
+    private readonly clusterClient?: GameNodeClient;
+
+    /** Matchmaking is re-run regularly, since the rating gap queued players accept widens while they wait */
+    private static readonly matchmakingIntervalMs = 5000;
 
-    private constructor(cardDataGetter: CardDataGetter, tokenCardsData: ITokenCardsData, playableCardTitles: string[], testGameBuilder?: any) {
+    private constructor(
+        cardDataGetter: CardDataGetter,
+        tokenCardsData: ITokenCardsData,
+        playableCardTitles: string[],
+        ratingStore: IRatingStore,
+        private readonly gameHistoryStore: IGameHistoryStore,
+        testGameBuilder?: any
+    ) {
         const app = express();
         app.use(express.json());
         const server = http.createServer(app);
@@ -116,6 +168,18 @@ export class GameServer {
             }
         });
 
+        // sockets are only accepted with a valid user token, whose identity is used for everything the socket does
+        this.io.use((socket, next) => {
+            const user = verifyUserToken(socket.handshake.auth?.token ?? socket.handshake.query.token);
+            if (!user) {
+                logger.info('socket connected without a valid user token, disconnecting');
+                return next(new Error('Authentication failed'));
+            }
+
+            socket.data.user = user;
+            next();
+        });
+
         // Currently for IOSockets we can use DefaultEventsMap but later we can customize these.
         this.io.on('connection', async (socket: IOSocket<DefaultEventsMap, DefaultEventsMap, DefaultEventsMap, SocketData>) => {
             await this.onConnection(socket);
@@ -126,15 +190,39 @@ export class GameServer {
         });
 
         this.cardDataGetter = cardDataGetter;
+        this.deckValidator = new DeckValidator(cardDataGetter);
         this.testGameBuilder = testGameBuilder;
         this.tokenCardsData = tokenCardsData;
         this.playableCardTitles = playableCardTitles;
+        this.ratingService = new RatingService(ratingStore);
+
+        setInterval(() => this.matchmakeQueuePlayersAndCatchErrorsAsync(), GameServer.matchmakingIntervalMs);
+
+        if (env.mqUrl != null) {
+            this.clusterClient = new GameNodeClient(env.mqUrl, env.gameNodeName, this);
+            this.clusterClient.start();
+        }
     }
 
     private setupAppRoutes(app: express.Application) {
-        app.post('/api/create-lobby', async (req, res) => {
-            await this.createLobby(req.body.user, req.body.deck, req.body.isPrivate);
-            return res.status(200).json({ success: true });
+        app.post('/api/guest-token', (_, res) => {
+            return res.status(200).json({ success: true, token: signGuestToken() });
+        });
+
+        // local token issuer so that any user can be signed in while developing without the site that owns the user accounts
+        if (env.environment === 'development') {
+            app.post('/api/dev-token', (req, res) => {
+                const { id, username } = req.body;
+                if (typeof id !== 'string' || id.length === 0 || (username != null && typeof username !== 'string')) {
+                    return res.status(400).json({ success: false, message: 'A user id and optional username are required' });
+                }
+
+                return res.status(200).json({ success: true, token: signUserToken({ id, username }) });
+            });
+        }
+
+        app.post('/api/create-lobby', requireAuthenticatedUser, async (req, res) => {
+            return GameServer.sendResponse(res, await this.handleCreateLobbyRequestAsync(res.locals.user, req.body));
         });
 
         app.get('/api/available-lobbies', (_, res) => {
@@ -145,20 +233,16 @@ export class GameServer {
             return res.json(availableLobbies);
         });
 
-        app.post('/api/join-lobby', (req, res) => {
-            const { lobbyId, user } = req.body;
-
-            const lobby = this.lobbies.get(lobbyId);
-            if (!lobby) {
-                return res.status(404).json({ success: false, message: 'Lobby not found' });
-            }
+        app.get('/api/spectatable-lobbies', (_, res) => {
+            const spectatableLobbies = Array.from(this.spectatableLobbies().keys()).map((id) => ({
+                id,
+                name: `Game #${id}`,
+            }));
+            return res.json(spectatableLobbies);
+        });
 
-            if (lobby.isFilled()) {
-                return res.status(400).json({ success: false, message: 'Lobby is full' });
-            }
-            // Add the user to the lobby
-            this.userLobbyMap.set(user.id, lobby.id);
-            return res.status(200).json({ success: true });
+        app.post('/api/join-lobby', requireAuthenticatedUser, (req, res) => {
+            return GameServer.sendResponse(res, this.handleJoinLobbyRequest(res.locals.user, req.body.lobbyId));
         });
 
         app.get('/api/test-game-setups', (_, res) => {
@@ -172,18 +256,226 @@ export class GameServer {
             return res.status(200).json({ success: true });
         });
 
-        app.post('/api/enter-queue', (req, res) => {
-            const { user, deck } = req.body;
-            const success = this.enterQueue(user, deck);
+        app.post('/api/enter-queue', requireAuthenticatedUser, async (req, res) => {
+            const { deck } = req.body;
+            const user: User = res.locals.user;
+            const format = req.body.format ?? SwuGameFormat.Premier;
+
+            if (this.isDraining) {
+                return GameServer.sendResponse(res, GameServer.drainingResponse);
+            }
+
+            const validationFailure = await this.validateQueueEntryAsync(deck, format);
+            if (validationFailure) {
+                return GameServer.sendResponse(res, validationFailure);
+            }
+
+            const success = await this.enterQueueAsync(user, deck, format);
             if (!success) {
                 return res.status(400).json({ success: false, message: 'Failed to enter queue' });
             }
             return res.status(200).json({ success: true });
         });
 
+        app.use('/api', createGameHistoryRouter(this.gameHistoryStore));
+
         app.get('/api/health', (_, res) => {
             return res.status(200).json({ success: true });
         });
+
+        app.use('/api/admin', createAdminRouter(this));
+
+        app.get('/metrics', (_, res) => {
+            this.updateMetricGauges();
+            return res.status(200).type(MetricsRegistry.contentType)
+                .send(serverMetrics.render());
+        });
+    }
+
+    private updateMetricGauges() {
+        const lobbies = Array.from(this.lobbies.values());
+        activeLobbies.set(lobbies.length);
+        activeGames.set(lobbies.filter((lobby) => lobby.hasGameInProgress()).length);
+
+        queuedPlayers.reset();
+        for (const format of Object.values(SwuGameFormat)) {
+            queuedPlayers.set(this.queue.players.filter((player) => player.format === format).length, { format });
+        }
+    }
+
+    public getLobbies(): Lobby[] {
+        return Array.from(this.lobbies.values());
+    }
+
+    public getLobby(lobbyId: string): Lobby | undefined {
+        return this.lobbies.get(lobbyId);
+    }
+
+    public getQueuedPlayerCount(): number {
+        return this.queue.players.length;
+    }
+
+    public kickUser(userId: string): boolean {
+        const wasQueued = this.queue.remove(userId);
+
+        const lobbyId = this.userLobbyMap.get(userId);
+        if (lobbyId) {
+            this.kickUserFromLobby(userId, lobbyId);
+        }
+
+        return wasQueued || lobbyId != null;
+    }
+
+    public isServerDraining(): boolean {
+        return this.isDraining;
+    }
+
+    public setServerDraining(isDraining: boolean): void {
+        this.isDraining = isDraining;
+        this.clusterClient?.sendStatus();
+    }
+
+    private kickUserFromLobby(userId: string, lobbyId: string) {
+        const lobby = this.lobbies.get(lobbyId);
+
+        // removed from the mapping first so that the socket disconnect isn't handled as a reconnectable one
+        this.userLobbyMap.delete(userId);
+        this.reconnectWindows.cancel(userId);
+
+        lobby.kickUser(userId);
+        if (lobby.isEmpty()) {
+            lobby.cleanLobby();
+            this.lobbies.delete(lobbyId);
+        }
+    }
+
+    private static sendResponse(res: express.Response, response: IGameNodeResponse) {
+        return res.status(response.status).json(response.body);
+    }
+
+    private async handleCreateLobbyRequestAsync(user: User, request: any): Promise<IGameNodeResponse> {
+        const format = request.format ?? SwuGameFormat.Premier;
+        if (!DeckValidator.isKnownFormat(format)) {
+            return { status: 400, body: { success: false, message: `Unknown game format '${format}'` } };
+        }
+
+        if (request.vsAi && format === SwuGameFormat.TwinSuns) {
+            return { status: 400, body: { success: false, message: 'Games against the AI cannot be played in Twin Suns' } };
+        }
+
+        if (!request.isPrivate && !request.vsAi && !user.username) {
+            return { status: 400, body: { success: false, message: 'Guests can only create private lobbies' } };
+        }
+
+        if (this.isDraining) {
+            return GameServer.drainingResponse;
+        }
+
+        if (env.maxGames != null && this.lobbies.size >= env.maxGames) {
+            return { status: 503, body: { success: false, message: 'The server cannot host any more games right now' } };
+        }
+
+        const deckErrors = await this.createLobby(user, request.deck, request.isPrivate, format, !!request.vsAi, request.aiDeck);
+        if (deckErrors.length > 0) {
+            return { status: 400, body: { success: false, message: 'Deck is not legal in the selected format', deckErrors } };
+        }
+        return { status: 200, body: { success: true, lobbyId: this.userLobbyMap.get(user.id) } };
+    }
+
+    private handleJoinLobbyRequest(user: User, lobbyId: string): IGameNodeResponse {
+        const lobby = this.lobbies.get(lobbyId);
+        if (!lobby) {
+            return { status: 404, body: { success: false, message: 'Lobby not found' } };
+        }
+
+        if (lobby.isFilled()) {
+            return { status: 400, body: { success: false, message: 'Lobby is full' } };
+        }
+        // Add the user to the lobby
+        this.userLobbyMap.set(user.id, lobby.id);
+        return { status: 200, body: { success: true } };
+    }
+
+    /**
+     * Checks that the deck can be used to queue in the format
+     * @returns the response to send if it can't, or null if it can
+     */
+    private async validateQueueEntryAsync(deck: ISwuDbDecklist, format: SwuGameFormat): Promise<IGameNodeResponse | null> {
+        if (!DeckValidator.isKnownFormat(format)) {
+            return { status: 400, body: { success: false, message: `Unknown game format '${format}'` } };
+        }
+
+        if (format === SwuGameFormat.TwinSuns) {
+            return { status: 400, body: { success: false, message: 'Twin Suns games are only available in lobbies' } };
+        }
+
+        const deckErrors = await this.deckValidator.validateDeckAsync(deck, format);
+        if (deckErrors.length > 0) {
+            return { status: 400, body: { success: false, message: 'Deck is not legal in the selected format', deckErrors } };
+        }
+
+        return null;
+    }
+
+    public getNodeStatus(): IGameNodeStatus {
+        const lobbies = Array.from(this.lobbies.values());
+        const lobbiesWithOpenSeat = this.lobbiesWithOpenSeat();
+        const spectatableLobbies = this.spectatableLobbies();
+
+        return {
+            name: env.gameNodeName,
+            address: `${env.gameNodeHost}:${env.gameNodeSocketIoPort}`,
+            maxGames: env.maxGames ?? null,
+            isDraining: this.isDraining,
+            lobbyCount: lobbies.length,
+            gameCount: lobbies.filter((lobby) => lobby.hasGameInProgress()).length,
+            cpuLoad: os.loadavg()[0] / os.cpus().length,
+            lobbies: lobbies.map((lobby) => ({
+                id: lobby.id,
+                userIds: lobby.getUserIds(),
+                hasOpenSeat: lobbiesWithOpenSeat.has(lobby.id),
+                isSpectatable: spectatableLobbies.has(lobby.id)
+            }))
+        };
+    }
+
+    public async runClusterCommandAsync(command: GameNodeCommand): Promise<IGameNodeResponse> {
+        switch (command.type) {
+            case 'createLobby':
+                return this.handleCreateLobbyRequestAsync(command.user, command.request ?? {});
+            case 'joinLobby':
+                return this.handleJoinLobbyRequest(command.user, command.lobbyId);
+            case 'validateQueueDeck': {
+                const format = command.format ?? SwuGameFormat.Premier;
+                return (await this.validateQueueEntryAsync(command.deck, format)) ?? { status: 200, body: { success: true, format } };
+            }
+            case 'createQueueLobby': {
+                if (this.isDraining) {
+                    return GameServer.drainingResponse;
+                }
+
+                const lobby = await this.createQueueLobbyAsync(command.format, ...command.players);
+                return { status: 200, body: { success: true, lobbyId: lobby.id } };
+            }
+            default:
+                Contract.fail(`Unknown cluster command: ${JSON.stringify(command)}`);
+        }
+    }
+
+    private addSpectatorToLobby(lobby: Lobby, user: User, ioSocket) {
+        const spectator = user.username ? user : { id: user.id, username: 'Spectator' };
+        const socket = new Socket(ioSocket);
+
+        lobby.addSpectator(spectator, socket);
+        socket.on('disconnect', () => lobby.removeSpectator(spectator.id));
+    }
+
+    private spectatableLobbies() {
+        return new Map(
+            Array.from(this.lobbies.entries()).filter(([_, lobby]) =>
+                lobby.allowsSpectators && !lobby.isPrivate && lobby.hasOngoingGame()
+            )
+        );
     }
 
     private lobbiesWithOpenSeat() {
@@ -195,47 +487,79 @@ export class GameServer {
     }
 
     /**
-     * Creates a new lobby for the given user. If no user is provided and
-     * the lobby is private, a default user is created.
+     * Creates a new lobby for the given user. If an anonymous (guest) user
+     * creates a private or AI lobby, they are given a default username.
      *
-     * @param {User | string} user - The user creating the lobby. If string(id) is passed in for a private lobby, a default user is created with that id.
+     * @param {User} user - The authenticated user creating the lobby. Guests without a username can only create private lobbies.
      * @param {Deck} deck - The deck used by this user.
      * @param {boolean} isPrivate - Whether or not this lobby is private.
-     * @returns {string} The ID of the user who owns and created the newly created lobby.
+     * @param {SwuGameFormat} format - The format whose deck rules apply in this lobby.
+     * @param {boolean} vsAi - Whether the user plays against an AI player instead of waiting for an opponent. The lobby is then private.
+     * @param {Deck} aiDeck - The deck used by the AI player, defaults to a copy of the user's deck.
+     * @returns {Promise<IDeckValidationFailure[]>} The reasons the user's or AI's deck is not legal in the format. If non-empty, no lobby is created.
      */
-    private createLobby(user: User | string, deck: Deck, isPrivate: boolean) {
+    private async createLobby(user: User, deck: Deck, isPrivate: boolean, format: SwuGameFormat, vsAi = false, aiDeck: Deck = null): Promise<IDeckValidationFailure[]> {
         if (!user) {
             throw new Error('User must be provided to create a lobby');
         }
-        if (!isPrivate && typeof user === 'string') {
-            throw new Error('User must be provided for public lobbies');
+        if (!isPrivate && !vsAi && !user.username) {
+            throw new Error('User must have a username for public lobbies');
+        }
+
+        let matchType = isPrivate ? MatchType.Private : MatchType.Custom;
+        if (vsAi) {
+            matchType = MatchType.VsAi;
         }
 
         const lobby = new Lobby(
-            isPrivate ? MatchType.Private : MatchType.Custom,
+            matchType,
+            format,
             this.cardDataGetter,
+            this.deckValidator,
             this.tokenCardsData,
             this.playableCardTitles,
-            this.testGameBuilder
+            this.testGameBuilder,
+            (result) => this.recordGameResultAsync(result),
+            this.gameHistoryStore
         );
-        this.lobbies.set(lobby.id, lobby);
-        // set default user if anonymous user is supplied for private lobbies
-        if (typeof user === 'string') {
-            user = { id: user, username: 'Player1' };
+        // set default username if anonymous user is supplied for private lobbies
+        if (!user.username) {
+            user = { id: user.id, username: 'Player1' };
         }
 
-        lobby.createLobbyUser(user, deck);
+        const deckErrors = await lobby.createLobbyUserAsync(user, deck);
+        if (deckErrors.length > 0) {
+            return deckErrors;
+        }
+
+        if (vsAi) {
+            const aiDeckErrors = await lobby.setAiDeckAsync(aiDeck ?? deck);
+            if (aiDeckErrors.length > 0) {
+                return aiDeckErrors;
+            }
+        }
+
+        this.lobbies.set(lobby.id, lobby);
         lobby.setLobbyOwner(user.id);
         this.userLobbyMap.set(user.id, lobby.id);
+        return [];
     }
 
     private async startTestGame(filename: string) {
-        const lobby = new Lobby(MatchType.Custom, this.cardDataGetter, this.tokenCardsData, this.playableCardTitles, this.testGameBuilder);
+        const lobby = new Lobby(
+            MatchType.Custom,
+            SwuGameFormat.Open,
+            this.cardDataGetter,
+            this.deckValidator,
+            this.tokenCardsData,
+            this.playableCardTitles,
+            this.testGameBuilder
+        );
         this.lobbies.set(lobby.id, lobby);
         const order66 = { id: 'exe66', username: 'Order66' };
         const theWay = { id: 'th3w4y', username: 'ThisIsTheWay' };
-        lobby.createLobbyUser(order66);
-        lobby.createLobbyUser(theWay);
+        await lobby.createLobbyUserAsync(order66);
+        await lobby.createLobbyUserAsync(theWay);
         this.userLobbyMap.set(order66.id, lobby.id);
         this.userLobbyMap.set(theWay.id, lobby.id);
         await lobby.startTestGameAsync(filename);
@@ -253,58 +577,12 @@ export class GameServer {
         });
     }
 
-    // public debugDump() {
-    //     const games = [];
-    //     for (const game of this.games.values()) {
-    //         const players = [];
-    //         for (const player of Object.values<any>(game.playersAndSpectators)) {
-    //             return {
-    //                 name: player.name,
-    //                 left: player.left,
-    //                 disconnected: player.disconnected,
-    //                 id: player.id,
-    //                 spectator: game.isSpectator(player)
-    //             };
-    //         }
-    //         games.push({
-    //             name: game.name,
-    //             players: players,
-    //             id: game.id,
-    //             started: game.started,
-    //             startedAt: game.startedAt
-    //         });
-    //     }
-
-    //     return {
-    //         games: games,
-    //         gameCount: this.games.size
-    //     };
-    // }
-
-
-    // handshake(socket: socketio.Socket, next: () => void) {
-    //     // if (socket.handshake.query.token && socket.handshake.query.token !== 'undefined') {
-    //     //     jwt.verify(socket.handshake.query.token, env.secret, function (err, user) {
-    //     //         if (err) {
-    //     //             logger.info(err);
-    //     //             return;
-    //     //         }
-
-    //     //         socket.request.user = user;
-    //     //     });
-    //     // }
-    //     next();
-    // }
-
     public async onConnection(ioSocket) {
-        const user = JSON.parse(ioSocket.handshake.query.user);
-        const requestedLobby = JSON.parse(ioSocket.handshake.query.lobby);
+        // set from the verified user token by the handshake middleware, never from client-supplied user data
+        const user: User = ioSocket.data.user;
+        const requestedLobby = JSON.parse(ioSocket.handshake.query.lobby ?? '{}');
 
-        if (user) {
-            ioSocket.data.user = user;
-        }
-
-        if (!ioSocket.data.user) {
+        if (!user) {
             logger.info('socket connected with no user, disconnecting');
             ioSocket.disconnect();
             return;
@@ -324,6 +602,7 @@ export class GameServer {
             // we get the user from the lobby since this way we can be sure it's the correct one.
             const socket = new Socket(ioSocket);
             lobby.addLobbyUser(user, socket);
+            this.reconnectWindows.cancel(user.id);
 
             socket.send('connectedUser', user.id);
             socket.on('disconnect', () => this.onSocketDisconnected(ioSocket, user.id));
@@ -339,10 +618,15 @@ export class GameServer {
                 return;
             }
 
-            // check if the lobby is full
-            if (lobby.isFilled() && lobby.hasOngoingGame()) {
-                logger.info('Requested lobby', requestedLobby.lobbyId, 'is full or already in game, disconnecting');
-                ioSocket.disconnect();
+            // users can join a full lobby as spectators, either by requesting it or by following the lobby link
+            if (requestedLobby.spectate || (lobby.isFilled() && lobby.hasOngoingGame())) {
+                if (!lobby.allowsSpectators) {
+                    logger.info('Requested lobby', requestedLobby.lobbyId, 'is full or does not allow spectators, disconnecting');
+                    ioSocket.disconnect();
+                    return;
+                }
+
+                this.addSpectatorToLobby(lobby, user, ioSocket);
                 return;
             }
 
@@ -362,9 +646,10 @@ export class GameServer {
             return;
         }
         // 3. if they are not in the lobby they could be in a queue
-        const queuedPlayer = this.queue.find((p) => p.user.id === user.id);
+        const queuedPlayer = this.queue.find(user.id);
         if (queuedPlayer) {
             queuedPlayer.socket = new Socket(ioSocket);
+            this.sendQueueStatus(queuedPlayer);
 
             // handle queue-specific events and add lobby disconnect
             ioSocket.on('disconnect', () => this.onSocketDisconnected(ioSocket, user.id));
@@ -380,84 +665,135 @@ export class GameServer {
     }
 
     /**
-     * Put a user into the queue array. They always start with a null socket.
+     * Put a user into the matchmaking queue for the format, with their current rating in it. They always start with a null socket.
+     * The deck is expected to already have been validated for the format.
      */
-    private enterQueue(user: any, deck: any): boolean {
+    private async enterQueueAsync(user: User, deck: any, format: SwuGameFormat): Promise<boolean> {
         // Quick check: if they're already in a lobby, no queue
         if (this.userLobbyMap.has(user.id)) {
             logger.info(`User ${user.id} already in a lobby, ignoring queue request.`);
             return false;
         }
         // Also check if they're already queued
-        if (this.queue.find((q) => q.user.id === user.id)) {
+        if (this.queue.find(user.id)) {
             logger.info(`User ${user.id} is already in queue, rejoining`);
-            this.removeFromQueue(user.id);
         }
-        this.queue.push({
+
+        this.queue.add({
             user,
             deck,
+            format,
+            rating: await this.ratingService.getRatingAsync(user.id, format),
             socket: null
         });
         return true;
     }
 
+    private async matchmakeQueuePlayersAndCatchErrorsAsync() {
+        try {
+            await this.matchmakeQueuePlayers();
+        } catch (e) {
+            logger.error(e);
+        }
+    }
+
     /**
-     * Matchmake two users in a queue
+     * Matchmake the queued players whose ratings are close enough, then tell everyone still waiting where they are in the queue
      */
-    private matchmakeQueuePlayers() {
-        // Simple approach: if at least 2 in queue, pair them up
-        while (this.queue.length >= 2) {
-            const p1 = this.queue.shift();
-            const p2 = this.queue.shift();
-            if (!p1 || !p2) {
-                throw new Error(`Matchmaking error status either p1 ${p1} or p2 ${p2} isn't a player object.`);
-            }
+    private async matchmakeQueuePlayers() {
+        // while draining, queued players wait until the server accepts new lobbies again
+        const matches = this.isDraining ? [] : this.queue.takeMatches();
 
-            // Create a new Lobby
-            const lobby = new Lobby(MatchType.Quick, this.cardDataGetter, this.tokenCardsData, this.playableCardTitles, this.testGameBuilder);
-            this.lobbies.set(lobby.id, lobby);
+        for (const [p1, p2] of matches) {
+            for (const player of [p1, p2]) {
+                queueWaitSeconds.observe((Date.now() - player.enqueuedAt) / 1000, { format: player.format });
+            }
 
-            // Create the 2 lobby users
-            lobby.createLobbyUser(p1.user, p1.deck);
-            lobby.createLobbyUser(p2.user, p2.deck);
+            const lobby = await this.createQueueLobbyAsync(p1.format, p1, p2);
 
             // Attach their sockets to the lobby (if they exist)
-            const socket1 = p1.socket ? p1.socket : null;
-            const socket2 = p2.socket ? p2.socket : null;
-            if (socket1) {
-                lobby.addLobbyUser(p1.user, socket1);
-                socket1.on('disconnect', () => this.onSocketDisconnected(socket1.socket, p1.user.id));
-                socket1.registerEvent('requeue', () => this.requeueUser(socket1, p1.user, p1.deck));
-            }
-            if (socket2) {
-                lobby.addLobbyUser(p2.user, socket2);
-                socket2.on('disconnect', () => this.onSocketDisconnected(socket2.socket, p2.user.id));
-                socket2.registerEvent('requeue', () => this.requeueUser(socket2, p2.user, p2.deck));
+            for (const player of [p1, p2]) {
+                const socket = player.socket;
+                if (socket) {
+                    lobby.addLobbyUser(player.user, socket);
+                    socket.on('disconnect', () => this.onSocketDisconnected(socket.socket, player.user.id));
+                    socket.registerEvent('requeue', () => this.requeueUser(socket, player.user, player.deck, player.format));
+                }
             }
 
-            // Save user => lobby mapping
-            this.userLobbyMap.set(p1.user.id, lobby.id);
-            this.userLobbyMap.set(p2.user.id, lobby.id);
-
-            // If needed, set tokens async
-            lobby.setLobbyOwner(p1.user.id);
             // this needs to be here since we only send start game via the LobbyOwner.
             lobby.sendLobbyState();
-            logger.info(`Matched players ${p1.user.username} and ${p2.user.username} in lobby ${lobby.id}.`);
+            logger.info(`Matched players ${p1.user.username} (${p1.rating}) and ${p2.user.username} (${p2.rating}) in lobby ${lobby.id}.`);
+        }
+
+        for (const queuedPlayer of this.queue.players) {
+            this.sendQueueStatus(queuedPlayer);
+        }
+    }
+
+    /**
+     * Creates the lobby for two players matched in the queue, either by this server's queue or by the lobby router's
+     */
+    private async createQueueLobbyAsync(format: SwuGameFormat, p1: IQueueMatchPlayer, p2: IQueueMatchPlayer): Promise<Lobby> {
+        const lobby = new Lobby(
+            MatchType.Quick,
+            format,
+            this.cardDataGetter,
+            this.deckValidator,
+            this.tokenCardsData,
+            this.playableCardTitles,
+            this.testGameBuilder,
+            (result) => this.recordGameResultAsync(result),
+            this.gameHistoryStore
+        );
+        this.lobbies.set(lobby.id, lobby);
+
+        // Create the 2 lobby users and save the user => lobby mapping
+        for (const player of [p1, p2]) {
+            await lobby.createLobbyUserAsync(player.user, player.deck);
+            this.userLobbyMap.set(player.user.id, lobby.id);
         }
+
+        lobby.setLobbyOwner(p1.user.id);
+        return lobby;
+    }
+
+    private sendQueueStatus(queuedPlayer: IQueuedPlayer) {
+        queuedPlayer.socket?.send('queueStatus', this.queue.getStatus(queuedPlayer.user.id));
+    }
+
+    /**
+     * Updates the players' ratings from the result of a matchmade game. When this server is part of a cluster, the ratings are kept by the lobby router.
+     */
+    private async recordGameResultAsync(result: ILobbyGameResult) {
+        if (result.matchType !== MatchType.Quick) {
+            return;
+        }
+
+        if (this.clusterClient) {
+            this.clusterClient.send({ type: 'gameResult', result });
+            return;
+        }
+
+        await this.ratingService.recordMatchmadeGameResultAsync(result);
     }
 
     /**
      * Remove the user from the queue if they disconnect or otherwise.
      */
     private removeFromQueue(userId: string): void {
-        this.queue = this.queue.filter((q) => q.user.id !== userId);
+        this.queue.remove(userId);
     }
 
     /**
      * requeues the user and removes him from the previous lobby. If the lobby is empty, it cleans it up.
      */
-    private async requeueUser(socket: Socket, user: User, deck: any) {
+    private async requeueUser(socket: Socket, user: User, deck: any, format: SwuGameFormat) {
+        if (this.isDraining) {
+            logger.info(`Server is draining, ignoring requeue request from user ${user.id}`);
+            return;
+        }
+
         if (this.userLobbyMap.has(user.id)) {
             const lobbyId = this.userLobbyMap.get(user.id);
             const lobby = this.lobbies.get(lobbyId);
@@ -470,10 +806,18 @@ export class GameServer {
                 this.lobbies.delete(lobbyId);
             }
         }
+        // the queue is kept by the lobby router when this server is part of a cluster
+        if (this.clusterClient) {
+            this.clusterClient.send({ type: 'requeue', user, deck, format });
+            return;
+        }
+
         // add user to queue
-        this.queue.push({
+        this.queue.add({
             user,
             deck,
+            format,
+            rating: await this.ratingService.getRatingAsync(user.id, format),
             socket: socket
         });
 
@@ -486,38 +830,27 @@ export class GameServer {
             this.removeFromQueue(id);
             return;
         }
-        const lobbyId = this.userLobbyMap.get(id);
-        const lobby = this.lobbies.get(lobbyId);
-
+        const lobby = this.lobbies.get(this.userLobbyMap.get(id));
 
         const wasManualDisconnect = !!socket?.data?.manualDisconnect;
         if (wasManualDisconnect) {
-            this.userLobbyMap.delete(id);
-            lobby.removeUser(id);
-
-            // check if lobby is empty
-            if (lobby.isEmpty()) {
-                // cleanup process
-                lobby.cleanLobby();
-                this.lobbies.delete(lobbyId);
-            }
+            this.removeUserFromLobby(id, lobby);
             return;
         }
         // TODO perhaps add a timeout for lobbies so they clean themselves up if somehow they become empty
         //  without triggering onSocketDisconnect
-        lobby.setUserDisconnected(id);
-        setTimeout(() => {
-            // Check if the user is still disconnected after the timer
-            if (lobby.getUserState(id) === 'disconnected') {
-                this.userLobbyMap.delete(id);
-                lobby.removeUser(id);
-                // Check if lobby is empty
-                if (lobby.isEmpty()) {
-                    // Start the cleanup process
-                    lobby.cleanLobby();
-                    this.lobbies.delete(lobbyId);
-                }
-            }
-        }, 20000);
+        this.reconnectWindows.onUserDisconnected(id, lobby);
+    }
+
+    public removeUserFromLobby(userId: string, lobby: Lobby): void {
+        this.userLobbyMap.delete(userId);
+        lobby.removeUser(userId);
+
+        // check if lobby is empty
+        if (lobby.isEmpty()) {
+            // cleanup process
+            lobby.cleanLobby();
+            this.lobbies.delete(lobby.id);
+        }
     }
 }
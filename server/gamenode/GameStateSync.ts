@@ -0,0 +1,124 @@
+/** A single operation of a JSON patch (RFC 6902), limited to the operations generated by {@link diffGameState} */
+export interface IGameStatePatchOperation {
+    op: 'add' | 'remove' | 'replace';
+    path: string;
+    value?: unknown;
+}
+
+/**
+ * Update sent to a client to bring its copy of the game state to `version`.
+ * Chat messages are not part of the diffed state, instead each update carries the messages added since the previous one.
+ */
+export type GameStateUpdate =
+  | { type: 'full'; version: number; state: any }
+  | { type: 'patch'; version: number; baseVersion: number; patch: IGameStatePatchOperation[]; newMessages: any[] };
+
+/**
+ * Tracks the last game state sent to a single socket so that later states can be sent as JSON patches against it.
+ *
+ * A full snapshot is sent for the first update after the tracker is created or reset (i.e. on connect, reconnect, client request
+ * or when the game is rebuilt for an undo, a rollback or a restore from a snapshot), when a new game starts in the lobby
+ * and when the chat history is rewritten.
+ */
+export class GameStateSync {
+    private lastSentState: any = null;
+    private lastSentGameId: string = null;
+    private sentMessageCount = 0;
+    private version = 0;
+
+    public reset(): void {
+        this.lastSentState = null;
+        this.lastSentGameId = null;
+        this.sentMessageCount = 0;
+    }
+
+    /**
+     * Builds the update for `state` and records it as sent. `state` must be JSON-serializable and is copied, so the game may keep mutating it afterwards.
+     */
+    public buildUpdate(state: any): GameStateUpdate {
+        const { messages = [], ...stateWithoutMessages } = JSON.parse(JSON.stringify(state));
+
+        const needsFullState = this.lastSentState == null ||
+          this.lastSentGameId !== stateWithoutMessages.id ||
+          messages.length < this.sentMessageCount;
+
+        const previousState = this.lastSentState;
+        const previousMessageCount = this.sentMessageCount;
+        const baseVersion = this.version;
+
+        this.lastSentState = stateWithoutMessages;
+        this.lastSentGameId = stateWithoutMessages.id;
+        this.sentMessageCount = messages.length;
+        this.version++;
+
+        if (needsFullState) {
+            return { type: 'full', version: this.version, state: { ...stateWithoutMessages, messages } };
+        }
+
+        return {
+            type: 'patch',
+            version: this.version,
+            baseVersion,
+            patch: diffGameState(previousState, stateWithoutMessages),
+            newMessages: messages.slice(previousMessageCount)
+        };
+    }
+}
+
+/**
+ * Generates the JSON patch (RFC 6902) that transforms `previous` into `next`. Both values must be plain JSON data.
+ * Arrays are compared index by index, with elements added or removed at the end.
+ */
+export function diffGameState(previous: unknown, next: unknown, path = ''): IGameStatePatchOperation[] {
+    if (previous === next) {
+        return [];
+    }
+
+    if (Array.isArray(previous) && Array.isArray(next)) {
+        const operations: IGameStatePatchOperation[] = [];
+        const commonLength = Math.min(previous.length, next.length);
+
+        for (let i = 0; i < commonLength; i++) {
+            operations.push(...diffGameState(previous[i], next[i], `${path}/${i}`));
+        }
+        for (let i = commonLength; i < next.length; i++) {
+            operations.push({ op: 'add', path: `${path}/${i}`, value: next[i] });
+        }
+        // removed from the end first so that earlier indices stay valid while the patch is applied
+        for (let i = previous.length - 1; i >= commonLength; i--) {
+            operations.push({ op: 'remove', path: `${path}/${i}` });
+        }
+
+        return operations;
+    }
+
+    if (isJsonObject(previous) && isJsonObject(next)) {
+        const operations: IGameStatePatchOperation[] = [];
+
+        for (const key of Object.keys(previous)) {
+            if (!(key in next)) {
+                operations.push({ op: 'remove', path: `${path}/${escapePathSegment(key)}` });
+            }
+        }
+        for (const [key, value] of Object.entries(next)) {
+            const keyPath = `${path}/${escapePathSegment(key)}`;
+            if (key in previous) {
+                operations.push(...diffGameState(previous[key], value, keyPath));
+            } else {
+                operations.push({ op: 'add', path: keyPath, value });
+            }
+        }
+
+        return operations;
+    }
+
+    return [{ op: 'replace', path, value: next }];
+}
+
+function isJsonObject(value: unknown): value is Record<string, unknown> {
+    return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function escapePathSegment(segment: string): string {
+    return segment.replace(/~/g, '~0').replace(/\//g, '~1');
+}
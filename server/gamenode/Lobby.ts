@@ -5,9 +5,24 @@ import * as Contract from '../game/core/utils/Contract';
 import fs from 'fs';
 import path from 'path';
 import { logger } from '../logger';
+import * as env from '../env';
 import { GameChat } from '../game/core/chat/GameChat';
 import type { CardDataGetter, ITokenCardsData } from '../utils/cardData/CardDataGetter';
 import { Deck } from '../utils/deck/Deck';
+import type { DeckValidator, IDeckValidationFailure } from '../utils/deck/DeckValidator';
+import { getPlayerCountRange, SwuGameFormat } from '../SwuGameFormat';
+import type { IDecklistInternal, ISwuDbDecklist } from '../utils/deck/DeckInterfaces';
+import { rebuildGameFromInputLogAsync, restoreGameFromSnapshotAsync } from '../game/core/snapshot/GameSnapshotRestorer';
+import type { IGameRestoreProperties, IGameSnapshot } from '../game/core/snapshot/SnapshotInterfaces';
+import { ClockType, type ClockConfig } from '../game/core/clocks/ClockSelector';
+import { AiPlayer } from './ai/AiPlayer';
+import { GameStateSync } from './GameStateSync';
+import type { IGameHistoryStore } from './history/IGameHistoryStore';
+import { GameErrorRecoveryChoice, GameErrorReporter } from './GameErrorReporter';
+import { gameCommandDurationSeconds, gameErrors, gamesFinished, gameStateBytes } from '../utils/metrics/ServerMetrics';
+import { SocketCommandDispatcher, SocketRateLimiter, socketCommand } from './SocketCommands';
+import { z } from 'zod';
+import { StatefulPromptType, type IStatefulPromptResults } from '../game/core/gameSteps/PromptInterfaces';
 
 interface LobbyUser {
     id: string;
@@ -16,11 +31,77 @@ interface LobbyUser {
     ready: boolean;
     socket?: Socket;
     deck?: Deck;
+    deckErrors?: IDeckValidationFailure[];
 }
+interface LobbySpectator {
+    id: string;
+    username: string;
+    socket: Socket;
+}
+
+export interface ISpectatorSettings {
+    allowSpectators: boolean;
+
+    /** If true, chat messages from spectators are only shown to other spectators */
+    spectatorSquelch: boolean;
+
+    /** Delay before game state updates are sent to spectators, to prevent them from relaying hidden information to a player */
+    spectatorDelaySeconds: number;
+}
+
 export enum MatchType {
     Custom = 'Custom',
     Private = 'Private',
     Quick = 'Quick',
+
+    /** A single user playing against an {@link AiPlayer} */
+    VsAi = 'VsAi',
+}
+
+/** Result of a finished game, reported to the lobby's owner (e.g. to update the players' ratings) */
+export interface ILobbyGameResult {
+    format: SwuGameFormat;
+    matchType: MatchType;
+    playerIds: string[];
+
+    /** Ids of the winning players, both players for a draw */
+    winnerIds: string[];
+
+    /** For a best-of match, the number of games each player won. The result is then reported once for the whole match. */
+    gameWins?: Record<string, number>;
+}
+
+/** Progress of a best-of match, which is played as a series of games in the lobby */
+interface IMatchState {
+    bestOf: number;
+    gamesPlayed: number;
+    gameWins: Record<string, number>;
+
+    /** The loser of the previous game chooses who starts with initiative in the next one, null after a draw */
+    initiativeChooserId: string | null;
+
+    /** Set while players are sideboarding between games */
+    sideboarding: { deadline: number; doneUserIds: string[] } | null;
+
+    /** Ids of the players who won the match once it is over, both players for a draw */
+    winnerIds: string[] | null;
+}
+
+/** Overview of a lobby for server operators, see {@link Lobby.getAdminSummary} */
+export interface ILobbyAdminSummary {
+    id: string;
+    matchType: MatchType;
+    format: SwuGameFormat;
+    isPrivate: boolean;
+    users: { id: string; username: string; state: 'connected' | 'disconnected'; ready: boolean }[];
+    spectatorCount: number;
+    game: {
+        id: string;
+        phase: string;
+        round: number;
+        startedAt: Date;
+        finishedAt: Date | null;
+    } | null;
 }
 
 export interface RematchRequest {
@@ -28,43 +109,225 @@ export interface RematchRequest {
     mode: 'reset' | 'regular';
 }
 
+// handler menu prompts use the index of the choice as the button arg
+const menuButtonArgSchema = z.union([
+    z.string(),
+    z.number().int()
+        .nonnegative()
+]);
+
+// setting names are used as property keys on the player, so only plain names are allowed
+const settingNameSchema = z.string().regex(/^[a-zA-Z]+$/);
+
+const chatMessageSchema = z.string().max(1000);
+
+const spectatorSettingsSchema = z.object({
+    allowSpectators: z.boolean().optional(),
+    spectatorSquelch: z.boolean().optional(),
+    spectatorDelaySeconds: z.number().int()
+        .min(0)
+        .max(600)
+        .optional()
+});
+
+const clockSettingsSchema = z.object({
+    type: z.nativeEnum(ClockType),
+    time: z.number().int()
+        .min(0)
+        .max(180)
+        .optional(),
+    periods: z.number().int()
+        .min(0)
+        .max(10)
+        .optional(),
+    timePeriod: z.number().int()
+        .min(0)
+        .max(300)
+        .optional()
+});
+
+const bestOfSchema = z.union([z.literal(1), z.literal(3)]);
+
+const rematchModeSchema = z.enum(['reset', 'regular']);
+
+const deckSourceSchema = z.enum(['Deck', 'Sideboard']);
+
+// the contents of the decklist are checked by the deck validator
+const decklistSchema = z.custom<ISwuDbDecklist>((decklist) => decklist != null && typeof decklist === 'object' && !Array.isArray(decklist));
+
+const statefulPromptResultsSchema = z.object({
+    type: z.enum([
+        StatefulPromptType.DistributeDamage,
+        StatefulPromptType.DistributeIndirectDamage,
+        StatefulPromptType.DistributeHealing,
+        StatefulPromptType.DistributeExperience
+    ]),
+    valueDistribution: z.array(z.object({
+        uuid: z.string(),
+        amount: z.number().int()
+            .nonnegative()
+    }))
+});
+
+/** A server error in the current game which the players have not yet chosen how to resolve */
+interface IPendingGameError {
+    dumpId: string;
+
+    /** Number of inputs in the game's input log before the input that caused the error */
+    lastGoodInputCount: number;
+
+    /** Choice of each player who has responded so far, by user id */
+    choices: Record<string, GameErrorRecoveryChoice>;
+}
+
 export class Lobby {
     private readonly _id: string;
     public readonly isPrivate: boolean;
     private readonly connectionLink?: string;
     private readonly gameChat: GameChat;
+    private readonly spectatorChat: GameChat;
     private readonly cardDataGetter: CardDataGetter; // TODO: currently not used but will be once we migrate card loading logic out of the FE
+    private readonly deckValidator: DeckValidator;
+    private readonly gameFormat: SwuGameFormat;
     private readonly testGameBuilder?: any;
     private readonly tokenCardsData: ITokenCardsData;
     private readonly playableCardTitles: string[];
 
     private game: Game;
     private users: LobbyUser[] = [];
+    private spectators: LobbySpectator[] = [];
+    private spectatorSettings: ISpectatorSettings = { allowSpectators: true, spectatorSquelch: false, spectatorDelaySeconds: 0 };
+    private clockSettings: ClockConfig = { type: ClockType.NONE, time: 0, periods: 0, timePeriod: 0 };
+    private clockCheckTimeout: NodeJS.Timeout = null;
     private lobbyOwnerId: string;
     private gameType: MatchType;
     private rematchRequest?: RematchRequest = null;
-
-    public constructor(lobbyGameType: MatchType, cardDataGetter: CardDataGetter, tokenCardsData: ITokenCardsData, playableCardTitles: string[], testGameBuilder?: any) {
+    private undoInProgress = false;
+    private finishedGame: Game = null;
+    private bestOf = 1;
+    private match: IMatchState = null;
+    private sideboardingTimeout: NodeJS.Timeout = null;
+    private readonly aiPlayer: AiPlayer = null;
+    private aiMoveTimeout: NodeJS.Timeout = null;
+    private readonly onGameResult?: (result: ILobbyGameResult) => void;
+    private readonly gameHistoryStore?: IGameHistoryStore;
+
+    /** Last game state sent to each socket that receives state updates as patches, keyed by socket id */
+    private readonly gameStateSyncs = new Map<string, GameStateSync>();
+
+    /** Timers of the delayed game state updates not yet sent to each spectator socket, keyed by socket id */
+    private readonly spectatorUpdateTimeouts = new Map<string, Set<NodeJS.Timeout>>();
+
+    private readonly errorReporter = new GameErrorReporter(env.errorDumpDirectory);
+    private pendingGameError: IPendingGameError = null;
+
+    private static readonly sideboardingSeconds = 180;
+
+    /** Pause before each AI move, so that the human player can follow what the AI is doing */
+    private static readonly aiMoveDelayMs = 750;
+
+    /** Each socket can send a burst of this many commands before being limited to {@link Lobby.commandsPerSecond} */
+    private static readonly commandBurstLimit = 30;
+    private static readonly commandsPerSecond = 10;
+
+    private readonly commandRateLimiter = new SocketRateLimiter(Lobby.commandBurstLimit, Lobby.commandsPerSecond);
+
+    private readonly gameCommands = new SocketCommandDispatcher('game', {
+        cardClicked: socketCommand(z.tuple([z.string()]), (socket, cardId) => this.game.cardClicked(socket.user.id, cardId)),
+        menuButton: socketCommand(
+            z.union([z.tuple([menuButtonArgSchema, z.string()]), z.tuple([menuButtonArgSchema, z.string(), z.string().nullable()])]),
+            (socket, arg, promptUuid, method?: string) => this.game.menuButton(socket.user.id, arg, promptUuid, method)
+        ),
+        perCardMenuButton: socketCommand(
+            z.union([z.tuple([z.string(), z.string(), z.string()]), z.tuple([z.string(), z.string(), z.string(), z.string().nullable()])]),
+            (socket, arg, cardUuid, promptUuid, method?: string) => this.game.perCardMenuButton(socket.user.id, arg, cardUuid, promptUuid, method)
+        ),
+        statefulPromptResults: socketCommand(
+            z.tuple([statefulPromptResultsSchema, z.string()]),
+            (socket, result, promptUuid) => this.game.statefulPromptResults(socket.user.id, result as IStatefulPromptResults, promptUuid)
+        ),
+        togglePromptedActionWindow: socketCommand(
+            z.tuple([z.enum(['action', 'regroup']), z.boolean()]),
+            (socket, windowName, toggle) => this.game.togglePromptedActionWindow(socket.user.id, windowName, toggle)
+        ),
+        toggleOptionSetting: socketCommand(
+            z.tuple([settingNameSchema, z.boolean()]),
+            (socket, settingName, toggle) => this.game.toggleOptionSetting(socket.user.id, settingName, toggle)
+        ),
+        concede: socketCommand(z.tuple([]), (socket) => this.game.concede(socket.user.id)),
+        requestUndo: socketCommand(z.tuple([]), (socket) => this.game.requestUndo(socket.user.id)),
+        respondToUndoRequest: socketCommand(z.tuple([z.boolean()]), (socket, accept) => this.game.respondToUndoRequest(socket.user.id, accept))
+    }, this.commandRateLimiter);
+
+    private readonly lobbyCommands = new SocketCommandDispatcher('lobby', {
+        setSpectatorSettings: socketCommand(z.tuple([spectatorSettingsSchema]), (socket, settings) => this.setSpectatorSettings(socket, settings)),
+        setClockSettings: socketCommand(z.tuple([clockSettingsSchema]), (socket, settings) => this.setClockSettings(socket, settings)),
+        setBestOf: socketCommand(z.tuple([bestOfSchema]), (socket, bestOf) => this.setBestOf(socket, bestOf)),
+        finishSideboarding: socketCommand(z.tuple([]), (socket) => this.finishSideboarding(socket)),
+        setReadyStatus: socketCommand(z.tuple([z.boolean()]), (socket, ready) => this.setReadyStatus(socket, ready)),
+        sendChatMessage: socketCommand(z.tuple([chatMessageSchema]), (socket, message) => this.sendChatMessage(socket, message)),
+        requestRematch: socketCommand(z.tuple([rematchModeSchema]), (socket, mode) => this.requestRematch(socket, mode)),
+        // the first argument is the site the deck was imported from, which the server does not need
+        changeDeck: socketCommand(z.tuple([z.unknown(), decklistSchema]), (socket, _deckImportSource, decklist) => this.changeDeck(socket, decklist)),
+        updateDeck: socketCommand(z.tuple([deckSourceSchema, z.string()]), (socket, source, cardId) => this.updateDeck(socket, source, cardId)),
+        requestGameState: socketCommand(z.tuple([]), (socket) => this.requestGameState(socket)),
+        respondToGameError: socketCommand(z.tuple([z.nativeEnum(GameErrorRecoveryChoice)]), (socket, choice) => this.respondToGameErrorAsync(socket, choice)),
+        onStartGameAsync: socketCommand(z.tuple([]), () => this.onStartGameAsync())
+    }, this.commandRateLimiter);
+
+    /** Spectators can only chat and ask for the game state */
+    private readonly spectatorLobbyCommands = new SocketCommandDispatcher('lobby', {
+        sendChatMessage: socketCommand(z.tuple([chatMessageSchema]), (socket, message) => this.sendSpectatorChatMessage(socket, message)),
+        requestGameState: socketCommand(z.tuple([]), (socket) => this.requestGameState(socket))
+    }, this.commandRateLimiter);
+
+    public constructor(
+        lobbyGameType: MatchType,
+        lobbyGameFormat: SwuGameFormat,
+        cardDataGetter: CardDataGetter,
+        deckValidator: DeckValidator,
+        tokenCardsData: ITokenCardsData,
+        playableCardTitles: string[],
+        testGameBuilder?: any,
+        onGameResult?: (result: ILobbyGameResult) => void,
+        gameHistoryStore?: IGameHistoryStore
+    ) {
         Contract.assertTrue(
-            [MatchType.Custom, MatchType.Private, MatchType.Quick].includes(lobbyGameType),
+            [MatchType.Custom, MatchType.Private, MatchType.Quick, MatchType.VsAi].includes(lobbyGameType),
             `Lobby game type ${lobbyGameType} doesn't match any MatchType values`
         );
         this._id = uuid();
         this.gameChat = new GameChat();
-        this.connectionLink = lobbyGameType !== MatchType.Quick ? this.createLobbyLink() : null;
-        this.isPrivate = lobbyGameType === MatchType.Private;
+        this.spectatorChat = new GameChat();
+        this.connectionLink = lobbyGameType !== MatchType.Quick && lobbyGameType !== MatchType.VsAi ? this.createLobbyLink() : null;
+        this.isPrivate = lobbyGameType === MatchType.Private || lobbyGameType === MatchType.VsAi;
         this.gameType = lobbyGameType;
+        this.gameFormat = lobbyGameFormat;
         this.cardDataGetter = cardDataGetter;
+        this.deckValidator = deckValidator;
         this.testGameBuilder = testGameBuilder;
+        this.onGameResult = onGameResult;
+        this.gameHistoryStore = gameHistoryStore;
         this.playableCardTitles = playableCardTitles;
         this.tokenCardsData = tokenCardsData;
+
+        if (lobbyGameType === MatchType.VsAi) {
+            this.aiPlayer = new AiPlayer(`ai-${uuid()}`, 'AI Opponent');
+        }
     }
 
     public get id(): string {
         return this._id;
     }
 
-    public getLobbyState(): any {
+    public get allowsSpectators(): boolean {
+        return this.spectatorSettings.allowSpectators;
+    }
+
+    /**
+     * @param forSpectator if true, includes the chat messages that squelched spectators sent to each other
+     */
+    public getLobbyState(forSpectator = false): any {
         return {
             id: this._id,
             users: this.users.map((u) => ({
@@ -73,14 +336,33 @@ export class Lobby {
                 state: u.state,
                 ready: u.ready,
                 deck: u.deck?.getDecklist(),
+                deckErrors: u.deckErrors,
+                isAi: u.id === this.aiPlayer?.id,
             })),
             gameOngoing: !!this.game,
             gameChat: this.gameChat,
+            spectatorChat: forSpectator ? this.spectatorChat : undefined,
+            spectators: this.spectators.map((s) => ({ id: s.id, username: s.username })),
+            spectatorSettings: this.spectatorSettings,
+            clockSettings: this.clockSettings,
             lobbyOwnerId: this.lobbyOwnerId,
             isPrivate: this.isPrivate,
             connectionLink: this.connectionLink,
             gameType: this.gameType,
+            gameFormat: this.gameFormat,
             rematchRequest: this.rematchRequest,
+            bestOf: this.bestOf,
+            match: this.match && {
+                gamesPlayed: this.match.gamesPlayed,
+                gameWins: this.match.gameWins,
+                sideboardingTimeLeft: this.match.sideboarding && Math.max(0, Math.ceil((this.match.sideboarding.deadline - Date.now()) / 1000)),
+                sideboardingDoneUserIds: this.match.sideboarding?.doneUserIds,
+                winnerIds: this.match.winnerIds
+            },
+            gameError: this.pendingGameError && {
+                options: Object.values(GameErrorRecoveryChoice),
+                choices: this.pendingGameError.choices
+            },
         };
     }
 
@@ -90,12 +372,23 @@ export class Lobby {
             : `https://beta.karabast.net/lobby?lobbyId=${this._id}`;
     }
 
-    public createLobbyUser(user, decklist = null): void {
+    /**
+     * Adds a user to the lobby (without a socket) or updates the deck of an existing user.
+     * If the decklist is not legal in the lobby's format, the user's deck is not set and an existing user keeps their previous deck, like in {@link changeDeck}.
+     *
+     * @returns the list of deck validation failures, empty if the deck is legal or no decklist was provided
+     */
+    public async createLobbyUserAsync(user, decklist = null): Promise<IDeckValidationFailure[]> {
+        const deckErrors = decklist ? await this.deckValidator.validateDeckAsync(decklist, this.gameFormat) : [];
+        const deck = decklist && deckErrors.length === 0 ? new Deck(decklist, this.cardDataGetter) : null;
+
         const existingUser = this.users.find((u) => u.id === user.id);
-        const deck = decklist ? new Deck(decklist, this.cardDataGetter) : null;
         if (existingUser) {
-            existingUser.deck = deck;
-            return;
+            if (deck) {
+                existingUser.deck = deck;
+            }
+            existingUser.deckErrors = deckErrors;
+            return deckErrors;
         }
 
         this.users.push(({
@@ -104,8 +397,29 @@ export class Lobby {
             state: null,
             ready: false,
             socket: null,
-            deck
+            deck,
+            deckErrors
         }));
+
+        return deckErrors;
+    }
+
+    /**
+     * Adds the AI player of a {@link MatchType.VsAi} lobby with the given deck, or changes its deck.
+     * The AI player is always ready, so the game can be started as soon as the human player is.
+     *
+     * @returns the list of deck validation failures, empty if the deck is legal
+     */
+    public async setAiDeckAsync(decklist): Promise<IDeckValidationFailure[]> {
+        Contract.assertNotNullLike(this.aiPlayer, `Lobby ${this.id} has no AI player`);
+
+        const deckErrors = await this.createLobbyUserAsync({ id: this.aiPlayer.id, username: this.aiPlayer.username }, decklist);
+
+        const aiUser = this.getUser(this.aiPlayer.id);
+        aiUser.state = 'connected';
+        aiUser.ready = true;
+
+        return deckErrors;
     }
 
     public addLobbyUser(user, socket: Socket): void {
@@ -118,9 +432,13 @@ export class Lobby {
         socket.registerEvent('game', (socket, command, ...args) => this.onGameMessage(socket, command, ...args));
         socket.registerEvent('lobby', (socket, command, ...args) => this.onLobbyMessage(socket, command, ...args));
 
+        // a (re)connecting client always starts from a full game state
+        this.removeGameStateSyncsForUser(user.id);
+
         if (existingUser) {
             existingUser.state = 'connected';
             existingUser.socket = socket;
+            this.game?.reconnect(user.id);
         } else {
             this.users.push({
                 id: user.id,
@@ -138,24 +456,161 @@ export class Lobby {
         }
     }
 
-    private setReadyStatus(socket: Socket, ...args) {
-        Contract.assertTrue(args.length === 1 && typeof args[0] === 'boolean', 'Ready status arguments aren\'t boolean or present');
+    /**
+     * Adds a spectator to the lobby. Spectators receive the lobby and game state but cannot send game commands.
+     */
+    public addSpectator(user, socket: Socket): void {
+        Contract.assertTrue(this.spectatorSettings.allowSpectators, `Lobby ${this.id} does not allow spectators`);
+
+        if (socket.eventContainsListener('game') || socket.eventContainsListener('lobby')) {
+            socket.removeEventsListeners(['game', 'lobby']);
+        }
+
+        socket.registerEvent('lobby', (socket, command, ...args) => this.onSpectatorLobbyMessage(socket, command, ...args));
+
+        this.removeGameStateSyncsForUser(user.id);
+        this.spectators = this.spectators.filter((s) => s.id !== user.id);
+        this.spectators.push({ id: user.id, username: user.username, socket });
+
+        this.game?.watch(user.id, user);
+
+        this.sendLobbyState();
+        if (this.game) {
+            this.sendGameState(this.game);
+        }
+    }
+
+    public removeSpectator(id: string): void {
+        if (!this.spectators.some((s) => s.id === id)) {
+            return;
+        }
+
+        this.removeGameStateSyncsForUser(id);
+        this.spectators = this.spectators.filter((s) => s.id !== id);
+        this.game?.leave(id);
+
+        this.sendLobbyState();
+    }
+
+    private setSpectatorSettings(socket: Socket, settings: z.infer<typeof spectatorSettingsSchema>) {
+        Contract.assertTrue(socket.user.id === this.lobbyOwnerId, 'Only the lobby owner can change the spectator settings');
+
+        this.spectatorSettings = {
+            allowSpectators: settings.allowSpectators ?? this.spectatorSettings.allowSpectators,
+            spectatorSquelch: settings.spectatorSquelch ?? this.spectatorSettings.spectatorSquelch,
+            spectatorDelaySeconds: settings.spectatorDelaySeconds ?? this.spectatorSettings.spectatorDelaySeconds
+        };
+
+        if (this.game) {
+            this.game.allowSpectators = this.spectatorSettings.allowSpectators;
+            this.game.spectatorSquelch = this.spectatorSettings.spectatorSquelch;
+        }
+
+        if (!this.spectatorSettings.allowSpectators) {
+            for (const spectator of this.spectators) {
+                this.game?.leave(spectator.id);
+                this.clearSpectatorUpdateTimeouts(spectator.socket.id);
+                spectator.socket.disconnect();
+            }
+            this.spectators = [];
+        }
+    }
+
+    /**
+     * Sets the time controls for the next game started in this lobby. Time is in minutes and timePeriod in seconds, see {@link ClockConfig}.
+     */
+    private setClockSettings(socket: Socket, settings: z.infer<typeof clockSettingsSchema>) {
+        Contract.assertTrue(socket.user.id === this.lobbyOwnerId, 'Only the lobby owner can change the clock settings');
+
+        this.clockSettings = {
+            type: settings.type,
+            time: settings.time ?? 0,
+            periods: settings.periods ?? 0,
+            timePeriod: settings.timePeriod ?? 0
+        };
+    }
+
+    /**
+     * Sets whether the next game started in this lobby is a single game or the first game of a best-of-three match
+     */
+    private setBestOf(socket: Socket, bestOf: z.infer<typeof bestOfSchema>) {
+        Contract.assertTrue(socket.user.id === this.lobbyOwnerId, 'Only the lobby owner can change the match format');
+        Contract.assertTrue(this.gameType !== MatchType.Quick, 'The match format of a matchmade lobby cannot be changed');
+        Contract.assertFalse(bestOf === 3 && this.gameFormat === SwuGameFormat.TwinSuns, 'Twin Suns games cannot be played as best of 3');
+        Contract.assertFalse(this.isMatchInProgress(), 'The match format cannot be changed during a match');
+
+        this.bestOf = bestOf;
+    }
+
+    /**
+     * Marks the user as done sideboarding. The next game of the match starts once both players are done or the time is up.
+     */
+    private async finishSideboarding(socket: Socket) {
+        const sideboarding = this.match?.sideboarding;
+        Contract.assertNotNullLike(sideboarding, `Lobby ${this.id} is not between games of a match`);
+
+        // the deck errors of a user whose last sideboarding move was undone describe that move, not their current deck
+        const user = this.getUser(socket.user.id);
+        const deckErrors = await this.validateDeckAsync(user.deck.getDecklist());
+        Contract.assertTrue(deckErrors.length === 0, `User ${user.id} cannot finish sideboarding with an illegal deck`);
+
+        if (!sideboarding.doneUserIds.includes(user.id)) {
+            sideboarding.doneUserIds.push(user.id);
+        }
+
+        if (this.users.every((lobbyUser) => sideboarding.doneUserIds.includes(lobbyUser.id))) {
+            await this.startNextMatchGameAsync();
+        }
+    }
+
+    private onSpectatorLobbyMessage(socket: Socket, command: string, ...args) {
+        const runCommand = this.spectatorLobbyCommands.resolve(socket, command, args);
+        if (runCommand) {
+            runCommand();
+        }
+    }
+
+    private sendSpectatorChatMessage(socket: Socket, message: string) {
+        const chat = this.spectatorSettings.spectatorSquelch ? this.spectatorChat : this.gameChat;
+        chat.addChatMessage(socket.user, message);
+        this.sendLobbyState();
+    }
+
+    /**
+     * Sends the full game state to the requesting socket, e.g. because the client missed a patch.
+     * Later updates to the socket are patches against this state.
+     *
+     * Spectators get the state after the spectator delay like any other update, and the delayed updates still pending for them
+     * are dropped since they were built against the state the client is replacing.
+     */
+    private requestGameState(socket: Socket) {
+        if (!this.game) {
+            return;
+        }
+
+        this.clearSpectatorUpdateTimeouts(socket.id);
+        this.gameStateSyncs.get(socket.id)?.reset();
+
+        const state = this.buildGameState(this.game, socket.user.id);
+        if (this.spectators.some((spectator) => spectator.socket === socket)) {
+            this.sendSpectatorGameStateMessage(socket, this.buildGameStateMessage(socket, state));
+        } else {
+            this.sendGameStateToSocket(socket, state);
+        }
+    }
+
+    private setReadyStatus(socket: Socket, ready: boolean) {
         const currentUser = this.users.find((u) => u.id === socket.user.id);
-        currentUser.ready = args[0];
+        currentUser.ready = ready;
     }
 
-    private sendChatMessage(socket: Socket, ...args) {
-        // we need to get the player and message
-        Contract.assertTrue(args.length === 1 && typeof args[0] === 'string', 'Chat message arguments are not present or not of type string');
-        this.gameChat.addChatMessage(socket.user, args[0]);
+    private sendChatMessage(socket: Socket, message: string) {
+        this.gameChat.addChatMessage(socket.user, message);
         this.sendLobbyState();
     }
 
-    private requestRematch(socket: Socket, ...args: any[]): void {
-        // Expect the rematch mode to be passed as the first argument: 'reset' or 'regular'
-        Contract.assertTrue(args.length === 1, 'Expected rematch mode argument but argument length is: ' + args.length);
-        const mode = args[0];
-        Contract.assertTrue(mode === 'reset' || mode === 'regular', 'Invalid rematch mode, expected reset or regular but receieved: ' + mode);
+    private requestRematch(socket: Socket, mode: z.infer<typeof rematchModeSchema>): void {
+        Contract.assertFalse(this.isMatchInProgress(), 'A rematch cannot be requested during a match');
 
         // Set the rematch request property (allow only one request at a time)
         if (!this.rematchRequest) {
@@ -165,43 +620,69 @@ export class Lobby {
             };
             logger.info(`User ${socket.user.id} requested a rematch (${mode}) in lobby ${this._id}`);
         }
+
+        // the AI player always accepts
+        if (this.aiPlayer) {
+            this.rematch();
+            return;
+        }
         this.sendLobbyState();
     }
 
     private rematch() {
         // Clear the rematch request and reset the game.
         this.rematchRequest = null;
+        this.pendingGameError = null;
         this.game = null;
+        this.endMatch();
         if (this.gameType === MatchType.Quick) {
             this.gameType = MatchType.Custom;
         }
         // Clear the 'ready' state for all users.
         this.users.forEach((user) => {
-            user.ready = false;
+            user.ready = user.id === this.aiPlayer?.id;
         });
         this.sendLobbyState();
     }
 
-    private changeDeck(socket: Socket, ...args) {
-        const activeUser = this.users.find((u) => u.id === socket.user.id);
-        Contract.assertTrue(args[0] !== null);
-        Contract.assertTrue(args[1] !== null);
-        activeUser.deck = new Deck(args[1], this.cardDataGetter);
-    }
+    private async changeDeck(socket: Socket, decklist: ISwuDbDecklist) {
+        Contract.assertFalse(this.isMatchInProgress(), 'Decks cannot be changed during a match, only sideboarded between games');
 
-    private updateDeck(socket: Socket, ...args) {
-        const source = args[0]; // [<'Deck'|'Sideboard>'<cardID>]
-        const cardId = args[1];
+        const activeUser = this.getUser(socket.user.id);
 
-        Contract.assertTrue(source === 'Deck' || source === 'Sideboard', `source isn't 'Deck' or 'Sideboard' but ${source}`);
+        // an illegal deck is rejected and the user keeps their previous deck
+        activeUser.deckErrors = await this.validateDeckAsync(decklist);
+        if (activeUser.deckErrors.length === 0) {
+            activeUser.deck = new Deck(decklist, this.cardDataGetter);
+        }
+    }
 
-        const userDeck = this.getUser(socket.user.id).deck;
+    private async updateDeck(socket: Socket, source: z.infer<typeof deckSourceSchema>, cardId: string) {
+        Contract.assertTrue(this.game == null || this.game.finishedAt != null, 'Decks cannot be sideboarded while a game is in progress');
+
+        const user = this.getUser(socket.user.id);
+        const userDeck = user.deck;
+        Contract.assertNotNullLike(userDeck, `User ${user.id} has no deck selected in lobby ${this.id}`);
 
         if (source === 'Deck') {
             userDeck.moveToSideboard(cardId);
         } else {
             userDeck.moveToDeck(cardId);
         }
+
+        // if the move made the deck illegal, undo it
+        user.deckErrors = await this.validateDeckAsync(userDeck.getDecklist());
+        if (user.deckErrors.length > 0) {
+            if (source === 'Deck') {
+                userDeck.moveToDeck(cardId);
+            } else {
+                userDeck.moveToSideboard(cardId);
+            }
+        }
+    }
+
+    private validateDeckAsync(decklist: ISwuDbDecklist | IDecklistInternal): Promise<IDeckValidationFailure[]> {
+        return this.deckValidator.validateDeckAsync(decklist, this.gameFormat);
     }
 
     private getUser(id: string) {
@@ -210,17 +691,54 @@ export class Lobby {
         return user;
     }
 
-    public setUserDisconnected(id: string): void {
+    /**
+     * @param reconnectWindowSeconds time the user has to reconnect before {@link Lobby.forfeitGameForUser} is called, shown to the opponent during a game
+     */
+    public setUserDisconnected(id: string, reconnectWindowSeconds: number): void {
         const user = this.users.find((u) => u.id === id);
         if (user) {
             user.state = 'disconnected';
         }
+        this.removeGameStateSyncsForUser(id);
+
+        if (this.hasGameInProgressForUser(id)) {
+            this.game.disconnect(id, reconnectWindowSeconds);
+            this.sendGameState(this.game);
+        }
+    }
+
+    /**
+     * Makes a user who did not reconnect in time concede the game they are playing, if it is still in progress
+     */
+    public forfeitGameForUser(id: string): void {
+        if (!this.hasGameInProgressForUser(id)) {
+            return;
+        }
+
+        const game = this.game;
+        this.runAndCatchErrors(game, () => {
+            game.concede(id, 'disconnect');
+            game.continue();
+
+            this.sendGameState(game);
+        });
+
+        this.afterGameUpdate(game);
+    }
+
+    private hasGameInProgressForUser(id: string): boolean {
+        return this.game != null && this.game.finishedAt == null && this.game.getPlayers().some((player) => player.id === id);
     }
 
     public hasOngoingGame(): boolean {
         return this.game !== undefined;
     }
 
+    /** Unlike {@link Lobby.hasOngoingGame}, false once the game has finished */
+    public hasGameInProgress(): boolean {
+        return this.game != null && this.game.finishedAt == null;
+    }
+
     public setLobbyOwner(id: string): void {
         this.lobbyOwnerId = id;
     }
@@ -230,22 +748,114 @@ export class Lobby {
         return user ? user.state : null;
     }
 
+    public getUserIds(): string[] {
+        return this.users.map((user) => user.id);
+    }
+
+    public getAdminSummary(): ILobbyAdminSummary {
+        return {
+            id: this.id,
+            matchType: this.gameType,
+            format: this.gameFormat,
+            isPrivate: this.isPrivate,
+            users: this.users.map((user) => ({ id: user.id, username: user.username, state: user.state, ready: user.ready })),
+            spectatorCount: this.spectators.length,
+            game: this.game
+                ? {
+                    id: this.game.id,
+                    phase: this.game.currentPhase,
+                    round: this.game.roundNumber,
+                    startedAt: this.game.startedAt,
+                    finishedAt: this.game.finishedAt ?? null
+                }
+                : null
+        };
+    }
+
+    /**
+     * Returns the pipeline debug info and full state of the lobby's game, or null if there is no game
+     */
+    public getGameDebugInfo(): { pipeline: unknown; snapshot: IGameSnapshot } | null {
+        if (!this.game) {
+            return null;
+        }
+
+        return { pipeline: this.game.pipeline.getDebugInfo(), snapshot: this.game.getSnapshot() };
+    }
+
+    /**
+     * Ends the lobby's game without a result, e.g. when it is stuck
+     * @returns false if there is no game in progress
+     */
+    public forceEndGame(reason: string): boolean {
+        const game = this.game;
+        if (!game || game.finishedAt != null) {
+            return false;
+        }
+
+        this.pendingGameError = null;
+        game.addAlert('warning', 'The game was ended by a server administrator: {0}', reason);
+        game.endGameAsNoContest(reason);
+        this.afterGameUpdate(game);
+        this.sendGameState(game);
+        return true;
+    }
+
+    /**
+     * Shows an alert to everyone in the lobby, both in the lobby chat and in the game if one is in progress
+     */
+    public broadcastAlert(type: string, message: string): void {
+        this.gameChat.addAlert(type, message);
+
+        if (this.game && this.game.finishedAt == null) {
+            this.game.addAlert(type, message);
+            this.sendGameState(this.game);
+        } else {
+            this.sendLobbyState();
+        }
+    }
+
+    /**
+     * Removes the user from the lobby and disconnects their socket. A game they are playing is conceded on their behalf.
+     */
+    public kickUser(id: string): void {
+        const user = this.users.find((u) => u.id === id);
+        if (!user) {
+            return;
+        }
+
+        this.forfeitGameForUser(id);
+        this.removeUser(id);
+
+        user.socket?.send('kicked');
+        user.socket?.disconnect();
+    }
+
     public isFilled(): boolean {
-        return this.users.length === 2;
+        return this.users.length >= getPlayerCountRange(this.gameFormat).max;
     }
 
     public removeUser(id: string): void {
+        this.removeGameStateSyncsForUser(id);
         this.users = this.users.filter((u) => u.id !== id);
         this.sendLobbyState();
     }
 
     public isEmpty(): boolean {
-        return this.users.length === 0;
+        return this.users.every((user) => user.id === this.aiPlayer?.id);
     }
 
     public cleanLobby(): void {
+        clearTimeout(this.clockCheckTimeout);
+        clearTimeout(this.aiMoveTimeout);
+        this.endMatch();
         this.game = null;
         this.users = [];
+        this.gameStateSyncs.clear();
+        for (const socketId of Array.from(this.spectatorUpdateTimeouts.keys())) {
+            this.clearSpectatorUpdateTimeouts(socketId);
+        }
+        this.pendingGameError = null;
     }
 
     public async startTestGameAsync(filename: string) {
@@ -256,14 +866,10 @@ export class Lobby {
 
         Contract.assertNotNullLike(this.testGameBuilder, `Attempting to start a test game from file ${filename} but local test tools were not found`);
 
-        // TODO to address this a refactor and change router to lobby
-        // eslint-disable-next-line
-        const router = this;
-
         const game: Game = await this.testGameBuilder.setUpTestGameAsync(
             setupData,
             this.cardDataGetter,
-            router,
+            this,
             { id: 'exe66', username: 'Order66' },
             { id: 'th3w4y', username: 'ThisIsTheWay' }
         );
@@ -271,8 +877,48 @@ export class Lobby {
         this.game = game;
     }
 
+    /**
+     * Returns a snapshot of the ongoing game that can be stored and later passed to {@link Lobby.resumeGameFromSnapshotAsync}
+     */
+    public getGameSnapshot(): IGameSnapshot {
+        Contract.assertNotNullLike(this.game, `Lobby ${this.id} has no ongoing game to take a snapshot of`);
+        return this.game.getSnapshot();
+    }
+
+    /**
+     * Rebuilds a game from a snapshot and resumes play in this lobby. Users reconnecting to the lobby are matched to their players by user id.
+     */
+    public async resumeGameFromSnapshotAsync(snapshot: IGameSnapshot) {
+        Contract.assertIsNullLike(this.game, `Lobby ${this.id} already has an ongoing game`);
+
+        this.rematchRequest = null;
+
+        this.game = await restoreGameFromSnapshotAsync(snapshot, this.buildRestoreProperties());
+        this.resetGameStateSyncs();
+
+        this.sendGameState(this.game);
+    }
+
     private async onStartGameAsync() {
+        const playerCountRange = getPlayerCountRange(this.gameFormat);
+        Contract.assertTrue(
+            this.users.length >= playerCountRange.min && this.users.length <= playerCountRange.max,
+            `Cannot start a ${this.gameFormat} game with ${this.users.length} players`
+        );
+
         this.rematchRequest = null;
+        this.pendingGameError = null;
+
+        if (this.bestOf > 1 && !this.isMatchInProgress()) {
+            this.match = {
+                bestOf: this.bestOf,
+                gamesPlayed: 0,
+                gameWins: Object.fromEntries(this.users.map((user) => [user.id, 0])),
+                initiativeChooserId: null,
+                sideboarding: null,
+                winnerIds: null
+            };
+        }
 
         const game = new Game(this.buildGameSettings(), { router: this });
         this.game = game;
@@ -307,104 +953,519 @@ export class Lobby {
         return {
             id: '0001',
             name: 'Test Game',
-            allowSpectators: false,
-            spectatorSquelch: true,
+            allowSpectators: this.spectatorSettings.allowSpectators,
+            spectatorSquelch: this.spectatorSettings.spectatorSquelch,
+            spectators: this.spectators.map((spectator) => ({ id: spectator.id, user: { id: spectator.id, username: spectator.username } })),
             owner: 'Order66',
-            clocks: 'timer',
+            clocks: this.clockSettings,
+            initiativeChooserId: this.isMatchInProgress() ? this.match.initiativeChooserId : null,
             players,
+            format: this.gameFormat,
             playableCardTitles: this.playableCardTitles,
             cardDataGetter: this.cardDataGetter,
         };
     }
 
-    private onLobbyMessage(socket: Socket, command: string, ...args): void {
-        if (!this[command] || typeof this[command] !== 'function') {
-            throw new Error(`Incorrect command or command format expected function but got: ${command}`);
+    private onLobbyMessage(socket: Socket, command: string, ...args): Promise<void> {
+        const runCommand = this.lobbyCommands.resolve(socket, command, args);
+        if (!runCommand) {
+            return Promise.resolve();
         }
 
-        this.runLobbyFuncAndCatchErrors(() => {
-            this[command](socket, ...args);
+        return this.runLobbyFuncAndCatchErrorsAsync(async () => {
+            await runCommand();
             this.sendLobbyState();
         });
     }
 
     private onGameMessage(socket: Socket, command: string, ...args): void {
-        if (!this.game) {
+        const runCommand = this.gameCommands.resolve(socket, command, args);
+        if (!runCommand || !this.game) {
             return;
         }
 
-        // if (command === 'leavegame') {
-        //     return this.onLeaveGame(socket);
-        // }
-
-        if (!this.game[command] || typeof this.game[command] !== 'function') {
+        // inputs received while the game is being rebuilt for an undo would be lost, so they are ignored
+        if (this.undoInProgress) {
             return;
         }
 
-        this.runAndCatchErrors(this.game, () => {
+        gameCommandDurationSeconds.time(() => this.runAndCatchErrors(this.game, () => {
             this.game.stopNonChessClocks();
-            this.game[command](socket.user.id, ...args);
+            runCommand();
 
             this.game.continue();
 
             this.sendGameState(this.game);
+        }), { command });
+
+        this.afterGameUpdate(this.game);
+    }
+
+    private afterGameUpdate(game: Game) {
+        if (game.undoHandler.acceptedCheckpoint != null) {
+            this.undoToCheckpointAsync(game);
+        } else if (game.finishedAt != null && this.finishedGame !== game) {
+            this.onGameFinished(game);
+        }
+    }
+
+    private onGameFinished(game: Game) {
+        this.finishedGame = game;
+        gamesFinished.increment({ reason: String(game.gameEndReason ?? 'unknown') });
+
+        const playerIds = game.getPlayers().map((player) => player.id);
+        const winnerIds: string[] = game.winnerIds ?? [];
+
+        if (this.isMatchInProgress()) {
+            this.onMatchGameFinished(playerIds, winnerIds);
+        } else if (winnerIds.length > 0) {
+            // games that end without a winner (e.g. a player leaving) have no result to report
+            this.onGameResult?.({ format: this.gameFormat, matchType: this.gameType, playerIds, winnerIds });
+        }
+
+        this.saveReplayAsync(game);
+        this.recordGameHistoryAsync(game, winnerIds);
+    }
+
+    private isMatchInProgress(): boolean {
+        return this.match != null && this.match.winnerIds == null;
+    }
+
+    /**
+     * Counts the game towards the match score, then either ends the match or starts sideboarding for the next game
+     */
+    private onMatchGameFinished(playerIds: string[], winnerIds: string[]) {
+        const match = this.match;
+        match.gamesPlayed++;
+
+        const isDraw = winnerIds.length !== 1;
+        if (!isDraw) {
+            match.gameWins[winnerIds[0]]++;
+        }
+        match.initiativeChooserId = isDraw ? null : playerIds.find((id) => id !== winnerIds[0]) ?? null;
+
+        const winsNeeded = Math.ceil(match.bestOf / 2);
+        const mostWins = Math.max(...playerIds.map((id) => match.gameWins[id]));
+
+        // draws don't count as wins, so if no one has enough wins after the last game the player with the most wins takes the match
+        if (mostWins >= winsNeeded || match.gamesPlayed >= match.bestOf) {
+            this.finishMatch(playerIds, playerIds.filter((id) => match.gameWins[id] === mostWins));
+        } else {
+            match.sideboarding = { deadline: Date.now() + Lobby.sideboardingSeconds * 1000, doneUserIds: this.aiPlayer ? [this.aiPlayer.id] : [] };
+            this.sideboardingTimeout = setTimeout(() => this.runLobbyFuncAndCatchErrorsAsync(() => this.startNextMatchGameAsync()), Lobby.sideboardingSeconds * 1000);
+        }
+
+        this.sendLobbyState();
+    }
+
+    private finishMatch(playerIds: string[], winnerIds: string[]) {
+        const match = this.match;
+        match.sideboarding = null;
+        match.winnerIds = winnerIds;
+
+        const score = playerIds.map((id) => match.gameWins[id]).join('-');
+        if (winnerIds.length === 1) {
+            const winnerName = this.users.find((user) => user.id === winnerIds[0])?.username ?? winnerIds[0];
+            this.gameChat.addAlert('info', `${winnerName} wins the match ${score}`);
+        } else {
+            this.gameChat.addAlert('info', `The match ends in a draw ${score}`);
+        }
+
+        this.onGameResult?.({ format: this.gameFormat, matchType: this.gameType, playerIds, winnerIds, gameWins: match.gameWins });
+    }
+
+    private async startNextMatchGameAsync() {
+        clearTimeout(this.sideboardingTimeout);
+        this.sideboardingTimeout = null;
+
+        // a player who left between games forfeits the rest of the match
+        const playerIds = Object.keys(this.match.gameWins);
+        const remainingPlayerIds = playerIds.filter((id) => this.users.some((user) => user.id === id));
+        if (remainingPlayerIds.length < playerIds.length) {
+            this.finishMatch(playerIds, remainingPlayerIds);
+            this.sendLobbyState();
+            return;
+        }
+
+        this.match.sideboarding = null;
+
+        await this.onStartGameAsync();
+        this.sendLobbyState();
+    }
+
+    private endMatch() {
+        clearTimeout(this.sideboardingTimeout);
+        this.sideboardingTimeout = null;
+        this.match = null;
+    }
+
+    /**
+     * Schedules a check of the game clocks for when the active player's time will run out,
+     * so that the game ends on time even if that player never sends another input
+     */
+    private scheduleClockCheck(game: Game) {
+        clearTimeout(this.clockCheckTimeout);
+        this.clockCheckTimeout = null;
+
+        const msUntilClockRunsOut = game.getMsUntilClockRunsOut();
+        if (game !== this.game || msUntilClockRunsOut == null) {
+            return;
+        }
+
+        this.clockCheckTimeout = setTimeout(() => this.onClockCheck(game), msUntilClockRunsOut);
+    }
+
+    private onClockCheck(game: Game) {
+        this.clockCheckTimeout = null;
+
+        if (game !== this.game || this.undoInProgress) {
+            return;
+        }
+
+        this.runAndCatchErrors(game, () => {
+            game.checkClocks();
+            game.continue();
+
+            this.sendGameState(game);
+        });
+
+        this.afterGameUpdate(game);
+    }
+
+    /**
+     * Schedules the AI player's next move if the game is waiting on it. Each move is one command, after which
+     * the game state is sent out as usual, so the human player sees the AI answer its prompts one at a time.
+     */
+    private scheduleAiMove(game: Game) {
+        clearTimeout(this.aiMoveTimeout);
+        this.aiMoveTimeout = null;
+
+        if (this.aiPlayer == null || game !== this.game || !this.aiPlayer.hasPendingDecision(game)) {
+            return;
+        }
+
+        this.aiMoveTimeout = setTimeout(() => this.onAiMove(game), Lobby.aiMoveDelayMs);
+    }
+
+    private onAiMove(game: Game) {
+        this.aiMoveTimeout = null;
+
+        if (game !== this.game || this.undoInProgress || !this.aiPlayer.hasPendingDecision(game)) {
+            return;
+        }
+
+        this.runAndCatchErrors(game, () => {
+            const aiCommand = this.aiPlayer.chooseCommand(game);
+
+            game.stopNonChessClocks();
+            if (aiCommand == null) {
+                logger.warn(`AI player in lobby ${this.id} has no command left to try, conceding`);
+                game.concede(this.aiPlayer.id);
+            } else {
+                game[aiCommand.command as string](this.aiPlayer.id, ...aiCommand.args);
+            }
+            game.continue();
+
+            this.sendGameState(game);
         });
+
+        this.afterGameUpdate(game);
+    }
+
+    /**
+     * Writes the input log and final state of a finished game to the replay directory, if one is configured.
+     * The replay can be re-run with `npm run replay`.
+     */
+    private async saveReplayAsync(game: Game) {
+        if (env.replayDirectory == null) {
+            return;
+        }
+
+        try {
+            const replayPath = path.join(env.replayDirectory, `${this.id}-${game.finishedAt.getTime()}.json`);
+
+            await fs.promises.mkdir(env.replayDirectory, { recursive: true });
+            await fs.promises.writeFile(replayPath, JSON.stringify(game.getSnapshot()));
+
+            logger.info(`Saved replay of game in lobby ${this.id} to ${replayPath}`);
+        } catch (e) {
+            logger.error(`Failed to save replay of game in lobby ${this.id}: ${e}`);
+        }
+    }
+
+    private async recordGameHistoryAsync(game: Game, winnerIds: string[]) {
+        if (!this.gameHistoryStore) {
+            return;
+        }
+
+        try {
+            const players = game.getPlayers().map((player) => {
+                const decklist = player.decklistNames.getDecklist();
+                return {
+                    id: player.id,
+                    username: player.name,
+                    leaderIds: [decklist.leader, decklist.secondLeader].filter((leader) => leader != null)
+                        .map((leader) => leader.id),
+                    baseId: decklist.base.id,
+                    decklist
+                };
+            });
+
+            await this.gameHistoryStore.addGameAsync({
+                gameId: game.id,
+                lobbyId: this.id,
+                format: this.gameFormat,
+                matchType: this.gameType,
+                players,
+                winnerIds,
+                gameEndReason: String(game.gameEndReason ?? 'unknown'),
+                rounds: game.roundNumber,
+                startedAt: game.startedAt.toISOString(),
+                finishedAt: game.finishedAt.toISOString(),
+                durationSeconds: Math.round((game.finishedAt.getTime() - game.startedAt.getTime()) / 1000)
+            });
+        } catch (e) {
+            logger.error(`Failed to record game history of game in lobby ${this.id}: ${e}`);
+        }
+    }
+
+    /**
+     * Replaces the game with one rebuilt from its input log up to the accepted undo checkpoint
+     */
+    private async undoToCheckpointAsync(game: Game) {
+        this.undoInProgress = true;
+
+        try {
+            const checkpoint = game.undoHandler.acceptedCheckpoint;
+            const rebuiltGame = await this.rebuildGameAsync(game, checkpoint.inputCount);
+
+            rebuiltGame.addAlert('warning', '{0} undoes their last action', rebuiltGame.getPlayerById(checkpoint.player.id));
+            this.game = rebuiltGame;
+            this.resetGameStateSyncs();
+        } catch (e) {
+            this.handleError(game, e);
+        } finally {
+            this.undoInProgress = false;
+        }
+
+        this.sendGameState(this.game);
+    }
+
+    /**
+     * Builds a copy of the game from its input log, keeping only the first `inputCount` inputs
+     */
+    private rebuildGameAsync(game: Game, inputCount: number): Promise<Game> {
+        const inputLog = game.getInputLog();
+        inputLog.inputHistory = inputLog.inputHistory.slice(0, inputCount);
+
+        return rebuildGameFromInputLogAsync(inputLog, this.buildRestoreProperties());
+    }
+
+    /**
+     * Properties for rebuilding a game of this lobby from its input log, with the lobby receiving the game's error reports
+     */
+    private buildRestoreProperties(): IGameRestoreProperties {
+        return {
+            cardDataGetter: this.cardDataGetter,
+            tokenCardsData: this.tokenCardsData,
+            playableCardTitles: this.playableCardTitles,
+            router: this
+        };
     }
 
     private runAndCatchErrors(game: Game, func: () => void) {
+        const inputCount = game.inputHistory.length;
+
         try {
             func();
         } catch (e) {
-            this.handleError(game, e);
+            gameErrors.increment();
+            this.handleError(game, e, inputCount);
             this.sendGameState(game);
         }
     }
 
     // might just use the top function at some point?
-    private runLobbyFuncAndCatchErrors(func: () => void) {
+    private async runLobbyFuncAndCatchErrorsAsync(func: () => Promise<void>) {
         try {
-            func();
+            await func();
         } catch (e) {
             logger.error(e);
             this.sendLobbyState();
         }
     }
 
-    // TODO: Review this to make sure we're getting the info we need for debugging
-    private handleError(game: Game, e: Error) {
+    /**
+     * Logs the error and saves a dump of the game for debugging. If the game is still in progress, its players are asked
+     * to choose how to go on (see {@link Lobby.respondToGameErrorAsync}).
+     * @param lastGoodInputCount number of inputs in the game's input log before the input that caused the error, if known
+     */
+    private handleError(game: Game, e: Error, lastGoodInputCount: number = null) {
         logger.error(e);
 
-        // const gameState = game.getState();
-        // const debugData: any = {};
+        if (!game) {
+            return;
+        }
+
+        const dump = this.errorReporter.buildDump(game, this.id, e);
+        this.errorReporter.writeDumpAsync(dump);
+
+        if (game !== this.game || game.finishedAt != null || lastGoodInputCount == null) {
+            return;
+        }
 
-        // if (e.message.includes('Maximum call stack')) {
-        //     // debugData.badSerializaton = detectBinary(gameState);
-        // } else {
-        //     debugData.game = gameState;
-        //     debugData.game.players = undefined;
+        // if the players have not yet responded to an earlier error, the state before that error is the last good one
+        this.pendingGameError ??= { dumpId: dump.id, lastGoodInputCount, choices: {} };
 
-        //     debugData.messages = game.messages;
-        //     debugData.game.messages = undefined;
+        try {
+            game.addAlert(
+                'danger',
+                'A server error occurred while processing the game and has been logged. Each player can choose to continue, roll back to before the error, or end the game as a no-contest.'
+            );
+        } catch (alertError) {
+            logger.error(alertError);
+        }
+        this.sendLobbyState();
+    }
 
-        //     debugData.pipeline = game.pipeline.getDebugInfo();
-        //     // debugData.effectEngine = game.effectEngine.getDebugInfo();
+    /**
+     * Records a player's choice of how to resolve the pending game error. Once every player has chosen, the least drastic
+     * of their choices is applied (see {@link GameErrorRecoveryChoice}), so that no player can end or roll back the game alone.
+     * The AI player goes along with any choice.
+     */
+    private async respondToGameErrorAsync(socket: Socket, choice: GameErrorRecoveryChoice) {
+        const pendingGameError = this.pendingGameError;
+        Contract.assertNotNullLike(pendingGameError, `There is no game error to respond to in lobby ${this.id}`);
+
+        const game = this.game;
+        const humanPlayerIds = game.getPlayers().map((player) => player.id)
+            .filter((id) => id !== this.aiPlayer?.id);
+        Contract.assertTrue(humanPlayerIds.includes(socket.user.id), `User ${socket.user.id} is not a player in the game in lobby ${this.id}`);
+
+        pendingGameError.choices[socket.user.id] = choice;
+        if (!humanPlayerIds.every((id) => pendingGameError.choices[id] != null)) {
+            return;
+        }
 
-        //     for (const player of game.getPlayers()) {
-        //         debugData[player.name] = player.getState(player);
-        //     }
-        // }
+        this.pendingGameError = null;
+
+        const choiceOrder = Object.values(GameErrorRecoveryChoice);
+        const appliedChoice = choiceOrder[Math.min(...humanPlayerIds.map((id) => choiceOrder.indexOf(pendingGameError.choices[id])))];
+
+        switch (appliedChoice) {
+            case GameErrorRecoveryChoice.Continue:
+                game.addAlert('info', 'The players chose to continue the game after the server error');
+                break;
+            case GameErrorRecoveryChoice.Rollback:
+                try {
+                    this.game = await this.rebuildGameAsync(game, pendingGameError.lastGoodInputCount);
+                    this.game.addAlert('warning', 'The game was rolled back to before the server error');
+                    this.resetGameStateSyncs();
+                } catch (e) {
+                    this.handleError(game, e);
+                }
+                break;
+            case GameErrorRecoveryChoice.NoContest:
+                game.endGameAsNoContest();
+                this.afterGameUpdate(game);
+                break;
+            default:
+                Contract.fail(`Unknown game error recovery choice: ${appliedChoice}`);
+        }
 
-        // if (game) {
-        //     game.addMessage(
-        //         'A Server error has occured processing your game state, apologies.  Your game may now be in an inconsistent state, or you may be able to continue.  The error has been logged.'
-        //     );
-        // }
+        this.sendGameState(this.game);
     }
 
     public sendGameState(game: Game): void {
         for (const user of this.users) {
             if (user.state === 'connected' && user.socket) {
-                user.socket.send('gamestate', game.getState(user.id));
+                this.sendGameStateToSocket(user.socket, this.buildGameState(game, user.id));
+            }
+        }
+
+        for (const spectator of this.spectators) {
+            // the update is built now so that spectators see the game exactly as it was at the time of the delayed update
+            this.sendSpectatorGameStateMessage(spectator.socket, this.buildGameStateMessage(spectator.socket, this.buildGameState(game, spectator.id)));
+        }
+
+        this.scheduleClockCheck(game);
+        this.scheduleAiMove(game);
+    }
+
+    private buildGameState(game: Game, userId: string): any {
+        const state = game.getState(userId);
+        gameStateBytes.observe(Buffer.byteLength(JSON.stringify(state)));
+
+        return state;
+    }
+
+    private sendGameStateToSocket(socket: Socket, state: any): void {
+        socket.send(...this.buildGameStateMessage(socket, state));
+    }
+
+    /**
+     * Clients that support state diffs get a 'gamestateupdate' with a patch against the last state sent to them (see {@link GameStateSync}),
+     * other clients get the full state as a 'gamestate' message.
+     */
+    private buildGameStateMessage(socket: Socket, state: any): [string, any] {
+        if (!socket.supportsStateDiffs) {
+            return ['gamestate', state];
+        }
+
+        let gameStateSync = this.gameStateSyncs.get(socket.id);
+        if (!gameStateSync) {
+            gameStateSync = new GameStateSync();
+            this.gameStateSyncs.set(socket.id, gameStateSync);
+        }
+
+        return ['gamestateupdate', gameStateSync.buildUpdate(state)];
+    }
+
+    private sendSpectatorGameStateMessage(socket: Socket, [event, update]: [string, any]): void {
+        const spectatorDelayMs = this.spectatorSettings.spectatorDelaySeconds * 1000;
+        if (spectatorDelayMs === 0) {
+            socket.send(event, update);
+            return;
+        }
+
+        let timeouts = this.spectatorUpdateTimeouts.get(socket.id);
+        if (!timeouts) {
+            timeouts = new Set();
+            this.spectatorUpdateTimeouts.set(socket.id, timeouts);
+        }
+
+        const timeout = setTimeout(() => {
+            timeouts.delete(timeout);
+            socket.send(event, update);
+        }, spectatorDelayMs);
+        timeouts.add(timeout);
+    }
+
+    private clearSpectatorUpdateTimeouts(socketId: string): void {
+        for (const timeout of this.spectatorUpdateTimeouts.get(socketId) ?? []) {
+            clearTimeout(timeout);
+        }
+        this.spectatorUpdateTimeouts.delete(socketId);
+    }
+
+    /**
+     * Makes the next update to every socket a full state. Used when the game is replaced by a rebuilt copy, whose state
+     * is unrelated to what the clients last saw even though the game id is the same.
+     */
+    private resetGameStateSyncs(): void {
+        for (const gameStateSync of this.gameStateSyncs.values()) {
+            gameStateSync.reset();
+        }
+    }
+
+    private removeGameStateSyncsForUser(id: string): void {
+        const sockets = this.users.filter((user) => user.id === id).map((user) => user.socket)
+            .concat(this.spectators.filter((spectator) => spectator.id === id).map((spectator) => spectator.socket));
+
+        for (const socket of sockets) {
+            if (socket) {
+                this.gameStateSyncs.delete(socket.id);
+                this.clearSpectatorUpdateTimeouts(socket.id);
             }
         }
     }
@@ -415,5 +1476,9 @@ export class Lobby {
                 user.socket.send('lobbystate', this.getLobbyState());
             }
         }
+
+        for (const spectator of this.spectators) {
+            spectator.socket.send('lobbystate', this.getLobbyState(true));
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,45 @@
+import type { Lobby } from './Lobby';
+
+/** What the reconnect windows need from the game server, implemented by the game server */
+export interface IReconnectServer {
+
+    /** Removes the user from the lobby, and the lobby from the server if no users are left in it */
+    removeUserFromLobby(userId: string, lobby: Lobby): void;
+}
+
+/**
+ * Gives users whose socket disconnected from their lobby time to reconnect. A user who is still disconnected
+ * when their window ends forfeits the game they are playing and is removed from the lobby.
+ */
+export class ReconnectWindows {
+    private readonly timeouts = new Map<string, NodeJS.Timeout>();
+
+    public constructor(
+        private readonly server: IReconnectServer,
+        private readonly windowSeconds: number
+    ) {}
+
+    /**
+     * Marks the user as disconnected in the lobby and starts their reconnect window.
+     * A user who reconnects and disconnects again gets a new window.
+     */
+    public onUserDisconnected(userId: string, lobby: Lobby): void {
+        lobby.setUserDisconnected(userId, this.windowSeconds);
+
+        this.cancel(userId);
+        this.timeouts.set(userId, setTimeout(() => {
+            this.timeouts.delete(userId);
+
+            if (lobby.getUserState(userId) === 'disconnected') {
+                lobby.forfeitGameForUser(userId);
+                this.server.removeUserFromLobby(userId, lobby);
+            }
+        }, this.windowSeconds * 1000));
+    }
+
+    /** Stops the user's reconnect window, e.g. because they reconnected or were removed from the lobby some other way */
+    public cancel(userId: string): void {
+        clearTimeout(this.timeouts.get(userId));
+        this.timeouts.delete(userId);
+    }
+}
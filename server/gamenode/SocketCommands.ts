@@ -0,0 +1,110 @@
+import type { z } from 'zod';
+import type Socket from '../socket';
+import { logger } from '../logger';
+
+export interface ISocketCommand {
+    args: z.ZodTypeAny;
+    handler: (socket: Socket, ...args: any[]) => unknown;
+}
+
+/** Commands that clients may send on a socket namespace, by name. Anything not in the registry is rejected. */
+export type SocketCommandRegistry = Record<string, ISocketCommand>;
+
+export enum SocketCommandErrorCode {
+    UnknownCommand = 'unknownCommand',
+    InvalidArguments = 'invalidArguments',
+    RateLimited = 'rateLimited'
+}
+
+/** Sent to the client as a 'commandError' message when one of its commands is rejected */
+export interface ISocketCommandError {
+    namespace: string;
+    command: string;
+    code: SocketCommandErrorCode;
+    message: string;
+}
+
+/**
+ * Defines a command whose arguments (everything the client sends after the command name) are validated against `args` before `handler` is called
+ */
+export function socketCommand<TArgs extends unknown[]>(
+    args: z.ZodType<TArgs, z.ZodTypeDef, unknown>,
+    handler: (socket: Socket, ...args: TArgs) => unknown
+): ISocketCommand {
+    return { args, handler };
+}
+
+/**
+ * Limits how many commands each socket can send, shared between all the namespaces of a lobby.
+ * Each socket can send a burst of up to `maxBurst` commands, after which it can send `commandsPerSecond` commands per second.
+ */
+export class SocketRateLimiter {
+    private readonly buckets = new WeakMap<Socket, { tokens: number; lastRefillMs: number }>();
+
+    public constructor(
+        private readonly maxBurst: number,
+        private readonly commandsPerSecond: number
+    ) {}
+
+    /** Consumes one command for the socket, returns false if the socket is over its limit */
+    public tryConsume(socket: Socket): boolean {
+        const now = Date.now();
+        const bucket = this.buckets.get(socket) ?? { tokens: this.maxBurst, lastRefillMs: now };
+
+        bucket.tokens = Math.min(this.maxBurst, bucket.tokens + (now - bucket.lastRefillMs) * this.commandsPerSecond / 1000);
+        bucket.lastRefillMs = now;
+        this.buckets.set(socket, bucket);
+
+        if (bucket.tokens < 1) {
+            return false;
+        }
+
+        bucket.tokens--;
+        return true;
+    }
+}
+
+/**
+ * Checks commands received on a socket namespace against its {@link SocketCommandRegistry} and the socket's rate limit.
+ * Rejected commands are answered with an {@link ISocketCommandError} instead of being run.
+ */
+export class SocketCommandDispatcher {
+    public constructor(
+        private readonly namespace: string,
+        private readonly commands: SocketCommandRegistry,
+        private readonly rateLimiter: SocketRateLimiter
+    ) {}
+
+    /**
+     * Validates the command and returns a function that runs its handler, or null if the command was rejected
+     */
+    public resolve(socket: Socket, command: unknown, args: unknown[]): (() => unknown) | null {
+        const commandName = String(command);
+
+        if (!this.rateLimiter.tryConsume(socket)) {
+            this.reject(socket, commandName, SocketCommandErrorCode.RateLimited, 'Too many commands, slow down');
+            return null;
+        }
+
+        if (typeof command !== 'string' || !Object.prototype.hasOwnProperty.call(this.commands, command)) {
+            this.reject(socket, commandName, SocketCommandErrorCode.UnknownCommand, `Unknown ${this.namespace} command: ${commandName}`);
+            return null;
+        }
+
+        const { args: argsSchema, handler } = this.commands[command];
+        const parsedArgs = argsSchema.safeParse(args);
+        if (!parsedArgs.success) {
+            this.reject(socket, commandName, SocketCommandErrorCode.InvalidArguments, `Invalid arguments for ${this.namespace} command ${commandName}: ${parsedArgs.error.message}`);
+            return null;
+        }
+
+        return () => handler(socket, ...parsedArgs.data);
+    }
+
+    private reject(socket: Socket, command: string, code: SocketCommandErrorCode, message: string) {
+        logger.info(`Rejected ${this.namespace} command '${command}' from user ${socket.user?.id}: ${code}`);
+
+        const error: ISocketCommandError = { namespace: this.namespace, command, code, message };
+        socket.send('commandError', error);
+    }
+}
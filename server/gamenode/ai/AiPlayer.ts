@@ -0,0 +1,96 @@
+import type Game from '../../game/core/Game';
+import { HeuristicAiPolicy } from './HeuristicAiPolicy';
+import type { IAiCommand, IAiPolicy } from './IAiPolicy';
+
+/**
+ * Plays one side of a game by reading the same game state a client would be sent and answering its prompts
+ * with the same commands a client would send. The owner of the game applies the chosen commands.
+ *
+ * Since the policy only sees the client state, some of its candidate commands may be rejected by the game.
+ * Commands that leave the game state unchanged are remembered so that the next candidate is tried instead.
+ */
+export class AiPlayer {
+    private static readonly rememberedStates = 200;
+
+    /** Commands already chosen in each game state, keyed by {@link AiPlayer.getStateKey} */
+    private readonly chosenCommandsByState = new Map<string, Set<string>>();
+
+    public constructor(
+        public readonly id: string,
+        public readonly username: string,
+        private readonly policy: IAiPolicy = new HeuristicAiPolicy()
+    ) {}
+
+    /** @returns true if the game is waiting on the AI player to answer a prompt or an undo request */
+    public hasPendingDecision(game: Game): boolean {
+        if (game.finishedAt != null) {
+            return false;
+        }
+
+        const state = game.getState(this.id);
+        if (state.undoRequest?.canRespond) {
+            return true;
+        }
+
+        const prompt = state.players?.[this.id]?.promptState;
+        if (prompt == null) {
+            return false;
+        }
+
+        return (
+            prompt.selectCard ||
+            prompt.distributeAmongTargets != null ||
+            prompt.buttons?.length > 0 ||
+            prompt.perCardButtons?.length > 0 ||
+            prompt.dropdownListOptions?.length > 0
+        );
+    }
+
+    /**
+     * Chooses the next command for a pending decision, see {@link AiPlayer.hasPendingDecision}
+     * @returns null if every candidate command has already been tried in the current game state, i.e. the AI player is stuck
+     */
+    public chooseCommand(game: Game): IAiCommand | null {
+        const state = game.getState(this.id);
+        const chosenCommands = this.getChosenCommands(this.getStateKey(state));
+
+        for (const command of this.policy.getCandidateCommands(state, this.id)) {
+            const commandKey = JSON.stringify(command);
+            if (!chosenCommands.has(commandKey)) {
+                chosenCommands.add(commandKey);
+                return command;
+            }
+        }
+
+        return null;
+    }
+
+    /** Identifies the parts of the state that a command can change, leaving out ones that change on their own such as clocks */
+    private getStateKey(state: any): string {
+        return JSON.stringify({
+            phase: state.phase,
+            undoRequest: state.undoRequest,
+            players: Object.values(state.players).map((player: any) => ({
+                cardPiles: player.cardPiles,
+                leader: player.leader,
+                base: player.base,
+                promptState: player.promptState
+            }))
+        });
+    }
+
+    private getChosenCommands(stateKey: string): Set<string> {
+        let chosenCommands = this.chosenCommandsByState.get(stateKey);
+        if (chosenCommands == null) {
+            chosenCommands = new Set<string>();
+            this.chosenCommandsByState.set(stateKey, chosenCommands);
+
+            // maps iterate in insertion order, so this forgets the oldest state
+            if (this.chosenCommandsByState.size > AiPlayer.rememberedStates) {
+                this.chosenCommandsByState.delete(this.chosenCommandsByState.keys().next().value);
+            }
+        }
+
+        return chosenCommands;
+    }
+}
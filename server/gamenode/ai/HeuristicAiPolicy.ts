@@ -0,0 +1,367 @@
+import { CardType, PromptType, ZoneName } from '../../game/core/Constants';
+import { DisplayCardSelectionState, StatefulPromptType } from '../../game/core/gameSteps/PromptInterfaces';
+import type { IDistributeAmongTargetsPromptResults } from '../../game/core/gameSteps/PromptInterfaces';
+import type { IAiCommand, IAiPolicy } from './IAiPolicy';
+
+/** The fields of a card summary from {@link Card.getSummary} that the policy uses */
+interface ICardState {
+    uuid?: string;
+    name?: string;
+    type?: CardType;
+    zone: ZoneName;
+    cost?: number;
+    power?: number;
+    hp?: number;
+    damage?: number;
+    exhausted?: boolean;
+    sentinel?: boolean;
+    facedown?: boolean;
+    selectable?: boolean;
+    selected?: boolean;
+}
+
+interface IButtonState {
+    text: string;
+    arg: string;
+    command?: string;
+    disabled?: boolean;
+}
+
+/** Everything the policy reads for a decision: the AI player's prompt and the cards on both sides of the table */
+interface IDecisionState {
+    prompt: any;
+    own: IPlayerCards;
+    opponent: IPlayerCards;
+}
+
+interface IPlayerCards {
+    hand: ICardState[];
+    resources: ICardState[];
+    units: ICardState[];
+    leader: ICardState;
+    base: ICardState;
+}
+
+const harmfulTargetTitle = /damage|defeat|exhaust|capture|return|discard|attack|disclose/i;
+const beneficialTargetTitle = /heal|experience|shield|ready|give|upgrade|attach/i;
+const informativeAbilityTitle = /draw|search|look at|reveal/i;
+
+/**
+ * A simple rules-legal policy for an AI player. It never needs to check legality itself since it only chooses among the
+ * cards and buttons that the game offers, e.g. the attack targets offered already take Sentinel into account.
+ *
+ * - Setup: mulligans hands with fewer than two cards costing 3 or less and resources its most expensive cards
+ * - Action phase: plays units before other cards, attacks with units that have a worthwhile target and deploys its leader
+ * - Attacks: prefers defeating units it survives attacking, then the base, then even trades
+ * - Triggers: resolves abilities that draw or reveal cards first, and its own triggers before the opponent's
+ */
+export class HeuristicAiPolicy implements IAiPolicy {
+    public getCandidateCommands(state: any, playerId: string): IAiCommand[] {
+        if (state.undoRequest?.canRespond) {
+            // practice games are more fun when the human can take back a misclick
+            return [{ command: 'respondToUndoRequest', args: [true] }];
+        }
+
+        const playerState = state.players[playerId];
+        const opponentState = Object.values(state.players).find((player: any) => player.id !== playerId);
+        const decision: IDecisionState = {
+            prompt: playerState.promptState,
+            own: this.getPlayerCards(playerState),
+            opponent: this.getPlayerCards(opponentState)
+        };
+
+        // whatever the prompt, any button the game offers is a legal answer to fall back on
+        return this.getPreferredCommands(decision).concat(this.getButtonCommands(decision.prompt));
+    }
+
+    private getPreferredCommands(decision: IDecisionState): IAiCommand[] {
+        const { prompt } = decision;
+
+        if (prompt.distributeAmongTargets != null) {
+            return this.getDistributeCommands(decision);
+        }
+        if (prompt.dropdownListOptions?.length > 0) {
+            return prompt.dropdownListOptions.map((option: string) => this.menuButton(prompt, option));
+        }
+
+        switch (prompt.promptType) {
+            case PromptType.Initiative:
+                // in Twin Suns the prompt lists the players instead
+                return this.getButtonCommands(prompt, ['Yes', 'You']);
+            case PromptType.Resource:
+                return this.getResourceCommands(decision);
+            case PromptType.ActionWindow:
+                return this.getActionCommands(decision);
+            default:
+                break;
+        }
+
+        if (prompt.promptTitle === 'Mulligan Step') {
+            const cheapCards = decision.own.hand.filter((card) => card.cost <= 3);
+            return this.getButtonCommands(prompt, [cheapCards.length < 2 ? 'Yes' : 'No']);
+        }
+        if (prompt.menuTitle === 'Choose a target for attack') {
+            return this.getAttackTargetCommands(decision);
+        }
+        if (prompt.menuTitle === 'Choose an ability to resolve:') {
+            const buttons = this.getEnabledButtons(prompt);
+            return this.getButtonCommands(prompt, buttons.filter((button) => informativeAbilityTitle.test(button.text)).map((button) => button.text));
+        }
+        if (prompt.menuTitle?.startsWith('Both players have triggered abilities')) {
+            return this.getButtonCommands(prompt, ['You']);
+        }
+        if (prompt.menuTitle === 'Choose an ability:') {
+            return this.getButtonCommands(prompt, this.getEnabledButtons(prompt).filter((button) => (/^(Deploy|Attack)/).test(button.text))
+                .map((button) => button.text));
+        }
+        if (prompt.displayCards?.length > 0) {
+            return this.getDisplayCardCommands(prompt);
+        }
+        if (prompt.selectCard) {
+            return this.getSelectCardCommands(decision);
+        }
+
+        return [];
+    }
+
+    private getResourceCommands({ prompt, own }: IDecisionState): IAiCommand[] {
+        // in the regroup phase resourcing is optional, in the setup phase a fixed number of cards must be resourced
+        const optionalCount = (/Select between \d+ and (\d+) cards/).exec(prompt.menuTitle);
+        const cardsToResource = Number(optionalCount?.[1] ?? (/Select (\d+) card/).exec(prompt.menuTitle)?.[1] ?? 1);
+        const selectedCount = own.hand.filter((card) => card.selected).length;
+
+        // expensive cards are the hardest to play early, so they are the ones to resource
+        const clicks = own.hand.filter((card) => card.selectable && !card.selected)
+            .sort((a, b) => b.cost - a.cost)
+            .map((card) => this.cardClicked(card));
+
+        const mostExpensiveCost = Math.max(0, ...own.hand.map((card) => card.cost ?? 0));
+        const wantsResource = optionalCount == null || own.resources.length < mostExpensiveCost;
+
+        if (!wantsResource || selectedCount >= cardsToResource) {
+            return this.getButtonCommands(prompt, ['Done']).concat(clicks);
+        }
+
+        return clicks;
+    }
+
+    private getActionCommands({ prompt, own, opponent }: IDecisionState): IAiCommand[] {
+        const playableCards = own.hand.filter((card) => card.selectable)
+            .sort((a, b) => b.cost - a.cost);
+
+        const attackers = own.units.filter((unit) => unit.selectable && !unit.exhausted && unit.power > 0 && this.hasWorthwhileAttack(unit, opponent))
+            .sort((a, b) => b.power - a.power);
+
+        const actions = [
+            ...playableCards.filter((card) => this.isUnit(card)),
+            ...attackers,
+            ...(own.leader.selectable && own.leader.zone === ZoneName.Base ? [own.leader] : []),
+            ...playableCards.filter((card) => !this.isUnit(card))
+        ];
+
+        // with nothing left to do, taking the initiative is better than passing
+        return actions.map((card) => this.cardClicked(card)).concat(this.getButtonCommands(prompt, ['Claim Initiative', 'Pass']));
+    }
+
+    /**
+     * Checks whether the unit has a target that it either defeats or survives attacking.
+     * Only Sentinel units can be attacked while the opponent has any in the unit's arena, otherwise the base is always worth attacking.
+     */
+    private hasWorthwhileAttack(unit: ICardState, opponent: IPlayerCards): boolean {
+        const unitsInArena = opponent.units.filter((opponentUnit) => opponentUnit.zone === unit.zone);
+        const sentinels = unitsInArena.filter((opponentUnit) => opponentUnit.sentinel);
+        if (sentinels.length === 0) {
+            return true;
+        }
+
+        return sentinels.some((sentinel) => this.defeats(unit, sentinel) || this.survives(unit, sentinel));
+    }
+
+    private getAttackTargetCommands({ prompt, own, opponent }: IDecisionState): IAiCommand[] {
+        // the attack prompt is titled with the attacker's name
+        const attacker = own.units.find((unit) => unit.name === prompt.promptTitle);
+        const targets = [...opponent.units, opponent.base].filter((card) => card.selectable);
+
+        const getTargetScore = (target: ICardState) => {
+            if (attacker == null || target === opponent.base) {
+                return 2;
+            }
+
+            const defeats = this.defeats(attacker, target);
+            const survives = this.survives(attacker, target);
+            if (defeats && survives) {
+                return 3 + target.cost / 100;
+            }
+            if (defeats && target.cost >= attacker.cost) {
+                return 1 + target.cost / 100;
+            }
+            return survives ? 0.5 : 0;
+        };
+
+        return targets.sort((a, b) => getTargetScore(b) - getTargetScore(a))
+            .map((target) => this.cardClicked(target));
+    }
+
+    private getSelectCardCommands({ prompt, own, opponent }: IDecisionState): IAiCommand[] {
+        const ownCards = [...own.units, own.leader, own.base, ...own.hand, ...own.resources];
+        const opponentCards = [...opponent.units, opponent.leader, opponent.base];
+
+        const byCostDescending = (a: ICardState, b: ICardState) => (b.cost ?? 0) - (a.cost ?? 0);
+        const ownChoices = this.uniqueCards(ownCards).filter((card) => card.selectable && !card.selected)
+            .sort(byCostDescending);
+        const opponentChoices = this.uniqueCards(opponentCards).filter((card) => card.selectable && !card.selected)
+            .sort(byCostDescending);
+
+        // harmful effects go on the opponent's cards and beneficial ones on our own
+        const prefersOwnCards = beneficialTargetTitle.test(prompt.menuTitle) && !harmfulTargetTitle.test(prompt.menuTitle);
+        const choices = prefersOwnCards ? [...ownChoices, ...opponentChoices] : [...opponentChoices, ...ownChoices];
+        const clicks = choices.map((card) => this.cardClicked(card));
+
+        const hasSelection = [...ownCards, ...opponentCards].some((card) => card.selected);
+        return hasSelection ? this.getButtonCommands(prompt, ['Done']).concat(clicks) : clicks;
+    }
+
+    private getDisplayCardCommands(prompt: any): IAiCommand[] {
+        const selectableCards = prompt.displayCards.filter((card) => card.selectionState === DisplayCardSelectionState.Selectable);
+        const hasSelection = prompt.displayCards.some((card) => card.selectionState === DisplayCardSelectionState.Selected);
+
+        const clicks = selectableCards.map((card) => this.menuButton(prompt, card.cardUuid));
+        const perCardButtons = prompt.perCardButtons.flatMap((button: IButtonState) =>
+            prompt.displayCards.filter((card) => card.selectionState !== DisplayCardSelectionState.Invalid)
+                .map((card) => this.perCardMenuButton(prompt, button, card.cardUuid))
+        );
+
+        return hasSelection ? [...this.getButtonCommands(prompt, ['Done']), ...clicks, ...perCardButtons] : [...clicks, ...perCardButtons];
+    }
+
+    private getDistributeCommands({ prompt, own, opponent }: IDecisionState): IAiCommand[] {
+        const { type, amount } = prompt.distributeAmongTargets;
+
+        const ownTargets = this.uniqueCards([...own.units, own.leader, own.base]).filter((card) => card.selectable);
+        const opponentTargets = this.uniqueCards([...opponent.units, opponent.leader, opponent.base]).filter((card) => card.selectable);
+
+        let distribution: Map<ICardState, number>;
+        switch (type) {
+            case StatefulPromptType.DistributeHealing:
+                distribution = this.distribute(
+                    this.orFallback(ownTargets, opponentTargets).sort((a, b) => (b.damage ?? 0) - (a.damage ?? 0)),
+                    amount,
+                    (card) => card.damage ?? 0
+                );
+                break;
+            case StatefulPromptType.DistributeExperience:
+                distribution = this.distribute(this.orFallback(ownTargets, opponentTargets).sort((a, b) => b.power - a.power), amount, () => amount);
+                break;
+            default:
+                // put damage where it defeats the most units, starting with the ones closest to being defeated
+                distribution = this.distribute(
+                    this.orFallback(opponentTargets, ownTargets).sort((a, b) => this.getRemainingHp(a) - this.getRemainingHp(b)),
+                    amount,
+                    (card) => this.getRemainingHp(card)
+                );
+        }
+
+        const results: IDistributeAmongTargetsPromptResults = {
+            type,
+            valueDistribution: Array.from(distribution.entries()).map(([card, cardAmount]) => ({ uuid: card.uuid, amount: cardAmount }))
+        };
+
+        return [
+            { command: 'statefulPromptResults', args: [results, prompt.promptUuid] },
+            ...this.getButtonCommands(prompt, ['Choose no targets'])
+        ];
+    }
+
+    /**
+     * Gives each target in order as much of the amount as it can take, then adds anything left over to the first target
+     */
+    private distribute(targets: ICardState[], amount: number, getCapacity: (card: ICardState) => number): Map<ICardState, number> {
+        const distribution = new Map<ICardState, number>();
+
+        let remaining = amount;
+        for (const target of targets) {
+            const targetAmount = Math.min(remaining, getCapacity(target));
+            if (targetAmount > 0) {
+                distribution.set(target, targetAmount);
+                remaining -= targetAmount;
+            }
+        }
+
+        if (remaining > 0 && targets.length > 0) {
+            distribution.set(targets[0], (distribution.get(targets[0]) ?? 0) + remaining);
+        }
+
+        return distribution;
+    }
+
+    /**
+     * @param texts texts of the buttons to click, in order of preference. If not provided, all enabled buttons are returned,
+     * except for the ones that need more than a click (e.g. submitting a damage distribution)
+     */
+    private getButtonCommands(prompt: any, texts?: string[]): IAiCommand[] {
+        const buttons = this.getEnabledButtons(prompt).filter((button) => button.command !== 'statefulPromptResults');
+        if (texts == null) {
+            // cancelling is the last resort, since it usually leads back to the same decision
+            return [
+                ...buttons.filter((button) => !button.text.includes('Cancel')),
+                ...buttons.filter((button) => button.text.includes('Cancel'))
+            ].map((button) => this.menuButton(prompt, button.arg));
+        }
+
+        return texts.map((text) => buttons.find((button) => button.text === text))
+            .filter((button) => button != null)
+            .map((button) => this.menuButton(prompt, button.arg));
+    }
+
+    private getEnabledButtons(prompt: any): IButtonState[] {
+        return (prompt.buttons ?? []).filter((button: IButtonState) => !button.disabled);
+    }
+
+    private getPlayerCards(playerState: any): IPlayerCards {
+        const { cardPiles } = playerState;
+        return {
+            hand: cardPiles.hand.filter((card: ICardState) => !card.facedown),
+            resources: cardPiles.resources,
+            units: [...cardPiles.groundArena, ...cardPiles.spaceArena],
+            leader: playerState.leader,
+            base: playerState.base
+        };
+    }
+
+    /** A deployed leader is both the player's leader and one of their units, so it can appear twice */
+    private uniqueCards(cards: ICardState[]): ICardState[] {
+        return cards.filter((card, index) => card.uuid != null && cards.findIndex((other) => other.uuid === card.uuid) === index);
+    }
+
+    private orFallback(preferredTargets: ICardState[], fallbackTargets: ICardState[]): ICardState[] {
+        return preferredTargets.length > 0 ? preferredTargets : fallbackTargets;
+    }
+
+    private isUnit(card: ICardState): boolean {
+        return card.type === CardType.BasicUnit || card.type === CardType.TokenUnit || card.type === CardType.LeaderUnit;
+    }
+
+    private defeats(attacker: ICardState, defender: ICardState): boolean {
+        return attacker.power >= this.getRemainingHp(defender);
+    }
+
+    private survives(attacker: ICardState, defender: ICardState): boolean {
+        return (defender.power ?? 0) < this.getRemainingHp(attacker);
+    }
+
+    private getRemainingHp(card: ICardState): number {
+        return (card.hp ?? 0) - (card.damage ?? 0);
+    }
+
+    private cardClicked(card: ICardState): IAiCommand {
+        return { command: 'cardClicked', args: [card.uuid] };
+    }
+
+    private menuButton(prompt: any, arg: string): IAiCommand {
+        return { command: 'menuButton', args: [arg, prompt.promptUuid] };
+    }
+
+    private perCardMenuButton(prompt: any, button: IButtonState, cardUuid: string): IAiCommand {
+        return { command: 'perCardMenuButton', args: [button.arg, cardUuid, prompt.promptUuid, button.command] };
+    }
+}
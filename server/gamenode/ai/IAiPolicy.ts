@@ -0,0 +1,21 @@
+/**
+ * A game command in the form a client sends it over the socket: the name of a {@link Game} method
+ * and the arguments that follow the player id
+ */
+export interface IAiCommand {
+    command: 'cardClicked' | 'menuButton' | 'perCardMenuButton' | 'statefulPromptResults' | 'respondToUndoRequest';
+    args: unknown[];
+}
+
+/**
+ * Decides how an AI player answers its prompts, using only the game state that a client playing as that player would be sent
+ */
+export interface IAiPolicy {
+
+    /**
+     * @param state the game state as returned by {@link Game.getState} for the AI player
+     * @param playerId id of the AI player
+     * @returns the commands to try for the AI player's current prompt, best first
+     */
+    getCandidateCommands(state: any, playerId: string): IAiCommand[];
+}
@@ -0,0 +1,33 @@
+import type seedrandom from 'seedrandom';
+import { shuffleArray } from '../../game/core/utils/Helpers';
+import { HeuristicAiPolicy } from './HeuristicAiPolicy';
+import type { IAiCommand, IAiPolicy } from './IAiPolicy';
+
+/**
+ * Answers each prompt with a random choice among everything the game offers: any selectable card and any button.
+ * Useful as a baseline opponent and for finding engine errors in unusual lines of play.
+ * Prompts that need more than a click (e.g. distributing damage) fall back to the {@link HeuristicAiPolicy}'s answers in random order.
+ */
+export class RandomAiPolicy implements IAiPolicy {
+    private readonly heuristicPolicy = new HeuristicAiPolicy();
+
+    /** @param randomGenerator seeded generator, so that games between AI players can be reproduced */
+    public constructor(private readonly randomGenerator: seedrandom) {}
+
+    public getCandidateCommands(state: any, playerId: string): IAiCommand[] {
+        const selectableCards = Object.values(state.players).flatMap((player: any) => [
+            ...Object.values(player.cardPiles).flat(),
+            player.leader,
+            player.base
+        ])
+            .filter((card: any) => card.selectable && card.uuid != null);
+
+        const commands: IAiCommand[] = [
+            ...selectableCards.map((card: any): IAiCommand => ({ command: 'cardClicked', args: [card.uuid] })),
+            ...this.heuristicPolicy.getCandidateCommands(state, playerId)
+        ];
+
+        shuffleArray(commands, this.randomGenerator);
+        return commands;
+    }
+}
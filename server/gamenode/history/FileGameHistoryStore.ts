@@ -0,0 +1,45 @@
+import fs from 'fs';
+import path from 'path';
+import { InMemoryGameHistoryStore } from './InMemoryGameHistoryStore';
+import type { IGameRecord } from './IGameHistoryStore';
+
+/**
+ * Keeps game records in memory and appends each new one to a JSON Lines file (one JSON record per line),
+ * so that recording a game doesn't rewrite the whole history
+ */
+export class FileGameHistoryStore extends InMemoryGameHistoryStore {
+    public static async createAsync(filePath: string): Promise<FileGameHistoryStore> {
+        let initialGames: IGameRecord[] = [];
+        if (fs.existsSync(filePath)) {
+            initialGames = (await fs.promises.readFile(filePath, 'utf8')).split('\n')
+                .filter((line) => line.trim().length > 0)
+                .map((line) => JSON.parse(line));
+        }
+
+        return new FileGameHistoryStore(filePath, initialGames);
+    }
+
+    // writes are chained so that records are appended in the order they were added
+    private pendingWrite: Promise<void> = Promise.resolve();
+
+    private constructor(
+        private readonly filePath: string,
+        initialGames: IGameRecord[]
+    ) {
+        super(initialGames);
+    }
+
+    public override async addGameAsync(record: IGameRecord): Promise<void> {
+        await super.addGameAsync(record);
+
+        const line = JSON.stringify(record) + '\n';
+        this.pendingWrite = this.pendingWrite
+            .catch(() => undefined)
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.appendFile(this.filePath, line);
+            });
+
+        return this.pendingWrite;
+    }
+}
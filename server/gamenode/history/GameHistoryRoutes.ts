@@ -0,0 +1,58 @@
+import express from 'express';
+import * as env from '../../env';
+import type { SwuGameFormat } from '../../SwuGameFormat';
+import type { IAuthenticatedUser } from '../../utils/auth/UserTokens';
+import { requireAuthenticatedUser } from '../../utils/auth/UserTokens';
+import { DeckValidator } from '../../utils/deck/DeckValidator';
+import type { IGameHistoryStore } from './IGameHistoryStore';
+
+const defaultRecentGamesLimit = 20;
+const maxRecentGamesLimit = 100;
+
+/** A user's games and stats are only shown to them and to administrators */
+function canViewHistoryOf(user: IAuthenticatedUser, userId: string): boolean {
+    return userId === user.id || env.adminUserIds.includes(user.id);
+}
+
+/**
+ * Routes for browsing the game history. The overall leader and base stats are public, everything about a single user requires their token.
+ */
+export function createGameHistoryRouter(gameHistoryStore: IGameHistoryStore): express.Router {
+    const router = express.Router();
+
+    router.get('/users/:userId/games', requireAuthenticatedUser, async (req, res) => {
+        const { userId } = req.params;
+        if (!canViewHistoryOf(res.locals.user, userId)) {
+            return res.status(403).json({ success: false, message: 'Only your own games can be listed' });
+        }
+
+        const limit = Number(req.query.limit ?? defaultRecentGamesLimit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > maxRecentGamesLimit) {
+            return res.status(400).json({ success: false, message: `The limit must be between 1 and ${maxRecentGamesLimit}` });
+        }
+
+        return res.status(200).json({ success: true, games: await gameHistoryStore.getRecentGamesAsync(userId, limit) });
+    });
+
+    router.get(
+        '/leader-base-stats',
+        (req, res, next) => (req.query.userId == null ? next() : requireAuthenticatedUser(req, res, next)),
+        async (req, res) => {
+            const { format, userId } = req.query;
+            if (format != null && !DeckValidator.isKnownFormat(format)) {
+                return res.status(400).json({ success: false, message: `Unknown game format '${format}'` });
+            }
+            if (userId != null && typeof userId !== 'string') {
+                return res.status(400).json({ success: false, message: 'Invalid user id' });
+            }
+            if (userId != null && !canViewHistoryOf(res.locals.user, userId)) {
+                return res.status(403).json({ success: false, message: 'Only your own stats can be shown' });
+            }
+
+            const stats = await gameHistoryStore.getLeaderBaseStatsAsync({ format: format as SwuGameFormat, userId });
+            return res.status(200).json({ success: true, stats });
+        }
+    );
+
+    return router;
+}
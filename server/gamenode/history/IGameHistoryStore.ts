@@ -0,0 +1,62 @@
+import type { SwuGameFormat } from '../../SwuGameFormat';
+import type { IDecklistInternal } from '../../utils/deck/DeckInterfaces';
+import type { MatchType } from '../Lobby';
+
+export interface IGameRecordPlayer {
+    id: string;
+    username: string;
+
+    /** Set codes of the player's leaders, two in formats with two leaders */
+    leaderIds: string[];
+    baseId: string;
+    decklist: IDecklistInternal;
+}
+
+/** A finished game, as kept in the game history */
+export interface IGameRecord {
+    gameId: string;
+    lobbyId: string;
+    format: SwuGameFormat;
+    matchType: MatchType;
+    players: IGameRecordPlayer[];
+
+    /** Ids of the winning players, all players for a draw and none if the game ended without a result */
+    winnerIds: string[];
+    gameEndReason: string;
+    rounds: number;
+
+    /** ISO timestamps */
+    startedAt: string;
+    finishedAt: string;
+    durationSeconds: number;
+}
+
+/** Results of the games played with a leader and base combination */
+export interface ILeaderBaseStats {
+    leaderIds: string[];
+    baseId: string;
+    games: number;
+    wins: number;
+    losses: number;
+    draws: number;
+}
+
+export interface ILeaderBaseStatsFilter {
+    format?: SwuGameFormat;
+
+    /** Only count the games of this user, with the leaders and bases they played */
+    userId?: string;
+}
+
+/**
+ * Persists the records of finished games
+ */
+export interface IGameHistoryStore {
+    addGameAsync(record: IGameRecord): Promise<void>;
+
+    /** @returns the user's most recently finished games, most recent first */
+    getRecentGamesAsync(userId: string, limit: number): Promise<IGameRecord[]>;
+
+    /** Games that ended without a result are not counted */
+    getLeaderBaseStatsAsync(filter: ILeaderBaseStatsFilter): Promise<ILeaderBaseStats[]>;
+}
@@ -0,0 +1,59 @@
+import type { IGameHistoryStore, IGameRecord, ILeaderBaseStats, ILeaderBaseStatsFilter } from './IGameHistoryStore';
+
+/**
+ * Keeps game records in memory only, so they are lost when the server restarts
+ */
+export class InMemoryGameHistoryStore implements IGameHistoryStore {
+    protected readonly games: IGameRecord[];
+
+    public constructor(initialGames: IGameRecord[] = []) {
+        this.games = initialGames;
+    }
+
+    public addGameAsync(record: IGameRecord): Promise<void> {
+        this.games.push(structuredClone(record));
+        return Promise.resolve();
+    }
+
+    public getRecentGamesAsync(userId: string, limit: number): Promise<IGameRecord[]> {
+        const userGames = this.games.filter((game) => game.players.some((player) => player.id === userId))
+            .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+
+        return Promise.resolve(structuredClone(userGames.slice(0, limit)));
+    }
+
+    public getLeaderBaseStatsAsync(filter: ILeaderBaseStatsFilter): Promise<ILeaderBaseStats[]> {
+        const statsByKey = new Map<string, ILeaderBaseStats>();
+
+        for (const game of this.games) {
+            if (game.winnerIds.length === 0 || (filter.format != null && game.format !== filter.format)) {
+                continue;
+            }
+
+            const isDraw = game.winnerIds.length === game.players.length;
+            for (const player of game.players) {
+                if (filter.userId != null && player.id !== filter.userId) {
+                    continue;
+                }
+
+                const key = `${player.leaderIds.join('+')}:${player.baseId}`;
+                let stats = statsByKey.get(key);
+                if (!stats) {
+                    stats = { leaderIds: player.leaderIds, baseId: player.baseId, games: 0, wins: 0, losses: 0, draws: 0 };
+                    statsByKey.set(key, stats);
+                }
+
+                stats.games++;
+                if (isDraw) {
+                    stats.draws++;
+                } else if (game.winnerIds.includes(player.id)) {
+                    stats.wins++;
+                } else {
+                    stats.losses++;
+                }
+            }
+        }
+
+        return Promise.resolve(Array.from(statsByKey.values()).sort((a, b) => b.games - a.games));
+    }
+}
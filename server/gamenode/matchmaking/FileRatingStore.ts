@@ -0,0 +1,43 @@
+import fs from 'fs';
+import path from 'path';
+import type { SwuGameFormat } from '../../SwuGameFormat';
+import { InMemoryRatingStore } from './InMemoryRatingStore';
+import type { IPlayerRating } from './IRatingStore';
+
+/**
+ * Keeps ratings in memory and writes all of them to a JSON file after every change
+ */
+export class FileRatingStore extends InMemoryRatingStore {
+    public static async createAsync(filePath: string): Promise<FileRatingStore> {
+        let initialRatings: Record<string, IPlayerRating> = {};
+        if (fs.existsSync(filePath)) {
+            initialRatings = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        }
+
+        return new FileRatingStore(filePath, initialRatings);
+    }
+
+    // writes are chained so that an older version of the file never overwrites a newer one
+    private pendingWrite: Promise<void> = Promise.resolve();
+
+    private constructor(
+        private readonly filePath: string,
+        initialRatings: Record<string, IPlayerRating>
+    ) {
+        super(initialRatings);
+    }
+
+    public override async setRatingAsync(userId: string, format: SwuGameFormat, rating: IPlayerRating): Promise<void> {
+        await super.setRatingAsync(userId, format, rating);
+
+        const contents = JSON.stringify(this.ratings);
+        this.pendingWrite = this.pendingWrite
+            .catch(() => undefined)
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.writeFile(this.filePath, contents);
+            });
+
+        return this.pendingWrite;
+    }
+}
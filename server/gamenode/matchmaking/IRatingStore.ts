@@ -0,0 +1,16 @@
+import type { SwuGameFormat } from '../../SwuGameFormat';
+
+export interface IPlayerRating {
+    rating: number;
+    gamesPlayed: number;
+}
+
+/**
+ * Persists player ratings, which are tracked separately for each game format
+ */
+export interface IRatingStore {
+
+    /** @returns the player's rating in the format, or null if they have not played a rated game in it yet */
+    getRatingAsync(userId: string, format: SwuGameFormat): Promise<IPlayerRating | null>;
+    setRatingAsync(userId: string, format: SwuGameFormat, rating: IPlayerRating): Promise<void>;
+}
@@ -0,0 +1,26 @@
+import type { SwuGameFormat } from '../../SwuGameFormat';
+import type { IPlayerRating, IRatingStore } from './IRatingStore';
+
+/**
+ * Keeps ratings in memory only, so they are lost when the server restarts
+ */
+export class InMemoryRatingStore implements IRatingStore {
+    protected readonly ratings: Record<string, IPlayerRating>;
+
+    public constructor(initialRatings: Record<string, IPlayerRating> = {}) {
+        this.ratings = initialRatings;
+    }
+
+    public getRatingAsync(userId: string, format: SwuGameFormat): Promise<IPlayerRating | null> {
+        return Promise.resolve(this.ratings[InMemoryRatingStore.getKey(userId, format)] ?? null);
+    }
+
+    public setRatingAsync(userId: string, format: SwuGameFormat, rating: IPlayerRating): Promise<void> {
+        this.ratings[InMemoryRatingStore.getKey(userId, format)] = { ...rating };
+        return Promise.resolve();
+    }
+
+    protected static getKey(userId: string, format: SwuGameFormat): string {
+        return `${format}:${userId}`;
+    }
+}
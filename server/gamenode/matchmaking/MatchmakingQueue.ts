@@ -0,0 +1,174 @@
+import type Socket from '../../socket';
+import type { SwuGameFormat } from '../../SwuGameFormat';
+import type { IAuthenticatedUser } from '../../utils/auth/UserTokens';
+import type { Deck } from '../../utils/deck/Deck';
+
+/**
+ * Represents a player waiting in the queue.
+ */
+export interface IQueuedPlayer {
+    deck: Deck;
+    format: SwuGameFormat;
+    rating: number;
+    socket?: Socket;
+    user: IAuthenticatedUser;
+
+    /** Time (in ms) at which the player entered the queue */
+    enqueuedAt: number;
+}
+
+export interface IQueueStatus {
+    format: SwuGameFormat;
+
+    /** 1-based position in the queue for the format, by time waited */
+    position: number;
+    playersInQueue: number;
+
+    /** Estimate based on how long recently matched players waited, or null if no one has been matched in the format yet */
+    estimatedWaitSeconds: number | null;
+}
+
+/**
+ * Queues players separately for each game format and pairs players with close ratings.
+ * The rating gap a player accepts widens the longer they wait, so that everyone eventually finds a match.
+ */
+export class MatchmakingQueue {
+    private static readonly initialRatingGap = 100;
+    private static readonly ratingGapWideningPerSecond = 10;
+    private static readonly waitTimesForEstimate = 20;
+
+    private readonly queuesByFormat = new Map<SwuGameFormat, IQueuedPlayer[]>();
+    private readonly recentWaitSecondsByFormat = new Map<SwuGameFormat, number[]>();
+
+    public constructor(private readonly now: () => number = () => Date.now()) {}
+
+    public get players(): IQueuedPlayer[] {
+        return Array.from(this.queuesByFormat.values()).flat();
+    }
+
+    /** Adds a player to the queue for their format, replacing any earlier entry of theirs */
+    public add(player: Omit<IQueuedPlayer, 'enqueuedAt'>): IQueuedPlayer {
+        this.remove(player.user.id);
+
+        const queuedPlayer = { ...player, enqueuedAt: this.now() };
+        this.getQueue(player.format).push(queuedPlayer);
+
+        return queuedPlayer;
+    }
+
+    /** @returns true if the user was in the queue */
+    public remove(userId: string): boolean {
+        for (const [format, queue] of this.queuesByFormat) {
+            const remaining = queue.filter((player) => player.user.id !== userId);
+            if (remaining.length !== queue.length) {
+                this.queuesByFormat.set(format, remaining);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    public find(userId: string): IQueuedPlayer | undefined {
+        return this.players.find((player) => player.user.id === userId);
+    }
+
+    /**
+     * Pairs up the players in each format whose ratings are close enough for both of them and removes them from the queue.
+     * Players who have waited longest are matched first, each with the closest rated player available.
+     */
+    public takeMatches(): [IQueuedPlayer, IQueuedPlayer][] {
+        const matches: [IQueuedPlayer, IQueuedPlayer][] = [];
+
+        for (const [format, queue] of this.queuesByFormat) {
+            const unmatched = [...queue];
+
+            for (const player of queue) {
+                if (!unmatched.includes(player)) {
+                    continue;
+                }
+
+                const opponent = this.findClosestAcceptableOpponent(player, unmatched);
+                if (opponent) {
+                    matches.push([player, opponent]);
+                    unmatched.splice(unmatched.indexOf(player), 1);
+                    unmatched.splice(unmatched.indexOf(opponent), 1);
+
+                    this.recordWaitTime(format, player);
+                    this.recordWaitTime(format, opponent);
+                }
+            }
+
+            this.queuesByFormat.set(format, unmatched);
+        }
+
+        return matches;
+    }
+
+    public getStatus(userId: string): IQueueStatus | null {
+        const player = this.find(userId);
+        if (!player) {
+            return null;
+        }
+
+        const queue = this.getQueue(player.format);
+        const recentWaitSeconds = this.recentWaitSecondsByFormat.get(player.format) ?? [];
+
+        let estimatedWaitSeconds: number = null;
+        if (recentWaitSeconds.length > 0) {
+            const averageWaitSeconds = recentWaitSeconds.reduce((sum, seconds) => sum + seconds, 0) / recentWaitSeconds.length;
+            estimatedWaitSeconds = Math.max(0, Math.round(averageWaitSeconds - this.getSecondsWaited(player)));
+        }
+
+        return {
+            format: player.format,
+            position: queue.indexOf(player) + 1,
+            playersInQueue: queue.length,
+            estimatedWaitSeconds
+        };
+    }
+
+    private findClosestAcceptableOpponent(player: IQueuedPlayer, candidates: IQueuedPlayer[]): IQueuedPlayer | null {
+        let closestOpponent: IQueuedPlayer = null;
+
+        for (const candidate of candidates) {
+            const ratingGap = Math.abs(candidate.rating - player.rating);
+            if (
+                candidate === player ||
+                ratingGap > this.getAcceptedRatingGap(player) ||
+                ratingGap > this.getAcceptedRatingGap(candidate)
+            ) {
+                continue;
+            }
+
+            // candidates are in queue order, so ties go to whoever has waited longest
+            if (closestOpponent == null || ratingGap < Math.abs(closestOpponent.rating - player.rating)) {
+                closestOpponent = candidate;
+            }
+        }
+
+        return closestOpponent;
+    }
+
+    private getAcceptedRatingGap(player: IQueuedPlayer): number {
+        return MatchmakingQueue.initialRatingGap + MatchmakingQueue.ratingGapWideningPerSecond * this.getSecondsWaited(player);
+    }
+
+    private getSecondsWaited(player: IQueuedPlayer): number {
+        return (this.now() - player.enqueuedAt) / 1000;
+    }
+
+    private recordWaitTime(format: SwuGameFormat, player: IQueuedPlayer) {
+        const recentWaitSeconds = this.recentWaitSecondsByFormat.get(format) ?? [];
+        recentWaitSeconds.push(this.getSecondsWaited(player));
+        this.recentWaitSecondsByFormat.set(format, recentWaitSeconds.slice(-MatchmakingQueue.waitTimesForEstimate));
+    }
+
+    private getQueue(format: SwuGameFormat): IQueuedPlayer[] {
+        if (!this.queuesByFormat.has(format)) {
+            this.queuesByFormat.set(format, []);
+        }
+
+        return this.queuesByFormat.get(format);
+    }
+}
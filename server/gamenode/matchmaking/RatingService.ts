@@ -0,0 +1,71 @@
+import type { SwuGameFormat } from '../../SwuGameFormat';
+import { logger } from '../../logger';
+import type { ILobbyGameResult } from '../Lobby';
+import type { IPlayerRating, IRatingStore } from './IRatingStore';
+
+/**
+ * Elo ratings of players, updated from the results of matchmade games
+ */
+export class RatingService {
+    public static readonly initialRating = 1500;
+
+    /** Players move faster towards their actual rating during their first games */
+    private static readonly provisionalGames = 30;
+    private static readonly provisionalKFactor = 40;
+    private static readonly kFactor = 20;
+
+    public constructor(private readonly store: IRatingStore) {}
+
+    public async getRatingAsync(userId: string, format: SwuGameFormat): Promise<number> {
+        return (await this.getPlayerRatingAsync(userId, format)).rating;
+    }
+
+    /**
+     * Updates the ratings of both players from the result of a game between them
+     * @param player1Score 1 if player 1 won, 0 if player 2 won and 0.5 for a draw
+     */
+    public async recordGameResultAsync(format: SwuGameFormat, player1Id: string, player2Id: string, player1Score: number): Promise<void> {
+        const [player1Rating, player2Rating] = await Promise.all([
+            this.getPlayerRatingAsync(player1Id, format),
+            this.getPlayerRatingAsync(player2Id, format)
+        ]);
+
+        await Promise.all([
+            this.store.setRatingAsync(player1Id, format, RatingService.updatedRating(player1Rating, player2Rating.rating, player1Score)),
+            this.store.setRatingAsync(player2Id, format, RatingService.updatedRating(player2Rating, player1Rating.rating, 1 - player1Score))
+        ]);
+    }
+
+    /**
+     * Updates the players' ratings from the result of a matchmade game, if it was played between two players.
+     * Failures are logged rather than thrown, since the game is already over.
+     */
+    public async recordMatchmadeGameResultAsync(result: ILobbyGameResult): Promise<void> {
+        if (result.playerIds.length !== 2) {
+            return;
+        }
+
+        const [player1Id, player2Id] = result.playerIds;
+        const player1Score = result.winnerIds.length === 2 ? 0.5 : (result.winnerIds.includes(player1Id) ? 1 : 0);
+
+        try {
+            await this.recordGameResultAsync(result.format, player1Id, player2Id, player1Score);
+        } catch (e) {
+            logger.error(`Failed to update ratings for game between ${player1Id} and ${player2Id}: ${e}`);
+        }
+    }
+
+    private async getPlayerRatingAsync(userId: string, format: SwuGameFormat): Promise<IPlayerRating> {
+        return (await this.store.getRatingAsync(userId, format)) ?? { rating: RatingService.initialRating, gamesPlayed: 0 };
+    }
+
+    private static updatedRating(playerRating: IPlayerRating, opponentRating: number, score: number): IPlayerRating {
+        const expectedScore = 1 / (1 + Math.pow(10, (opponentRating - playerRating.rating) / 400));
+        const kFactor = playerRating.gamesPlayed < RatingService.provisionalGames ? RatingService.provisionalKFactor : RatingService.kFactor;
+
+        return {
+            rating: Math.round(playerRating.rating + kFactor * (score - expectedScore)),
+            gamesPlayed: playerRating.gamesPlayed + 1
+        };
+    }
+}
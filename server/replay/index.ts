@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+import type Game from '../game/core/Game';
+import type { CardDataGetter } from '../utils/cardData/CardDataGetter';
+import { LocalFolderCardDataGetter } from '../utils/cardData/LocalFolderCardDataGetter';
+import { RemoteCardDataGetter } from '../utils/cardData/RemoteCardDataGetter';
+import { GameReplayer } from '../game/core/snapshot/GameReplayer';
+import type { IGameSnapshot } from '../game/core/snapshot/SnapshotInterfaces';
+
+/*
+ * Headless replayer for game replay files saved by the game server (see REPLAY_DIRECTORY).
+ * Re-runs the replay through a fresh game and checks that the final state matches the recorded one.
+ *
+ * Usage: npm run replay -- <replayFile> [--step] [--card-data <folder>]
+ *   --step:       print the chat log after each action so that the game can be reviewed turn by turn
+ *   --card-data:  local card data folder to use instead of downloading the card data
+ */
+
+const usage = 'Usage: npm run replay -- <replayFile> [--step] [--card-data <folder>]';
+
+function parseArgs(args: string[]) {
+    let replayPath: string = null;
+    let step = false;
+    let cardDataFolder: string = null;
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--step':
+                step = true;
+                break;
+            case '--card-data':
+                cardDataFolder = args[++i];
+                break;
+            default:
+                replayPath = args[i];
+        }
+    }
+
+    if (replayPath == null) {
+        throw new Error(usage);
+    }
+
+    return { replayPath, step, cardDataFolder };
+}
+
+function buildCardDataGetterAsync(cardDataFolder: string | null): Promise<CardDataGetter> {
+    return cardDataFolder == null
+        ? RemoteCardDataGetter.createAsync('https://karabast-assets.s3.amazonaws.com/data/')
+        : LocalFolderCardDataGetter.create(path.resolve(cardDataFolder));
+}
+
+function formatChatItem(item: any): string {
+    if (Array.isArray(item)) {
+        return item.map((subItem) => formatChatItem(subItem)).join('');
+    }
+    if (item instanceof Object) {
+        return item.name ?? formatChatItem(item.message ?? item.alert?.message ?? '');
+    }
+    return String(item);
+}
+
+function printNewChatMessages(game: Game, alreadyPrinted: number): number {
+    for (const chatMessage of game.messages.slice(alreadyPrinted)) {
+        console.log(`    ${formatChatItem(chatMessage.message)}`);
+    }
+    return game.messages.length;
+}
+
+async function runReplayAsync() {
+    const { replayPath, step, cardDataFolder } = parseArgs(process.argv.slice(2));
+
+    const replay: IGameSnapshot = JSON.parse(await fs.promises.readFile(replayPath, 'utf8'));
+    const cardDataGetter = await buildCardDataGetterAsync(cardDataFolder);
+
+    const replayer = await GameReplayer.createAsync(replay, {
+        cardDataGetter,
+        tokenCardsData: await cardDataGetter.tokenData,
+        playableCardTitles: await cardDataGetter.playableCardTitles,
+        router: { handleError: (_game: Game, e: Error) => console.error(e) }
+    });
+
+    if (step) {
+        let printedMessages = printNewChatMessages(replayer.game, 0);
+        while (!replayer.isComplete) {
+            const inputs = replayer.stepAction();
+            console.log(`Round ${replayer.game.roundNumber}, ${replayer.game.currentPhase ?? 'between phases'} (${inputs.length} inputs, last at ${inputs[inputs.length - 1].timestamp})`);
+            printedMessages = printNewChatMessages(replayer.game, printedMessages);
+        }
+    } else {
+        replayer.stepToEnd();
+    }
+
+    console.log(`Replayed ${replayer.inputsReplayed} inputs, winner: ${replayer.game.winner?.join(', ') ?? 'none'}`);
+
+    if (replayer.inputErrorCount > 0) {
+        console.error(`The replay diverged from the original game: ${replayer.inputErrorCount} of the replayed inputs threw an error`);
+        process.exitCode = 1;
+    }
+
+    if (!replayer.stateMatches(replay.state)) {
+        console.error('Final state of the replayed game does not match the state recorded in the replay');
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log('Final state of the replayed game matches the recorded state');
+}
+
+runReplayAsync()
+    .catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,148 @@
+import seedrandom from 'seedrandom';
+import Game from '../game/core/Game';
+import type { CardDataGetter } from '../utils/cardData/CardDataGetter';
+import { Deck } from '../utils/deck/Deck';
+import type { ISwuDbDecklist } from '../utils/deck/DeckInterfaces';
+import { AiPlayer } from '../gamenode/ai/AiPlayer';
+import { HeuristicAiPolicy } from '../gamenode/ai/HeuristicAiPolicy';
+import type { IAiPolicy } from '../gamenode/ai/IAiPolicy';
+import { RandomAiPolicy } from '../gamenode/ai/RandomAiPolicy';
+
+export enum AiPolicyName {
+    Heuristic = 'heuristic',
+    Random = 'random',
+}
+
+/** One side of the simulated games: a deck and the policy that plays it */
+export interface ISimulatedSide {
+    decklist: ISwuDbDecklist;
+    policy: AiPolicyName;
+}
+
+export interface ISimulatedGameResult {
+    gameSeed: string;
+
+    /** Indexes into the simulated sides of the winners, both sides for a draw and empty if the game did not finish */
+    winnerIndexes: number[];
+
+    /** Index of the side that started the game with initiative */
+    firstPlayerIndex: number | null;
+    rounds: number;
+
+    /** Set if the engine threw or reported an error */
+    error?: Error;
+
+    /** Set if the game stopped making progress, describing where it got stuck */
+    stalledReason?: string;
+}
+
+/**
+ * Plays games between two automated sides directly against {@link Game}, without any sockets or lobby.
+ * Each game is fully determined by its seed, so any crashed or stalled game can be played again with the same seed to debug it.
+ */
+export class GameSimulator {
+    public static readonly maxRounds = 50;
+    public static readonly maxCommandsPerGame = 10000;
+
+    private readonly playerIds = ['player1', 'player2'];
+
+    public constructor(
+        private readonly sides: [ISimulatedSide, ISimulatedSide],
+        private readonly cardDataGetter: CardDataGetter
+    ) {}
+
+    public async simulateGameAsync(gameSeed: string): Promise<ISimulatedGameResult> {
+        const reportedErrors: Error[] = [];
+        const result: ISimulatedGameResult = { gameSeed, winnerIndexes: [], firstPlayerIndex: null, rounds: 0 };
+
+        const aiPlayers = this.sides.map((side, index) =>
+            new AiPlayer(this.playerIds[index], `Player ${index + 1}`, this.createPolicy(side.policy, `${gameSeed}-${this.playerIds[index]}`))
+        );
+
+        let game: Game;
+        try {
+            game = new Game({
+                id: gameSeed,
+                name: `Simulation ${gameSeed}`,
+                owner: aiPlayers[0].username,
+                randomSeed: gameSeed,
+                players: aiPlayers.map((aiPlayer) => ({
+                    user: {
+                        id: aiPlayer.id,
+                        username: aiPlayer.username,
+                        settings: {
+                            optionSettings: {
+                                autoSingleTarget: true,
+                            }
+                        }
+                    }
+                })),
+                playableCardTitles: await this.cardDataGetter.playableCardTitles,
+                cardDataGetter: this.cardDataGetter
+            }, { router: { handleError: (_game: Game, e: Error) => reportedErrors.push(e) } });
+
+            game.started = true;
+            this.sides.forEach((side, index) => game.selectDeck(this.playerIds[index], new Deck(side.decklist, this.cardDataGetter)));
+            game.initialiseTokens(await this.cardDataGetter.tokenData);
+            await game.initialiseAsync();
+
+            result.stalledReason = this.playGame(game, aiPlayers, result, reportedErrors);
+        } catch (e) {
+            result.error = e;
+        }
+
+        result.error ??= reportedErrors[0];
+        if (game != null) {
+            result.rounds = game.roundNumber;
+            result.winnerIndexes = (game.winnerIds ?? []).map((winnerId) => this.playerIds.indexOf(winnerId));
+        }
+
+        return result;
+    }
+
+    /**
+     * Lets the AI players answer prompts until the game is over or the engine reports an error
+     * @returns the reason the game stalled, if it did
+     */
+    private playGame(game: Game, aiPlayers: AiPlayer[], result: ISimulatedGameResult, reportedErrors: Error[]): string | undefined {
+        for (let commandCount = 0; commandCount < GameSimulator.maxCommandsPerGame; commandCount++) {
+            if (result.firstPlayerIndex == null && game.initiativePlayer != null) {
+                result.firstPlayerIndex = this.playerIds.indexOf(game.initiativePlayer.id);
+            }
+
+            if (game.finishedAt != null || reportedErrors.length > 0) {
+                return undefined;
+            }
+            if (game.roundNumber > GameSimulator.maxRounds) {
+                return `the game did not finish within ${GameSimulator.maxRounds} rounds`;
+            }
+
+            const aiPlayer = aiPlayers.find((player) => player.hasPendingDecision(game));
+            if (aiPlayer == null) {
+                return `no player has a prompt to answer in round ${game.roundNumber} (${game.currentPhase} phase)`;
+            }
+
+            const aiCommand = aiPlayer.chooseCommand(game);
+            if (aiCommand == null) {
+                const prompt = game.getPlayerById(aiPlayer.id).currentPrompt();
+                return `${aiPlayer.username} has no answer left to try for '${prompt.menuTitle}' in round ${game.roundNumber} (${game.currentPhase} phase)`;
+            }
+
+            game[aiCommand.command as string](aiPlayer.id, ...aiCommand.args);
+            game.continue();
+        }
+
+        return `the game did not finish within ${GameSimulator.maxCommandsPerGame} commands`;
+    }
+
+    private createPolicy(policy: AiPolicyName, seed: string): IAiPolicy {
+        switch (policy) {
+            case AiPolicyName.Heuristic:
+                return new HeuristicAiPolicy();
+            case AiPolicyName.Random:
+                return new RandomAiPolicy(seedrandom(seed));
+            default:
+                throw new Error(`Unknown AI policy '${policy}'`);
+        }
+    }
+}
@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuid } from 'uuid';
+import { LocalFolderCardDataGetter } from '../utils/cardData/LocalFolderCardDataGetter';
+import type { ISwuDbDecklist } from '../utils/deck/DeckInterfaces';
+import type { ISimulatedGameResult } from './GameSimulator';
+import { AiPolicyName, GameSimulator } from './GameSimulator';
+
+/*
+ * Headless simulator that plays two decks against each other many times with automated policies and reports the results.
+ * Game i of a run is played with the seed '<seed>-<i>', and any single game can be played again with --game-seed.
+ *
+ * Usage: npm run simulate -- <deck1.json> <deck2.json> [--policy1 <policy>] [--policy2 <policy>] [--games <n>] [--seed <seed>] [--game-seed <seed>] [--card-data <folder>]
+ *   deck1, deck2:       decklists in SWUDB JSON format
+ *   --policy1/2:        'heuristic' (default) or 'random'
+ *   --games:            number of games to play, 100 by default
+ *   --seed:             seed for the run, random by default
+ *   --game-seed:        plays only the game with this seed, e.g. to reproduce a crash from an earlier run
+ *   --card-data:        local card data folder, test/json by default (see `npm run get-cards`)
+ */
+
+const usage = 'Usage: npm run simulate -- <deck1.json> <deck2.json> [--policy1 <policy>] [--policy2 <policy>] [--games <n>] [--seed <seed>] [--game-seed <seed>] [--card-data <folder>]';
+
+function parsePolicy(policy: string): AiPolicyName {
+    if (!Object.values(AiPolicyName).includes(policy as AiPolicyName)) {
+        throw new Error(`Unknown policy '${policy}', expected one of: ${Object.values(AiPolicyName).join(', ')}`);
+    }
+    return policy as AiPolicyName;
+}
+
+function parseArgs(args: string[]) {
+    const deckPaths: string[] = [];
+    const policies = [AiPolicyName.Heuristic, AiPolicyName.Heuristic];
+    let games = 100;
+    let seed: string = uuid();
+    let gameSeed: string = null;
+    let cardDataFolder = 'test/json';
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--policy1':
+                policies[0] = parsePolicy(args[++i]);
+                break;
+            case '--policy2':
+                policies[1] = parsePolicy(args[++i]);
+                break;
+            case '--games':
+                games = Number(args[++i]);
+                break;
+            case '--seed':
+                seed = args[++i];
+                break;
+            case '--game-seed':
+                gameSeed = args[++i];
+                break;
+            case '--card-data':
+                cardDataFolder = args[++i];
+                break;
+            default:
+                deckPaths.push(args[i]);
+        }
+    }
+
+    if (deckPaths.length !== 2 || !Number.isInteger(games) || games < 1) {
+        throw new Error(usage);
+    }
+
+    return { deckPaths, policies, games, seed, gameSeed, cardDataFolder };
+}
+
+function formatPercentage(count: number, total: number): string {
+    return total === 0 ? 'n/a' : `${(100 * count / total).toFixed(1)}%`;
+}
+
+function printReport(deckNames: string[], results: ISimulatedGameResult[]) {
+    const finishedResults = results.filter((result) => result.error == null && result.stalledReason == null);
+    const decidedResults = finishedResults.filter((result) => result.winnerIndexes.length === 1);
+    const crashedResults = results.filter((result) => result.error != null);
+    const stalledResults = results.filter((result) => result.error == null && result.stalledReason != null);
+
+    console.log(`Played ${results.length} games, ${finishedResults.length} finished`);
+    for (const [index, deckName] of deckNames.entries()) {
+        const wins = decidedResults.filter((result) => result.winnerIndexes[0] === index).length;
+        console.log(`  ${deckName}: ${wins} wins (${formatPercentage(wins, finishedResults.length)})`);
+    }
+    console.log(`  Draws: ${finishedResults.length - decidedResults.length}`);
+
+    const totalRounds = finishedResults.reduce((sum, result) => sum + result.rounds, 0);
+    console.log(`Average rounds: ${finishedResults.length === 0 ? 'n/a' : (totalRounds / finishedResults.length).toFixed(1)}`);
+
+    const firstPlayerWins = decidedResults.filter((result) => result.winnerIndexes[0] === result.firstPlayerIndex).length;
+    console.log(`First player win rate: ${formatPercentage(firstPlayerWins, decidedResults.length)} of ${decidedResults.length} decided games`);
+
+    console.log(`Crashes: ${crashedResults.length}`);
+    for (const result of crashedResults) {
+        console.log(`  --game-seed ${result.gameSeed} (round ${result.rounds}): ${result.error.stack ?? result.error}`);
+    }
+
+    console.log(`Stalled games: ${stalledResults.length}`);
+    for (const result of stalledResults) {
+        console.log(`  --game-seed ${result.gameSeed}: ${result.stalledReason}`);
+    }
+}
+
+async function runSimulationAsync() {
+    const { deckPaths, policies, games, seed, gameSeed, cardDataFolder } = parseArgs(process.argv.slice(2));
+
+    const decklists: ISwuDbDecklist[] = await Promise.all(deckPaths.map(async (deckPath) => JSON.parse(await fs.promises.readFile(deckPath, 'utf8'))));
+    const deckNames = decklists.map((decklist, index) => `${decklist.metadata?.name ?? path.basename(deckPaths[index])} (${policies[index]})`);
+
+    const cardDataGetter = await LocalFolderCardDataGetter.create(path.resolve(cardDataFolder));
+    const simulator = new GameSimulator([
+        { decklist: decklists[0], policy: policies[0] },
+        { decklist: decklists[1], policy: policies[1] }
+    ], cardDataGetter);
+
+    const gameSeeds = gameSeed != null
+        ? [gameSeed]
+        : Array.from({ length: games }, (_, index) => `${seed}-${index}`);
+
+    console.log(`${deckNames[0]} vs. ${deckNames[1]}, seed ${gameSeed ?? seed}`);
+
+    const results: ISimulatedGameResult[] = [];
+    for (const [index, currentGameSeed] of gameSeeds.entries()) {
+        results.push(await simulator.simulateGameAsync(currentGameSeed));
+
+        if ((index + 1) % 10 === 0) {
+            console.log(`  ${index + 1}/${gameSeeds.length} games played`);
+        }
+    }
+
+    printReport(deckNames, results);
+
+    if (results.some((result) => result.error != null || result.stalledReason != null)) {
+        process.exitCode = 1;
+    }
+}
+
+runSimulationAsync()
+    .catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
@@ -1,7 +1,6 @@
 const { logger } = require('./logger');
 const EventEmitter = require('events');
-const jwt = require('jsonwebtoken');
-const env = require('./env.js');
+const { verifyUserToken } = require('./utils/auth/UserTokens.js');
 
 class Socket extends EventEmitter {
     constructor(socket) {
@@ -19,6 +18,12 @@ class Socket extends EventEmitter {
         return this.socket.id;
     }
 
+    /** Whether the client asked to receive game state updates as patches (see GameStateSync) rather than full snapshots */
+    get supportsStateDiffs() {
+        const handshake = this.socket.handshake;
+        return String(handshake?.auth?.stateDiffs ?? handshake?.query?.stateDiffs) === 'true';
+    }
+
     // Commands
 
     removeEventsListeners(events) {
@@ -65,16 +70,15 @@ class Socket extends EventEmitter {
     }
 
     onAuthenticate(token) {
-        jwt.verify(token, env.secret, (err, user) => {
-            if (err) {
-                logger.info(err);
-                return;
-            }
-
-            this.socket.request.user = user;
-            this.user = user;
-            this.emit('authenticate', this, user);
-        });
+        const user = verifyUserToken(token);
+        if (!user) {
+            logger.info('Socket authentication failed. Socket ID ', this.socket.id);
+            return;
+        }
+
+        this.socket.request.user = user;
+        this.user = user;
+        this.emit('authenticate', this, user);
     }
 
     onDisconnect(reason) {
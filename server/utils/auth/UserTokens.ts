@@ -0,0 +1,95 @@
+import type express from 'express';
+import jwt from 'jsonwebtoken';
+import { v4 as uuid } from 'uuid';
+import * as env from '../../env';
+
+/**
+ * Identity of a user as verified from their token. Anonymous (guest) users have an id but no username.
+ */
+export interface IAuthenticatedUser {
+    id: string;
+    username?: string;
+}
+
+const tokenAlgorithm = 'HS256';
+const issuedTokenLifetime = '1d';
+
+/**
+ * Signs a token for the given user with the server secret. Tokens for registered users are normally issued by the
+ * site that owns the user accounts using the same secret; the game server only issues guest and development tokens.
+ */
+export function signUserToken(user: IAuthenticatedUser): string {
+    const payload: IAuthenticatedUser = { id: user.id };
+    if (user.username) {
+        payload.username = user.username;
+    }
+
+    return jwt.sign(payload, env.secret, { algorithm: tokenAlgorithm, expiresIn: issuedTokenLifetime });
+}
+
+/**
+ * Signs a token for an anonymous user with a new random id, so that guests can play without being able to pick another user's id
+ */
+export function signGuestToken(): string {
+    return signUserToken({ id: uuid() });
+}
+
+/**
+ * @returns the user the token was issued to, or null if the token is missing, expired or not signed with the server secret
+ */
+export function verifyUserToken(token: unknown): IAuthenticatedUser | null {
+    if (typeof token !== 'string' || token.length === 0) {
+        return null;
+    }
+
+    let payload: string | jwt.JwtPayload;
+    try {
+        payload = jwt.verify(token, env.secret, { algorithms: [tokenAlgorithm] });
+    } catch {
+        return null;
+    }
+
+    if (typeof payload !== 'object' || typeof payload.id !== 'string' || payload.id.length === 0) {
+        return null;
+    }
+    if (payload.username != null && typeof payload.username !== 'string') {
+        return null;
+    }
+
+    return payload.username ? { id: payload.id, username: payload.username } : { id: payload.id };
+}
+
+/**
+ * Reads a bearer token from an HTTP Authorization header value
+ */
+export function getBearerToken(authorizationHeader: string | undefined): string | null {
+    const match = (/^Bearer (.+)$/).exec(authorizationHeader ?? '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Express middleware that rejects requests without a valid user token in the Authorization header.
+ * The verified user is stored in `res.locals.user` and is used instead of any user sent in the request body.
+ */
+export function requireAuthenticatedUser(req: express.Request, res: express.Response, next: express.NextFunction) {
+    const user = verifyUserToken(getBearerToken(req.headers.authorization));
+    if (!user) {
+        return res.status(401).json({ success: false, message: 'A valid user token is required' });
+    }
+
+    res.locals.user = user;
+    next();
+}
+
+/**
+ * Express middleware that only lets through users whose id is listed in `ADMIN_USER_IDS`, see {@link requireAuthenticatedUser}
+ */
+export function requireAdminUser(req: express.Request, res: express.Response, next: express.NextFunction) {
+    return requireAuthenticatedUser(req, res, () => {
+        if (!env.adminUserIds.includes(res.locals.user.id)) {
+            return res.status(403).json({ success: false, message: 'Only administrators can use this route' });
+        }
+
+        next();
+    });
+}
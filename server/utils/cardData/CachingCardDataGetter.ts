@@ -0,0 +1,162 @@
+import path from 'path';
+import fs from 'fs';
+import { logger } from '../../logger';
+import type { ITokenCardsData } from './CardDataGetter';
+import { CardDataGetter } from './CardDataGetter';
+import type { ICardDataJson, ICardMapJson } from './CardDataInterfaces';
+import { RemoteCardDataGetter } from './RemoteCardDataGetter';
+
+/** Result of {@link CachingCardDataGetter.prefetchAllAsync} */
+export interface ICardDataPrefetchResult {
+    fetchedCount: number;
+    cachedCount: number;
+
+    /** Internal names of the cards that could not be fetched */
+    failedInternalNames: string[];
+}
+
+/**
+ * Remote card data getter that saves every file it fetches to a local cache directory, in a subdirectory for the card data version.
+ *
+ * Card files never change within a card data version, so they are read from the cache when present and only fetched once.
+ * The card map, set code map and playable card titles are fetched on startup and read from the cache only if the remote can't be reached,
+ * so that the server can start offline once the cache has been filled (see {@link CachingCardDataGetter.prefetchAllAsync}).
+ */
+export class CachingCardDataGetter extends RemoteCardDataGetter {
+    public static async createWithCacheAsync(
+        remoteDataUrl: string,
+        cacheRoot: string,
+        cardDataVersion = CachingCardDataGetter.readRepositoryCardDataVersion()
+    ): Promise<CachingCardDataGetter> {
+        const cacheDirectory = path.join(cacheRoot, cardDataVersion);
+
+        const cardMap = await CachingCardDataGetter.getIndexFileAsync(remoteDataUrl, cacheDirectory, CardDataGetter.cardMapFileName) as ICardMapJson;
+
+        const tokenData = await CardDataGetter.getTokenCardsDataAsync(
+            (internalName) => CachingCardDataGetter.getCardFileAsync(
+                remoteDataUrl,
+                cacheDirectory,
+                RemoteCardDataGetter.getRelativePathFromInternalName(internalName)
+            )
+        );
+
+        const playableCardTitles = await CachingCardDataGetter.getIndexFileAsync(remoteDataUrl, cacheDirectory, CardDataGetter.playableCardTitlesFileName) as string[];
+
+        const setCodeMap = await CachingCardDataGetter.getIndexFileAsync(remoteDataUrl, cacheDirectory, CardDataGetter.setCodeMapFileName) as Record<string, string>;
+
+        return new CachingCardDataGetter(remoteDataUrl, cacheDirectory, cardMap, tokenData, playableCardTitles, setCodeMap);
+    }
+
+    private static readRepositoryCardDataVersion(): string {
+        return fs.readFileSync(path.join(__dirname, '../../card-data-version.txt'), 'utf8').trim();
+    }
+
+    /** Fetches the file from the remote and updates the cache, or reads it from the cache if the remote can't be reached */
+    private static async getIndexFileAsync(remoteDataUrl: string, cacheDirectory: string, relativePath: string): Promise<unknown> {
+        try {
+            return await CachingCardDataGetter.fetchAndCacheFileAsync(remoteDataUrl, cacheDirectory, relativePath);
+        } catch (fetchError) {
+            const cachedData = await CachingCardDataGetter.readCachedFileAsync(cacheDirectory, relativePath);
+            if (cachedData == null) {
+                throw new Error(`${fetchError.message}, and no cached copy was found in ${cacheDirectory}`);
+            }
+
+            logger.warn(`Using cached card data file ${relativePath}: ${fetchError.message}`);
+            return cachedData;
+        }
+    }
+
+    private static async getCardFileAsync(remoteDataUrl: string, cacheDirectory: string, relativePath: string): Promise<ICardDataJson> {
+        const cachedData = await CachingCardDataGetter.readCachedFileAsync(cacheDirectory, relativePath);
+        if (cachedData != null) {
+            return cachedData as ICardDataJson;
+        }
+
+        return await CachingCardDataGetter.fetchAndCacheFileAsync(remoteDataUrl, cacheDirectory, relativePath) as ICardDataJson;
+    }
+
+    private static async fetchAndCacheFileAsync(remoteDataUrl: string, cacheDirectory: string, relativePath: string): Promise<unknown> {
+        const contents = await (await RemoteCardDataGetter.fetchFileAsync(remoteDataUrl, relativePath)).text();
+        const data = JSON.parse(contents);
+
+        try {
+            await CachingCardDataGetter.writeCachedFileAsync(cacheDirectory, relativePath, contents);
+        } catch (error) {
+            logger.warn(`Failed to cache card data file ${relativePath}: ${error}`);
+        }
+
+        return data;
+    }
+
+    /** @returns the parsed file, or null if it is not in the cache */
+    private static async readCachedFileAsync(cacheDirectory: string, relativePath: string): Promise<unknown | null> {
+        try {
+            return JSON.parse(await fs.promises.readFile(path.join(cacheDirectory, relativePath), 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    // written to a temporary file first so that a file that is only partly written is never read from the cache
+    private static async writeCachedFileAsync(cacheDirectory: string, relativePath: string, contents: string): Promise<void> {
+        const filePath = path.join(cacheDirectory, relativePath);
+        const tempFilePath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempFilePath, contents);
+        await fs.promises.rename(tempFilePath, filePath);
+    }
+
+    private static readonly prefetchConcurrency = 8;
+
+    private readonly cacheDirectory: string;
+
+    private constructor(
+        remoteDataUrl: string,
+        cacheDirectory: string,
+        cardMapJson: ICardMapJson,
+        tokenData: ITokenCardsData,
+        playableCardTitles: string[],
+        setCodeMap: Record<string, string>
+    ) {
+        super(remoteDataUrl, cardMapJson, tokenData, playableCardTitles, setCodeMap);
+
+        this.cacheDirectory = cacheDirectory;
+    }
+
+    /**
+     * Fetches every card in the card map that is not cached yet, so that games can be played without the remote
+     */
+    public async prefetchAllAsync(): Promise<ICardDataPrefetchResult> {
+        const result: ICardDataPrefetchResult = { fetchedCount: 0, cachedCount: 0, failedInternalNames: [] };
+        const internalNames = Array.from(new Set(Array.from(this.cardMap.values()).map((entry) => entry.internalName)));
+
+        let nextIndex = 0;
+        const prefetchNextAsync = async () => {
+            while (nextIndex < internalNames.length) {
+                const internalName = internalNames[nextIndex++];
+                const relativePath = this.getRelativePathFromInternalName(internalName);
+
+                if (await CachingCardDataGetter.readCachedFileAsync(this.cacheDirectory, relativePath) != null) {
+                    result.cachedCount++;
+                    continue;
+                }
+
+                try {
+                    await CachingCardDataGetter.fetchAndCacheFileAsync(this.remoteDataUrl, this.cacheDirectory, relativePath);
+                    result.fetchedCount++;
+                } catch (error) {
+                    logger.warn(`Failed to prefetch card data for ${internalName}: ${error}`);
+                    result.failedInternalNames.push(internalName);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: CachingCardDataGetter.prefetchConcurrency }, prefetchNextAsync));
+        return result;
+    }
+
+    protected override getCardInternalAsync(relativePath: string): Promise<ICardDataJson> {
+        return CachingCardDataGetter.getCardFileAsync(this.remoteDataUrl, this.cacheDirectory, relativePath);
+    }
+}
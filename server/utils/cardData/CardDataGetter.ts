@@ -2,6 +2,7 @@ import type { TokenName } from '../../game/core/Constants';
 import { TokenUnitName, TokenUpgradeName } from '../../game/core/Constants';
 import * as Contract from '../../game/core/utils/Contract';
 import type { ICardDataJson, ICardMap, ICardMapEntry, ICardMapJson } from './CardDataInterfaces';
+import { cardDataLoadSeconds } from '../metrics/ServerMetrics';
 
 export type ITokenCardsData = {
     [TokenNameValue in TokenName]: ICardDataJson;
@@ -59,17 +60,21 @@ export abstract class CardDataGetter {
 
     public getCardAsync(id: string): Promise<ICardDataJson> {
         const relativePath = this.getRelativePathFromInternalName(this.getInternalName(id));
-        return this.getCardInternalAsync(relativePath);
+        return this.loadCardAsync(relativePath);
     }
 
     public getCardByNameAsync(internalName: string): Promise<ICardDataJson> {
         this.checkInternalName(internalName);
-        return this.getCardInternalAsync(this.getRelativePathFromInternalName(internalName));
+        return this.loadCardAsync(this.getRelativePathFromInternalName(internalName));
     }
 
     public getCardBySetCodeAsync(setCode: string): Promise<ICardDataJson> {
         const relativePath = this.getRelativePathFromInternalName(this.getInternalNameFromSetCode(setCode));
-        return this.getCardInternalAsync(relativePath);
+        return this.loadCardAsync(relativePath);
+    }
+
+    private loadCardAsync(relativePath: string): Promise<ICardDataJson> {
+        return cardDataLoadSeconds.timeAsync(this.getCardInternalAsync(relativePath), { source: this.constructor.name });
     }
 
     protected static async getTokenCardsDataAsync(getCardAsync: (string) => Promise<ICardDataJson>): Promise<ITokenCardsData> {
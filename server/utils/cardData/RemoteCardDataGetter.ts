@@ -42,7 +42,7 @@ export class RemoteCardDataGetter extends CardDataGetter {
         }
     }
 
-    private readonly remoteDataUrl: string;
+    protected readonly remoteDataUrl: string;
 
     public constructor(
         remoteDataUrl: string,
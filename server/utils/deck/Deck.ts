@@ -23,6 +23,7 @@ export class Deck {
 
     public readonly base: IInternalCardEntry;
     public readonly leader: IInternalCardEntry;
+    public readonly secondLeader: IInternalCardEntry | null;
 
     private readonly cardDataGetter: CardDataGetter;
 
@@ -33,6 +34,9 @@ export class Deck {
         this.base = Deck.buildDecklistEntry(decklist.base.id, 1, cardDataGetter);
         this.leader = Deck.buildDecklistEntry(decklist.leader.id, 1, cardDataGetter);
 
+        const secondLeader = (decklist as ISwuDbDecklist).secondleader ?? (decklist as IDecklistInternal).secondLeader;
+        this.secondLeader = secondLeader != null ? Deck.buildDecklistEntry(secondLeader.id, 1, cardDataGetter) : null;
+
         const sideboard = decklist.sideboard ?? [];
 
         const allCardIds = new Set(
@@ -86,6 +90,7 @@ export class Deck {
     public getDecklist(): IDecklistInternal {
         return {
             leader: this.leader,
+            ...(this.secondLeader != null && { secondLeader: this.secondLeader }),
             base: this.base,
             deck: this.convertMapToCardList(this.deckCards),
             sideboard: this.convertMapToCardList(this.sideboard),
@@ -100,6 +105,7 @@ export class Deck {
             tokens: [] as ITokenCard[],
             base: undefined as IBaseCard | undefined,
             leader: undefined as ILeaderCard | undefined,
+            secondLeader: null as ILeaderCard | null,
             allCards: [] as Card[]
         };
 
@@ -125,9 +131,19 @@ export class Deck {
         Contract.assertTrue(leaderCard.isLeader());
         result.leader = leaderCard;
 
+        // second leader, only in formats with two leaders
+        if (this.secondLeader != null) {
+            const secondLeaderCard = (await this.buildCardsFromSetCodeAsync(this.secondLeader.id, player, cardDataGetter, 1))[0];
+            Contract.assertTrue(secondLeaderCard.isLeader());
+            result.secondLeader = secondLeaderCard;
+        }
+
         result.allCards.push(...result.deckCards);
         result.allCards.push(result.base);
         result.allCards.push(result.leader);
+        if (result.secondLeader != null) {
+            result.allCards.push(result.secondLeader);
+        }
 
         return result;
     }
@@ -22,6 +22,9 @@ export interface ISwuDbDecklist {
 
 export interface IDecklistInternal {
     leader: IInternalCardEntry;
+
+    /** Only used in formats with two leaders, see {@link ISwuDbDecklist.secondleader} */
+    secondLeader?: IInternalCardEntry;
     base: IInternalCardEntry;
     deck: IInternalCardEntry[];
     sideboard?: IInternalCardEntry[];
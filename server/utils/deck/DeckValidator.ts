@@ -0,0 +1,267 @@
+import { Aspect } from '../../game/core/Constants';
+import type { CardDataGetter } from '../cardData/CardDataGetter';
+import type { ICardDataJson } from '../cardData/CardDataInterfaces';
+import { SwuGameFormat } from '../../SwuGameFormat';
+import type { ICardIdAndName, IDecklistInternal, ISwuDbCardEntry, ISwuDbDecklist } from './DeckInterfaces';
+
+export enum DeckValidationFailureReason {
+    IllegalInFormat = 'illegalInFormat',
+    InvalidBase = 'invalidBase',
+    InvalidDeckCard = 'invalidDeckCard',
+    InvalidLeader = 'invalidLeader',
+    LeadersMixHeroismAndVillainy = 'leadersMixHeroismAndVillainy',
+    MaxSideboardSizeExceeded = 'maxSideboardSizeExceeded',
+    MinMainboardSizeNotMet = 'minMainboardSizeNotMet',
+    MissingDecklist = 'missingDecklist',
+    TooManyCopiesOfCard = 'tooManyCopiesOfCard',
+    UnknownCardId = 'unknownCardId',
+    WrongNumberOfLeaders = 'wrongNumberOfLeaders',
+}
+
+export interface IDeckValidationFailure {
+    reason: DeckValidationFailureReason;
+    message: string;
+
+    /** Set if the failure is caused by a specific card in the decklist */
+    card?: ICardIdAndName;
+}
+
+interface IFormatDeckRules {
+
+    /** Set codes (e.g. 'SOR') of the sets legal in this format. If null, cards from any set are legal. */
+    legalSets: Set<string> | null;
+    minMainboardSize: number;
+
+    /** If null, there is no limit on the sideboard size */
+    maxSideboardSize: number | null;
+    maxCopiesOfCard: number;
+    leaderCount: number;
+}
+
+/**
+ * Checks decklists against the deck construction rules of a {@link SwuGameFormat}.
+ * Card data is fetched lazily and cached, so the same validator instance should be reused across lobbies.
+ */
+export class DeckValidator {
+    private static readonly formatRules = new Map<SwuGameFormat, IFormatDeckRules>([
+        [SwuGameFormat.Premier, {
+            legalSets: new Set(['SOR', 'SHD', 'TWI']),
+            minMainboardSize: 50,
+            maxSideboardSize: 10,
+            maxCopiesOfCard: 3,
+            leaderCount: 1
+        }],
+        [SwuGameFormat.NextSetPreview, {
+            legalSets: new Set(['SOR', 'SHD', 'TWI', 'JTL']),
+            minMainboardSize: 50,
+            maxSideboardSize: 10,
+            maxCopiesOfCard: 3,
+            leaderCount: 1
+        }],
+        [SwuGameFormat.Open, {
+            legalSets: null,
+            minMainboardSize: 50,
+            maxSideboardSize: null,
+            maxCopiesOfCard: 3,
+            leaderCount: 1
+        }],
+        [SwuGameFormat.TwinSuns, {
+            legalSets: null,
+            minMainboardSize: 80,
+            maxSideboardSize: null,
+            maxCopiesOfCard: 1,
+            leaderCount: 2
+        }],
+    ]);
+
+    public static isKnownFormat(format: string): format is SwuGameFormat {
+        return DeckValidator.formatRules.has(format as SwuGameFormat);
+    }
+
+    private readonly cardDataGetter: CardDataGetter;
+    private readonly cardDataCache = new Map<string, ICardDataJson>();
+
+    public constructor(cardDataGetter: CardDataGetter) {
+        this.cardDataGetter = cardDataGetter;
+    }
+
+    /**
+     * Validates the passed decklist against the rules of the format.
+     * @returns the list of rules violations found, empty if the deck is legal
+     */
+    public async validateDeckAsync(decklist: ISwuDbDecklist | IDecklistInternal, format: SwuGameFormat): Promise<IDeckValidationFailure[]> {
+        const rules = DeckValidator.formatRules.get(format);
+        if (rules == null) {
+            throw new Error(`Unknown game format '${format}'`);
+        }
+
+        if (decklist == null) {
+            return [{ reason: DeckValidationFailureReason.MissingDecklist, message: 'No decklist provided' }];
+        }
+
+        const failures: IDeckValidationFailure[] = [];
+
+        const secondLeader = (decklist as ISwuDbDecklist).secondleader ?? (decklist as IDecklistInternal).secondLeader;
+        const leaderEntries = secondLeader != null ? [decklist.leader, secondLeader] : [decklist.leader];
+
+        if (leaderEntries.length !== rules.leaderCount) {
+            failures.push({
+                reason: DeckValidationFailureReason.WrongNumberOfLeaders,
+                message: rules.leaderCount === 1 ? 'Deck must have exactly one leader' : `Deck must have exactly ${rules.leaderCount} leaders`
+            });
+        }
+
+        const leadersData: ICardDataJson[] = [];
+        for (const leaderEntry of leaderEntries) {
+            leadersData.push(await this.validateSingleCardSlotAsync(leaderEntry, 'leader', DeckValidationFailureReason.InvalidLeader, rules, failures));
+        }
+
+        // two leaders can't lead the same deck if one is a hero and the other a villain
+        const leaderAspects = leadersData.filter((leaderData) => leaderData != null).flatMap((leaderData) => leaderData.aspects);
+        if (leaderAspects.includes(Aspect.Heroism) && leaderAspects.includes(Aspect.Villainy)) {
+            failures.push({ reason: DeckValidationFailureReason.LeadersMixHeroismAndVillainy, message: 'Leaders cannot combine the Heroism and Villainy aspects' });
+        }
+
+        if (leadersData.length === 2 && leadersData[0] != null && leadersData[0].id === leadersData[1]?.id) {
+            const leader = DeckValidator.getCardIdAndName(leaderEntries[0].id, leadersData[0]);
+            failures.push({ reason: DeckValidationFailureReason.TooManyCopiesOfCard, message: `Deck may include only one copy of ${leader.name}`, card: leader });
+        }
+
+        await this.validateSingleCardSlotAsync(decklist.base, 'base', DeckValidationFailureReason.InvalidBase, rules, failures);
+
+        const mainboard = decklist.deck ?? [];
+        const sideboard = decklist.sideboard ?? [];
+
+        const mainboardSize = DeckValidator.countCards(mainboard);
+        if (mainboardSize < rules.minMainboardSize) {
+            failures.push({
+                reason: DeckValidationFailureReason.MinMainboardSizeNotMet,
+                message: `Main deck must have at least ${rules.minMainboardSize} cards, found ${mainboardSize}`
+            });
+        }
+
+        const sideboardSize = DeckValidator.countCards(sideboard);
+        if (rules.maxSideboardSize != null && sideboardSize > rules.maxSideboardSize) {
+            failures.push({
+                reason: DeckValidationFailureReason.MaxSideboardSizeExceeded,
+                message: `Sideboard must have at most ${rules.maxSideboardSize} cards, found ${sideboardSize}`
+            });
+        }
+
+        // copy limits apply to the card itself, so reprints under different set codes are counted together
+        const copiesByCardId = new Map<string, { count: number; card: ICardIdAndName }>();
+        for (const cardEntry of mainboard.concat(sideboard)) {
+            const cardData = await this.getCardDataAsync(cardEntry.id);
+            if (cardData == null) {
+                failures.push({
+                    reason: DeckValidationFailureReason.UnknownCardId,
+                    message: `Unknown card id '${cardEntry.id}'`,
+                    card: { id: cardEntry.id, name: cardEntry.id }
+                });
+                continue;
+            }
+
+            const card = DeckValidator.getCardIdAndName(cardEntry.id, cardData);
+
+            if (!DeckValidator.isDeckCardType(cardData)) {
+                failures.push({
+                    reason: DeckValidationFailureReason.InvalidDeckCard,
+                    message: `${card.name} cannot be included in the main deck or sideboard`,
+                    card
+                });
+            }
+
+            this.checkSetLegality(cardData, card, rules, failures);
+
+            const existingEntry = copiesByCardId.get(cardData.id);
+            copiesByCardId.set(cardData.id, { count: (existingEntry?.count ?? 0) + cardEntry.count, card: existingEntry?.card ?? card });
+        }
+
+        for (const { count, card } of copiesByCardId.values()) {
+            if (count > rules.maxCopiesOfCard) {
+                failures.push({
+                    reason: DeckValidationFailureReason.TooManyCopiesOfCard,
+                    message: rules.maxCopiesOfCard === 1
+                        ? `Deck may include only one copy of ${card.name}, found ${count}`
+                        : `Deck may include at most ${rules.maxCopiesOfCard} copies of ${card.name}, found ${count}`,
+                    card
+                });
+            }
+        }
+
+        return failures;
+    }
+
+    private async validateSingleCardSlotAsync(
+        cardEntry: ISwuDbCardEntry | undefined,
+        expectedType: 'leader' | 'base',
+        failureReason: DeckValidationFailureReason,
+        rules: IFormatDeckRules,
+        failures: IDeckValidationFailure[]
+    ): Promise<ICardDataJson | null> {
+        if (cardEntry == null) {
+            failures.push({ reason: failureReason, message: `Deck must have exactly one ${expectedType}` });
+            return null;
+        }
+
+        const cardData = await this.getCardDataAsync(cardEntry.id);
+        if (cardData == null) {
+            failures.push({
+                reason: DeckValidationFailureReason.UnknownCardId,
+                message: `Unknown card id '${cardEntry.id}'`,
+                card: { id: cardEntry.id, name: cardEntry.id }
+            });
+            return null;
+        }
+
+        const card = DeckValidator.getCardIdAndName(cardEntry.id, cardData);
+
+        if (cardData.types.length !== 1 || cardData.types[0] !== expectedType) {
+            failures.push({ reason: failureReason, message: `${card.name} is not a ${expectedType}`, card });
+        }
+
+        this.checkSetLegality(cardData, card, rules, failures);
+
+        return cardData;
+    }
+
+    private checkSetLegality(cardData: ICardDataJson, card: ICardIdAndName, rules: IFormatDeckRules, failures: IDeckValidationFailure[]) {
+        if (rules.legalSets != null && !rules.legalSets.has(cardData.setId.set)) {
+            failures.push({
+                reason: DeckValidationFailureReason.IllegalInFormat,
+                message: `${card.name} is from set ${cardData.setId.set}, which is not legal in this format`,
+                card
+            });
+        }
+    }
+
+    private async getCardDataAsync(setCode: string): Promise<ICardDataJson | null> {
+        const internalId = this.cardDataGetter.setCodeMap.get(setCode);
+        if (internalId == null || !this.cardDataGetter.cardMap.has(internalId)) {
+            return null;
+        }
+
+        let cardData = this.cardDataCache.get(internalId);
+        if (cardData == null) {
+            cardData = await this.cardDataGetter.getCardAsync(internalId);
+            this.cardDataCache.set(internalId, cardData);
+        }
+
+        return cardData;
+    }
+
+    private static isDeckCardType(cardData: ICardDataJson) {
+        return cardData.types.length === 1 && ['unit', 'event', 'upgrade'].includes(cardData.types[0]);
+    }
+
+    private static countCards(cardList: ISwuDbCardEntry[]) {
+        return cardList.reduce((total, cardEntry) => total + cardEntry.count, 0);
+    }
+
+    private static getCardIdAndName(setCode: string, cardData: ICardDataJson): ICardIdAndName {
+        return {
+            id: setCode,
+            name: cardData.subtitle ? `${cardData.title}, ${cardData.subtitle}` : cardData.title
+        };
+    }
+}
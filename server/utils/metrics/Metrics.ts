@@ -0,0 +1,169 @@
+/*
+ * Minimal metrics in the Prometheus text exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/),
+ * so that the server can be scraped without a metrics client library or an external service.
+ */
+
+export type MetricLabels = Record<string, string>;
+
+interface IMetric {
+    readonly name: string;
+    render(): string;
+}
+
+abstract class LabeledMetric<TValue> implements IMetric {
+    protected readonly values = new Map<string, { labels: MetricLabels; value: TValue }>();
+
+    public constructor(
+        public readonly name: string,
+        private readonly help: string,
+        private readonly type: 'counter' | 'gauge' | 'histogram'
+    ) {}
+
+    public render(): string {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { labels, value } of this.values.values()) {
+            lines.push(...this.renderValue(labels, value));
+        }
+
+        return lines.join('\n');
+    }
+
+    protected abstract renderValue(labels: MetricLabels, value: TValue): string[];
+
+    protected getOrCreateValue(labels: MetricLabels, createValue: () => TValue): TValue {
+        // the same labels given in another order are the same series
+        const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+        let entry = this.values.get(key);
+        if (!entry) {
+            entry = { labels, value: createValue() };
+            this.values.set(key, entry);
+        }
+
+        return entry.value;
+    }
+}
+
+/** A value that only goes up, e.g. the number of games finished */
+export class Counter extends LabeledMetric<{ count: number }> {
+    public constructor(name: string, help: string) {
+        super(name, help, 'counter');
+    }
+
+    public increment(labels: MetricLabels = {}, amount = 1): void {
+        this.getOrCreateValue(labels, () => ({ count: 0 })).count += amount;
+    }
+
+    protected override renderValue(labels: MetricLabels, value: { count: number }): string[] {
+        return [`${this.name}${formatLabels(labels)} ${value.count}`];
+    }
+}
+
+/** A value that is set to its current level, e.g. the number of active lobbies */
+export class Gauge extends LabeledMetric<{ level: number }> {
+    public constructor(name: string, help: string) {
+        super(name, help, 'gauge');
+    }
+
+    public set(level: number, labels: MetricLabels = {}): void {
+        this.getOrCreateValue(labels, () => ({ level: 0 })).level = level;
+    }
+
+    /** Removes all the labeled values, e.g. before setting the levels of a gauge whose label values change over time */
+    public reset(): void {
+        this.values.clear();
+    }
+
+    protected override renderValue(labels: MetricLabels, value: { level: number }): string[] {
+        return [`${this.name}${formatLabels(labels)} ${value.level}`];
+    }
+}
+
+interface IHistogramValue {
+    bucketCounts: number[];
+    sum: number;
+    count: number;
+}
+
+/** Counts observed values (e.g. durations or sizes) in cumulative buckets by upper bound */
+export class Histogram extends LabeledMetric<IHistogramValue> {
+    public constructor(name: string, help: string, private readonly buckets: number[]) {
+        super(name, help, 'histogram');
+    }
+
+    public observe(value: number, labels: MetricLabels = {}): void {
+        const histogramValue = this.getOrCreateValue(labels, () => ({ bucketCounts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+
+        this.buckets.forEach((upperBound, i) => {
+            if (value <= upperBound) {
+                histogramValue.bucketCounts[i]++;
+            }
+        });
+        histogramValue.sum += value;
+        histogramValue.count++;
+    }
+
+    /** Runs `func` and observes how long it took in seconds, including if it throws */
+    public time<T>(func: () => T, labels: MetricLabels = {}): T {
+        const start = process.hrtime.bigint();
+        try {
+            return func();
+        } finally {
+            this.observe(Number(process.hrtime.bigint() - start) / 1e9, labels);
+        }
+    }
+
+    /** Awaits `promise` and observes how long it took to settle in seconds */
+    public async timeAsync<T>(promise: Promise<T>, labels: MetricLabels = {}): Promise<T> {
+        const start = process.hrtime.bigint();
+        try {
+            return await promise;
+        } finally {
+            this.observe(Number(process.hrtime.bigint() - start) / 1e9, labels);
+        }
+    }
+
+    protected override renderValue(labels: MetricLabels, value: IHistogramValue): string[] {
+        return [
+            ...this.buckets.map((upperBound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: String(upperBound) })} ${value.bucketCounts[i]}`),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+            `${this.name}_sum${formatLabels(labels)} ${value.sum}`,
+            `${this.name}_count${formatLabels(labels)} ${value.count}`
+        ];
+    }
+}
+
+export class MetricsRegistry {
+    public static readonly contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+    private readonly metrics = new Map<string, IMetric>();
+
+    public register<TMetric extends IMetric>(metric: TMetric): TMetric {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`A metric named ${metric.name} is already registered`);
+        }
+
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /** Renders all the metrics in the Prometheus text exposition format */
+    public render(): string {
+        return Array.from(this.metrics.values()).map((metric) => metric.render())
+            .join('\n') + '\n';
+    }
+}
+
+function formatLabels(labels: MetricLabels): string {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function escapeLabelValue(value: string): string {
+    return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
@@ -0,0 +1,39 @@
+import { Counter, Gauge, Histogram, MetricsRegistry } from './Metrics';
+
+/** All the metrics of the game server, exposed on its `/metrics` route */
+export const serverMetrics = new MetricsRegistry();
+
+const durationBucketsSeconds = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// gauges are set from the server's current state each time the metrics are scraped
+export const activeLobbies = serverMetrics.register(new Gauge('swu_active_lobbies', 'Number of open lobbies'));
+export const activeGames = serverMetrics.register(new Gauge('swu_active_games', 'Number of games in progress'));
+export const queuedPlayers = serverMetrics.register(new Gauge('swu_queued_players', 'Number of players waiting in the matchmaking queue, by format'));
+
+export const queueWaitSeconds = serverMetrics.register(new Histogram(
+    'swu_queue_wait_seconds',
+    'Time matched players waited in the queue, by format',
+    [5, 15, 30, 60, 120, 300, 600, 1200]
+));
+
+export const gamesFinished = serverMetrics.register(new Counter('swu_games_finished_total', 'Number of finished games, by game end reason'));
+
+export const gameCommandDurationSeconds = serverMetrics.register(new Histogram(
+    'swu_game_command_duration_seconds',
+    'Time spent handling game commands from clients, by command',
+    durationBucketsSeconds
+));
+
+export const gameStateBytes = serverMetrics.register(new Histogram(
+    'swu_game_state_bytes',
+    'Size of the game states built for players and spectators, as JSON',
+    [1024, 4096, 16384, 65536, 131072, 262144, 524288, 1048576]
+));
+
+export const gameErrors = serverMetrics.register(new Counter('swu_game_errors_total', 'Number of errors caught while handling game updates'));
+
+export const cardDataLoadSeconds = serverMetrics.register(new Histogram(
+    'swu_card_data_load_seconds',
+    'Time taken to load the data of a card, by card data source',
+    durationBucketsSeconds
+));
@@ -7,8 +7,8 @@ const { setCodeToString } = require('../../server/Util.js');
 const { Deck } = require('../../server/utils/deck/Deck.js');
 
 // defaults to fill in with if not explicitly provided by the test case
-const defaultLeader = { 1: 'darth-vader#dark-lord-of-the-sith', 2: 'luke-skywalker#faithful-friend' };
-const defaultBase = { 1: 'kestro-city', 2: 'administrators-tower' };
+const defaultLeader = { 1: 'darth-vader#dark-lord-of-the-sith', 2: 'luke-skywalker#faithful-friend', 3: 'sabine-wren#galvanized-revolutionary' };
+const defaultBase = { 1: 'kestro-city', 2: 'administrators-tower', 3: 'chopper-base' };
 const playerCardProperties = ['groundArena', 'spaceArena', 'hand', 'resources', 'deck', 'discard', 'leader', 'base', 'opponentAttachedUpgrades', 'unitsCapturedByOpponent'];
 const deckFillerCard = 'underworld-thug';
 const defaultResourceCount = 20;
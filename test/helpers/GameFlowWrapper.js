@@ -3,6 +3,7 @@
 const Game = require('../../server/game/core/Game.js');
 const PlayerInteractionWrapper = require('./PlayerInteractionWrapper.js');
 const Settings = require('../../server/Settings.js');
+const { SwuGameFormat } = require('../../server/SwuGameFormat.js');
 const TestSetupError = require('./TestSetupError.js');
 const playableCardTitles = require('../json/_playableCardTitles.json');
 const Util = require('./Util.js');
@@ -12,19 +13,20 @@ class GameFlowWrapper {
      * @param {any} router
      * @param {PlayerInfo} player1Info
      * @param {PlayerInfo} player2Info
+     * @param {PlayerInfo | null} player3Info if set, the game is a three player Twin Suns game
      */
-    constructor(cardDataGetter, router, player1Info, player2Info) {
+    constructor(cardDataGetter, router, player1Info, player2Info, player3Info = null) {
+        const playerInfos = player3Info ? [player1Info, player2Info, player3Info] : [player1Info, player2Info];
+
         var details = {
             name: `${player1Info.username}'s game`,
             id: 12345,
             owner: player1Info.username,
             saveGameId: 12345,
-            players: [
-                { user: Settings.getUserWithDefaultsSet(player1Info) },
-                { user: Settings.getUserWithDefaultsSet(player2Info) },
-            ],
+            players: playerInfos.map((playerInfo) => ({ user: Settings.getUserWithDefaultsSet(playerInfo) })),
             playableCardTitles: this.getPlayableCardTitles(),
-            cardDataGetter
+            cardDataGetter,
+            format: player3Info ? SwuGameFormat.TwinSuns : SwuGameFormat.Premier
         };
 
         this.game = new Game(details, { router });
@@ -38,6 +40,12 @@ class GameFlowWrapper {
         // this.player1.player.timerSettings.events = false;
         // this.player2.player.timerSettings.events = false;
         this.allPlayers = [this.player1, this.player2];
+
+        if (player3Info) {
+            this.player3Id = player3Info.id;
+            this.player3 = new PlayerInteractionWrapper(this.game, this.game.getPlayerById(this.player3Id), this);
+            this.allPlayers.push(this.player3);
+        }
     }
 
     getPlayableCardTitles() {
@@ -100,14 +108,17 @@ class GameFlowWrapper {
     }
 
     /**
-     * Both players pass for the rest of the action window
+     * All players pass for the rest of the action window
      */
     noMoreActions() {
-        this.eachPlayerStartingWithPrompted((player) => {
-            if (player.player.passedActionPhase === false) {
-                player.clickPrompt('Pass');
-            }
-        });
+        // the player to pass next is looked up after each pass, since with more than two players the turn order isn't just back and forth
+        for (let i = 0; i < this.allPlayers.length && this.game.currentPhase === 'action'; i++) {
+            const promptedPlayer = this.allPlayers.find((player) =>
+                player.player.passedActionPhase === false && !player.hasPrompt('Waiting for opponent to take an action or pass')
+            );
+
+            promptedPlayer?.clickPrompt('Pass');
+        }
     }
 
     /**
@@ -129,7 +140,10 @@ class GameFlowWrapper {
      */
     skipRegroupPhase() {
         this.guardCurrentPhase('regroup');
-        var playersInPromptedOrder = [...this.allPlayers].sort((player) => player.hasPrompt('Waiting for opponent to choose cards to resource'));
+        // players eliminated from a multiplayer game don't resource
+        var playersInPromptedOrder = this.allPlayers
+            .filter((player) => !player.player.eliminated)
+            .sort((player) => player.hasPrompt('Waiting for opponent to choose cards to resource'));
         playersInPromptedOrder.forEach((player) => player.clickPrompt('Done'));
         this.guardCurrentPhase('action');
     }
@@ -195,11 +209,15 @@ class GameFlowWrapper {
     }
 
     selectInitiativePlayer(player) {
-        var promptedPlayer = this.getPromptedPlayer('You won the flip. Do you want to start with initiative:');
-        if (player === promptedPlayer) {
-            promptedPlayer.clickPrompt('Yes');
+        var promptedPlayer = this.allPlayers.find((p) => p.currentPrompt().promptType === 'initiative');
+        if (!promptedPlayer) {
+            throw new TestSetupError('No player is being prompted to choose the initiative player');
+        }
+
+        if (this.allPlayers.length > 2) {
+            promptedPlayer.clickPrompt(player === promptedPlayer ? 'You' : player.name);
         } else {
-            promptedPlayer.clickPrompt('No');
+            promptedPlayer.clickPrompt(player === promptedPlayer ? 'Yes' : 'No');
         }
     }
 
@@ -63,8 +63,9 @@ class GameStateBuilder {
      * @param {DeckBuilder} deckBuilder
      * @param {string} player1Name
      * @param {string} player2Name
+     * @param {string | null} player3Name
      */
-    attachTestInfoToObj(toObj, gameFlowWrapper, player1Name, player2Name) {
+    attachTestInfoToObj(toObj, gameFlowWrapper, player1Name, player2Name, player3Name = null) {
         const game = gameFlowWrapper.game;
 
         toObj.game = game;
@@ -75,6 +76,12 @@ class GameStateBuilder {
         toObj.player1Name = player1Name;
         toObj.player2Name = player2Name;
 
+        if (player3Name) {
+            toObj.player3Object = game.getPlayerByName(player3Name);
+            toObj.player3 = gameFlowWrapper.player3;
+            toObj.player3Name = player3Name;
+        }
+
         // attach the game flow wrapper methods directly to the object so they can be called like e.g. 'toObj.setDamage()`
         this.proxiedGameFlowWrapperMethods.forEach((method) => {
             toObj[method] = (...args) => gameFlowWrapper[method].apply(gameFlowWrapper, args);
@@ -94,34 +101,46 @@ class GameStateBuilder {
             options.player2 = {};
         }
 
+        // a third player is only set up for Twin Suns games, and only with cards that it owns and controls
+        const playerKeys = context.player3 ? ['player1', 'player2', 'player3'] : ['player1', 'player2'];
+        if (context.player3 && !options.player3) {
+            options.player3 = {};
+        }
+
         // validate supplied parameters
         this.validateTopLevelOptions(options);
-        this.validatePlayerOptions(options.player1, 'player1', options.phase);
-        this.validatePlayerOptions(options.player2, 'player2', options.phase);
+        for (const playerKey of playerKeys) {
+            this.validatePlayerOptions(options[playerKey], playerKey, options.phase);
+        }
 
-        context.game.gameMode = SwuGameFormat.Premier;
+        context.game.gameMode = context.game.format;
 
-        if (options.player1.hasInitiative) {
-            context.game.initiativePlayer = context.player1Object;
-        } else if (options.player2.hasInitiative) {
-            context.game.initiativePlayer = context.player2Object;
+        const initiativePlayerKey = playerKeys.find((playerKey) => options[playerKey].hasInitiative);
+        if (initiativePlayerKey) {
+            context.game.initiativePlayer = context[`${initiativePlayerKey}Object`];
         }
 
         const player1OwnedCards = this.deckBuilder.getOwnedCards(1, options.player1, options.player2);
         const player2OwnedCards = this.deckBuilder.getOwnedCards(2, options.player2, options.player1);
+        const ownedCards = [player1OwnedCards, player2OwnedCards];
+        if (context.player3) {
+            ownedCards.push(this.deckBuilder.getOwnedCards(3, options.player3, {}));
+        }
+
+        const players = playerKeys.map((playerKey) => context[playerKey]);
 
         if (options.hasOwnProperty('autoSingleTarget')) {
             const autoSingleTarget = !!options.autoSingleTarget; // Ensures a boolean value
-            context.player1Object.user.settings.optionSettings.autoSingleTarget = autoSingleTarget;
-            context.player2Object.user.settings.optionSettings.autoSingleTarget = autoSingleTarget;
+            for (const player of players) {
+                player.player.user.settings.optionSettings.autoSingleTarget = autoSingleTarget;
+            }
         }
 
         // pass decklists to players. they are initialized into real card objects in the startGame() call
-        const [deck1, namedCards1, resources1, drawDeck1] = this.deckBuilder.customDeck(1, player1OwnedCards, options.phase);
-        const [deck2, namedCards2, resources2, drawDeck2] = this.deckBuilder.customDeck(2, player2OwnedCards, options.phase);
+        const customDecks = ownedCards.map((playerOwnedCards, i) => this.deckBuilder.customDeck(i + 1, playerOwnedCards, options.phase));
+        const namedCards = customDecks.map(([, playerNamedCards]) => playerNamedCards);
 
-        context.player1.selectDeck(deck1);
-        context.player2.selectDeck(deck2);
+        players.forEach((player, i) => player.selectDeck(customDecks[i][0]));
 
         // pass the data for token cards to the game so it can generate them
         context.game.initialiseTokens(this.deckBuilder.tokenData);
@@ -129,60 +148,57 @@ class GameStateBuilder {
         // each player object will convert the card names to real cards on start
         await context.startGameAsync();
 
-        if (options.phase !== 'setup') {
-            context.player1.player.promptedActionWindows[options.phase] = true;
-            context.player2.player.promptedActionWindows[options.phase] = true;
+        for (const player of players) {
+            if (options.phase !== 'setup') {
+                player.player.promptedActionWindows[options.phase] = true;
+            } else {
+                // Set action window prompt
+                player.player.promptedActionWindows['action'] = true;
+            }
+        }
 
+        if (options.phase !== 'setup') {
             // Advance the phases to the specified
             context.advancePhases(options.phase);
-        } else {
-            // Set action window prompt
-            context.player1.player.promptedActionWindows['action'] = true;
-            context.player2.player.promptedActionWindows['action'] = true;
         }
 
         // return all zone cards to deck and then set them below
-        context.player1.moveAllNonBaseZonesToRemoved();
-        context.player2.moveAllNonBaseZonesToRemoved();
+        for (const player of players) {
+            player.moveAllNonBaseZonesToRemoved();
+        }
+
+        const playerOptions = playerKeys.map((playerKey) => options[playerKey]);
 
         if (options.phase !== 'setup') {
             // Resources
-            context.player1.setResourceCards(resources1, ['outsideTheGame']);
-            context.player2.setResourceCards(resources2, ['outsideTheGame']);
+            players.forEach((player, i) => player.setResourceCards(customDecks[i][2], ['outsideTheGame']));
 
             // Arenas
-            context.player1.setGroundArenaUnits(options.player1.groundArena, ['outsideTheGame']);
-            context.player2.setGroundArenaUnits(options.player2.groundArena, ['outsideTheGame']);
-            context.player1.setSpaceArenaUnits(options.player1.spaceArena, ['outsideTheGame']);
-            context.player2.setSpaceArenaUnits(options.player2.spaceArena, ['outsideTheGame']);
+            players.forEach((player, i) => player.setGroundArenaUnits(playerOptions[i].groundArena, ['outsideTheGame']));
+            players.forEach((player, i) => player.setSpaceArenaUnits(playerOptions[i].spaceArena, ['outsideTheGame']));
 
             // Hand + discard
-            context.player1.setHand(options.player1.hand, ['outsideTheGame']);
-            context.player2.setHand(options.player2.hand, ['outsideTheGame']);
-            context.player1.setDiscard(options.player1.discard, ['outsideTheGame']);
-            context.player2.setDiscard(options.player2.discard, ['outsideTheGame']);
+            players.forEach((player, i) => player.setHand(playerOptions[i].hand, ['outsideTheGame']));
+            players.forEach((player, i) => player.setDiscard(playerOptions[i].discard, ['outsideTheGame']));
 
             // Set Leader state (deployed, exhausted, etc.)
-            context.player1.setLeaderStatus(options.player1.leader);
-            context.player2.setLeaderStatus(options.player2.leader);
+            players.forEach((player, i) => player.setLeaderStatus(playerOptions[i].leader));
 
             context.player1.attachOpponentOwnedUpgrades(player2OwnedCards.opponentAttachedUpgrades);
             context.player2.attachOpponentOwnedUpgrades(player1OwnedCards.opponentAttachedUpgrades);
         }
 
         // Set Base damage
-        context.player1.setBaseStatus(options.player1.base);
-        context.player2.setBaseStatus(options.player2.base);
+        players.forEach((player, i) => player.setBaseStatus(playerOptions[i].base));
 
         // Deck
-        context.player1.setDeck(drawDeck1, ['outsideTheGame']);
-        context.player2.setDeck(drawDeck2, ['outsideTheGame']);
+        players.forEach((player, i) => player.setDeck(customDecks[i][3], ['outsideTheGame']));
 
         // add named cards to context for easy reference (allows us to do "context.<cardName>")
         // note that if cards map to the same property name (i.e., same title), then they won't be added
         const cardNamesAsProperties = this.convertNonDuplicateCardNamesToProperties(
-            [context.player1, context.player2],
-            [namedCards1, namedCards2],
+            players,
+            namedCards,
             player1OwnedCards.opponentAttachedUpgrades.concat(player2OwnedCards.opponentAttachedUpgrades)
         );
 
@@ -208,6 +224,11 @@ class GameStateBuilder {
         toObj.p2Base = fromContext.player2.base;
         toObj.p2Leader = fromContext.player2.leader;
 
+        if (fromContext.player3) {
+            toObj.p3Base = fromContext.player3.base;
+            toObj.p3Leader = fromContext.player3.leader;
+        }
+
         if ('cardPropertyNames' in toObj) {
             return;
         }
@@ -253,6 +274,7 @@ class GameStateBuilder {
         const allowedPropertyNames = [
             'player1',
             'player2',
+            'player3',
             'phase',
             'autoSingleTarget'
         ];
@@ -280,8 +302,7 @@ class GameStateBuilder {
             })
         ).flat();
 
-        let propertyNamesWithCards = mapToPropertyNamesWithCards(cardNames[0], players[0])
-            .concat(mapToPropertyNamesWithCards(cardNames[1], players[1]));
+        let propertyNamesWithCards = players.flatMap((player, i) => mapToPropertyNamesWithCards(cardNames[i], player));
 
         // remove all instances of any names that are duplicated
         propertyNamesWithCards.sort((a, b) => {
@@ -29,10 +29,18 @@ interface SwuTestContext {
     player2Name: string;
     player1: PlayerInteractionWrapper;
     player2: PlayerInteractionWrapper;
+
+    // only set in three player Twin Suns tests
+    player3Object?: Player;
+    player3Name?: string;
+    player3?: PlayerInteractionWrapper;
+
     p1Base: IBaseCard;
     p1Leader: ILeaderCard;
     p2Base: IBaseCard;
     p2Leader: ILeaderCard;
+    p3Base?: IBaseCard;
+    p3Leader?: ILeaderCard;
 
     allowTestToEndWithOpenPrompt: boolean;
 
@@ -64,6 +72,9 @@ interface SwuSetupTestOptions {
     phase?: string;
     player1?: SwuPlayerSetupOptions;
     player2?: SwuPlayerSetupOptions;
+
+    /** setting up a third player makes the test a Twin Suns game */
+    player3?: SwuPlayerSetupOptions;
     autoSingleTarget?: boolean;
 
     [field: string]: any;
@@ -58,6 +58,20 @@ global.integration = function (definitions) {
             gameStateBuilder.attachTestInfoToObj(newContext, gameFlowWrapper, 'player1', 'player2');
 
             const setupGameStateWrapperAsync = async (options) => {
+                // a third player makes the test a Twin Suns game, which needs a game created with all three players
+                if (options?.player3) {
+                    const multiplayerGameFlowWrapper = new GameFlowWrapper(
+                        gameStateBuilder.cardDataGetter,
+                        gameRouter,
+                        { id: '111', username: 'player1', settings: { optionSettings: { autoSingleTarget: false } } },
+                        { id: '222', username: 'player2', settings: { optionSettings: { autoSingleTarget: false } } },
+                        { id: '333', username: 'player3', settings: { optionSettings: { autoSingleTarget: false } } }
+                    );
+
+                    gameStateBuilder.attachTestInfoToObj(this, multiplayerGameFlowWrapper, 'player1', 'player2', 'player3');
+                    gameStateBuilder.attachTestInfoToObj(newContext, multiplayerGameFlowWrapper, 'player1', 'player2', 'player3');
+                }
+
                 await gameStateBuilder.setupGameStateAsync(newContext, options);
                 gameStateBuilder.attachAbbreviatedContextInfo(newContext, contextRef);
             };
@@ -92,7 +106,8 @@ global.integration = function (definitions) {
                 return;
             }
 
-            const playersWithUnresolvedPrompts = [context.player1, context.player2]
+            const playersWithUnresolvedPrompts = [context.player1, context.player2, context.player3]
+                .filter((player) => player != null)
                 .filter((player) => player.currentPrompt().menuTitle !== 'Choose an action' && !player.currentPrompt().menuTitle.startsWith('Waiting for opponent'));
 
             if (playersWithUnresolvedPrompts.length > 0) {
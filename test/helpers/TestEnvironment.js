@@ -0,0 +1,16 @@
+// the server modules read their settings from the environment when they are loaded (see server/env.ts),
+// so specs that load them get the same defaults as a newly created development .env file
+const testEnvironment = {
+    ENVIRONMENT: 'test',
+    GAME_NODE_HOST: 'localhost',
+    GAME_NODE_NAME: 'test1',
+    GAME_NODE_SOCKET_IO_PORT: '9500',
+    SECRET: 'verysecret',
+    ADMIN_USER_IDS: 'admin'
+};
+
+for (const [name, value] of Object.entries(testEnvironment)) {
+    if (process.env[name] == null) {
+        process.env[name] = value;
+    }
+}
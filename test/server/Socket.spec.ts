@@ -0,0 +1,71 @@
+import Socket from '../../server/socket';
+import { signUserToken } from '../../server/utils/auth/UserTokens';
+import { TestSocketIoSocket } from './gamenode/LobbyTestUtils';
+
+describe('Socket', function() {
+    const user = { id: 'player1', username: 'Player 1' };
+
+    let rawSocket: TestSocketIoSocket;
+    let socket: Socket;
+    let onAuthenticate: jasmine.Spy;
+    let onCommand: jasmine.Spy;
+
+    beforeEach(function() {
+        rawSocket = new TestSocketIoSocket('socket1', null);
+        socket = new Socket(rawSocket);
+
+        onAuthenticate = jasmine.createSpy('onAuthenticate');
+        socket.on('authenticate', onAuthenticate);
+
+        onCommand = jasmine.createSpy('onCommand');
+        socket.registerEvent('lobby', onCommand);
+    });
+
+    describe('When a socket is not authenticated,', function() {
+        it('should ignore its commands', function() {
+            rawSocket.receive('lobby', 'setReadyStatus', true);
+
+            expect(onCommand).not.toHaveBeenCalled();
+        });
+
+        it('should not authenticate it without a token', function() {
+            rawSocket.receive('authenticate');
+            rawSocket.receive('authenticate', '');
+
+            expect(onAuthenticate).not.toHaveBeenCalled();
+            expect(socket.user).toBeNull();
+        });
+
+        it('should not authenticate it with an invalid token', function() {
+            const [header, , signature] = signUserToken(user).split('.');
+            const tamperedPayload = Buffer.from(JSON.stringify({ id: 'admin' })).toString('base64url');
+            rawSocket.receive('authenticate', [header, tamperedPayload, signature].join('.'));
+
+            expect(onAuthenticate).not.toHaveBeenCalled();
+            expect(socket.user).toBeNull();
+            expect(rawSocket.request.user).toBeUndefined();
+
+            rawSocket.receive('lobby', 'setReadyStatus', true);
+            expect(onCommand).not.toHaveBeenCalled();
+        });
+
+        it('should authenticate it with a valid token and then handle its commands', function() {
+            rawSocket.receive('authenticate', signUserToken(user));
+
+            expect(onAuthenticate).toHaveBeenCalledOnceWith(socket, user);
+            expect(socket.user).toEqual(user);
+            expect(rawSocket.request.user).toEqual(user);
+
+            rawSocket.receive('lobby', 'setReadyStatus', true);
+            expect(onCommand).toHaveBeenCalledOnceWith(socket, 'setReadyStatus', true);
+        });
+    });
+
+    it('should keep the user of an authenticated socket if it sends an invalid token', function() {
+        rawSocket.receive('authenticate', signUserToken(user));
+        rawSocket.receive('authenticate', 'not a token');
+
+        expect(onAuthenticate).toHaveBeenCalledTimes(1);
+        expect(socket.user).toEqual(user);
+    });
+});
@@ -116,5 +116,64 @@ describe('Boba Fett\'s Armor', function () {
             expect(context.bobaFettDisintegrator.damage).toBe(0);
             expect(context.bobaFettDisintegrator).toHaveExactUpgradeNames(['boba-fetts-armor']);
         });
+
+        it('Boba Fett\'s Armor attached by an opponent is ordered with the shield by the player whose unit is damaged', async function () {
+            await contextRef.setupTestAsync({
+                phase: 'action',
+                player1: {
+                    groundArena: ['battlefield-marine'],
+                },
+                player2: {
+                    groundArena: [{ card: 'boba-fett#disintegrator', upgrades: [{ card: 'boba-fetts-armor', ownerAndController: 'player1' }, 'shield'] }]
+                }
+            });
+
+            const { context } = contextRef;
+
+            // partial replacements are ordered by the affected player, so there is no prompt to choose which player resolves first
+            context.player1.clickCard(context.battlefieldMarine);
+            context.player1.clickCard(context.bobaFettDisintegrator);
+            expect(context.player2).toHaveExactPromptButtons([
+                'If attached unit is Boba Fett and damage would be dealt to him, prevent 2 of that damage',
+                'Defeat shield to prevent attached unit from taking damage'
+            ]);
+
+            // the shield still prevents the 1 damage left after the armor
+            context.player2.clickPrompt('If attached unit is Boba Fett and damage would be dealt to him, prevent 2 of that damage');
+            expect(context.bobaFettDisintegrator.damage).toBe(0);
+            expect(context.bobaFettDisintegrator).toHaveExactUpgradeNames(['boba-fetts-armor']);
+            expect(context.getChatLogs(2)).toEqual([
+                'player1 uses Boba Fett\'s Armor to Boba Fett\'s armor prevents 2 damage to Boba Fett',
+                'player2 uses Shield to shield prevents Boba Fett from taking damage'
+            ]);
+        });
+
+        it('two Boba Fett\'s Armors each prevent 2 damage', async function () {
+            await contextRef.setupTestAsync({
+                phase: 'action',
+                player1: {
+                    groundArena: ['wampa'],
+                },
+                player2: {
+                    groundArena: [{ card: 'boba-fett#disintegrator', upgrades: ['boba-fetts-armor', { card: 'boba-fetts-armor', ownerAndController: 'player1' }] }]
+                }
+            });
+
+            const { context } = contextRef;
+
+            context.player1.clickCard(context.wampa);
+            context.player1.clickCard(context.bobaFettDisintegrator);
+
+            // both armors are ordered by the player whose unit is damaged, and all 4 damage is prevented
+            expect(context.player2).toHaveExactPromptButtons([
+                'If attached unit is Boba Fett and damage would be dealt to him, prevent 2 of that damage',
+                'If attached unit is Boba Fett and damage would be dealt to him, prevent 2 of that damage'
+            ]);
+            context.player2.clickPrompt('If attached unit is Boba Fett and damage would be dealt to him, prevent 2 of that damage');
+            expect(context.bobaFettDisintegrator.damage).toBe(0);
+
+            expect(context.wampa).toBeInZone('discard');
+            expect(context.player2).toBeActivePlayer();
+        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,124 @@
+import type { IGameNodeStatus } from '../../../server/cluster/ClusterMessages';
+import { GameNodeRegistry } from '../../../server/cluster/GameNodeRegistry';
+
+describe('Game node registry', function() {
+    const nodeTimeoutMs = 15000;
+    let nowMs: number;
+    let registry: GameNodeRegistry;
+
+    const buildStatus = (name: string, properties: Partial<IGameNodeStatus> = {}): IGameNodeStatus => ({
+        name,
+        address: `${name}:9500`,
+        maxGames: null,
+        isDraining: false,
+        lobbyCount: 0,
+        gameCount: 0,
+        cpuLoad: 0,
+        lobbies: [],
+        ...properties
+    });
+
+    beforeEach(function() {
+        nowMs = 0;
+        registry = new GameNodeRegistry(nodeTimeoutMs, () => nowMs);
+    });
+
+    describe('When choosing the node for a new lobby,', function() {
+        it('should choose the node with the fewest lobbies', function() {
+            registry.updateStatus(buildStatus('node1', { lobbyCount: 3, cpuLoad: 0.1 }));
+            registry.updateStatus(buildStatus('node2', { lobbyCount: 1, cpuLoad: 0.9 }));
+            registry.updateStatus(buildStatus('node3', { lobbyCount: 2, cpuLoad: 0.2 }));
+
+            expect(registry.getLeastLoadedNode().name).toBe('node2');
+        });
+
+        it('should choose the node with the lowest cpu load among those with the fewest lobbies', function() {
+            registry.updateStatus(buildStatus('node1', { lobbyCount: 1, cpuLoad: 0.5 }));
+            registry.updateStatus(buildStatus('node2', { lobbyCount: 1, cpuLoad: 0.2 }));
+            registry.updateStatus(buildStatus('node3', { lobbyCount: 2, cpuLoad: 0 }));
+
+            expect(registry.getLeastLoadedNode().name).toBe('node2');
+        });
+
+        it('should skip draining nodes', function() {
+            registry.updateStatus(buildStatus('node1', { isDraining: true }));
+            registry.updateStatus(buildStatus('node2', { lobbyCount: 5 }));
+
+            expect(registry.getLeastLoadedNode().name).toBe('node2');
+        });
+
+        it('should skip nodes that are at their game limit', function() {
+            registry.updateStatus(buildStatus('node1', { lobbyCount: 2, maxGames: 2 }));
+            registry.updateStatus(buildStatus('node2', { lobbyCount: 5, maxGames: 6 }));
+
+            expect(registry.getLeastLoadedNode().name).toBe('node2');
+        });
+
+        it('should skip nodes that stopped reporting their status', function() {
+            registry.updateStatus(buildStatus('node1'));
+            nowMs = 10000;
+            registry.updateStatus(buildStatus('node2', { lobbyCount: 5 }));
+
+            nowMs = nodeTimeoutMs + 1;
+            expect(registry.getLeastLoadedNode().name).toBe('node2');
+            expect(registry.getNode('node1')).toBeUndefined();
+        });
+
+        it('should keep a node that reports its status again before it times out', function() {
+            registry.updateStatus(buildStatus('node1'));
+            nowMs = 10000;
+            registry.updateStatus(buildStatus('node1'));
+
+            nowMs = nodeTimeoutMs + 1;
+            expect(registry.getLeastLoadedNode().name).toBe('node1');
+        });
+
+        it('should return null if no node can take a new lobby', function() {
+            expect(registry.getLeastLoadedNode()).toBeNull();
+
+            registry.updateStatus(buildStatus('node1', { isDraining: true }));
+            registry.updateStatus(buildStatus('node2', { lobbyCount: 1, maxGames: 1 }));
+            expect(registry.getLeastLoadedNode()).toBeNull();
+        });
+
+        it('should count the lobbies added since a node last reported its status', function() {
+            registry.updateStatus(buildStatus('node1', { maxGames: 1 }));
+            registry.updateStatus(buildStatus('node2', { lobbyCount: 1, maxGames: 2 }));
+
+            registry.addLobby('node1', { id: 'lobby1', userIds: ['player1'], hasOpenSeat: true, isSpectatable: false });
+
+            expect(registry.getNode('node1').lobbyCount).toBe(1);
+            expect(registry.getLeastLoadedNode().name).toBe('node2');
+        });
+    });
+
+    describe('When finding a lobby,', function() {
+        beforeEach(function() {
+            registry.updateStatus(buildStatus('node1', {
+                lobbyCount: 1,
+                lobbies: [{ id: 'lobby1', userIds: ['player1', 'player2'], hasOpenSeat: false, isSpectatable: true }]
+            }));
+            registry.updateStatus(buildStatus('node2', {
+                lobbyCount: 1,
+                lobbies: [{ id: 'lobby2', userIds: ['player3'], hasOpenSeat: true, isSpectatable: false }]
+            }));
+        });
+
+        it('should find it by its id or by one of its users', function() {
+            expect(registry.findLobby('lobby2').node.name).toBe('node2');
+            expect(registry.findUserLobby('player2').lobby.id).toBe('lobby1');
+            expect(registry.findLobby('lobby3')).toBeNull();
+            expect(registry.findUserLobby('player4')).toBeNull();
+        });
+
+        it('should not find the lobbies of a node that timed out', function() {
+            nowMs = 10000;
+            registry.updateStatus(buildStatus('node2', { lobbies: [] }));
+
+            nowMs = nodeTimeoutMs + 1;
+            expect(registry.findLobby('lobby1')).toBeNull();
+            expect(registry.findUserLobby('player1')).toBeNull();
+            expect(registry.nodeStatuses.map((node) => node.name)).toEqual(['node2']);
+        });
+    });
+});
@@ -56,5 +56,79 @@ describe('Overall game mechanics', function() {
                 context.allowTestToEndWithOpenPrompt = true;
             });
         });
+
+        describe('Spectators', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        groundArena: ['wampa']
+                    }
+                });
+            });
+
+            it('should be able to join and leave a game that allows spectators', function () {
+                const { context } = contextRef;
+
+                context.game.allowSpectators = true;
+                expect(context.game.watch('spectator-id', { username: 'spectator' })).toBeTrue();
+                expect(context.game.getState('spectator-id').spectators).toEqual([{ id: 'spectator-id', name: 'spectator' }]);
+
+                context.game.leave('spectator-id');
+                expect(context.game.getState(context.player1.player.id).spectators).toEqual([]);
+                expect(context.getChatLogs(2)).toEqual(['spectator has joined the game as a spectator', 'spectator has left the game']);
+            });
+
+            it('should not be able to join a game that does not allow spectators', function () {
+                const { context } = contextRef;
+
+                context.game.allowSpectators = false;
+                expect(context.game.watch('spectator-id', { username: 'spectator' })).toBeFalse();
+                expect(context.game.getSpectators()).toEqual([]);
+            });
+        });
+
+        describe('A disconnected player', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        groundArena: ['wampa']
+                    }
+                });
+            });
+
+            it('should be shown to the opponent with the time left to reconnect', function () {
+                const { context } = contextRef;
+
+                let now = 1000;
+                context.game.clockSource = { now: () => now };
+
+                context.game.disconnect(context.player2.player.id, 60);
+                now += 15500;
+
+                const player2State = context.game.getState(context.player1.player.id).players[context.player2.player.id];
+                expect(player2State.disconnected).toBeTrue();
+                expect(player2State.reconnectTimeLeft).toBe(45);
+
+                context.game.reconnect(context.player2.player.id);
+                expect(context.game.getState(context.player1.player.id).players[context.player2.player.id].reconnectTimeLeft).toBeNull();
+                expect(context.getChatLogs(2)).toEqual([`${context.player2Name} has disconnected`, `${context.player2Name} has reconnected`]);
+            });
+
+            it('should forfeit the game if they do not reconnect in time', function () {
+                const { context } = contextRef;
+
+                context.game.disconnect(context.player2.player.id, 60);
+                context.game.concede(context.player2.player.id, 'disconnect');
+                context.game.continue();
+
+                expect(context.game.winner).toEqual([context.player1Name]);
+                expect(context.game.gameEndReason).toBe('disconnect');
+                expect(context.getChatLogs(2)).toEqual([`${context.player2Name} did not reconnect in time and forfeits the game`, `${context.player1Name} has won the game`]);
+
+                context.allowTestToEndWithOpenPrompt = true;
+            });
+        });
     });
 });
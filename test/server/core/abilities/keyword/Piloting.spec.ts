@@ -0,0 +1,92 @@
+describe('Piloting keyword', function() {
+    integration(function(contextRef) {
+        describe('When a unit with a Piloting cost is in hand', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        hand: ['dagger-squadron-pilot'],
+                        groundArena: ['wampa'],
+                        spaceArena: ['tieln-fighter']
+                    },
+                    player2: {
+                        hand: ['vanquish'],
+                        spaceArena: ['alliance-xwing']
+                    }
+                });
+            });
+
+            it('it can be played as a unit', function () {
+                const { context } = contextRef;
+
+                context.player1.clickCard(context.daggerSquadronPilot);
+                context.player1.clickPrompt('Play Dagger Squadron Pilot');
+
+                expect(context.daggerSquadronPilot).toBeInZone('groundArena');
+                expect(context.daggerSquadronPilot.isUnit()).toBeTrue();
+                expect(context.daggerSquadronPilot.getPower()).toBe(context.daggerSquadronPilot.printedPower);
+                expect(context.daggerSquadronPilot.getHp()).toBe(context.daggerSquadronPilot.printedHp);
+                expect(context.player2).toBeActivePlayer();
+            });
+
+            it('it can be played as an upgrade on a friendly Vehicle only', function () {
+                const { context } = contextRef;
+
+                const tieBasePower = context.tielnFighter.getPower();
+                const tieBaseHp = context.tielnFighter.getHp();
+
+                context.player1.clickCard(context.daggerSquadronPilot);
+                context.player1.clickPrompt('Play Dagger Squadron Pilot with Piloting');
+                expect(context.player1).toBeAbleToSelectExactly([context.tielnFighter]);
+
+                context.player1.clickCard(context.tielnFighter);
+                expect(context.daggerSquadronPilot).toBeInZone('spaceArena');
+                expect(context.daggerSquadronPilot.isUpgrade()).toBeTrue();
+                expect(context.daggerSquadronPilot.isUnit()).toBeFalse();
+                expect(context.tielnFighter.upgrades).toContain(context.daggerSquadronPilot);
+                expect(context.tielnFighter.getPower()).toBe(tieBasePower + context.daggerSquadronPilot.printedUpgradePower);
+                expect(context.tielnFighter.getHp()).toBe(tieBaseHp + context.daggerSquadronPilot.printedUpgradeHp);
+                expect(context.player2).toBeActivePlayer();
+            });
+
+            it('it is discarded as an upgrade when the Vehicle it is attached to is defeated, and is a unit again', function () {
+                const { context } = contextRef;
+
+                context.player1.clickCard(context.daggerSquadronPilot);
+                context.player1.clickPrompt('Play Dagger Squadron Pilot with Piloting');
+                context.player1.clickCard(context.tielnFighter);
+
+                context.player2.clickCard(context.vanquish);
+                context.player2.clickCard(context.tielnFighter);
+
+                expect(context.tielnFighter).toBeInZone('discard');
+                expect(context.daggerSquadronPilot).toBeInZone('discard');
+                expect(context.daggerSquadronPilot.isUnit()).toBeTrue();
+                expect(context.daggerSquadronPilot.isUpgrade()).toBeFalse();
+            });
+        });
+
+        describe('When a unit with a Piloting cost is in hand and there is no friendly Vehicle', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        hand: ['dagger-squadron-pilot'],
+                        groundArena: ['wampa']
+                    },
+                    player2: {
+                        spaceArena: ['alliance-xwing']
+                    }
+                });
+            });
+
+            it('it can only be played as a unit', function () {
+                const { context } = contextRef;
+
+                context.player1.clickCard(context.daggerSquadronPilot);
+                expect(context.daggerSquadronPilot).toBeInZone('groundArena');
+                expect(context.daggerSquadronPilot.isUnit()).toBeTrue();
+            });
+        });
+    });
+});
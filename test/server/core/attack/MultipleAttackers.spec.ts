@@ -0,0 +1,194 @@
+import AbilityHelper from '../../../../server/game/AbilityHelper';
+import { InitiateAttackAction } from '../../../../server/game/actions/InitiateAttackAction';
+import { AbilityRestriction, KeywordName } from '../../../../server/game/core/Constants';
+
+describe('Multiple attackers', function() {
+    integration(function(contextRef) {
+        // no card declares an attack with multiple units yet, so the specs resolve the attack action for player1 directly
+        const buildAttackAction = (attacker, additionalAttackers, attackProperties = {}) => {
+            const { context } = contextRef;
+            return new InitiateAttackAction(context.game, attacker, { additionalAttackers, ...attackProperties });
+        };
+
+        const declareAttack = (attacker, additionalAttackers, attackProperties = {}) => {
+            const { context } = contextRef;
+            const action = buildAttackAction(attacker, additionalAttackers, attackProperties);
+            context.game.resolveAbility(action.createContext(context.player1.player));
+            context.game.continue();
+        };
+
+        describe('When two units attack together,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        groundArena: ['wampa', 'battlefield-marine']
+                    },
+                    player2: {
+                        groundArena: ['consular-security-force']
+                    }
+                });
+            });
+
+            it('they should deal their combined damage to the defending unit and the defending player should divide the defender\'s damage among them', function () {
+                const { context } = contextRef;
+
+                declareAttack(context.wampa, [context.battlefieldMarine]);
+                expect(context.player1).toBeAbleToSelectExactly([context.consularSecurityForce, context.p2Base]);
+                context.player1.clickCard(context.consularSecurityForce);
+
+                expect(context.wampa.exhausted).toBeTrue();
+                expect(context.battlefieldMarine.exhausted).toBeTrue();
+
+                expect(context.player2).toHavePrompt('Divide 3 combat damage from Consular Security Force among the attackers');
+                expect(context.player2).toBeAbleToSelectExactly([context.wampa, context.battlefieldMarine]);
+                context.player2.setDistributeDamagePromptState(new Map([
+                    [context.wampa, 1],
+                    [context.battlefieldMarine, 2]
+                ]));
+
+                expect(context.consularSecurityForce).toBeInZone('discard');
+                expect(context.wampa.damage).toBe(1);
+                expect(context.battlefieldMarine.damage).toBe(2);
+            });
+
+            it('the defending player should be able to assign all of the defender\'s damage to one of them', function () {
+                const { context } = contextRef;
+
+                declareAttack(context.wampa, [context.battlefieldMarine]);
+                context.player1.clickCard(context.consularSecurityForce);
+
+                context.player2.setDistributeDamagePromptState(new Map([
+                    [context.battlefieldMarine, 3]
+                ]));
+
+                expect(context.battlefieldMarine).toBeInZone('discard');
+                expect(context.wampa.damage).toBe(0);
+                expect(context.consularSecurityForce).toBeInZone('discard');
+            });
+
+            it('they should deal their combined damage to a base without a prompt for the defending player', function () {
+                const { context } = contextRef;
+
+                declareAttack(context.wampa, [context.battlefieldMarine]);
+                context.player1.clickCard(context.p2Base);
+
+                expect(context.p2Base.damage).toBe(7);
+                expect(context.wampa.damage).toBe(0);
+                expect(context.battlefieldMarine.damage).toBe(0);
+                expect(context.player2).toHaveExactPromptButtons([]);
+            });
+
+            it('an exhausted unit should not be able to join the attack', function () {
+                const { context } = contextRef;
+
+                context.battlefieldMarine.exhausted = true;
+
+                const action = buildAttackAction(context.wampa, [context.battlefieldMarine]);
+                expect(action.meetsRequirements(action.createContext(context.player1.player))).toBe('cost');
+            });
+        });
+
+        describe('When two units attack together and one of them has Overwhelm,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        groundArena: ['wampa', 'battlefield-marine']
+                    },
+                    player2: {
+                        groundArena: ['pyke-sentinel']
+                    }
+                });
+            });
+
+            it('the excess of their combined damage should be dealt to the defending player\'s base', function () {
+                const { context } = contextRef;
+
+                declareAttack(context.wampa, [context.battlefieldMarine], {
+                    attackerLastingEffects: { effect: AbilityHelper.ongoingEffects.gainKeyword(KeywordName.Overwhelm) }
+                });
+                context.player1.clickCard(context.pykeSentinel);
+
+                const sentinelPower = context.pykeSentinel.getPower();
+                const sentinelHp = context.pykeSentinel.getHp();
+                context.player2.setDistributeDamagePromptState(new Map([
+                    [context.wampa, sentinelPower]
+                ]));
+
+                expect(context.pykeSentinel).toBeInZone('discard');
+                expect(context.p2Base.damage).toBe(7 - sentinelHp);
+                expect(context.wampa.damage).toBe(sentinelPower);
+            });
+        });
+
+        describe('When two units with On Attack abilities attack together,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        groundArena: ['general-draven#doing-what-must-be-done', 'wolffe#suspicious-veteran']
+                    }
+                });
+            });
+
+            it('the abilities of both units should trigger', function () {
+                const { context } = contextRef;
+
+                declareAttack(context.generalDraven, [context.wolffe]);
+                context.player1.clickCard(context.p2Base);
+
+                expect(context.player1).toHaveExactPromptButtons(['Create an X-Wing token', 'Bases can\'t be healed']);
+                context.player1.clickPrompt('Create an X-Wing token');
+
+                expect(context.player1.findCardsByName('xwing').length).toBe(1);
+                expect(context.p1Base.hasRestriction(AbilityRestriction.BeHealed)).toBeTrue();
+                expect(context.p2Base.damage).toBe(context.generalDraven.getPower() + context.wolffe.getPower());
+            });
+        });
+
+        describe('When units attack together and some of them deal combat damage before the defender,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        groundArena: ['wampa', 'han-solo#reluctant-hero']
+                    },
+                    player2: {
+                        groundArena: ['consular-security-force']
+                    }
+                });
+            });
+
+            it('the attackers should deal their damage first if every one of them deals damage before the defender', function () {
+                const { context } = contextRef;
+
+                declareAttack(context.wampa, [context.hanSolo], {
+                    attackerLastingEffects: { effect: AbilityHelper.ongoingEffects.dealsDamageBeforeDefender() }
+                });
+                context.player1.clickCard(context.consularSecurityForce);
+
+                expect(context.consularSecurityForce).toBeInZone('discard');
+                expect(context.wampa.damage).toBe(0);
+                expect(context.hanSolo.damage).toBe(0);
+            });
+
+            // the combined damage of the attackers is dealt as one event, so it can't be split into an earlier and a later part
+            it('all combat damage should be dealt at the same time if one of them doesn\'t deal damage before the defender', function () {
+                const { context } = contextRef;
+
+                declareAttack(context.wampa, [context.hanSolo]);
+                context.player1.clickCard(context.consularSecurityForce);
+
+                expect(context.player2).toBeAbleToSelectExactly([context.wampa, context.hanSolo]);
+                context.player2.setDistributeDamagePromptState(new Map([
+                    [context.hanSolo, 3]
+                ]));
+
+                expect(context.consularSecurityForce).toBeInZone('discard');
+                expect(context.wampa.damage).toBe(0);
+                expect(context.hanSolo.damage).toBe(3);
+            });
+        });
+    });
+});
@@ -0,0 +1,67 @@
+import { ClockType, clockFor } from '../../../../server/game/core/clocks/ClockSelector';
+
+describe('Clocks', function() {
+    integration(function(contextRef) {
+        describe('When players are playing with chess clocks', function() {
+            let now: number;
+
+            beforeEach(async function () {
+                await contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        groundArena: ['wampa']
+                    }
+                });
+
+                const { context } = contextRef;
+
+                now = 1000;
+                context.game.clockSource = { now: () => now };
+                for (const player of [context.player1.player, context.player2.player]) {
+                    player.clock = clockFor(player, { type: ClockType.CHESS, time: 1, periods: 0, timePeriod: 0 });
+                }
+            });
+
+            it('should only run the clock of the player who is deciding on an action', function () {
+                const { context } = contextRef;
+
+                context.player1.clickCard(context.wampa);
+                expect(context.player1.player.clock.getState().mode).toBe('down');
+                expect(context.player2.player.clock.getState().mode).toBe('stop');
+
+                // the first 5 seconds of each turn are free
+                now += 20000;
+                context.player1.clickCard(context.p2Base);
+
+                expect(context.player2).toBeActivePlayer();
+                expect(context.player1.player.clock.timeLeft).toBe(45);
+                expect(context.player1.player.clock.getState().mode).toBe('stop');
+                expect(context.player2.player.clock.getState().mode).toBe('down');
+                expect(context.game.getMsUntilClockRunsOut()).toBe(64500);
+            });
+
+            it('should end the game when the active player\'s clock runs out', function () {
+                const { context } = contextRef;
+
+                context.player1.clickCard(context.wampa);
+                context.player1.clickCard(context.p2Base);
+
+                now += 30000;
+                context.game.checkClocks();
+                expect(context.game.winner).toBeUndefined();
+
+                now += 35000;
+                context.game.checkClocks();
+                context.game.continue();
+
+                expect(context.player2.player.clock.timeLeft).toBe(0);
+                expect(context.game.winner).toEqual([context.player1Name]);
+                expect(context.game.gameEndReason).toBe('clock');
+                expect(context.getChatLogs(2)).toEqual([`${context.player2Name}'s clock has run out`, `${context.player1Name} has won the game`]);
+                expect(context.game.inputHistory.at(-1)).toEqual(jasmine.objectContaining({ command: 'clockRanOut', playerId: context.player2.player.id }));
+
+                context.allowTestToEndWithOpenPrompt = true;
+            });
+        });
+    });
+});
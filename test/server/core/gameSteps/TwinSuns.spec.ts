@@ -0,0 +1,380 @@
+describe('Twin Suns', function() {
+    integration(function(contextRef) {
+        describe('In a three player game,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        hand: ['battlefield-marine'],
+                        hasInitiative: true
+                    },
+                    player2: {
+                        hand: ['wampa']
+                    },
+                    player3: {
+                        hand: ['consular-security-force']
+                    }
+                });
+            });
+
+            it('the action phase should rotate through the players in turn order and end once all of them pass in a row', function () {
+                const { context } = contextRef;
+
+                expect(context.player1).toBeActivePlayer();
+                expect(context.player1).toHaveExactPromptButtons(['Pass', 'Claim Initiative', 'Claim Blast', 'Claim Plan']);
+
+                context.player1.clickCard(context.battlefieldMarine);
+                expect(context.player2).toBeActivePlayer();
+
+                context.player2.passAction();
+                expect(context.player3).toBeActivePlayer();
+
+                // an action resets the passes, so player2 has to pass again
+                context.player3.clickCard(context.consularSecurityForce);
+                expect(context.player1).toBeActivePlayer();
+
+                context.player1.passAction();
+                expect(context.player2).toBeActivePlayer();
+
+                context.player2.passAction();
+                expect(context.player3).toBeActivePlayer();
+                expect(context.game.currentPhase).toBe('action');
+
+                context.player3.passAction();
+                expect(context.game.currentPhase).toBe('regroup');
+
+                // nobody claimed the initiative, so it stays where it is
+                context.nextPhase();
+                expect(context.player1).toHaveInitiative();
+                expect(context.player1).toBeActivePlayer();
+            });
+
+            it('a player who claims the initiative should be skipped for the rest of the phase and go first in the next one', function () {
+                const { context } = contextRef;
+
+                context.player1.clickCard(context.battlefieldMarine);
+
+                context.player2.claimInitiative();
+                expect(context.player2).toHaveInitiative();
+                expect(context.player3).toBeActivePlayer();
+                expect(context.player3).toHaveExactPromptButtons(['Pass', 'Claim Blast', 'Claim Plan']);
+
+                context.player3.passAction();
+                expect(context.player1).toBeActivePlayer();
+
+                context.player1.passAction();
+                expect(context.game.currentPhase).toBe('regroup');
+
+                context.nextPhase();
+                expect(context.player2).toHaveInitiative();
+                expect(context.player2).toBeActivePlayer();
+                expect(context.player2).toHaveExactPromptButtons(['Pass', 'Claim Initiative', 'Claim Blast', 'Claim Plan']);
+            });
+
+            it('claiming the Blast counter should deal 1 damage to each opponent\'s base and pass for the rest of the phase', function () {
+                const { context } = contextRef;
+
+                context.player1.clickPrompt('Claim Blast');
+                expect(context.p1Base.damage).toBe(0);
+                expect(context.p2Base.damage).toBe(1);
+                expect(context.p3Base.damage).toBe(1);
+                expect(context.player1.player.passedActionPhase).toBeTrue();
+
+                expect(context.player2).toBeActivePlayer();
+                expect(context.player2).toHaveExactPromptButtons(['Pass', 'Claim Initiative', 'Claim Plan']);
+
+                context.player2.passAction();
+                context.player3.passAction();
+                expect(context.game.currentPhase).toBe('regroup');
+
+                // the counter can be claimed again in the next round
+                context.nextPhase();
+                expect(context.player1).toHaveExactPromptButtons(['Pass', 'Claim Initiative', 'Claim Blast', 'Claim Plan']);
+            });
+
+            it('claiming the Plan counter should let the player put a card from their hand on the bottom of their deck to draw a card', function () {
+                const { context } = contextRef;
+
+                context.player1.passAction();
+
+                const handSizeBefore = context.player2.hand.length;
+                context.player2.clickPrompt('Claim Plan');
+                expect(context.player2).toHavePrompt('You may choose a card to put on the bottom of your deck, then draw a card');
+                expect(context.player2).toBeAbleToSelectExactly([context.wampa]);
+
+                context.player2.clickCard(context.wampa);
+                context.player2.clickPrompt('Done');
+
+                expect(context.wampa).toBeInBottomOfDeck(context.player2, 1);
+                expect(context.player2.hand.length).toBe(handSizeBefore);
+                expect(context.player2.player.passedActionPhase).toBeTrue();
+
+                expect(context.player3).toBeActivePlayer();
+                expect(context.player3).toHaveExactPromptButtons(['Pass', 'Claim Initiative', 'Claim Blast']);
+            });
+
+            it('a player whose base is destroyed should be eliminated and the game should continue with the remaining players', function () {
+                const { context } = contextRef;
+
+                context.setDamage(context.p3Base, context.p3Base.getHp() - 1);
+
+                context.player1.clickPrompt('Claim Blast');
+                expect(context.player3.player.eliminated).toBeTrue();
+                expect(context.getChatLogs(3)).toContain(`${context.player3Name} has been eliminated`);
+                expect(context.game.winner).toBeUndefined();
+
+                // the eliminated player is no one's opponent anymore
+                expect(context.player2.player.opponents).toEqual([context.player1Object]);
+                expect(context.player1.player.opponents).toEqual([context.player2Object]);
+
+                expect(context.player2).toBeActivePlayer();
+                context.player2.passAction();
+                expect(context.game.currentPhase).toBe('regroup');
+
+                // the eliminated player doesn't take turns in the next round
+                context.nextPhase();
+                expect(context.player1).toBeActivePlayer();
+                context.player1.passAction();
+                expect(context.player2).toBeActivePlayer();
+            });
+
+            it('the game should end once only one player remains', function () {
+                const { context } = contextRef;
+
+                context.setDamage(context.p2Base, context.p2Base.getHp() - 1);
+                context.setDamage(context.p3Base, context.p3Base.getHp() - 1);
+
+                context.player1.clickPrompt('Claim Blast');
+                expect(context.player2.player.eliminated).toBeTrue();
+                expect(context.player3.player.eliminated).toBeTrue();
+                expect(context.game.winner).toEqual([context.player1Name]);
+                expect(context.game.winnerIds).toEqual([context.player1.player.id]);
+
+                context.player1.clickPrompt('Continue Playing');
+                context.player2.clickPrompt('Continue Playing');
+                context.player3.clickPrompt('Continue Playing');
+            });
+        });
+
+        describe('In the setup phase of a three player game,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'setup',
+                    player1: {
+                        deck: ['battlefield-marine', 'battlefield-marine', 'battlefield-marine', 'battlefield-marine', 'battlefield-marine', 'battlefield-marine', 'battlefield-marine', 'battlefield-marine']
+                    },
+                    player2: {
+                        deck: ['wampa', 'wampa', 'wampa', 'wampa', 'wampa', 'wampa', 'wampa', 'wampa']
+                    },
+                    player3: {
+                        deck: ['consular-security-force', 'consular-security-force', 'consular-security-force', 'consular-security-force', 'consular-security-force', 'consular-security-force', 'consular-security-force', 'consular-security-force']
+                    }
+                });
+            });
+
+            it('the player who won the flip should choose which player starts with the initiative', function () {
+                const { context } = contextRef;
+
+                const chooser = [context.player1, context.player2, context.player3].find((player) => player.currentPrompt().promptType === 'initiative');
+                const others = [context.player1, context.player2, context.player3].filter((player) => player !== chooser);
+                expect(chooser).toHavePrompt('You won the flip. Choose who starts with initiative:');
+                expect(chooser).toHaveExactPromptButtons(['You', ...chooser.player.opponents.map((opponent) => opponent.name)]);
+
+                // the player after the next one in turn order, which declining the initiative wouldn't have reached
+                const chosenPlayer = others.find((player) => player.player === chooser.player.opponents[1]);
+                chooser.clickPrompt(chosenPlayer.name);
+                expect(chosenPlayer).toHaveInitiative();
+            });
+        });
+
+        describe('In a three player game, when a player requests to undo their last action,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        hand: ['battlefield-marine'],
+                        hasInitiative: true
+                    },
+                    player2: {
+                        hand: ['wampa']
+                    },
+                    player3: {
+                        hand: ['consular-security-force']
+                    }
+                });
+            });
+
+            it('the undo should only be accepted once both opponents accept it', function () {
+                const { context } = contextRef;
+
+                context.player1.clickCard(context.battlefieldMarine);
+                context.game.requestUndo(context.player1.player.id);
+                expect(context.game.getState(context.player2.player.id).undoRequest).toEqual({ requestingPlayer: context.player1Name, canRespond: true });
+                expect(context.game.getState(context.player3.player.id).undoRequest).toEqual({ requestingPlayer: context.player1Name, canRespond: true });
+
+                context.game.respondToUndoRequest(context.player2.player.id, true);
+                expect(context.game.undoHandler.acceptedCheckpoint).toBeNull();
+
+                // a player can't accept for the other opponent by accepting twice
+                expect(context.game.getState(context.player2.player.id).undoRequest).toEqual({ requestingPlayer: context.player1Name, canRespond: false });
+                context.game.respondToUndoRequest(context.player2.player.id, true);
+                expect(context.game.undoHandler.acceptedCheckpoint).toBeNull();
+
+                context.game.respondToUndoRequest(context.player3.player.id, true);
+                expect(context.game.undoHandler.acceptedCheckpoint.player).toBe(context.player1.player);
+                expect(context.game.getState(context.player3.player.id).undoRequest).toBeNull();
+            });
+
+            it('the undo should be declined if either opponent declines it', function () {
+                const { context } = contextRef;
+
+                context.player1.clickCard(context.battlefieldMarine);
+                context.game.requestUndo(context.player1.player.id);
+
+                context.game.respondToUndoRequest(context.player2.player.id, true);
+                context.game.respondToUndoRequest(context.player3.player.id, false);
+
+                expect(context.game.undoHandler.acceptedCheckpoint).toBeNull();
+                expect(context.game.getState(context.player2.player.id).undoRequest).toBeNull();
+                expect(context.getChatLog()).toEqual(`${context.player3Name} declines the undo request`);
+                expect(context.player2).toBeActivePlayer();
+            });
+        });
+
+        describe('In a three player game where the player with the initiative is eliminated mid-round,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        hand: ['battlefield-marine']
+                    },
+                    player3: {
+                        hasInitiative: true
+                    }
+                });
+            });
+
+            it('the initiative should move on to the next remaining player in turn order', function () {
+                const { context } = contextRef;
+
+                context.setDamage(context.p3Base, context.p3Base.getHp() - 1);
+
+                expect(context.player3).toBeActivePlayer();
+                context.player3.passAction();
+
+                context.player1.clickPrompt('Claim Blast');
+                expect(context.player3.player.eliminated).toBeTrue();
+                expect(context.player1).toHaveInitiative();
+
+                expect(context.player2).toBeActivePlayer();
+                context.player2.passAction();
+                expect(context.game.currentPhase).toBe('regroup');
+
+                context.nextPhase();
+                expect(context.player1).toBeActivePlayer();
+            });
+        });
+
+        describe('In a three player game where every player has a triggered ability in the same window,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        hand: ['bombing-run'],
+                        groundArena: ['superlaser-technician'],
+                        hasInitiative: true
+                    },
+                    player2: {
+                        groundArena: ['superlaser-technician']
+                    },
+                    player3: {
+                        groundArena: ['superlaser-technician']
+                    }
+                });
+            });
+
+            it('the active player should choose which player resolves first, and the others should follow in turn order', function () {
+                const { context } = contextRef;
+
+                const p1Technician = context.player1.findCardByName('superlaser-technician');
+                const p2Technician = context.player2.findCardByName('superlaser-technician');
+                const p3Technician = context.player3.findCardByName('superlaser-technician');
+                const triggerTitle = 'Put Superlaser Technician into play as a resource and ready it';
+
+                context.player1.clickCard(context.bombingRun);
+                context.player1.clickPrompt('Ground');
+
+                expect(context.player1).toHaveExactPromptButtons(['You', context.player2Name, context.player3Name]);
+                expect(context.player1).toHavePrompt('Several players have triggered abilities in response. Choose a player to resolve all of their abilities first:');
+                context.player1.clickPrompt(context.player2Name);
+
+                expect(context.player2).toHavePassAbilityPrompt(triggerTitle);
+                context.player2.clickPrompt(triggerTitle);
+                expect(p2Technician).toBeInZone('resource');
+
+                expect(context.player3).toHavePassAbilityPrompt(triggerTitle);
+                context.player3.clickPrompt(triggerTitle);
+                expect(p3Technician).toBeInZone('resource');
+
+                expect(context.player1).toHavePassAbilityPrompt(triggerTitle);
+                context.player1.clickPrompt(triggerTitle);
+                expect(p1Technician).toBeInZone('resource');
+
+                expect(context.player2).toBeActivePlayer();
+            });
+        });
+
+        describe('In a two player game,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        hand: ['battlefield-marine'],
+                        hasInitiative: true
+                    },
+                    player2: {
+                        hand: ['wampa']
+                    }
+                });
+            });
+
+            it('the players should alternate and the phase should end once both pass in a row, without the Twin Suns counters', function () {
+                const { context } = contextRef;
+
+                expect(context.game.isTwinSuns).toBeFalse();
+                expect(context.player1).toHaveExactPromptButtons(['Pass', 'Claim Initiative']);
+
+                context.player1.passAction();
+                context.player2.clickCard(context.wampa);
+                expect(context.player1).toBeActivePlayer();
+
+                context.player1.clickCard(context.battlefieldMarine);
+                context.player2.passAction();
+                expect(context.game.currentPhase).toBe('action');
+
+                context.player1.passAction();
+                expect(context.game.currentPhase).toBe('regroup');
+
+                context.nextPhase();
+                expect(context.player1).toHaveInitiative();
+                expect(context.player1).toBeActivePlayer();
+            });
+
+            it('the player who claims the initiative should go first in the next phase', function () {
+                const { context } = contextRef;
+
+                context.player1.clickCard(context.battlefieldMarine);
+                context.player2.claimInitiative();
+
+                expect(context.player1).toBeActivePlayer();
+                expect(context.player1).toHaveExactPromptButtons(['Pass']);
+                context.player1.passAction();
+                expect(context.game.currentPhase).toBe('regroup');
+
+                context.nextPhase();
+                expect(context.player2).toHaveInitiative();
+                expect(context.player2).toBeActivePlayer();
+            });
+        });
+    });
+});
@@ -0,0 +1,102 @@
+describe('Undo', function() {
+    integration(function(contextRef) {
+        describe('When a player requests to undo their last action', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        groundArena: ['wampa'],
+                        spaceArena: ['razor-crest#reliable-gunship']
+                    },
+                    player2: {
+                        spaceArena: ['cartel-turncoat']
+                    }
+                });
+            });
+
+            it('should roll back to before the action if the opponent accepts', function () {
+                const { context } = contextRef;
+
+                context.player1.clickCard(context.wampa);
+                context.player1.clickCard(context.p2Base);
+                expect(context.player2).toBeActivePlayer();
+
+                context.game.requestUndo(context.player1.player.id);
+                expect(context.game.getState(context.player2.player.id).undoRequest).toEqual({ requestingPlayer: context.player1Name, canRespond: true });
+                expect(context.game.getState(context.player1.player.id).undoRequest).toEqual({ requestingPlayer: context.player1Name, canRespond: false });
+
+                // only the opponent can respond
+                context.game.respondToUndoRequest(context.player1.player.id, true);
+                expect(context.game.undoHandler.acceptedCheckpoint).toBeNull();
+
+                context.game.respondToUndoRequest(context.player2.player.id, true);
+                expect(context.game.undoHandler.acceptedCheckpoint.player).toBe(context.player1.player);
+                expect(context.game.getState(context.player2.player.id).undoRequest).toBeNull();
+            });
+
+            it('should not roll back if the opponent declines', function () {
+                const { context } = contextRef;
+
+                context.player1.clickCard(context.wampa);
+                context.player1.clickCard(context.p2Base);
+
+                context.game.requestUndo(context.player1.player.id);
+                context.game.respondToUndoRequest(context.player2.player.id, false);
+
+                expect(context.game.undoHandler.acceptedCheckpoint).toBeNull();
+                expect(context.game.getState(context.player2.player.id).undoRequest).toBeNull();
+                expect(context.getChatLog()).toEqual(`${context.player2Name} declines the undo request`);
+                expect(context.player2).toBeActivePlayer();
+            });
+
+            it('should not allow the undo if hidden information was revealed since the action', function () {
+                const { context } = contextRef;
+
+                context.player1.clickCard(context.razorCrest);
+                context.player1.clickCard(context.cartelTurncoat);
+                context.player1.clickPrompt('Collect Bounty: Draw a card');
+                expect(context.player1.handSize).toBe(1);
+
+                context.game.requestUndo(context.player1.player.id);
+
+                expect(context.game.getState(context.player2.player.id).undoRequest).toBeNull();
+                expect(context.getChatLog()).toEqual(`${context.player1Name} cannot undo their last action because hidden information has been revealed since then`);
+                expect(context.player2).toBeActivePlayer();
+            });
+
+            it('should not allow the undo if the opponent has taken an action since then', function () {
+                const { context } = contextRef;
+
+                context.player1.clickCard(context.wampa);
+                context.player1.clickCard(context.p2Base);
+
+                // the opponent has started their own action, which would be rolled back as well
+                context.player2.clickCard(context.cartelTurncoat);
+                expect(context.player2).toBeAbleToSelectExactly([context.razorCrest, context.p1Base]);
+
+                context.game.requestUndo(context.player1.player.id);
+
+                expect(context.game.getState(context.player2.player.id).undoRequest).toBeNull();
+                expect(context.getChatLog()).toEqual(`${context.player1Name} cannot undo their last action because ${context.player2Name} has taken an action since then`);
+                expect(context.player2).toBeAbleToSelectExactly([context.razorCrest, context.p1Base]);
+            });
+
+            it('should cancel the request if the opponent takes an action before accepting it', function () {
+                const { context } = contextRef;
+
+                context.player1.clickCard(context.wampa);
+                context.player1.clickCard(context.p2Base);
+                context.game.requestUndo(context.player1.player.id);
+
+                context.player2.clickCard(context.cartelTurncoat);
+                context.player2.clickCard(context.p1Base);
+                context.game.respondToUndoRequest(context.player2.player.id, true);
+
+                expect(context.game.undoHandler.acceptedCheckpoint).toBeNull();
+                expect(context.game.getState(context.player2.player.id).undoRequest).toBeNull();
+                expect(context.getChatLog()).toEqual(`The undo request from ${context.player1Name} is cancelled because ${context.player2Name} has taken an action since then`);
+                expect(context.player1).toBeActivePlayer();
+            });
+        });
+    });
+});
@@ -0,0 +1,198 @@
+import AbilityHelper from '../../../../server/game/AbilityHelper';
+import { CostAdjustType } from '../../../../server/game/core/cost/CostAdjuster';
+import { TriggerHandlingMode } from '../../../../server/game/core/event/EventWindow';
+import type { ICanPlayFromOutOfPlayProperties } from '../../../../server/game/ongoingEffects/CanPlayFromOutOfPlay';
+
+describe('Can play from out of play', function() {
+    integration(function(contextRef) {
+        const resolveSystem = (system, target, player = contextRef.context.player1) => {
+            const { context } = contextRef;
+            system.resolve(target, context.game.getFrameworkContext(player.player), TriggerHandlingMode.ResolvesTriggers);
+            context.game.continue();
+        };
+
+        // the effect is granted for the phase by the game itself, the same way Cobb Vanth and Second Chance grant it with their abilities
+        const grantPermission = (card, properties: ICanPlayFromOutOfPlayProperties = {}) =>
+            resolveSystem(AbilityHelper.immediateEffects.forThisPhaseCardEffect({ effect: AbilityHelper.ongoingEffects.canPlayFromOutOfPlay(properties) }), card);
+
+        const putOnTopOfDeck = (card) => resolveSystem(AbilityHelper.immediateEffects.moveToTopOfDeck({}), card);
+
+        describe('When a player is granted permission to play a card from their discard pile,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        hand: ['patrolling-vwing'],
+                        discard: ['wampa']
+                    }
+                });
+            });
+
+            it('they should be able to play it at its normal cost', function () {
+                const { context } = contextRef;
+
+                expect(context.player1).not.toBeAbleToSelect(context.wampa);
+
+                grantPermission(context.wampa);
+                expect(context.player1.player.getCardsInGrantedPlayableZones()).toEqual([context.wampa]);
+                expect(context.player1).toBeAbleToSelect(context.wampa);
+
+                context.player1.clickCard(context.wampa);
+                expect(context.wampa).toBeInZone('groundArena');
+                expect(context.player1.exhaustedResourceCount).toBe(4);
+            });
+
+            it('the permission should be removed at the end of the phase', function () {
+                const { context } = contextRef;
+
+                grantPermission(context.wampa, { adjustCost: { costAdjustType: CostAdjustType.Free } });
+
+                context.moveToNextActionPhase();
+                expect(context.player1.player.grantedPlayableZones.length).toBe(0);
+                expect(context.player1.player.getCardsInGrantedPlayableZones()).toEqual([]);
+                expect(context.player1).not.toBeAbleToSelect(context.wampa);
+            });
+
+            it('the permission should be lost when the card leaves the discard pile, even if it returns to it', function () {
+                const { context } = contextRef;
+
+                grantPermission(context.wampa);
+                context.player1.clickCard(context.wampa);
+
+                resolveSystem(AbilityHelper.immediateEffects.defeat(), context.wampa, context.player2);
+                expect(context.wampa).toBeInZone('discard');
+
+                context.player2.passAction();
+                expect(context.player1.player.grantedPlayableZones.length).toBe(0);
+                expect(context.player1).not.toBeAbleToSelect(context.wampa);
+            });
+
+            it('the effect should do nothing if the card is in a zone it can\'t be granted for', function () {
+                const { context } = contextRef;
+
+                grantPermission(context.patrollingVwing);
+                expect(context.player1.player.grantedPlayableZones.length).toBe(0);
+            });
+        });
+
+        describe('When a player is granted permission to play a card with a cost adjustment,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        hand: ['patrolling-vwing'],
+                        discard: ['wampa']
+                    }
+                });
+            });
+
+            it('the card should be free to play if the adjustment makes it free', function () {
+                const { context } = contextRef;
+
+                grantPermission(context.wampa, { adjustCost: { costAdjustType: CostAdjustType.Free } });
+
+                context.player1.clickCard(context.wampa);
+                expect(context.wampa).toBeInZone('groundArena');
+                expect(context.player1.exhaustedResourceCount).toBe(0);
+
+                // the adjustment only applies to the card played with the granted permission
+                context.player2.passAction();
+                context.player1.clickCard(context.patrollingVwing);
+                expect(context.player1.exhaustedResourceCount).toBe(1);
+            });
+
+            it('the card\'s cost should be decreased by the adjustment', function () {
+                const { context } = contextRef;
+
+                grantPermission(context.wampa, { adjustCost: { costAdjustType: CostAdjustType.Decrease, amount: 2 } });
+
+                context.player1.clickCard(context.wampa);
+                expect(context.wampa).toBeInZone('groundArena');
+                expect(context.player1.exhaustedResourceCount).toBe(2);
+            });
+        });
+
+        describe('When a player is granted permission to play the top card of their deck,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        hand: ['wampa', 'patrolling-vwing']
+                    }
+                });
+            });
+
+            it('they should be able to play it while it is on top of the deck', function () {
+                const { context } = contextRef;
+
+                putOnTopOfDeck(context.wampa);
+                grantPermission(context.wampa);
+                expect(context.player1).toBeAbleToSelect(context.wampa);
+
+                context.player1.clickCard(context.wampa);
+                expect(context.wampa).toBeInZone('groundArena');
+                expect(context.player1.exhaustedResourceCount).toBe(4);
+            });
+
+            it('they should not be able to play it once another card is put on top of it', function () {
+                const { context } = contextRef;
+
+                putOnTopOfDeck(context.wampa);
+                grantPermission(context.wampa);
+
+                putOnTopOfDeck(context.patrollingVwing);
+                expect(context.player1.player.getCardsInGrantedPlayableZones()).toEqual([]);
+                expect(context.player1).not.toBeAbleToSelect(context.wampa);
+                expect(context.player1).not.toBeAbleToSelect(context.patrollingVwing);
+            });
+        });
+
+        describe('When a player is granted permission to play a card from their resources,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        resources: ['wampa', 'atst', 'atst', 'atst', 'atst', 'atst']
+                    }
+                });
+            });
+
+            it('they should be able to play it by paying with their other resources', function () {
+                const { context } = contextRef;
+
+                grantPermission(context.wampa);
+                expect(context.player1).toBeAbleToSelect(context.wampa);
+
+                context.player1.clickCard(context.wampa);
+                expect(context.wampa).toBeInZone('groundArena');
+                expect(context.player1.resources.length).toBe(5);
+                expect(context.player1.exhaustedResourceCount).toBe(4);
+            });
+        });
+
+        describe('When a player is granted permission to play one of their units that was captured,', function() {
+            beforeEach(function () {
+                return contextRef.setupTestAsync({
+                    phase: 'action',
+                    player2: {
+                        groundArena: [{ card: 'consular-security-force', capturedUnits: ['wampa'] }]
+                    }
+                });
+            });
+
+            it('they should be able to play it from the capturing unit', function () {
+                const { context } = contextRef;
+
+                expect(context.wampa).toBeCapturedBy(context.consularSecurityForce);
+
+                grantPermission(context.wampa);
+                expect(context.player1).toBeAbleToSelect(context.wampa);
+
+                context.player1.clickCard(context.wampa);
+                expect(context.wampa).toBeInZone('groundArena', context.player1);
+                expect(context.consularSecurityForce.capturedUnits).toEqual([]);
+                expect(context.player1.exhaustedResourceCount).toBe(4);
+            });
+        });
+    });
+});
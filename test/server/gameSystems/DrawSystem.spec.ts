@@ -6,10 +6,12 @@ describe('Draw system', function() {
                     phase: 'action',
                     player1: {
                         hand: ['patrolling-vwing', 'mission-briefing'],
-                        deck: ['wampa']
+                        deck: ['wampa'],
+                        discard: ['forced-surrender']
                     },
                     player2: {
-                        deck: ['cartel-spacer']
+                        deck: ['cartel-spacer'],
+                        discard: ['atst']
                     }
                 });
             });
@@ -35,6 +37,25 @@ describe('Draw system', function() {
                 expect(context.player2.deck.length).toBe(0);
             });
 
+            it('over the amount in their deck due to an opponent\'s action, the damage should be dealt by the drawing player', function () {
+                const { context } = contextRef;
+
+                context.player1.moveCard(context.forcedSurrender, 'hand');
+                context.player2.moveCard(context.atst, 'hand');
+
+                context.player1.clickCard(context.missionBriefing);
+                context.player1.clickPrompt('Opponent');
+                expect(context.cartelSpacer).toBeInZone('hand');
+                expect(context.player2.base.damage).toBe(3);
+                expect(context.getChatLogs(1)[0]).toContain('to deal 3 damage to their base instead of drawing from their empty deck');
+
+                context.player2.passAction();
+
+                // player1 didn't damage the opponent's base, so Forced Surrender doesn't make them discard
+                context.player1.clickCard(context.forcedSurrender);
+                expect(context.player2.hand.length).toBe(2);
+            });
+
             it('from an empty deck, they should take damage equal to thrice the number of draws', function () {
                 const { context } = contextRef;
 
@@ -50,6 +71,7 @@ describe('Draw system', function() {
                 expect(context.player1.base.damage).toBe(6);
                 expect(context.player1.hand.length).toBe(1);
                 expect(context.player1.deck.length).toBe(0);
+                expect(context.getChatLogs(1)[0]).toContain('to deal 6 damage to their base instead of drawing from their empty deck');
             });
 
             it('but empties their deck in the process and takes lethal damage due to overdraw, the game should end immediately after the draw', function () {
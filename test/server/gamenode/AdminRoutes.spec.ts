@@ -0,0 +1,155 @@
+import express from 'express';
+import type { Server } from 'http';
+import type { AddressInfo } from 'net';
+import type { IAdminServer } from '../../../server/gamenode/AdminRoutes';
+import { createAdminRouter } from '../../../server/gamenode/AdminRoutes';
+import type { ILobbyAdminSummary } from '../../../server/gamenode/Lobby';
+import { signUserToken } from '../../../server/utils/auth/UserTokens';
+import { LobbyTestContext, testUsers } from './LobbyTestUtils';
+
+interface IResponseBody {
+    success: boolean;
+    message?: string;
+    isDraining?: boolean;
+    queuedPlayerCount?: number;
+    lobbyCount?: number;
+    lobbies?: ILobbyAdminSummary[];
+}
+
+describe('Admin routes', function() {
+    const [player1, player2] = testUsers.map((user) => user.id);
+    let context: LobbyTestContext;
+    let adminServer: jasmine.SpyObj<IAdminServer>;
+    let server: Server;
+    let baseUrl: string;
+
+    const requestAsync = async (method: 'GET' | 'POST', url: string, userId: string, body?: object) => {
+        const response = await fetch(`${baseUrl}/api/admin${url}`, {
+            method,
+            headers: { authorization: `Bearer ${signUserToken({ id: userId })}`, 'content-type': 'application/json' },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() as IResponseBody };
+    };
+
+    beforeEach(async function() {
+        context = await LobbyTestContext.createAsync();
+
+        adminServer = jasmine.createSpyObj<IAdminServer>('adminServer', {
+            getLobbies: [context.lobby],
+            getLobby: undefined,
+            getQueuedPlayerCount: 3,
+            kickUser: false,
+            isServerDraining: false,
+            setServerDraining: undefined
+        });
+        adminServer.getLobby.and.callFake((lobbyId) => (lobbyId === context.lobby.id ? context.lobby : undefined));
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/admin', createAdminRouter(adminServer));
+
+        server = await new Promise<Server>((resolve) => {
+            const listeningServer = app.listen(0, '127.0.0.1', () => resolve(listeningServer));
+        });
+        baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+    });
+
+    afterEach(async function() {
+        await new Promise((resolve) => server.close(resolve));
+        context.lobby.cleanLobby();
+    });
+
+    it('should reject users who are not administrators from every route', async function() {
+        const responses = [
+            await requestAsync('GET', '/lobbies', player1),
+            await requestAsync('GET', `/lobbies/${context.lobby.id}/game`, player1),
+            await requestAsync('POST', `/lobbies/${context.lobby.id}/end-game`, player1, { reason: 'stuck' }),
+            await requestAsync('POST', `/users/${player2}/kick`, player1),
+            await requestAsync('POST', '/alert', player1, { message: 'restarting soon' }),
+            await requestAsync('POST', '/drain', player1, { isDraining: true })
+        ];
+
+        expect(responses.map((response) => response.status)).toEqual([403, 403, 403, 403, 403, 403]);
+        expect(adminServer.kickUser).not.toHaveBeenCalled();
+        expect(adminServer.setServerDraining).not.toHaveBeenCalled();
+    });
+
+    it('should list the lobbies with their users', async function() {
+        const { status, body } = await requestAsync('GET', '/lobbies', 'admin');
+
+        expect(status).toBe(200);
+        expect(body).toEqual(jasmine.objectContaining({ isDraining: false, queuedPlayerCount: 3 }));
+        expect(body.lobbies.map((lobby) => lobby.id)).toEqual([context.lobby.id]);
+        expect(body.lobbies[0].users.map((user) => user.id)).toEqual([player1, player2]);
+        expect(body.lobbies[0].game).toBeNull();
+    });
+
+    describe('When ending a game,', function() {
+        it('should end the game in progress without a result', async function() {
+            await context.startGameAsync();
+
+            const { status } = await requestAsync('POST', `/lobbies/${context.lobby.id}/end-game`, 'admin', { reason: 'stuck' });
+
+            expect(status).toBe(200);
+            expect(context.lobby.getGameSnapshot().state.gameEndReason).toBe('stuck');
+        });
+
+        it('should reject a request without a reason, for an unknown lobby or for a lobby without a game in progress', async function() {
+            expect((await requestAsync('POST', `/lobbies/${context.lobby.id}/end-game`, 'admin', {})).status).toBe(400);
+            expect((await requestAsync('POST', '/lobbies/unknown/end-game', 'admin', { reason: 'stuck' })).status).toBe(404);
+            expect((await requestAsync('POST', `/lobbies/${context.lobby.id}/end-game`, 'admin', { reason: 'stuck' })).status).toBe(400);
+        });
+    });
+
+    describe('When kicking a user,', function() {
+        it('should remove them from their lobby and make them concede the game they are playing', async function() {
+            adminServer.kickUser.and.callFake((userId) => {
+                context.lobby.kickUser(userId);
+                return true;
+            });
+            await context.startGameAsync();
+
+            const { status } = await requestAsync('POST', `/users/${player2}/kick`, 'admin');
+
+            expect(status).toBe(200);
+            expect(adminServer.kickUser).toHaveBeenCalledOnceWith(player2);
+            expect(context.lobby.getUserIds()).toEqual([player1]);
+            expect(context.getSocket(player2).sentMessages.map((message) => message.event)).toContain('kicked');
+            expect(context.getSocket(player2).disconnected).toBeTrue();
+            expect(context.lobby.getGameSnapshot().state.winner).toEqual([testUsers[0].username]);
+            expect(context.lobby.getGameSnapshot().state.gameEndReason).toBeTruthy();
+        });
+
+        it('should report a user who is not in a lobby or the queue', async function() {
+            const { status } = await requestAsync('POST', '/users/unknown/kick', 'admin');
+
+            expect(status).toBe(404);
+            expect(adminServer.kickUser).toHaveBeenCalledOnceWith('unknown');
+        });
+    });
+
+    describe('When draining the server,', function() {
+        it('should start and stop draining', async function() {
+            expect((await requestAsync('POST', '/drain', 'admin', { isDraining: true })).body.isDraining).toBeTrue();
+            expect((await requestAsync('POST', '/drain', 'admin', { isDraining: false })).body.isDraining).toBeFalse();
+
+            expect(adminServer.setServerDraining.calls.allArgs()).toEqual([[true], [false]]);
+        });
+
+        it('should reject a value that is not true or false', async function() {
+            const { status } = await requestAsync('POST', '/drain', 'admin', { isDraining: 'yes' });
+
+            expect(status).toBe(400);
+            expect(adminServer.setServerDraining).not.toHaveBeenCalled();
+        });
+    });
+
+    it('should show an alert in every lobby', async function() {
+        const { status, body } = await requestAsync('POST', '/alert', 'admin', { message: 'restarting soon' });
+
+        expect(status).toBe(200);
+        expect(body.lobbyCount).toBe(1);
+        expect(context.lobby.getLobbyState().gameChat.messages.pop().message).toEqual({ alert: jasmine.objectContaining({ type: 'warning' }) });
+    });
+});
@@ -0,0 +1,140 @@
+import { LobbyTestContext, testUsers } from './LobbyTestUtils';
+
+describe('Best-of-three matches', function() {
+    const [player1, player2] = testUsers.map((user) => user.id);
+    let context: LobbyTestContext;
+
+    const getMatchState = () => context.lobby.getLobbyState().match;
+    const getUserState = (userId: string) => context.lobby.getLobbyState().users.find((user) => user.id === userId);
+    const countCard = (cards: { id: string; count: number }[], cardId: string) => cards.find((card) => card.id === cardId)?.count ?? 0;
+
+    const concedeGameAsync = (loserId: string) => context.sendGameCommandAsync(loserId, 'concede');
+
+    const finishSideboardingAsync = async () => {
+        await context.sendLobbyCommandAsync(player1, 'finishSideboarding');
+        await context.sendLobbyCommandAsync(player2, 'finishSideboarding');
+    };
+
+    beforeEach(async function() {
+        context = await LobbyTestContext.createAsync();
+        await context.sendLobbyCommandAsync(player1, 'setBestOf', 3);
+        await context.startGameAsync();
+    });
+
+    afterEach(function() {
+        context.lobby.cleanLobby();
+    });
+
+    it('should end 2-0 once a player has won two games', async function() {
+        await concedeGameAsync(player2);
+        expect(getMatchState()).toEqual(jasmine.objectContaining({ gamesPlayed: 1, gameWins: { [player1]: 1, [player2]: 0 }, winnerIds: null }));
+        expect(getMatchState().sideboardingTimeLeft).toBe(180);
+        expect(context.gameResults).toEqual([]);
+
+        await finishSideboardingAsync();
+        expect(getMatchState().sideboardingTimeLeft).toBeNull();
+
+        await concedeGameAsync(player2);
+        expect(getMatchState()).toEqual(jasmine.objectContaining({ gamesPlayed: 2, gameWins: { [player1]: 2, [player2]: 0 }, winnerIds: [player1] }));
+
+        // the result is reported once, for the whole match
+        expect(context.gameResults.length).toBe(1);
+        expect(context.gameResults[0]).toEqual(jasmine.objectContaining({ playerIds: [player1, player2], winnerIds: [player1], gameWins: { [player1]: 2, [player2]: 0 } }));
+    });
+
+    it('should play a third game after the players won one each', async function() {
+        await concedeGameAsync(player2);
+        await finishSideboardingAsync();
+        await concedeGameAsync(player1);
+        expect(getMatchState()).toEqual(jasmine.objectContaining({ gamesPlayed: 2, gameWins: { [player1]: 1, [player2]: 1 }, winnerIds: null }));
+
+        await finishSideboardingAsync();
+        await concedeGameAsync(player1);
+        expect(getMatchState()).toEqual(jasmine.objectContaining({ gamesPlayed: 3, gameWins: { [player1]: 1, [player2]: 2 }, winnerIds: [player2] }));
+        expect(context.gameResults.map((result) => result.winnerIds)).toEqual([[player2]]);
+    });
+
+    it('should start the next game once the sideboarding time is up, even if the players are not done', async function() {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date());
+
+        try {
+            await concedeGameAsync(player2);
+            expect(context.lobby.hasGameInProgress()).toBeFalse();
+
+            await context.sendLobbyCommandAsync(player1, 'finishSideboarding');
+            jasmine.clock().tick(179 * 1000);
+            await LobbyTestContext.flushAsync();
+            expect(getMatchState().sideboardingTimeLeft).toBe(1);
+            expect(getMatchState().sideboardingDoneUserIds).toEqual([player1]);
+
+            jasmine.clock().tick(1000);
+            await LobbyTestContext.flushAsync();
+            expect(getMatchState().sideboardingTimeLeft).toBeNull();
+            expect(context.lobby.hasGameInProgress()).toBeTrue();
+        } finally {
+            jasmine.clock().uninstall();
+        }
+    });
+
+    it('should not allow a rematch to be requested until the match is over', async function() {
+        await concedeGameAsync(player2);
+
+        await context.sendLobbyCommandAsync(player2, 'requestRematch', 'regular');
+        expect(context.lobby.getLobbyState().rematchRequest).toBeNull();
+        expect(getMatchState().winnerIds).toBeNull();
+
+        await finishSideboardingAsync();
+        await concedeGameAsync(player2);
+
+        await context.sendLobbyCommandAsync(player2, 'requestRematch', 'regular');
+        expect(context.lobby.getLobbyState().rematchRequest).toEqual({ initiator: player2, mode: 'regular' });
+    });
+
+    describe('When sideboarding,', function() {
+        const deckUnitId = LobbyTestContext.getUnitId(0);
+        const sideboardUnitId = LobbyTestContext.getUnitId(17);
+
+        it('cards should not be moved while a game is in progress', async function() {
+            await context.sendLobbyCommandAsync(player1, 'updateDeck', 'Sideboard', sideboardUnitId);
+
+            expect(countCard(getUserState(player1).deck.sideboard, sideboardUnitId)).toBe(1);
+            expect(countCard(getUserState(player1).deck.deck, sideboardUnitId)).toBe(0);
+        });
+
+        it('cards should be swapped between the deck and the sideboard between games', async function() {
+            await concedeGameAsync(player2);
+
+            await context.sendLobbyCommandAsync(player1, 'updateDeck', 'Sideboard', sideboardUnitId);
+            await context.sendLobbyCommandAsync(player1, 'updateDeck', 'Deck', deckUnitId);
+
+            const deck = getUserState(player1).deck;
+            expect(countCard(deck.deck, sideboardUnitId)).toBe(1);
+            expect(countCard(deck.deck, deckUnitId)).toBe(2);
+            expect(countCard(deck.sideboard, deckUnitId)).toBe(1);
+            expect(getUserState(player1).deckErrors).toEqual([]);
+        });
+
+        it('a move that makes the deck illegal should be undone, and the player should still be able to finish sideboarding', async function() {
+            await concedeGameAsync(player2);
+
+            await context.sendLobbyCommandAsync(player1, 'updateDeck', 'Deck', deckUnitId);
+            expect(countCard(getUserState(player1).deck.deck, deckUnitId)).toBe(3);
+            expect(getUserState(player1).deckErrors.length).toBe(1);
+
+            await context.sendLobbyCommandAsync(player1, 'finishSideboarding');
+            expect(getMatchState().sideboardingDoneUserIds).toEqual([player1]);
+        });
+
+        it('the deck should not be changed for another one', async function() {
+            await concedeGameAsync(player2);
+
+            const decklist = LobbyTestContext.buildDecklist();
+            decklist.deck[0].count = 2;
+            decklist.deck[1].count = 4;
+            await context.sendLobbyCommandAsync(player1, 'changeDeck', 'SWUDB', decklist);
+
+            expect(countCard(getUserState(player1).deck.deck, LobbyTestContext.getUnitId(1))).toBe(3);
+        });
+    });
+});
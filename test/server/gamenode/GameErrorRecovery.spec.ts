@@ -0,0 +1,104 @@
+import { GameErrorRecoveryChoice } from '../../../server/gamenode/GameErrorReporter';
+import { LobbyTestContext, testUsers } from './LobbyTestUtils';
+
+describe('Game error recovery', function() {
+    const [player1, player2] = testUsers.map((user) => user.id);
+    let context: LobbyTestContext;
+    let lastGoodInputCount: number;
+
+    const getGameError = () => context.lobby.getLobbyState().gameError;
+    const getGameEndReason = () => context.lobby.getGameSnapshot().state.gameEndReason;
+
+    const respondAsync = async (player1Choice: GameErrorRecoveryChoice, player2Choice: GameErrorRecoveryChoice) => {
+        await context.sendLobbyCommandAsync(player1, 'respondToGameError', player1Choice);
+        await context.sendLobbyCommandAsync(player2, 'respondToGameError', player2Choice);
+    };
+
+    beforeEach(async function() {
+        context = await LobbyTestContext.createAsync();
+        await context.startGameAsync();
+
+        const initiativePlayerId = testUsers.map((user) => user.id).find((userId) => context.hasButton(userId, 'Yes'));
+        await context.pressButtonAsync(initiativePlayerId, 'Yes');
+        lastGoodInputCount = context.lobby.getGameSnapshot().inputHistory.length;
+
+        await context.sendUnexpectedMulliganAnswerAsync(player1);
+        await context.pressButtonAsync(player2, 'No');
+    });
+
+    afterEach(function() {
+        context.lobby.cleanLobby();
+    });
+
+    it('should ask the players how to go on after an error', function() {
+        expect(getGameError()).toEqual({ options: Object.values(GameErrorRecoveryChoice), choices: {} });
+        expect(getGameEndReason()).toBeNull();
+    });
+
+    it('should wait for every player to choose', async function() {
+        await context.sendLobbyCommandAsync(player1, 'respondToGameError', GameErrorRecoveryChoice.NoContest);
+
+        expect(getGameError().choices).toEqual({ [player1]: GameErrorRecoveryChoice.NoContest });
+        expect(getGameEndReason()).toBeNull();
+        expect(context.gameResults).toEqual([]);
+    });
+
+    it('should keep the game going if the players choose to continue', async function() {
+        const inputCount = context.lobby.getGameSnapshot().inputHistory.length;
+        await respondAsync(GameErrorRecoveryChoice.Continue, GameErrorRecoveryChoice.Continue);
+
+        expect(getGameError()).toBeNull();
+        expect(context.lobby.getGameSnapshot().inputHistory.length).toBe(inputCount);
+
+        await context.pressButtonAsync(player1, 'No');
+        expect(context.hasButton(player1, 'Done')).toBeTrue();
+    });
+
+    it('should roll the game back to before the error if the players choose to roll back', async function() {
+        await respondAsync(GameErrorRecoveryChoice.Rollback, GameErrorRecoveryChoice.Rollback);
+
+        expect(getGameError()).toBeNull();
+        expect(context.lobby.getGameSnapshot().inputHistory.length).toBe(lastGoodInputCount);
+        expect(context.hasButton(player1, 'No')).toBeTrue();
+        expect(context.hasButton(player2, 'No')).toBeTrue();
+    });
+
+    it('should end the game without a result if the players choose a no-contest', async function() {
+        await respondAsync(GameErrorRecoveryChoice.NoContest, GameErrorRecoveryChoice.NoContest);
+
+        const { state } = context.lobby.getGameSnapshot();
+        expect(getGameError()).toBeNull();
+        expect(state.gameEndReason).toBe('noContest');
+        expect(state.winner).toEqual([]);
+    });
+
+    it('should apply the least drastic of the players\' choices', async function() {
+        await respondAsync(GameErrorRecoveryChoice.NoContest, GameErrorRecoveryChoice.Continue);
+        expect(getGameEndReason()).toBeNull();
+        const inputCount = context.lobby.getGameSnapshot().inputHistory.length;
+        expect(inputCount).toBeGreaterThan(lastGoodInputCount);
+
+        await context.sendUnexpectedMulliganAnswerAsync(player1);
+        await respondAsync(GameErrorRecoveryChoice.Rollback, GameErrorRecoveryChoice.NoContest);
+        expect(getGameEndReason()).toBeNull();
+        expect(context.lobby.getGameSnapshot().inputHistory.length).toBe(inputCount);
+    });
+
+    it('should roll back to before the first error if another error occurs before the players respond', async function() {
+        await context.sendUnexpectedMulliganAnswerAsync(player1);
+        await respondAsync(GameErrorRecoveryChoice.Rollback, GameErrorRecoveryChoice.Rollback);
+
+        expect(context.lobby.getGameSnapshot().inputHistory.length).toBe(lastGoodInputCount);
+    });
+
+    it('should ignore responses when there is no error to respond to', async function() {
+        await respondAsync(GameErrorRecoveryChoice.Continue, GameErrorRecoveryChoice.Continue);
+        const inputCount = context.lobby.getGameSnapshot().inputHistory.length;
+
+        await respondAsync(GameErrorRecoveryChoice.NoContest, GameErrorRecoveryChoice.NoContest);
+
+        expect(getGameError()).toBeNull();
+        expect(getGameEndReason()).toBeNull();
+        expect(context.lobby.getGameSnapshot().inputHistory.length).toBe(inputCount);
+    });
+});
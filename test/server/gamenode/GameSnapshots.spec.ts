@@ -0,0 +1,153 @@
+import { ZoneName } from '../../../server/game/core/Constants';
+import { GameReplayer } from '../../../server/game/core/snapshot/GameReplayer';
+import type { IGameSnapshot } from '../../../server/game/core/snapshot/SnapshotInterfaces';
+import { LobbyTestContext } from './LobbyTestUtils';
+
+describe('Game snapshots', function() {
+    let context: LobbyTestContext;
+
+    /** Round-trips the snapshot through JSON, as when it is stored and read back */
+    const takeSnapshot = (lobbyContext: LobbyTestContext): IGameSnapshot => JSON.parse(JSON.stringify(lobbyContext.lobby.getGameSnapshot()));
+
+    const buildRestoreProperties = () => ({
+        cardDataGetter: context.cardDataGetter,
+        tokenCardsData: context.cardDataGetter.tokenData,
+        playableCardTitles: context.cardDataGetter.playableCardTitles,
+        router: { handleError: () => null }
+    });
+
+    beforeEach(async function() {
+        context = await LobbyTestContext.createAsync();
+        await context.startGameAsync();
+    });
+
+    afterEach(function() {
+        context.lobby.cleanLobby();
+    });
+
+    describe('When a game is restored from a snapshot,', function() {
+        let restoredContext: LobbyTestContext;
+
+        beforeEach(async function() {
+            restoredContext = await LobbyTestContext.createAsync();
+        });
+
+        afterEach(function() {
+            restoredContext.lobby.cleanLobby();
+        });
+
+        it('the restored game should match the snapshot state', async function() {
+            const initiativePlayerId = await context.playSetupPhaseAsync();
+            await context.clickHandCardAsync(initiativePlayerId, 0);
+
+            const snapshot = takeSnapshot(context);
+            expect(snapshot.state.groundArena.length).toBe(1);
+
+            await restoredContext.lobby.resumeGameFromSnapshotAsync(snapshot);
+            expect(takeSnapshot(restoredContext)).toEqual(snapshot);
+        });
+
+        it('the restored game should continue exactly like the original game', async function() {
+            const initiativePlayerId = await context.playSetupPhaseAsync();
+            await restoredContext.lobby.resumeGameFromSnapshotAsync(takeSnapshot(context));
+
+            for (const lobbyContext of [context, restoredContext]) {
+                await lobbyContext.clickHandCardAsync(initiativePlayerId, 0);
+            }
+
+            expect(takeSnapshot(restoredContext).state).toEqual(takeSnapshot(context).state);
+        });
+
+        it('a snapshot whose state does not match its inputs should be rejected if it has no state to restore from', async function() {
+            // no action window has opened yet, so there is no state that play could be resumed from
+            const snapshot = takeSnapshot(context);
+            expect(snapshot.resumableState).toBeUndefined();
+            snapshot.state.roundNumber++;
+
+            await expectAsync(restoredContext.lobby.resumeGameFromSnapshotAsync(snapshot)).toBeRejectedWithError(/does not match the state recorded in the snapshot/);
+            expect(restoredContext.lobby.hasOngoingGame()).toBeFalse();
+        });
+
+        describe('and its state was modified outside of the player inputs,', function() {
+            let initiativePlayerId: string;
+            let snapshot: IGameSnapshot;
+
+            beforeEach(async function() {
+                initiativePlayerId = await context.playSetupPhaseAsync();
+                snapshot = takeSnapshot(context);
+
+                const playerState = snapshot.state.players.find((player) => player.id === initiativePlayerId);
+                const baseState = snapshot.state.cards.find((card) => card.uuid === playerState.base);
+                baseState.damage = 5;
+
+                const discardedUuid = playerState.zones.hand.shift();
+                playerState.zones.discard.push(discardedUuid);
+                snapshot.state.cards.find((card) => card.uuid === discardedUuid).zone = ZoneName.Discard;
+            });
+
+            it('the game should be restored from the state instead of the inputs', async function() {
+                await restoredContext.lobby.resumeGameFromSnapshotAsync(snapshot);
+
+                // showing the prompt creates the actions of the cards in hand, which uses up uuids, so with one card less in hand fewer are used
+                const { uuidGeneratorState: restoredUuidGeneratorState, ...restoredState } = takeSnapshot(restoredContext).state;
+                const { uuidGeneratorState, ...modifiedState } = snapshot.state;
+                expect(restoredState).toEqual(modifiedState);
+                expect(restoredUuidGeneratorState).not.toEqual(uuidGeneratorState);
+            });
+
+            it('the restored game should continue from the restored state', async function() {
+                await restoredContext.lobby.resumeGameFromSnapshotAsync(snapshot);
+                await restoredContext.clickHandCardAsync(initiativePlayerId, 0);
+
+                const state = takeSnapshot(restoredContext).state;
+                const playerState = state.players.find((player) => player.id === initiativePlayerId);
+                expect(state.groundArena.length).toBe(1);
+                expect(playerState.zones.discard.length).toBe(1);
+                expect(state.cards.find((card) => card.uuid === playerState.base).damage).toBe(5);
+            });
+
+            it('a snapshot of the restored game should be restored the same way', async function() {
+                await restoredContext.lobby.resumeGameFromSnapshotAsync(snapshot);
+                await restoredContext.clickHandCardAsync(initiativePlayerId, 0);
+                const restoredSnapshot = takeSnapshot(restoredContext);
+                expect(restoredSnapshot.startingState.inputCount).toBe(snapshot.inputHistory.length);
+
+                const secondRestoredContext = await LobbyTestContext.createAsync();
+                try {
+                    await secondRestoredContext.lobby.resumeGameFromSnapshotAsync(restoredSnapshot);
+                    expect(takeSnapshot(secondRestoredContext)).toEqual(restoredSnapshot);
+                } finally {
+                    secondRestoredContext.lobby.cleanLobby();
+                }
+            });
+        });
+    });
+
+    describe('When a game is replayed,', function() {
+        it('the replay should reach the state of the original game without errors', async function() {
+            await context.playSetupPhaseAsync();
+            const snapshot = takeSnapshot(context);
+
+            const replayer = await GameReplayer.createAsync(snapshot, buildRestoreProperties());
+            replayer.stepToEnd();
+
+            expect(replayer.inputsReplayed).toBe(snapshot.inputHistory.length);
+            expect(replayer.inputErrorCount).toBe(0);
+            expect(replayer.stateMatches(snapshot.state)).toBeTrue();
+        });
+
+        it('inputs that throw an error should be counted', async function() {
+            await context.playSetupPhaseAsync();
+            const snapshot = takeSnapshot(context);
+
+            // a replay log that doesn't match the game, e.g. one that was recorded with a different version of a card
+            const mulliganInput = snapshot.inputHistory[1];
+            snapshot.inputHistory.splice(1, 0, { ...mulliganInput, args: ['maybe', ...mulliganInput.args.slice(1)] });
+
+            const replayer = await GameReplayer.createAsync(snapshot, buildRestoreProperties());
+            replayer.stepToEnd();
+
+            expect(replayer.inputErrorCount).toBe(1);
+        });
+    });
+});
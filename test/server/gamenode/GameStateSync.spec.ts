@@ -0,0 +1,232 @@
+import type { GameStateUpdate, IGameStatePatchOperation } from '../../../server/gamenode/GameStateSync';
+import { diffGameState, GameStateSync } from '../../../server/gamenode/GameStateSync';
+import { GameErrorRecoveryChoice } from '../../../server/gamenode/GameErrorReporter';
+import { LobbyTestContext, testUsers } from './LobbyTestUtils';
+
+/** Applies a patch the way a client would, following RFC 6902 */
+function applyPatch(document: unknown, patch: IGameStatePatchOperation[]): unknown {
+    let result = structuredClone(document);
+
+    for (const operation of patch) {
+        if (operation.path === '') {
+            result = structuredClone(operation.value);
+            continue;
+        }
+
+        const segments = operation.path.split('/').slice(1)
+            .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+        const key = segments.pop();
+        const parent = segments.reduce((value, segment) => value[segment], result as Record<string, unknown>) as Record<string, unknown> | unknown[];
+
+        if (Array.isArray(parent)) {
+            const index = Number(key);
+            parent.splice(index, operation.op === 'add' ? 0 : 1, ...(operation.op === 'remove' ? [] : [structuredClone(operation.value)]));
+        } else if (operation.op === 'remove') {
+            Reflect.deleteProperty(parent, key);
+        } else {
+            parent[key] = structuredClone(operation.value);
+        }
+    }
+
+    return result;
+}
+
+describe('Game state sync', function() {
+    describe('When diffing two states,', function() {
+        /** Checks that the patch transforms the previous state into the next one, and returns it */
+        const diff = (previous: unknown, next: unknown) => {
+            const patch = diffGameState(previous, next);
+            expect(applyPatch(previous, patch)).toEqual(next);
+            return patch;
+        };
+
+        it('should generate no operations for equal states', function() {
+            expect(diff({ round: 1, cards: [{ id: 'a' }] }, { round: 1, cards: [{ id: 'a' }] })).toEqual([]);
+        });
+
+        it('should add, remove and replace object properties', function() {
+            const patch = diff(
+                { round: 1, phase: 'action', player: { name: 'Player 1', hand: 3 } },
+                { round: 2, winner: 'Player 1', player: { name: 'Player 1' } }
+            );
+
+            expect(patch).toEqual(jasmine.arrayWithExactContents([
+                { op: 'replace', path: '/round', value: 2 },
+                { op: 'remove', path: '/phase' },
+                { op: 'add', path: '/winner', value: 'Player 1' },
+                { op: 'remove', path: '/player/hand' }
+            ]));
+        });
+
+        it('should add elements to the end of an array that grows', function() {
+            expect(diff({ hand: ['a', 'b'] }, { hand: ['a', 'c', 'd', 'e'] })).toEqual([
+                { op: 'replace', path: '/hand/1', value: 'c' },
+                { op: 'add', path: '/hand/2', value: 'd' },
+                { op: 'add', path: '/hand/3', value: 'e' }
+            ]);
+        });
+
+        it('should remove elements from the end of an array that shrinks', function() {
+            expect(diff({ hand: ['a', 'b', 'c', 'd'] }, { hand: ['b'] })).toEqual([
+                { op: 'replace', path: '/hand/0', value: 'b' },
+                { op: 'remove', path: '/hand/3' },
+                { op: 'remove', path: '/hand/2' },
+                { op: 'remove', path: '/hand/1' }
+            ]);
+        });
+
+        it('should handle arrays of objects and nested arrays', function() {
+            expect(diff(
+                { cards: [{ id: 'a', upgrades: ['x'] }, { id: 'b', upgrades: [] }, { id: 'c' }] },
+                { cards: [{ id: 'a', upgrades: [] }, { id: 'b', upgrades: ['x', 'y'] }] }
+            ).length).toBe(4);
+            expect(diff([[1, 2], [3]], [[1], [3, 4], []]).length).toBe(3);
+        });
+
+        it('should escape keys containing a slash or a tilde', function() {
+            const patch = diff(
+                { cards: { 'a/b': 1, 'c~d': 2, '~1': 3 } },
+                { cards: { 'a/b': 4, 'c~d': 5, '~1': 6, 'e/~f': 7 } }
+            );
+
+            expect(patch).toEqual([
+                { op: 'replace', path: '/cards/a~1b', value: 4 },
+                { op: 'replace', path: '/cards/c~0d', value: 5 },
+                { op: 'replace', path: '/cards/~01', value: 6 },
+                { op: 'add', path: '/cards/e~1~0f', value: 7 }
+            ]);
+        });
+
+        it('should replace values whose type changes', function() {
+            expect(diff({ target: null, cards: ['a'], count: 1 }, { target: { id: 'a' }, cards: { a: 1 }, count: '1' }).length).toBe(3);
+            expect(diff({ target: { id: 'a' } }, { target: null })).toEqual([{ op: 'replace', path: '/target', value: null }]);
+            expect(diff(1, [1])).toEqual([{ op: 'replace', path: '', value: [1] }]);
+        });
+    });
+
+    describe('When building updates for a socket,', function() {
+        let gameStateSync: GameStateSync;
+        let clientState: { messages: string[] } & Record<string, unknown>;
+
+        const buildState = <T extends object>(properties: T, messages: string[]) => ({ id: 'game1', ...properties, messages });
+
+        /** Brings the client's copy of the state up to date the way the client does */
+        const receiveUpdate = (update: GameStateUpdate) => {
+            if (update.type === 'full') {
+                clientState = update.state;
+            } else {
+                const { messages, ...stateWithoutMessages } = clientState;
+                clientState = { ...(applyPatch(stateWithoutMessages, update.patch) as object), messages: messages.concat(update.newMessages) };
+            }
+            return update;
+        };
+
+        beforeEach(function() {
+            gameStateSync = new GameStateSync();
+            clientState = null;
+        });
+
+        it('should send the full state first and then patches that reproduce each new state', function() {
+            const states = [
+                buildState({ round: 1, hand: ['a', 'b'] }, ['game started']),
+                buildState({ round: 1, hand: ['a', 'b', 'c'] }, ['game started', 'drew a card']),
+                buildState({ round: 2, hand: ['c'], winner: null }, ['game started', 'drew a card', 'played a card'])
+            ];
+
+            const updates = states.map((state) => receiveUpdate(gameStateSync.buildUpdate(state)));
+
+            expect(updates.map((update) => update.type)).toEqual(['full', 'patch', 'patch']);
+            expect(updates.map((update) => update.version)).toEqual([1, 2, 3]);
+            expect(updates[2]).toEqual(jasmine.objectContaining({ baseVersion: 2, newMessages: ['played a card'] }));
+            expect(clientState).toEqual(states[2]);
+        });
+
+        it('should not be affected by later changes to a state that was sent', function() {
+            const state = buildState({ hand: ['a'] }, []);
+            receiveUpdate(gameStateSync.buildUpdate(state));
+            state.hand.push('b');
+
+            const update = receiveUpdate(gameStateSync.buildUpdate(state));
+            expect(update.type).toBe('patch');
+            expect(clientState).toEqual(state);
+        });
+
+        it('should send the full state when the chat history has been rewritten', function() {
+            receiveUpdate(gameStateSync.buildUpdate(buildState({ round: 1 }, ['game started', 'played a card'])));
+
+            const update = receiveUpdate(gameStateSync.buildUpdate(buildState({ round: 1 }, ['game started'])));
+            expect(update.type).toBe('full');
+            expect(update.version).toBe(2);
+            expect(clientState.messages).toEqual(['game started']);
+        });
+
+        it('should send the full state for a new game', function() {
+            receiveUpdate(gameStateSync.buildUpdate(buildState({ round: 3 }, [])));
+
+            const update = receiveUpdate(gameStateSync.buildUpdate({ ...buildState({ round: 1 }, []), id: 'game2' }));
+            expect(update.type).toBe('full');
+        });
+
+        it('should send the full state after being reset, without restarting the versions', function() {
+            receiveUpdate(gameStateSync.buildUpdate(buildState({ round: 1 }, [])));
+            gameStateSync.reset();
+
+            const update = receiveUpdate(gameStateSync.buildUpdate(buildState({ round: 1 }, [])));
+            expect(update.type).toBe('full');
+            expect(update.version).toBe(2);
+        });
+    });
+
+    describe('When the game in a lobby is rebuilt,', function() {
+        const [player1, player2] = testUsers.map((user) => user.id);
+        let context: LobbyTestContext;
+
+        const getLastUpdate = (userId: string): GameStateUpdate =>
+            context.getSocket(userId).sentMessages.filter((message) => message.event === 'gamestateupdate')
+                .pop().args[0] as GameStateUpdate;
+
+        const expectLastUpdates = (type: GameStateUpdate['type']) => {
+            for (const userId of [player1, player2]) {
+                expect(getLastUpdate(userId).type).toBe(type);
+            }
+        };
+
+        beforeEach(async function() {
+            context = await LobbyTestContext.createAsync();
+            for (const userId of [player1, player2]) {
+                context.getSocket(userId).handshake.auth.stateDiffs = true;
+            }
+
+            await context.startGameAsync();
+        });
+
+        afterEach(function() {
+            context.lobby.cleanLobby();
+        });
+
+        it('should send every player the full state after an undo', async function() {
+            const initiativePlayerId = await context.playSetupPhaseAsync();
+            await context.clickHandCardAsync(initiativePlayerId, 0);
+            expectLastUpdates('patch');
+
+            await context.sendGameCommandAsync(initiativePlayerId, 'requestUndo');
+            await context.sendGameCommandAsync(initiativePlayerId === player1 ? player2 : player1, 'respondToUndoRequest', true);
+
+            expect(context.lobby.getGameSnapshot().state.groundArena).toEqual([]);
+            expectLastUpdates('full');
+        });
+
+        it('should send every player the full state after a rollback', async function() {
+            const initiativePlayerId = testUsers.map((user) => user.id).find((userId) => context.hasButton(userId, 'Yes'));
+            await context.pressButtonAsync(initiativePlayerId, 'Yes');
+            await context.sendUnexpectedMulliganAnswerAsync(player1);
+            expectLastUpdates('patch');
+
+            await context.sendLobbyCommandAsync(player1, 'respondToGameError', GameErrorRecoveryChoice.Rollback);
+            await context.sendLobbyCommandAsync(player2, 'respondToGameError', GameErrorRecoveryChoice.Rollback);
+
+            expect(context.lobby.getGameSnapshot().inputHistory.length).toBe(1);
+            expectLastUpdates('full');
+        });
+    });
+});
@@ -0,0 +1,182 @@
+import Socket from '../../../server/socket';
+import type { IAuthenticatedUser } from '../../../server/utils/auth/UserTokens';
+import type { ISwuDbDecklist } from '../../../server/utils/deck/DeckInterfaces';
+import { LobbyTestContext, TestSocketIoSocket, testUsers } from './LobbyTestUtils';
+
+describe('Lobby', function() {
+    const [player1, player2] = testUsers;
+    let context: LobbyTestContext;
+
+    const getUserState = (userId: string) => context.lobby.getLobbyState().users.find((user) => user.id === userId);
+
+    beforeEach(async function() {
+        context = await LobbyTestContext.createAsync();
+    });
+
+    afterEach(function() {
+        context.lobby.cleanLobby();
+    });
+
+    describe('When the deck of a user already in the lobby is set,', function() {
+        let previousDecklist: ISwuDbDecklist;
+
+        beforeEach(function() {
+            previousDecklist = getUserState(player1.id).deck;
+        });
+
+        it('a legal deck should replace the previous deck', async function() {
+            const decklist = LobbyTestContext.buildDecklist();
+            decklist.deck[0].count = 2;
+            decklist.deck.push({ id: LobbyTestContext.getUnitId(18), count: 1 });
+
+            const deckErrors = await context.lobby.createLobbyUserAsync(player1, decklist);
+
+            expect(deckErrors).toEqual([]);
+            expect(getUserState(player1.id).deck).not.toEqual(previousDecklist);
+            expect(getUserState(player1.id).deck.deck).toContain(jasmine.objectContaining({ id: LobbyTestContext.getUnitId(18), count: 1 }));
+        });
+
+        it('an illegal deck should be rejected and the user should keep their previous deck', async function() {
+            const decklist = LobbyTestContext.buildDecklist();
+            decklist.deck = decklist.deck.slice(0, 3);
+
+            const deckErrors = await context.lobby.createLobbyUserAsync(player1, decklist);
+
+            expect(deckErrors.length).toBeGreaterThan(0);
+            expect(getUserState(player1.id).deckErrors).toEqual(deckErrors);
+            expect(getUserState(player1.id).deck).toEqual(previousDecklist);
+
+            // the user can still start a game with the previous deck
+            await context.startGameAsync();
+            expect(context.lobby.hasOngoingGame()).toBeTrue();
+        });
+    });
+
+    describe('When a user spectates the lobby,', function() {
+        const spectator: IAuthenticatedUser = { id: 'spectator', username: 'Spectator' };
+        let spectatorSocket: TestSocketIoSocket;
+
+        const getSentEvents = (socket: TestSocketIoSocket) => socket.sentMessages.map((message) => message.event);
+        const getChatText = (chat: { messages: unknown[] }) => JSON.stringify(chat.messages);
+
+        const setSpectatorSettingsAsync = (userId: string, settings: Record<string, unknown>) =>
+            context.sendLobbyCommandAsync(userId, 'setSpectatorSettings', settings);
+
+        const sendSpectatorChatMessageAsync = async (message: string) => {
+            spectatorSocket.receive('lobby', 'sendChatMessage', message);
+            await LobbyTestContext.flushAsync();
+        };
+
+        beforeEach(function() {
+            spectatorSocket = new TestSocketIoSocket('spectator-socket', spectator);
+        });
+
+        it('the spectator should be listed in the lobby and receive the lobby and game state', async function() {
+            context.lobby.addSpectator(spectator, new Socket(spectatorSocket));
+
+            expect(context.lobby.getLobbyState().spectators).toEqual([{ id: spectator.id, username: spectator.username }]);
+            expect(getSentEvents(spectatorSocket)).toContain('lobbystate');
+            expect(getSentEvents(spectatorSocket)).not.toContain('gamestate');
+
+            await context.startGameAsync();
+
+            expect(getSentEvents(spectatorSocket)).toContain('gamestate');
+        });
+
+        it('the spectator should not be able to send game commands', async function() {
+            context.lobby.addSpectator(spectator, new Socket(spectatorSocket));
+            await context.startGameAsync();
+            const inputCount = context.lobby.getGameSnapshot().inputHistory.length;
+
+            const initiativePlayerId = testUsers.map((user) => user.id).find((userId) => context.hasButton(userId, 'Yes'));
+            const promptState = context.getPlayerState(initiativePlayerId).promptState;
+            spectatorSocket.receive('game', 'menuButton', promptState.buttons[0].arg, promptState.promptUuid);
+            await LobbyTestContext.flushAsync();
+
+            expect(context.lobby.getGameSnapshot().inputHistory.length).toBe(inputCount);
+        });
+
+        it('the lobby owner should be able to stop allowing spectators, which disconnects the current spectators', async function() {
+            context.lobby.addSpectator(spectator, new Socket(spectatorSocket));
+
+            await setSpectatorSettingsAsync(player1.id, { allowSpectators: false });
+
+            expect(context.lobby.allowsSpectators).toBeFalse();
+            expect(context.lobby.getLobbyState().spectators).toEqual([]);
+            expect(spectatorSocket.disconnected).toBeTrue();
+            expect(() => context.lobby.addSpectator(spectator, new Socket(new TestSocketIoSocket('spectator-socket-2', spectator)))).toThrowError();
+        });
+
+        it('only the lobby owner should be able to change the spectator settings', async function() {
+            context.lobby.addSpectator(spectator, new Socket(spectatorSocket));
+
+            await setSpectatorSettingsAsync(player2.id, { allowSpectators: false });
+
+            expect(context.lobby.allowsSpectators).toBeTrue();
+            expect(context.lobby.getLobbyState().spectators.length).toBe(1);
+            expect(spectatorSocket.disconnected).toBeFalse();
+        });
+
+        describe('with a spectator delay,', function() {
+            beforeEach(async function() {
+                jasmine.clock().install();
+                await setSpectatorSettingsAsync(player1.id, { spectatorDelaySeconds: 10 });
+                context.lobby.addSpectator(spectator, new Socket(spectatorSocket));
+            });
+
+            afterEach(function() {
+                jasmine.clock().uninstall();
+            });
+
+            it('the spectator should receive the game state only once the delay has passed', async function() {
+                await context.startGameAsync();
+
+                expect(getSentEvents(context.getSocket(player1.id))).toContain('gamestate');
+                expect(getSentEvents(spectatorSocket)).not.toContain('gamestate');
+
+                jasmine.clock().tick(9999);
+                expect(getSentEvents(spectatorSocket)).not.toContain('gamestate');
+
+                jasmine.clock().tick(1);
+                expect(getSentEvents(spectatorSocket)).toContain('gamestate');
+            });
+
+            it('each delayed update should show the game as it was when the update was made', async function() {
+                await context.startGameAsync();
+                const initiativePlayerId = testUsers.map((user) => user.id).find((userId) => context.hasButton(userId, 'Yes'));
+                await context.pressButtonAsync(initiativePlayerId, 'Yes');
+
+                jasmine.clock().tick(10000);
+
+                const spectatorStates = spectatorSocket.sentMessages.filter((message) => message.event === 'gamestate')
+                    .map((message) => JSON.stringify(message.args[0]));
+                expect(spectatorStates.length).toBeGreaterThan(1);
+                expect(new Set(spectatorStates).size).toBe(spectatorStates.length);
+            });
+        });
+
+        describe('with spectator squelch,', function() {
+            beforeEach(async function() {
+                await setSpectatorSettingsAsync(player1.id, { spectatorSquelch: true });
+                context.lobby.addSpectator(spectator, new Socket(spectatorSocket));
+            });
+
+            it('spectator chat messages should only be shown to spectators', async function() {
+                await sendSpectatorChatMessageAsync('hello from the stands');
+
+                expect(getChatText(context.lobby.getLobbyState(true).spectatorChat)).toContain('hello from the stands');
+                expect(getChatText(context.lobby.getLobbyState().gameChat)).not.toContain('hello from the stands');
+                expect(context.lobby.getLobbyState().spectatorChat).toBeUndefined();
+            });
+        });
+
+        it('without spectator squelch, spectator chat messages should be shown to the players', async function() {
+            context.lobby.addSpectator(spectator, new Socket(spectatorSocket));
+
+            await sendSpectatorChatMessageAsync('hello from the stands');
+
+            expect(getChatText(context.lobby.getLobbyState().gameChat)).toContain('hello from the stands');
+            expect(getChatText(context.lobby.getLobbyState(true).spectatorChat)).not.toContain('hello from the stands');
+        });
+    });
+});
@@ -0,0 +1,209 @@
+import { EventEmitter } from 'events';
+import type { IPlayerStateSnapshot } from '../../../server/game/core/snapshot/SnapshotInterfaces';
+import Socket from '../../../server/socket';
+import type { ILobbyGameResult } from '../../../server/gamenode/Lobby';
+import { Lobby, MatchType } from '../../../server/gamenode/Lobby';
+import { SwuGameFormat } from '../../../server/SwuGameFormat';
+import type { IAuthenticatedUser } from '../../../server/utils/auth/UserTokens';
+import type { ICardDataJson } from '../../../server/utils/cardData/CardDataInterfaces';
+import { UnitTestCardDataGetter } from '../../../server/utils/cardData/UnitTestCardDataGetter';
+import type { ISwuDbDecklist } from '../../../server/utils/deck/DeckInterfaces';
+import { DeckValidator } from '../../../server/utils/deck/DeckValidator';
+import { InMemoryCardDataGetter } from '../utils/cardData/InMemoryCardDataGetter';
+
+/**
+ * Stands in for the socket.io socket of a connected client. Messages the server sends to the client are recorded,
+ * and {@link TestSocketIoSocket.receive} delivers a message from the client to the server's listeners.
+ */
+export class TestSocketIoSocket extends EventEmitter {
+    public readonly data: { user: IAuthenticatedUser };
+    public readonly handshake: { auth: Record<string, unknown> } = { auth: {} };
+    public readonly request: { user?: IAuthenticatedUser } = {};
+    public readonly sentMessages: { event: string; args: unknown[] }[] = [];
+    public disconnected = false;
+
+    public constructor(public readonly id: string, user: IAuthenticatedUser) {
+        super();
+        this.data = { user };
+    }
+
+    public override emit(event: string, ...args: unknown[]): boolean {
+        this.sentMessages.push({ event, args });
+        return true;
+    }
+
+    public receive(event: string, ...args: unknown[]) {
+        super.emit(event, ...args);
+    }
+
+    public join() {
+        // specs don't use socket.io rooms
+    }
+
+    public leave() {
+        // specs don't use socket.io rooms
+    }
+
+    public disconnect() {
+        this.disconnected = true;
+    }
+}
+
+const buildCard = (number: number, types: string[], title: string, properties: Partial<ICardDataJson> = {}): ICardDataJson => ({
+    id: `test-${number}`,
+    title,
+    internalName: title.toLowerCase().replace(/ /g, '-'),
+    unique: false,
+    aspects: [],
+    traits: [],
+    keywords: [],
+    types,
+    setId: { set: 'SOR', number },
+    ...properties
+});
+
+// vanilla cards, which the game builds with the default card implementations
+const testLeader = buildCard(1, ['leader'], 'Test Leader', { cost: 6, power: 4, hp: 6, arena: 'ground' });
+const testBase = buildCard(2, ['base'], 'Test Base', { hp: 30 });
+const testUnits = Array.from({ length: 20 }, (_, i) => buildCard(100 + i, ['unit'], `Test Unit ${i}`, { cost: 2, power: 2, hp: 2, arena: 'ground' }));
+
+export const testUsers: IAuthenticatedUser[] = [{ id: 'player1', username: 'Player 1' }, { id: 'player2', username: 'Player 2' }];
+
+/**
+ * A lobby for {@link testUsers}, with their sockets connected. player1 owns the lobby.
+ * The decks are built from vanilla cards served from memory, so the lobby does not depend on the card data used by the integration tests
+ * except for the token cards.
+ */
+export class LobbyTestContext {
+    public readonly lobby: Lobby;
+    public readonly cardDataGetter: InMemoryCardDataGetter;
+    public readonly gameResults: ILobbyGameResult[] = [];
+
+    private readonly sockets = new Map<string, TestSocketIoSocket>();
+
+    private constructor(matchType: MatchType, format: SwuGameFormat) {
+        this.cardDataGetter = LobbyTestContext.createCardDataGetter();
+
+        this.lobby = new Lobby(
+            matchType,
+            format,
+            this.cardDataGetter,
+            new DeckValidator(this.cardDataGetter),
+            this.cardDataGetter.tokenData,
+            this.cardDataGetter.playableCardTitles,
+            null,
+            (result) => this.gameResults.push(result)
+        );
+    }
+
+    public static async createAsync(matchType = MatchType.Custom, format = SwuGameFormat.Premier): Promise<LobbyTestContext> {
+        const context = new LobbyTestContext(matchType, format);
+
+        for (const user of testUsers) {
+            await context.lobby.createLobbyUserAsync(user, LobbyTestContext.buildDecklist());
+
+            const socket = new TestSocketIoSocket(`${user.id}-socket`, user);
+            context.sockets.set(user.id, socket);
+            context.lobby.addLobbyUser(user, new Socket(socket));
+        }
+        context.lobby.setLobbyOwner(testUsers[0].id);
+
+        return context;
+    }
+
+    /** Serves the vanilla test cards that {@link LobbyTestContext.buildDecklist} uses, and the token cards from the integration test card data */
+    public static createCardDataGetter(): InMemoryCardDataGetter {
+        return new InMemoryCardDataGetter([testLeader, testBase, ...testUnits], {}, new UnitTestCardDataGetter('test/json').tokenData);
+    }
+
+    /** The set code of the nth test unit, as used in decklists */
+    public static getUnitId(index: number): string {
+        return InMemoryCardDataGetter.getSetCode(testUnits[index]);
+    }
+
+    /** A legal deck of exactly 50 cards, three copies each of the first test units and two of the last, with one more unit in the sideboard */
+    public static buildDecklist(): ISwuDbDecklist {
+        return {
+            metadata: { name: 'Test Deck', author: 'Test' },
+            leader: { id: InMemoryCardDataGetter.getSetCode(testLeader), count: 1 },
+            base: { id: InMemoryCardDataGetter.getSetCode(testBase), count: 1 },
+            deck: Array.from({ length: 17 }, (_, i) => ({ id: LobbyTestContext.getUnitId(i), count: i < 16 ? 3 : 2 })),
+            sideboard: [{ id: LobbyTestContext.getUnitId(17), count: 1 }]
+        };
+    }
+
+    public getSocket(userId: string): TestSocketIoSocket {
+        return this.sockets.get(userId);
+    }
+
+    /** Sends a lobby command from the user's client and waits for the lobby to handle it */
+    public async sendLobbyCommandAsync(userId: string, command: string, ...args: unknown[]) {
+        this.getSocket(userId).receive('lobby', command, ...args);
+        await LobbyTestContext.flushAsync();
+    }
+
+    /** Sends a game command from the user's client and waits for the lobby to handle it */
+    public async sendGameCommandAsync(userId: string, command: string, ...args: unknown[]) {
+        this.getSocket(userId).receive('game', command, ...args);
+        await LobbyTestContext.flushAsync();
+    }
+
+    public async startGameAsync() {
+        await this.sendLobbyCommandAsync(testUsers[0].id, 'onStartGameAsync');
+    }
+
+    /** The user's player in the current game, as seen in a snapshot of the game */
+    public getPlayerState(userId: string): IPlayerStateSnapshot {
+        return this.lobby.getGameSnapshot().state.players.find((player) => player.id === userId);
+    }
+
+    public hasButton(userId: string, text: string): boolean {
+        return this.getPlayerState(userId).promptState.buttons.some((button) => button.text === text);
+    }
+
+    /** Sends the command for clicking the button with the given text in the user's current prompt */
+    public async pressButtonAsync(userId: string, text: string) {
+        const promptState = this.getPlayerState(userId).promptState;
+        const button = promptState.buttons.find((button) => button.text === text);
+        await this.sendGameCommandAsync(userId, 'menuButton', button.arg, promptState.promptUuid);
+    }
+
+    public async clickHandCardAsync(userId: string, index: number) {
+        await this.sendGameCommandAsync(userId, 'cardClicked', this.getPlayerState(userId).zones.hand[index]);
+    }
+
+    /**
+     * Sends an answer that the mulligan prompt does not expect, which makes the game throw an error.
+     * Used for testing how the lobby recovers from server errors, must be sent while the user is deciding on their mulligan.
+     */
+    public async sendUnexpectedMulliganAnswerAsync(userId: string) {
+        await this.sendGameCommandAsync(userId, 'menuButton', 'maybe', this.getPlayerState(userId).promptState.promptUuid);
+    }
+
+    /**
+     * Plays through the setup phase of the current game: the player who won the flip takes the initiative,
+     * both players keep their starting hands and resource their first two cards
+     * @returns the id of the player who has the initiative
+     */
+    public async playSetupPhaseAsync(): Promise<string> {
+        const initiativePlayerId = testUsers.map((user) => user.id).find((userId) => this.hasButton(userId, 'Yes'));
+        await this.pressButtonAsync(initiativePlayerId, 'Yes');
+
+        for (const user of testUsers) {
+            await this.pressButtonAsync(user.id, 'No');
+        }
+
+        for (const user of testUsers) {
+            await this.clickHandCardAsync(user.id, 0);
+            await this.clickHandCardAsync(user.id, 1);
+            await this.pressButtonAsync(user.id, 'Done');
+        }
+
+        return initiativePlayerId;
+    }
+
+    /** Runs the callbacks of everything the lobby is waiting for that has already finished, e.g. building a game */
+    public static flushAsync(): Promise<void> {
+        return new Promise((resolve) => setImmediate(resolve));
+    }
+}
@@ -0,0 +1,87 @@
+import type { Lobby } from '../../../server/gamenode/Lobby';
+import type { IReconnectServer } from '../../../server/gamenode/ReconnectWindows';
+import { ReconnectWindows } from '../../../server/gamenode/ReconnectWindows';
+import Socket from '../../../server/socket';
+import { LobbyTestContext, TestSocketIoSocket, testUsers } from './LobbyTestUtils';
+
+describe('Reconnect windows', function() {
+    const [player1, player2] = testUsers;
+    const windowSeconds = 60;
+    let context: LobbyTestContext;
+    let removeUserFromLobby: jasmine.Spy<(userId: string, lobby: Lobby) => void>;
+    let reconnectWindows: ReconnectWindows;
+
+    const reconnect = () => {
+        context.lobby.addLobbyUser(player1, new Socket(new TestSocketIoSocket('player1-socket-2', player1)));
+        reconnectWindows.cancel(player1.id);
+    };
+
+    beforeEach(async function() {
+        jasmine.clock().install();
+
+        context = await LobbyTestContext.createAsync();
+        await context.startGameAsync();
+        await context.playSetupPhaseAsync();
+
+        const server: IReconnectServer = {
+            removeUserFromLobby: (userId, lobby) => lobby.removeUser(userId)
+        };
+        removeUserFromLobby = spyOn(server, 'removeUserFromLobby').and.callThrough();
+        reconnectWindows = new ReconnectWindows(server, windowSeconds);
+
+        reconnectWindows.onUserDisconnected(player1.id, context.lobby);
+    });
+
+    afterEach(function() {
+        context.lobby.cleanLobby();
+        jasmine.clock().uninstall();
+    });
+
+    it('should mark the user as disconnected until the window ends', function() {
+        expect(context.lobby.getUserState(player1.id)).toBe('disconnected');
+
+        jasmine.clock().tick(windowSeconds * 1000 - 1);
+
+        expect(context.lobby.getUserState(player1.id)).toBe('disconnected');
+        expect(context.lobby.getGameSnapshot().state.winner).toBeNull();
+        expect(removeUserFromLobby).not.toHaveBeenCalled();
+    });
+
+    it('should make a user who did not reconnect forfeit the game and remove them from the lobby', function() {
+        jasmine.clock().tick(windowSeconds * 1000);
+
+        expect(context.lobby.getGameSnapshot().state.gameEndReason).toBe('disconnect');
+        expect(context.gameResults.map((result) => result.winnerIds)).toEqual([[player2.id]]);
+        expect(removeUserFromLobby).toHaveBeenCalledOnceWith(player1.id, context.lobby);
+        expect(context.lobby.getUserState(player1.id)).toBeNull();
+    });
+
+    it('should stop the window of a user who reconnects', function() {
+        jasmine.clock().tick(windowSeconds * 1000 / 2);
+        reconnect();
+        const getUserState = spyOn(context.lobby, 'getUserState').and.callThrough();
+
+        jasmine.clock().tick(windowSeconds * 1000);
+
+        // the window's timer no longer runs, rather than running and finding the user connected
+        expect(getUserState).not.toHaveBeenCalled();
+        expect(context.lobby.getGameSnapshot().state.winner).toBeNull();
+        expect(context.lobby.getUserState(player1.id)).toBe('connected');
+        expect(removeUserFromLobby).not.toHaveBeenCalled();
+    });
+
+    it('should start a new window for a user who disconnects again', function() {
+        jasmine.clock().tick(windowSeconds * 1000 / 2);
+        reconnect();
+        reconnectWindows.onUserDisconnected(player1.id, context.lobby);
+
+        // the first window would have ended by now
+        jasmine.clock().tick(windowSeconds * 1000 / 2);
+        expect(context.lobby.getGameSnapshot().state.winner).toBeNull();
+        expect(removeUserFromLobby).not.toHaveBeenCalled();
+
+        jasmine.clock().tick(windowSeconds * 1000 / 2);
+        expect(context.lobby.getGameSnapshot().state.gameEndReason).toBe('disconnect');
+        expect(removeUserFromLobby).toHaveBeenCalledOnceWith(player1.id, context.lobby);
+    });
+});
@@ -0,0 +1,180 @@
+import { z } from 'zod';
+import Socket from '../../../server/socket';
+import type { ISocketCommandError } from '../../../server/gamenode/SocketCommands';
+import { socketCommand, SocketCommandDispatcher, SocketCommandErrorCode, SocketRateLimiter } from '../../../server/gamenode/SocketCommands';
+import { LobbyTestContext, TestSocketIoSocket, testUsers } from './LobbyTestUtils';
+
+describe('Socket commands', function() {
+    const getCommandErrors = (rawSocket: TestSocketIoSocket) =>
+        rawSocket.sentMessages.filter((message) => message.event === 'commandError').map((message) => message.args[0] as ISocketCommandError);
+
+    describe('The rate limiter', function() {
+        let rateLimiter: SocketRateLimiter;
+        let socket: Socket;
+
+        const consume = (count: number, consumingSocket = socket) =>
+            Array.from({ length: count }, () => rateLimiter.tryConsume(consumingSocket));
+
+        beforeEach(function() {
+            jasmine.clock().install();
+            jasmine.clock().mockDate(new Date());
+
+            rateLimiter = new SocketRateLimiter(3, 2);
+            socket = new Socket(new TestSocketIoSocket('socket1', testUsers[0]));
+        });
+
+        afterEach(function() {
+            jasmine.clock().uninstall();
+        });
+
+        it('should allow a burst of commands up to the limit', function() {
+            expect(consume(4)).toEqual([true, true, true, false]);
+        });
+
+        it('should allow more commands as time passes', function() {
+            consume(3);
+
+            jasmine.clock().tick(400);
+            expect(consume(1)).toEqual([false]);
+
+            jasmine.clock().tick(100);
+            expect(consume(2)).toEqual([true, false]);
+
+            jasmine.clock().tick(1000);
+            expect(consume(3)).toEqual([true, true, false]);
+        });
+
+        it('should not refill beyond the burst limit', function() {
+            consume(1);
+
+            jasmine.clock().tick(60 * 1000);
+            expect(consume(4)).toEqual([true, true, true, false]);
+        });
+
+        it('should limit each socket separately', function() {
+            consume(3);
+
+            expect(consume(1, new Socket(new TestSocketIoSocket('socket2', testUsers[1])))).toEqual([true]);
+        });
+    });
+
+    describe('The dispatcher', function() {
+        let rawSocket: TestSocketIoSocket;
+        let socket: Socket;
+        let rateLimiter: SocketRateLimiter;
+        let dispatcher: SocketCommandDispatcher;
+        let handler: jasmine.Spy;
+
+        const expectRejection = (command: unknown, args: unknown[], code: SocketCommandErrorCode) => {
+            expect(dispatcher.resolve(socket, command, args)).toBeNull();
+            expect(getCommandErrors(rawSocket).pop()).toEqual(jasmine.objectContaining({ namespace: 'test', command: String(command), code }));
+        };
+
+        beforeEach(function() {
+            rawSocket = new TestSocketIoSocket('socket1', testUsers[0]);
+            socket = new Socket(rawSocket);
+            rateLimiter = new SocketRateLimiter(100, 10);
+            handler = jasmine.createSpy('handler');
+
+            dispatcher = new SocketCommandDispatcher('test', {
+                move: socketCommand(z.tuple([z.string(), z.number().int()]), handler),
+                pass: socketCommand(z.union([z.tuple([]), z.tuple([z.boolean()])]), handler)
+            }, rateLimiter);
+        });
+
+        it('should run the handler of a known command with the parsed arguments', function() {
+            const runCommand = dispatcher.resolve(socket, 'move', ['card1', 2]);
+            expect(handler).not.toHaveBeenCalled();
+
+            runCommand();
+            expect(handler).toHaveBeenCalledOnceWith(socket, 'card1', 2);
+            expect(getCommandErrors(rawSocket)).toEqual([]);
+        });
+
+        it('should accept each of the argument lists of a command', function() {
+            dispatcher.resolve(socket, 'pass', [])();
+            dispatcher.resolve(socket, 'pass', [true])();
+
+            expect(handler.calls.allArgs()).toEqual([[socket], [socket, true]]);
+        });
+
+        it('should reject unknown commands', function() {
+            expectRejection('attack', [], SocketCommandErrorCode.UnknownCommand);
+        });
+
+        it('should reject commands named after properties every object has', function() {
+            expectRejection('toString', [], SocketCommandErrorCode.UnknownCommand);
+            expectRejection('__proto__', [], SocketCommandErrorCode.UnknownCommand);
+            expectRejection('constructor', [], SocketCommandErrorCode.UnknownCommand);
+        });
+
+        it('should reject command names that are not strings', function() {
+            expectRejection(['move'], ['card1', 2], SocketCommandErrorCode.UnknownCommand);
+            expectRejection(undefined, [], SocketCommandErrorCode.UnknownCommand);
+        });
+
+        it('should reject malformed arguments', function() {
+            expectRejection('move', ['card1', '2'], SocketCommandErrorCode.InvalidArguments);
+            expectRejection('move', ['card1', 2.5], SocketCommandErrorCode.InvalidArguments);
+            expectRejection('move', ['card1'], SocketCommandErrorCode.InvalidArguments);
+            expectRejection('move', ['card1', 2, 'extra'], SocketCommandErrorCode.InvalidArguments);
+            expectRejection('pass', [null], SocketCommandErrorCode.InvalidArguments);
+
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should reject commands from a socket over its rate limit, whether or not they are valid', function() {
+            spyOn(rateLimiter, 'tryConsume').and.returnValue(false);
+
+            expectRejection('move', ['card1', 2], SocketCommandErrorCode.RateLimited);
+            expectRejection('attack', [], SocketCommandErrorCode.RateLimited);
+        });
+    });
+
+    describe('When a lobby receives a command,', function() {
+        const [player1, player2] = testUsers.map((user) => user.id);
+        let context: LobbyTestContext;
+
+        beforeEach(async function() {
+            context = await LobbyTestContext.createAsync();
+        });
+
+        afterEach(function() {
+            context.lobby.cleanLobby();
+        });
+
+        it('should reject it if the arguments are malformed, without changing the lobby', async function() {
+            await context.sendLobbyCommandAsync(player1, 'setBestOf', 2);
+            await context.sendLobbyCommandAsync(player1, 'setSpectatorSettings', { spectatorDelaySeconds: 601 });
+            await context.sendLobbyCommandAsync(player1, 'setReadyStatus', 'true');
+
+            expect(getCommandErrors(context.getSocket(player1)).map((error) => [error.command, error.code])).toEqual([
+                ['setBestOf', SocketCommandErrorCode.InvalidArguments],
+                ['setSpectatorSettings', SocketCommandErrorCode.InvalidArguments],
+                ['setReadyStatus', SocketCommandErrorCode.InvalidArguments]
+            ]);
+
+            const lobbyState = context.lobby.getLobbyState();
+            expect(lobbyState.spectatorSettings.spectatorDelaySeconds).toBe(0);
+            expect(lobbyState.users.find((user) => user.id === player1).ready).toBeFalse();
+        });
+
+        it('should only let the lobby owner change the lobby settings', async function() {
+            await context.sendLobbyCommandAsync(player2, 'setSpectatorSettings', { spectatorDelaySeconds: 30 });
+            expect(context.lobby.getLobbyState().spectatorSettings.spectatorDelaySeconds).toBe(0);
+
+            await context.sendLobbyCommandAsync(player1, 'setSpectatorSettings', { spectatorDelaySeconds: 30 });
+            expect(context.lobby.getLobbyState().spectatorSettings.spectatorDelaySeconds).toBe(30);
+        });
+
+        it('should accept the numeric button args of handler menu prompts', async function() {
+            await context.startGameAsync();
+            const initiativePlayerId = testUsers.map((user) => user.id).find((userId) => context.hasButton(userId, 'Yes'));
+
+            await context.pressButtonAsync(initiativePlayerId, 'Yes');
+
+            expect(getCommandErrors(context.getSocket(initiativePlayerId))).toEqual([]);
+            expect(context.lobby.getGameSnapshot().state.initiativePlayer).toBe(initiativePlayerId);
+        });
+    });
+});
@@ -0,0 +1,71 @@
+import { AiPlayer } from '../../../../server/gamenode/ai/AiPlayer';
+
+describe('AI player', function() {
+    integration(function(contextRef) {
+        const answerAiPrompts = (aiPlayer: AiPlayer) => {
+            const { context } = contextRef;
+
+            for (let i = 0; i < 20 && aiPlayer.hasPendingDecision(context.game); i++) {
+                const aiCommand = aiPlayer.chooseCommand(context.game);
+                expect(aiCommand).not.toBeNull();
+
+                context.game[aiCommand.command as string](aiPlayer.id, ...aiCommand.args);
+                context.game.continue();
+            }
+        };
+
+        describe('During the setup phase', function() {
+            beforeEach(async function () {
+                await contextRef.setupTestAsync({
+                    phase: 'setup',
+                    player2: {
+                        deck: ['moisture-farmer', 'atst', 'atst', 'atst', 'atst', 'atst', 'atst', 'atst', 'wampa', 'atst', 'atst']
+                    }
+                });
+            });
+
+            it('should mulligan a hand without cheap cards and resource its most expensive cards', function () {
+                const { context } = contextRef;
+                const aiPlayer = new AiPlayer(context.player2.player.id, context.player2Name);
+
+                context.selectInitiativePlayer(context.player1);
+
+                answerAiPrompts(aiPlayer);
+                expect(context.getChatLogs(1)).toEqual([`${context.player2Name} has mulliganed`]);
+
+                context.player1.clickPrompt('No');
+                answerAiPrompts(aiPlayer);
+
+                expect(context.player2.resources.length).toBe(2);
+                expect(context.player2.resources.every((card) => card.internalName === 'atst')).toBeTrue();
+            });
+        });
+
+        describe('During the action phase', function() {
+            beforeEach(async function () {
+                await contextRef.setupTestAsync({
+                    phase: 'action',
+                    player1: {
+                        groundArena: ['wampa']
+                    },
+                    player2: {
+                        groundArena: ['battlefield-marine', 'pyke-sentinel']
+                    }
+                });
+            });
+
+            it('should attack a Sentinel unit that it defeats and survives', function () {
+                const { context } = contextRef;
+                const aiPlayer = new AiPlayer(context.player1.player.id, context.player1Name);
+
+                answerAiPrompts(aiPlayer);
+
+                expect(context.pykeSentinel).toBeInZone('discard');
+                expect(context.battlefieldMarine.damage).toBe(0);
+                expect(context.wampa.damage).toBe(2);
+                expect(context.p2Base.damage).toBe(0);
+                expect(context.player2).toBeActivePlayer();
+            });
+        });
+    });
+});
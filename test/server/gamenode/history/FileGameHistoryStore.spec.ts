@@ -0,0 +1,81 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileGameHistoryStore } from '../../../../server/gamenode/history/FileGameHistoryStore';
+import { buildGameRecord } from './GameHistoryTestUtils';
+
+describe('File game history store', function() {
+    let directory: string;
+    let filePath: string;
+
+    const buildGame = (gameId: string, finishedAt: string, winnerIds = ['player1']) => buildGameRecord({
+        gameId,
+        finishedAt,
+        players: [['player1', 'leaderA', 'base1'], ['player2', 'leaderB', 'base2']],
+        winnerIds
+    });
+
+    beforeEach(async function() {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'game-history-store-'));
+        filePath = path.join(directory, 'data', 'games.jsonl');
+    });
+
+    afterEach(async function() {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should start empty if the file does not exist', async function() {
+        const store = await FileGameHistoryStore.createAsync(filePath);
+
+        expect(await store.getRecentGamesAsync('player1', 10)).toEqual([]);
+        expect(fs.existsSync(filePath)).toBeFalse();
+    });
+
+    it('should append one line per game', async function() {
+        const store = await FileGameHistoryStore.createAsync(filePath);
+        await store.addGameAsync(buildGame('game1', '2026-01-01T10:00:00.000Z'));
+        await store.addGameAsync(buildGame('game2', '2026-01-01T11:00:00.000Z'));
+
+        const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+        expect(lines.length).toBe(3);
+        expect(lines.slice(0, 2).map((line) => JSON.parse(line).gameId)).toEqual(['game1', 'game2']);
+        expect(lines[2]).toBe('');
+    });
+
+    it('should load the games written by an earlier store', async function() {
+        const games = [
+            buildGame('game1', '2026-01-01T10:00:00.000Z'),
+            buildGame('game2', '2026-01-01T11:00:00.000Z', ['player1', 'player2']),
+            buildGame('game3', '2026-01-01T12:00:00.000Z', [])
+        ];
+
+        const store = await FileGameHistoryStore.createAsync(filePath);
+        for (const game of games) {
+            await store.addGameAsync(game);
+        }
+
+        const reloadedStore = await FileGameHistoryStore.createAsync(filePath);
+        expect(await reloadedStore.getRecentGamesAsync('player1', 10)).toEqual(games.reverse());
+        expect(await reloadedStore.getLeaderBaseStatsAsync({})).toEqual(await store.getLeaderBaseStatsAsync({}));
+    });
+
+    it('should write every game when several are added at once', async function() {
+        const store = await FileGameHistoryStore.createAsync(filePath);
+        await Promise.all([
+            store.addGameAsync(buildGame('game1', '2026-01-01T10:00:00.000Z')),
+            store.addGameAsync(buildGame('game2', '2026-01-01T11:00:00.000Z')),
+            store.addGameAsync(buildGame('game3', '2026-01-01T12:00:00.000Z'))
+        ]);
+
+        const reloadedStore = await FileGameHistoryStore.createAsync(filePath);
+        expect((await reloadedStore.getRecentGamesAsync('player2', 10)).map((game) => game.gameId)).toEqual(['game3', 'game2', 'game1']);
+    });
+
+    it('should skip blank lines in the file', async function() {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, `\n${JSON.stringify(buildGame('game1', '2026-01-01T10:00:00.000Z'))}\n\n`);
+
+        const store = await FileGameHistoryStore.createAsync(filePath);
+        expect((await store.getRecentGamesAsync('player1', 10)).map((game) => game.gameId)).toEqual(['game1']);
+    });
+});
@@ -0,0 +1,96 @@
+import express from 'express';
+import type { Server } from 'http';
+import type { AddressInfo } from 'net';
+import { createGameHistoryRouter } from '../../../../server/gamenode/history/GameHistoryRoutes';
+import type { IGameRecord, ILeaderBaseStats } from '../../../../server/gamenode/history/IGameHistoryStore';
+import { InMemoryGameHistoryStore } from '../../../../server/gamenode/history/InMemoryGameHistoryStore';
+import { signUserToken } from '../../../../server/utils/auth/UserTokens';
+import { buildGameRecord } from './GameHistoryTestUtils';
+
+interface IResponseBody {
+    success: boolean;
+    message?: string;
+    stats?: ILeaderBaseStats[];
+    games?: IGameRecord[];
+}
+
+describe('Game history routes', function() {
+    let server: Server;
+    let baseUrl: string;
+
+    const getAsync = async (url: string, userId?: string) => {
+        const headers = userId == null ? {} : { authorization: `Bearer ${signUserToken({ id: userId })}` };
+        const response = await fetch(`${baseUrl}${url}`, { headers });
+        return { status: response.status, body: await response.json() as IResponseBody };
+    };
+
+    beforeEach(async function() {
+        const store = new InMemoryGameHistoryStore();
+        await store.addGameAsync(buildGameRecord({
+            gameId: 'game1',
+            finishedAt: '2026-01-01T10:00:00.000Z',
+            players: [['player1', 'leaderA', 'base1'], ['player2', 'leaderB', 'base2']],
+            winnerIds: ['player1']
+        }));
+
+        const app = express();
+        app.use('/api', createGameHistoryRouter(store));
+
+        server = await new Promise<Server>((resolve) => {
+            const listeningServer = app.listen(0, '127.0.0.1', () => resolve(listeningServer));
+        });
+        baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+    });
+
+    afterEach(async function() {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    describe('When getting the leader and base stats,', function() {
+        it('should show the stats of all players without a token', async function() {
+            const { status, body } = await getAsync('/api/leader-base-stats?format=premier');
+
+            expect(status).toBe(200);
+            expect(body.stats.length).toBe(2);
+        });
+
+        it('should reject an unknown format', async function() {
+            expect((await getAsync('/api/leader-base-stats?format=standard')).status).toBe(400);
+        });
+
+        it('should require a token to show the stats of a user', async function() {
+            expect((await getAsync('/api/leader-base-stats?userId=player1')).status).toBe(401);
+        });
+
+        it('should not show the stats of a user to another user', async function() {
+            expect((await getAsync('/api/leader-base-stats?userId=player1', 'player2')).status).toBe(403);
+        });
+
+        it('should show the stats of a user to that user and to administrators', async function() {
+            for (const callerId of ['player1', 'admin']) {
+                const { status, body } = await getAsync('/api/leader-base-stats?userId=player1', callerId);
+
+                expect(status).toBe(200);
+                expect(body.stats).toEqual([{ leaderIds: ['leaderA'], baseId: 'base1', games: 1, wins: 1, losses: 0, draws: 0 }]);
+            }
+        });
+    });
+
+    describe('When listing the games of a user,', function() {
+        it('should require a token', async function() {
+            expect((await getAsync('/api/users/player1/games')).status).toBe(401);
+        });
+
+        it('should only list them for that user and for administrators', async function() {
+            expect((await getAsync('/api/users/player1/games', 'player2')).status).toBe(403);
+            expect((await getAsync('/api/users/player1/games', 'player1')).body.games.length).toBe(1);
+            expect((await getAsync('/api/users/player1/games', 'admin')).body.games.length).toBe(1);
+        });
+
+        it('should reject a limit out of range', async function() {
+            expect((await getAsync('/api/users/player1/games?limit=0', 'player1')).status).toBe(400);
+            expect((await getAsync('/api/users/player1/games?limit=101', 'player1')).status).toBe(400);
+            expect((await getAsync('/api/users/player1/games?limit=many', 'player1')).status).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,35 @@
+import type { IGameRecord } from '../../../../server/gamenode/history/IGameHistoryStore';
+import { MatchType } from '../../../../server/gamenode/Lobby';
+import { SwuGameFormat } from '../../../../server/SwuGameFormat';
+
+interface ITestGame {
+    gameId: string;
+    finishedAt: string;
+    format?: SwuGameFormat;
+
+    /** Leader and base of each player, as `[userId, leaderId, baseId]` */
+    players: [string, string, string][];
+    winnerIds: string[];
+}
+
+export function buildGameRecord(game: ITestGame): IGameRecord {
+    return {
+        gameId: game.gameId,
+        lobbyId: `lobby-${game.gameId}`,
+        format: game.format ?? SwuGameFormat.Premier,
+        matchType: MatchType.Custom,
+        players: game.players.map(([id, leaderId, baseId]) => ({
+            id,
+            username: id,
+            leaderIds: [leaderId],
+            baseId,
+            decklist: null
+        })),
+        winnerIds: game.winnerIds,
+        gameEndReason: game.winnerIds.length === 0 ? 'No contest' : 'Base destroyed',
+        rounds: 5,
+        startedAt: game.finishedAt,
+        finishedAt: game.finishedAt,
+        durationSeconds: 600
+    };
+}
@@ -0,0 +1,120 @@
+import { InMemoryGameHistoryStore } from '../../../../server/gamenode/history/InMemoryGameHistoryStore';
+import { SwuGameFormat } from '../../../../server/SwuGameFormat';
+import { buildGameRecord } from './GameHistoryTestUtils';
+
+describe('In-memory game history store', function() {
+    let store: InMemoryGameHistoryStore;
+
+    beforeEach(async function() {
+        store = new InMemoryGameHistoryStore();
+
+        await store.addGameAsync(buildGameRecord({
+            gameId: 'game1',
+            finishedAt: '2026-01-01T10:00:00.000Z',
+            players: [['player1', 'leaderA', 'base1'], ['player2', 'leaderB', 'base2']],
+            winnerIds: ['player1']
+        }));
+        await store.addGameAsync(buildGameRecord({
+            gameId: 'game2',
+            finishedAt: '2026-01-01T12:00:00.000Z',
+            players: [['player1', 'leaderA', 'base1'], ['player3', 'leaderB', 'base2']],
+            winnerIds: ['player3']
+        }));
+        await store.addGameAsync(buildGameRecord({
+            gameId: 'game3',
+            finishedAt: '2026-01-01T11:00:00.000Z',
+            players: [['player2', 'leaderA', 'base1'], ['player3', 'leaderC', 'base2']],
+            winnerIds: ['player2', 'player3']
+        }));
+        await store.addGameAsync(buildGameRecord({
+            gameId: 'game4',
+            finishedAt: '2026-01-01T13:00:00.000Z',
+            format: SwuGameFormat.Open,
+            players: [['player1', 'leaderA', 'base2'], ['player2', 'leaderB', 'base2']],
+            winnerIds: ['player2']
+        }));
+        await store.addGameAsync(buildGameRecord({
+            gameId: 'game5',
+            finishedAt: '2026-01-01T14:00:00.000Z',
+            players: [['player1', 'leaderA', 'base1'], ['player2', 'leaderB', 'base2']],
+            winnerIds: []
+        }));
+    });
+
+    describe('When listing the recent games of a user,', function() {
+        it('should return only their games, most recent first', async function() {
+            const games = await store.getRecentGamesAsync('player2', 10);
+
+            expect(games.map((game) => game.gameId)).toEqual(['game5', 'game4', 'game3', 'game1']);
+        });
+
+        it('should return at most the requested number of games', async function() {
+            const games = await store.getRecentGamesAsync('player1', 2);
+
+            expect(games.map((game) => game.gameId)).toEqual(['game5', 'game4']);
+        });
+
+        it('should return copies that do not change the stored games', async function() {
+            const [game] = await store.getRecentGamesAsync('player3', 1);
+            game.winnerIds.push('player1');
+
+            expect((await store.getRecentGamesAsync('player3', 1))[0].winnerIds).toEqual(['player3']);
+        });
+    });
+
+    describe('When aggregating the leader and base stats,', function() {
+        it('should count the wins, losses and draws of each leader and base combination, most played first', async function() {
+            const stats = await store.getLeaderBaseStatsAsync({});
+
+            expect(stats).toEqual([
+                { leaderIds: ['leaderA'], baseId: 'base1', games: 3, wins: 1, losses: 1, draws: 1 },
+                { leaderIds: ['leaderB'], baseId: 'base2', games: 3, wins: 2, losses: 1, draws: 0 },
+                { leaderIds: ['leaderC'], baseId: 'base2', games: 1, wins: 0, losses: 0, draws: 1 },
+                { leaderIds: ['leaderA'], baseId: 'base2', games: 1, wins: 0, losses: 1, draws: 0 }
+            ]);
+        });
+
+        it('should not count the games that ended without a result', async function() {
+            const stats = await store.getLeaderBaseStatsAsync({ userId: 'player1' });
+
+            expect(stats.reduce((games, combination) => games + combination.games, 0)).toBe(3);
+        });
+
+        it('should only count the games of the given format', async function() {
+            const stats = await store.getLeaderBaseStatsAsync({ format: SwuGameFormat.Open });
+
+            expect(stats).toEqual([
+                { leaderIds: ['leaderA'], baseId: 'base2', games: 1, wins: 0, losses: 1, draws: 0 },
+                { leaderIds: ['leaderB'], baseId: 'base2', games: 1, wins: 1, losses: 0, draws: 0 }
+            ]);
+        });
+
+        it('should only count the leaders and bases played by the given user', async function() {
+            const stats = await store.getLeaderBaseStatsAsync({ format: SwuGameFormat.Premier, userId: 'player2' });
+
+            expect(stats).toEqual([
+                { leaderIds: ['leaderB'], baseId: 'base2', games: 1, wins: 0, losses: 1, draws: 0 },
+                { leaderIds: ['leaderA'], baseId: 'base1', games: 1, wins: 0, losses: 0, draws: 1 }
+            ]);
+        });
+
+        it('should keep two leaders apart from each of them played alone', async function() {
+            const twinSunsGame = buildGameRecord({
+                gameId: 'game6',
+                finishedAt: '2026-01-01T15:00:00.000Z',
+                format: SwuGameFormat.TwinSuns,
+                players: [['player1', 'leaderA', 'base1'], ['player2', 'leaderB', 'base2'], ['player3', 'leaderC', 'base2']],
+                winnerIds: ['player1']
+            });
+            twinSunsGame.players[0].leaderIds = ['leaderA', 'leaderB'];
+            await store.addGameAsync(twinSunsGame);
+
+            const stats = await store.getLeaderBaseStatsAsync({ format: SwuGameFormat.TwinSuns });
+            expect(stats.map((combination) => [combination.leaderIds, combination.wins])).toEqual([
+                [['leaderA', 'leaderB'], 1],
+                [['leaderB'], 0],
+                [['leaderC'], 0]
+            ]);
+        });
+    });
+});
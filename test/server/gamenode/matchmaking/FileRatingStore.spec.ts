@@ -0,0 +1,49 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileRatingStore } from '../../../../server/gamenode/matchmaking/FileRatingStore';
+import { SwuGameFormat } from '../../../../server/SwuGameFormat';
+
+describe('File rating store', function() {
+    let directory: string;
+    let filePath: string;
+
+    beforeEach(async function() {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'rating-store-'));
+        filePath = path.join(directory, 'data', 'ratings.json');
+    });
+
+    afterEach(async function() {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should start empty if the file does not exist', async function() {
+        const store = await FileRatingStore.createAsync(filePath);
+
+        expect(await store.getRatingAsync('player1', SwuGameFormat.Premier)).toBeNull();
+        expect(fs.existsSync(filePath)).toBeFalse();
+    });
+
+    it('should load the ratings written by an earlier store', async function() {
+        const store = await FileRatingStore.createAsync(filePath);
+        await store.setRatingAsync('player1', SwuGameFormat.Premier, { rating: 1520, gamesPlayed: 1 });
+        await store.setRatingAsync('player1', SwuGameFormat.Open, { rating: 1480, gamesPlayed: 1 });
+
+        const reloadedStore = await FileRatingStore.createAsync(filePath);
+        expect(await reloadedStore.getRatingAsync('player1', SwuGameFormat.Premier)).toEqual({ rating: 1520, gamesPlayed: 1 });
+        expect(await reloadedStore.getRatingAsync('player1', SwuGameFormat.Open)).toEqual({ rating: 1480, gamesPlayed: 1 });
+    });
+
+    it('should write the latest ratings when several changes are made at once', async function() {
+        const store = await FileRatingStore.createAsync(filePath);
+        await Promise.all([
+            store.setRatingAsync('player1', SwuGameFormat.Premier, { rating: 1520, gamesPlayed: 1 }),
+            store.setRatingAsync('player2', SwuGameFormat.Premier, { rating: 1480, gamesPlayed: 1 }),
+            store.setRatingAsync('player1', SwuGameFormat.Premier, { rating: 1540, gamesPlayed: 2 })
+        ]);
+
+        const reloadedStore = await FileRatingStore.createAsync(filePath);
+        expect(await reloadedStore.getRatingAsync('player1', SwuGameFormat.Premier)).toEqual({ rating: 1540, gamesPlayed: 2 });
+        expect(await reloadedStore.getRatingAsync('player2', SwuGameFormat.Premier)).toEqual({ rating: 1480, gamesPlayed: 1 });
+    });
+});
@@ -0,0 +1,111 @@
+import { MatchmakingQueue } from '../../../../server/gamenode/matchmaking/MatchmakingQueue';
+import { SwuGameFormat } from '../../../../server/SwuGameFormat';
+
+describe('Matchmaking queue', function() {
+    let currentTime: number;
+    let queue: MatchmakingQueue;
+
+    const addPlayer = (userId: string, rating: number, format = SwuGameFormat.Premier) =>
+        queue.add({ user: { id: userId, username: userId }, deck: null, format, rating });
+
+    const waitSeconds = (seconds: number) => {
+        currentTime += seconds * 1000;
+    };
+
+    const getMatchedUserIds = (matches: ReturnType<MatchmakingQueue['takeMatches']>) =>
+        matches.map((match) => match.map((player) => player.user.id));
+
+    beforeEach(function() {
+        currentTime = 0;
+        queue = new MatchmakingQueue(() => currentTime);
+    });
+
+    it('should match players whose ratings are close', function() {
+        addPlayer('player1', 1500);
+        addPlayer('player2', 1590);
+
+        expect(getMatchedUserIds(queue.takeMatches())).toEqual([['player1', 'player2']]);
+        expect(queue.players).toEqual([]);
+    });
+
+    it('should widen the accepted rating gap the longer the players wait', function() {
+        addPlayer('player1', 1500);
+        addPlayer('player2', 1700);
+        expect(queue.takeMatches()).toEqual([]);
+
+        waitSeconds(9);
+        expect(queue.takeMatches()).toEqual([]);
+
+        waitSeconds(1);
+        expect(getMatchedUserIds(queue.takeMatches())).toEqual([['player1', 'player2']]);
+    });
+
+    it('should only match players if the rating gap is acceptable for both of them', function() {
+        addPlayer('player1', 1500);
+        waitSeconds(20);
+        addPlayer('player2', 1700);
+
+        // player1 accepts a gap of 300 by now, but player2 only one of 100
+        expect(queue.takeMatches()).toEqual([]);
+
+        waitSeconds(10);
+        expect(getMatchedUserIds(queue.takeMatches())).toEqual([['player1', 'player2']]);
+    });
+
+    it('should match the player who has waited longest with the closest rated player', function() {
+        addPlayer('player1', 1500);
+        addPlayer('player2', 1580);
+        addPlayer('player3', 1510);
+
+        expect(getMatchedUserIds(queue.takeMatches())).toEqual([['player1', 'player3']]);
+        expect(queue.players.map((player) => player.user.id)).toEqual(['player2']);
+    });
+
+    it('should not match players queued for different formats', function() {
+        addPlayer('player1', 1500, SwuGameFormat.Premier);
+        addPlayer('player2', 1500, SwuGameFormat.Open);
+
+        waitSeconds(600);
+        expect(queue.takeMatches()).toEqual([]);
+
+        expect(queue.getStatus('player1')).toEqual({ format: SwuGameFormat.Premier, position: 1, playersInQueue: 1, estimatedWaitSeconds: null });
+        expect(queue.getStatus('player2')).toEqual({ format: SwuGameFormat.Open, position: 1, playersInQueue: 1, estimatedWaitSeconds: null });
+    });
+
+    it('should replace an earlier entry of a player who queues again', function() {
+        addPlayer('player1', 1500, SwuGameFormat.Premier);
+        addPlayer('player1', 1500, SwuGameFormat.Open);
+
+        expect(queue.players.length).toBe(1);
+        expect(queue.find('player1').format).toBe(SwuGameFormat.Open);
+    });
+
+    it('should remove players from the queue', function() {
+        addPlayer('player1', 1500);
+
+        expect(queue.remove('player1')).toBeTrue();
+        expect(queue.remove('player1')).toBeFalse();
+        expect(queue.getStatus('player1')).toBeNull();
+    });
+
+    it('should estimate the wait from how long recently matched players in the format waited', function() {
+        addPlayer('player1', 1500);
+        addPlayer('player2', 1700);
+        waitSeconds(10);
+        queue.takeMatches();
+
+        addPlayer('player3', 1500);
+        addPlayer('player4', 2000);
+        expect(queue.getStatus('player4')).toEqual({ format: SwuGameFormat.Premier, position: 2, playersInQueue: 2, estimatedWaitSeconds: 10 });
+
+        waitSeconds(4);
+        expect(queue.getStatus('player3').estimatedWaitSeconds).toBe(6);
+
+        waitSeconds(10);
+        expect(queue.getStatus('player3').estimatedWaitSeconds).toBe(0);
+
+        // wait times are tracked separately for each format
+        addPlayer('player5', 1500, SwuGameFormat.Open);
+        expect(queue.getStatus('player5').estimatedWaitSeconds).toBeNull();
+    });
+});
@@ -0,0 +1,86 @@
+import { InMemoryRatingStore } from '../../../../server/gamenode/matchmaking/InMemoryRatingStore';
+import { RatingService } from '../../../../server/gamenode/matchmaking/RatingService';
+import type { ILobbyGameResult, MatchType } from '../../../../server/gamenode/Lobby';
+import { SwuGameFormat } from '../../../../server/SwuGameFormat';
+
+describe('Rating service', function() {
+    let store: InMemoryRatingStore;
+    let ratingService: RatingService;
+
+    // importing the lobby would load the server environment, so only its types are used here
+    const quickMatchResult = (format: SwuGameFormat, playerIds: string[], winnerIds: string[]): ILobbyGameResult =>
+        ({ format, matchType: 'Quick' as MatchType, playerIds, winnerIds });
+
+    beforeEach(function() {
+        store = new InMemoryRatingStore();
+        ratingService = new RatingService(store);
+    });
+
+    it('should start players at the initial rating', async function() {
+        expect(await ratingService.getRatingAsync('player1', SwuGameFormat.Premier)).toBe(RatingService.initialRating);
+        expect(await store.getRatingAsync('player1', SwuGameFormat.Premier)).toBeNull();
+    });
+
+    it('should move players with equal ratings apart by half the K-factor', async function() {
+        await ratingService.recordGameResultAsync(SwuGameFormat.Premier, 'player1', 'player2', 1);
+
+        expect(await store.getRatingAsync('player1', SwuGameFormat.Premier)).toEqual({ rating: 1520, gamesPlayed: 1 });
+        expect(await store.getRatingAsync('player2', SwuGameFormat.Premier)).toEqual({ rating: 1480, gamesPlayed: 1 });
+    });
+
+    it('should change ratings less when the favourite wins', async function() {
+        await store.setRatingAsync('player1', SwuGameFormat.Premier, { rating: 1700, gamesPlayed: 50 });
+        await store.setRatingAsync('player2', SwuGameFormat.Premier, { rating: 1500, gamesPlayed: 50 });
+
+        await ratingService.recordGameResultAsync(SwuGameFormat.Premier, 'player1', 'player2', 1);
+
+        expect(await ratingService.getRatingAsync('player1', SwuGameFormat.Premier)).toBe(1705);
+        expect(await ratingService.getRatingAsync('player2', SwuGameFormat.Premier)).toBe(1495);
+    });
+
+    it('should switch to the lower K-factor once a player has played 30 games', async function() {
+        await store.setRatingAsync('player1', SwuGameFormat.Premier, { rating: 1500, gamesPlayed: 29 });
+        await store.setRatingAsync('player2', SwuGameFormat.Premier, { rating: 1500, gamesPlayed: 30 });
+
+        await ratingService.recordGameResultAsync(SwuGameFormat.Premier, 'player1', 'player3', 1);
+        await ratingService.recordGameResultAsync(SwuGameFormat.Premier, 'player2', 'player4', 1);
+
+        expect(await store.getRatingAsync('player1', SwuGameFormat.Premier)).toEqual({ rating: 1520, gamesPlayed: 30 });
+        expect(await store.getRatingAsync('player2', SwuGameFormat.Premier)).toEqual({ rating: 1510, gamesPlayed: 31 });
+    });
+
+    it('should not change equal ratings for a draw', async function() {
+        await ratingService.recordGameResultAsync(SwuGameFormat.Premier, 'player1', 'player2', 0.5);
+
+        expect(await store.getRatingAsync('player1', SwuGameFormat.Premier)).toEqual({ rating: 1500, gamesPlayed: 1 });
+        expect(await store.getRatingAsync('player2', SwuGameFormat.Premier)).toEqual({ rating: 1500, gamesPlayed: 1 });
+    });
+
+    it('should track ratings separately for each format', async function() {
+        await ratingService.recordGameResultAsync(SwuGameFormat.Premier, 'player1', 'player2', 1);
+
+        expect(await ratingService.getRatingAsync('player1', SwuGameFormat.Premier)).toBe(1520);
+        expect(await ratingService.getRatingAsync('player1', SwuGameFormat.Open)).toBe(RatingService.initialRating);
+    });
+
+    describe('When recording the result of a matchmade game,', function() {
+        it('should score the game for the winner by id', async function() {
+            await ratingService.recordMatchmadeGameResultAsync(quickMatchResult(SwuGameFormat.Premier, ['player1', 'player2'], ['player2']));
+
+            expect(await ratingService.getRatingAsync('player1', SwuGameFormat.Premier)).toBe(1480);
+            expect(await ratingService.getRatingAsync('player2', SwuGameFormat.Premier)).toBe(1520);
+        });
+
+        it('should score the game as a draw if both players are winners', async function() {
+            await ratingService.recordMatchmadeGameResultAsync(quickMatchResult(SwuGameFormat.Premier, ['player1', 'player2'], ['player1', 'player2']));
+
+            expect(await store.getRatingAsync('player1', SwuGameFormat.Premier)).toEqual({ rating: 1500, gamesPlayed: 1 });
+        });
+
+        it('should not rate games with more than two players', async function() {
+            await ratingService.recordMatchmadeGameResultAsync(quickMatchResult(SwuGameFormat.TwinSuns, ['player1', 'player2', 'player3'], ['player1']));
+
+            expect(await store.getRatingAsync('player1', SwuGameFormat.TwinSuns)).toBeNull();
+        });
+    });
+});
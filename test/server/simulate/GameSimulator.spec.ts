@@ -0,0 +1,50 @@
+import ActionWindow from '../../../server/game/core/gameSteps/ActionWindow';
+import { AiPolicyName, GameSimulator } from '../../../server/simulate/GameSimulator';
+import { LobbyTestContext } from '../gamenode/LobbyTestUtils';
+
+describe('Game simulator', function() {
+    const gameSeeds = ['simulation-seed-1', 'simulation-seed-2'];
+    let simulator: GameSimulator;
+
+    beforeEach(function() {
+        simulator = new GameSimulator(
+            [
+                { decklist: LobbyTestContext.buildDecklist(), policy: AiPolicyName.Heuristic },
+                { decklist: LobbyTestContext.buildDecklist(), policy: AiPolicyName.Random }
+            ],
+            LobbyTestContext.createCardDataGetter()
+        );
+    });
+
+    it('should play a game to the end', async function() {
+        for (const gameSeed of gameSeeds) {
+            const result = await simulator.simulateGameAsync(gameSeed);
+
+            expect(result.error).toBeUndefined();
+            expect(result.stalledReason).toBeUndefined();
+            expect(result.gameSeed).toBe(gameSeed);
+            expect(result.winnerIndexes.length).toBeGreaterThan(0);
+            expect(result.firstPlayerIndex).not.toBeNull();
+            expect(result.rounds).toBeGreaterThan(0);
+        }
+    });
+
+    it('should play the same game again with the same seed', async function() {
+        for (const gameSeed of gameSeeds) {
+            const firstResult = await simulator.simulateGameAsync(gameSeed);
+            const secondResult = await simulator.simulateGameAsync(gameSeed);
+
+            expect(secondResult).toEqual(firstResult);
+        }
+    });
+
+    it('should report an error thrown by the engine in the result', async function() {
+        spyOn(ActionWindow.prototype, 'continue').and.throwError('forced engine error');
+
+        const result = await simulator.simulateGameAsync(gameSeeds[0]);
+
+        expect(result.error).toEqual(jasmine.any(Error));
+        expect(result.error.message).toBe('forced engine error');
+        expect(result.winnerIndexes).toEqual([]);
+    });
+});
@@ -0,0 +1,151 @@
+import type express from 'express';
+import jwt from 'jsonwebtoken';
+import * as env from '../../../../server/env';
+import { getBearerToken, requireAdminUser, requireAuthenticatedUser, signGuestToken, signUserToken, verifyUserToken } from '../../../../server/utils/auth/UserTokens';
+
+describe('User tokens', function() {
+    const user = { id: 'player1', username: 'Player 1' };
+
+    /** Replaces the payload of a signed token without signing it again */
+    const tamperWithPayload = (token: string, payload: object) => {
+        const [header, , signature] = token.split('.');
+        return [header, Buffer.from(JSON.stringify(payload)).toString('base64url'), signature].join('.');
+    };
+
+    describe('When verifying a token,', function() {
+        it('should return the user a token was signed for', function() {
+            expect(verifyUserToken(signUserToken(user))).toEqual(user);
+            expect(verifyUserToken(signUserToken({ id: 'player1' }))).toEqual({ id: 'player1' });
+        });
+
+        it('should give each guest a new id', function() {
+            const guest1 = verifyUserToken(signGuestToken());
+            const guest2 = verifyUserToken(signGuestToken());
+
+            expect(guest1.id).toEqual(jasmine.any(String));
+            expect(guest1.username).toBeUndefined();
+            expect(guest2.id).not.toBe(guest1.id);
+        });
+
+        it('should reject a missing token', function() {
+            expect(verifyUserToken(undefined)).toBeNull();
+            expect(verifyUserToken(null)).toBeNull();
+            expect(verifyUserToken('')).toBeNull();
+            expect(verifyUserToken({ id: 'player1' })).toBeNull();
+        });
+
+        it('should reject an expired token', function() {
+            const token = jwt.sign({ ...user, exp: Math.floor(Date.now() / 1000) - 60 }, env.secret, { algorithm: 'HS256' });
+
+            expect(verifyUserToken(token)).toBeNull();
+        });
+
+        it('should reject a token whose payload was changed after signing', function() {
+            const token = tamperWithPayload(signUserToken(user), { id: 'admin', username: 'Player 1' });
+
+            expect(verifyUserToken(token)).toBeNull();
+        });
+
+        it('should reject a token signed with another secret', function() {
+            expect(verifyUserToken(jwt.sign(user, 'not the server secret', { algorithm: 'HS256' }))).toBeNull();
+        });
+
+        it('should reject a token signed with another algorithm', function() {
+            expect(verifyUserToken(jwt.sign(user, env.secret, { algorithm: 'HS512' }))).toBeNull();
+            expect(verifyUserToken(jwt.sign(user, null, { algorithm: 'none' }))).toBeNull();
+        });
+
+        it('should reject a token without a valid user', function() {
+            expect(verifyUserToken(jwt.sign({ username: 'Player 1' }, env.secret, { algorithm: 'HS256' }))).toBeNull();
+            expect(verifyUserToken(jwt.sign({ id: '' }, env.secret, { algorithm: 'HS256' }))).toBeNull();
+            expect(verifyUserToken(jwt.sign({ id: 'player1', username: 42 }, env.secret, { algorithm: 'HS256' }))).toBeNull();
+            expect(verifyUserToken(jwt.sign('player1', env.secret, { algorithm: 'HS256' }))).toBeNull();
+        });
+    });
+
+    it('should read the token from a bearer authorization header', function() {
+        expect(getBearerToken('Bearer abc.def.ghi')).toBe('abc.def.ghi');
+        expect(getBearerToken('Basic abc')).toBeNull();
+        expect(getBearerToken('Bearer ')).toBeNull();
+        expect(getBearerToken(undefined)).toBeNull();
+    });
+
+    describe('When a route requires a user,', function() {
+        interface IErrorBody {
+            success: boolean;
+            message: string;
+        }
+
+        let response: { statusCode: number; body: IErrorBody; locals: Record<string, unknown> };
+        let next: jasmine.Spy;
+
+        const runMiddleware = (middleware: typeof requireAuthenticatedUser, authorization?: string) => {
+            const request = { headers: { authorization } };
+            const expressResponse = {
+                locals: response.locals,
+                status(statusCode: number) {
+                    response.statusCode = statusCode;
+                    return this;
+                },
+                json(body: IErrorBody) {
+                    response.body = body;
+                    return this;
+                }
+            };
+
+            middleware(request as express.Request, expressResponse as unknown as express.Response, next);
+        };
+
+        const bearer = (token: string) => `Bearer ${token}`;
+
+        beforeEach(function() {
+            response = { statusCode: null, body: null, locals: {} };
+            next = jasmine.createSpy('next');
+        });
+
+        it('should let through a user with a valid token', function() {
+            runMiddleware(requireAuthenticatedUser, bearer(signUserToken(user)));
+
+            expect(next).toHaveBeenCalledTimes(1);
+            expect(response.statusCode).toBeNull();
+            expect(response.locals.user).toEqual(user);
+        });
+
+        it('should reject a request without a token', function() {
+            runMiddleware(requireAuthenticatedUser);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(response.statusCode).toBe(401);
+            expect(response.body.success).toBeFalse();
+            expect(response.locals.user).toBeUndefined();
+        });
+
+        it('should reject a request with an invalid token', function() {
+            runMiddleware(requireAuthenticatedUser, bearer(tamperWithPayload(signUserToken(user), { id: 'player2' })));
+
+            expect(next).not.toHaveBeenCalled();
+            expect(response.statusCode).toBe(401);
+        });
+
+        it('should let through an administrator to an admin route', function() {
+            runMiddleware(requireAdminUser, bearer(signUserToken({ id: 'admin' })));
+
+            expect(next).toHaveBeenCalledTimes(1);
+            expect(response.statusCode).toBeNull();
+        });
+
+        it('should reject a user who is not an administrator from an admin route', function() {
+            runMiddleware(requireAdminUser, bearer(signUserToken(user)));
+
+            expect(next).not.toHaveBeenCalled();
+            expect(response.statusCode).toBe(403);
+        });
+
+        it('should reject a request without a valid token from an admin route before checking for an administrator', function() {
+            runMiddleware(requireAdminUser, bearer(tamperWithPayload(signUserToken(user), { id: 'admin' })));
+
+            expect(next).not.toHaveBeenCalled();
+            expect(response.statusCode).toBe(401);
+        });
+    });
+});
@@ -0,0 +1,143 @@
+import http from 'http';
+import type { AddressInfo } from 'net';
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import { CachingCardDataGetter } from '../../../../server/utils/cardData/CachingCardDataGetter';
+
+describe('Caching card data getter', function() {
+    const cardDataVersion = 'test-version';
+    const tokenInternalNames = ['battle-droid', 'clone-trooper', 'tie-fighter', 'xwing', 'experience', 'shield'];
+    const cardInternalNames = ['first-card', 'second-card'];
+
+    // stands in for the remote card data server, serving a small set of card data files from memory
+    const remoteFiles = new Map<string, unknown>([
+        ['/_cardMap.json', [
+            { id: 'TST_001', title: 'First Card', internalName: 'first-card' },
+            { id: 'TST_002', title: 'Second Card', internalName: 'second-card' }
+        ]],
+        ['/_playableCardTitles.json', ['First Card', 'Second Card']],
+        ['/_setCodeMap.json', { TST_001: 'TST_001', TST_002: 'TST_002' }],
+        ...[...tokenInternalNames, ...cardInternalNames].map((internalName): [string, unknown] =>
+            [`/cards/${internalName}.json`, { internalName, title: internalName }]
+        )
+    ]);
+
+    let server: http.Server;
+    let remoteDataUrl: string;
+    let cacheRoot: string;
+    let isRemoteUp: boolean;
+    let requestedPaths: string[];
+
+    const stopRemoteAsync = () => new Promise<void>((resolve) => server.close(() => resolve()));
+
+    beforeEach(async function() {
+        isRemoteUp = true;
+        requestedPaths = [];
+
+        server = http.createServer((request, response) => {
+            requestedPaths.push(request.url);
+
+            const file = remoteFiles.get(request.url);
+            if (!isRemoteUp) {
+                response.writeHead(503);
+                response.end();
+            } else if (file === undefined) {
+                response.writeHead(404);
+                response.end();
+            } else {
+                response.writeHead(200, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify(file));
+            }
+        });
+
+        await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', () => resolve()));
+        remoteDataUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/`;
+
+        cacheRoot = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'card-data-cache-'));
+    });
+
+    afterEach(async function() {
+        if (server.listening) {
+            await stopRemoteAsync();
+        }
+
+        await fs.promises.rm(cacheRoot, { recursive: true, force: true });
+    });
+
+    it('should save fetched files to the cache directory for the card data version', async function() {
+        const cardDataGetter = await CachingCardDataGetter.createWithCacheAsync(remoteDataUrl, cacheRoot, cardDataVersion);
+        await cardDataGetter.getCardAsync('TST_001');
+
+        const cacheDirectory = path.join(cacheRoot, cardDataVersion);
+        expect(fs.existsSync(path.join(cacheDirectory, '_cardMap.json'))).toBeTrue();
+        expect(fs.existsSync(path.join(cacheDirectory, '_playableCardTitles.json'))).toBeTrue();
+        expect(fs.existsSync(path.join(cacheDirectory, '_setCodeMap.json'))).toBeTrue();
+        expect(fs.existsSync(path.join(cacheDirectory, 'cards', 'first-card.json'))).toBeTrue();
+        expect(fs.existsSync(path.join(cacheDirectory, 'cards', 'second-card.json'))).toBeFalse();
+    });
+
+    it('should only fetch a card once', async function() {
+        const cardDataGetter = await CachingCardDataGetter.createWithCacheAsync(remoteDataUrl, cacheRoot, cardDataVersion);
+        await cardDataGetter.getCardAsync('TST_001');
+
+        const secondGetter = await CachingCardDataGetter.createWithCacheAsync(remoteDataUrl, cacheRoot, cardDataVersion);
+        const cardData = await secondGetter.getCardAsync('TST_001');
+
+        expect(cardData.internalName).toBe('first-card');
+        expect(requestedPaths.filter((requestedPath) => requestedPath === '/cards/first-card.json').length).toBe(1);
+        expect(requestedPaths.filter((requestedPath) => requestedPath === '/cards/battle-droid.json').length).toBe(1);
+    });
+
+    it('should start from the cache and return cached cards when the remote is down', async function() {
+        const cardDataGetter = await CachingCardDataGetter.createWithCacheAsync(remoteDataUrl, cacheRoot, cardDataVersion);
+        await cardDataGetter.getCardAsync('TST_001');
+
+        isRemoteUp = false;
+
+        const offlineGetter = await CachingCardDataGetter.createWithCacheAsync(remoteDataUrl, cacheRoot, cardDataVersion);
+        expect(offlineGetter.cardIds).toEqual(cardDataGetter.cardIds);
+        expect(offlineGetter.playableCardTitles).toEqual(['First Card', 'Second Card']);
+        expect((await offlineGetter.getCardAsync('TST_001')).internalName).toBe('first-card');
+        await expectAsync(offlineGetter.getCardAsync('TST_002')).toBeRejected();
+    });
+
+    it('should fail to start when the remote can\'t be reached and nothing is cached', async function() {
+        await stopRemoteAsync();
+
+        await expectAsync(CachingCardDataGetter.createWithCacheAsync(remoteDataUrl, cacheRoot, cardDataVersion)).toBeRejected();
+    });
+
+    it('should not use files cached for a different card data version', async function() {
+        await CachingCardDataGetter.createWithCacheAsync(remoteDataUrl, cacheRoot, cardDataVersion);
+
+        isRemoteUp = false;
+
+        await expectAsync(CachingCardDataGetter.createWithCacheAsync(remoteDataUrl, cacheRoot, 'other-version')).toBeRejected();
+    });
+
+    it('should prefetch all cards so that they can be loaded offline', async function() {
+        const cardDataGetter = await CachingCardDataGetter.createWithCacheAsync(remoteDataUrl, cacheRoot, cardDataVersion);
+        await cardDataGetter.getCardAsync('TST_001');
+
+        const result = await cardDataGetter.prefetchAllAsync();
+        expect(result).toEqual({ fetchedCount: 1, cachedCount: 1, failedInternalNames: [] });
+
+        await stopRemoteAsync();
+
+        expect((await cardDataGetter.getCardAsync('TST_002')).internalName).toBe('second-card');
+
+        const secondResult = await cardDataGetter.prefetchAllAsync();
+        expect(secondResult).toEqual({ fetchedCount: 0, cachedCount: 2, failedInternalNames: [] });
+    });
+
+    it('should report the cards that could not be prefetched', async function() {
+        const cardDataGetter = await CachingCardDataGetter.createWithCacheAsync(remoteDataUrl, cacheRoot, cardDataVersion);
+
+        isRemoteUp = false;
+
+        const result = await cardDataGetter.prefetchAllAsync();
+        expect(result.fetchedCount).toBe(0);
+        expect(result.failedInternalNames.sort()).toEqual(cardInternalNames);
+    });
+});
@@ -0,0 +1,38 @@
+import { CardDataGetter } from '../../../../server/utils/cardData/CardDataGetter';
+import type { ITokenCardsData } from '../../../../server/utils/cardData/CardDataGetter';
+import type { ICardDataJson } from '../../../../server/utils/cardData/CardDataInterfaces';
+
+/**
+ * Serves a small set of cards from memory, keyed by set code. Token data is only needed if games are built from the cards.
+ */
+export class InMemoryCardDataGetter extends CardDataGetter {
+    private readonly cardsByInternalName: Map<string, ICardDataJson>;
+
+    public constructor(cards: ICardDataJson[], reprints: Record<string, string> = {}, tokenData: ITokenCardsData = null) {
+        const setCodeMap: Record<string, string> = { ...reprints };
+        for (const card of cards) {
+            setCodeMap[InMemoryCardDataGetter.getSetCode(card)] = card.id;
+        }
+
+        super(
+            cards.map((card) => ({ id: card.id, title: card.title, subtitle: card.subtitle, internalName: card.internalName })),
+            tokenData,
+            cards.map((card) => card.title),
+            setCodeMap
+        );
+
+        this.cardsByInternalName = new Map(cards.map((card) => [card.internalName, card]));
+    }
+
+    public static getSetCode(card: ICardDataJson) {
+        return `${card.setId.set}_${String(card.setId.number).padStart(3, '0')}`;
+    }
+
+    protected override getCardInternalAsync(relativePath: string): Promise<ICardDataJson> {
+        return Promise.resolve(this.cardsByInternalName.get(relativePath));
+    }
+
+    protected override getRelativePathFromInternalName(internalName: string) {
+        return internalName;
+    }
+}
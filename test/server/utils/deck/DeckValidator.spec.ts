@@ -0,0 +1,245 @@
+import { Aspect } from '../../../../server/game/core/Constants';
+import type { ICardDataJson } from '../../../../server/utils/cardData/CardDataInterfaces';
+import type { ISwuDbCardEntry, ISwuDbDecklist } from '../../../../server/utils/deck/DeckInterfaces';
+import { DeckValidationFailureReason, DeckValidator } from '../../../../server/utils/deck/DeckValidator';
+import { SwuGameFormat } from '../../../../server/SwuGameFormat';
+import { InMemoryCardDataGetter } from '../cardData/InMemoryCardDataGetter';
+
+describe('Deck validator', function() {
+    const buildCard = (set: string, number: number, types: string[], title: string, aspects: string[] = []): ICardDataJson => ({
+        id: `${set}-${number}`,
+        title,
+        internalName: title.toLowerCase().replace(/ /g, '-'),
+        unique: false,
+        aspects,
+        traits: [],
+        types,
+        setId: { set, number }
+    });
+
+    const heroLeader = buildCard('SOR', 1, ['leader'], 'Hero Leader', [Aspect.Command, Aspect.Heroism]);
+    const secondHeroLeader = buildCard('SOR', 2, ['leader'], 'Second Hero Leader', [Aspect.Cunning, Aspect.Heroism]);
+    const villainLeader = buildCard('SOR', 3, ['leader'], 'Villain Leader', [Aspect.Aggression, Aspect.Villainy]);
+    const base = buildCard('SOR', 4, ['base'], 'Test Base');
+    const fillerUnits = Array.from({ length: 90 }, (_, i) => buildCard('SOR', 100 + i, ['unit'], `Filler Unit ${i}`));
+    const previewUnit = buildCard('JTL', 1, ['unit'], 'Preview Unit');
+    const reprintedUnit = fillerUnits[0];
+    const reprintSetCode = 'TWI_500';
+
+    const cardDataGetter = new InMemoryCardDataGetter(
+        [heroLeader, secondHeroLeader, villainLeader, base, ...fillerUnits, previewUnit],
+        { [reprintSetCode]: reprintedUnit.id }
+    );
+
+    const entry = (card: ICardDataJson, count = 1): ISwuDbCardEntry => ({ id: InMemoryCardDataGetter.getSetCode(card), count });
+
+    /** a legal Premier deck of 50 cards, three copies each of the first filler units and two of the last */
+    const buildPremierDecklist = (): ISwuDbDecklist => ({
+        metadata: { name: 'Test Deck', author: 'Test' },
+        leader: entry(heroLeader),
+        base: entry(base),
+        deck: fillerUnits.slice(0, 17).map((unit, i) => entry(unit, i < 16 ? 3 : 2)),
+        sideboard: []
+    });
+
+    let deckValidator: DeckValidator;
+
+    beforeEach(function() {
+        deckValidator = new DeckValidator(cardDataGetter);
+    });
+
+    it('should accept a legal deck', async function() {
+        expect(await deckValidator.validateDeckAsync(buildPremierDecklist(), SwuGameFormat.Premier)).toEqual([]);
+    });
+
+    it('should report a missing decklist', async function() {
+        const failures = await deckValidator.validateDeckAsync(null, SwuGameFormat.Premier);
+
+        expect(failures).toEqual([{ reason: DeckValidationFailureReason.MissingDecklist, message: 'No decklist provided' }]);
+    });
+
+    it('should throw for an unknown format', async function() {
+        await expectAsync(deckValidator.validateDeckAsync(buildPremierDecklist(), 'unknownFormat' as SwuGameFormat)).toBeRejected();
+    });
+
+    it('should reject cards from sets that are not legal in the format, naming the card', async function() {
+        const decklist = buildPremierDecklist();
+        decklist.sideboard = [entry(previewUnit)];
+
+        expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.Premier)).toEqual([{
+            reason: DeckValidationFailureReason.IllegalInFormat,
+            message: 'Preview Unit is from set JTL, which is not legal in this format',
+            card: { id: 'JTL_001', name: 'Preview Unit' }
+        }]);
+
+        expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.NextSetPreview)).toEqual([]);
+        expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.Open)).toEqual([]);
+    });
+
+    it('should require the minimum main deck size', async function() {
+        const decklist = buildPremierDecklist();
+        decklist.deck.at(-1).count = 1;
+
+        expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.Premier)).toEqual([{
+            reason: DeckValidationFailureReason.MinMainboardSizeNotMet,
+            message: 'Main deck must have at least 50 cards, found 49'
+        }]);
+    });
+
+    it('should limit the sideboard size, except in Open', async function() {
+        const decklist = buildPremierDecklist();
+        decklist.sideboard = fillerUnits.slice(20, 31).map((unit) => entry(unit));
+
+        expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.Premier)).toEqual([{
+            reason: DeckValidationFailureReason.MaxSideboardSizeExceeded,
+            message: 'Sideboard must have at most 10 cards, found 11'
+        }]);
+
+        expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.Open)).toEqual([]);
+    });
+
+    it('should count copies across the main deck and sideboard', async function() {
+        const decklist = buildPremierDecklist();
+        decklist.sideboard = [entry(fillerUnits[1])];
+
+        expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.Premier)).toEqual([{
+            reason: DeckValidationFailureReason.TooManyCopiesOfCard,
+            message: 'Deck may include at most 3 copies of Filler Unit 1, found 4',
+            card: { id: 'SOR_101', name: 'Filler Unit 1' }
+        }]);
+    });
+
+    it('should count reprints under a different set code as copies of the same card', async function() {
+        const decklist = buildPremierDecklist();
+        decklist.sideboard = [{ id: reprintSetCode, count: 1 }];
+
+        expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.Premier)).toEqual([{
+            reason: DeckValidationFailureReason.TooManyCopiesOfCard,
+            message: 'Deck may include at most 3 copies of Filler Unit 0, found 4',
+            card: { id: 'SOR_100', name: 'Filler Unit 0' }
+        }]);
+    });
+
+    it('should report unknown card ids in every slot', async function() {
+        const decklist = buildPremierDecklist();
+        decklist.leader = { id: 'SOR_999', count: 1 };
+        decklist.sideboard = [{ id: 'XYZ_001', count: 1 }];
+
+        expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.Premier)).toEqual([
+            { reason: DeckValidationFailureReason.UnknownCardId, message: 'Unknown card id \'SOR_999\'', card: { id: 'SOR_999', name: 'SOR_999' } },
+            { reason: DeckValidationFailureReason.UnknownCardId, message: 'Unknown card id \'XYZ_001\'', card: { id: 'XYZ_001', name: 'XYZ_001' } }
+        ]);
+    });
+
+    it('should report cards in the wrong slot', async function() {
+        const decklist = buildPremierDecklist();
+        decklist.leader = entry(base);
+        decklist.base = undefined;
+        decklist.sideboard = [entry(villainLeader)];
+
+        expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.Premier)).toEqual([
+            { reason: DeckValidationFailureReason.InvalidLeader, message: 'Test Base is not a leader', card: { id: 'SOR_004', name: 'Test Base' } },
+            { reason: DeckValidationFailureReason.InvalidBase, message: 'Deck must have exactly one base' },
+            { reason: DeckValidationFailureReason.InvalidDeckCard, message: 'Villain Leader cannot be included in the main deck or sideboard', card: { id: 'SOR_003', name: 'Villain Leader' } }
+        ]);
+    });
+
+    it('should report every failure of a deck at once', async function() {
+        const decklist = buildPremierDecklist();
+        decklist.secondleader = entry(secondHeroLeader);
+        decklist.deck = [entry(fillerUnits[0], 4), entry(previewUnit)];
+
+        const failures = await deckValidator.validateDeckAsync(decklist, SwuGameFormat.Premier);
+
+        expect(failures.map((failure) => failure.reason)).toEqual([
+            DeckValidationFailureReason.WrongNumberOfLeaders,
+            DeckValidationFailureReason.MinMainboardSizeNotMet,
+            DeckValidationFailureReason.IllegalInFormat,
+            DeckValidationFailureReason.TooManyCopiesOfCard
+        ]);
+        expect(failures.every((failure) => typeof failure.message === 'string' && failure.message.length > 0)).toBeTrue();
+    });
+
+    describe('in Twin Suns', function() {
+        /** a legal Twin Suns deck with two heroic leaders and 80 different cards */
+        const buildTwinSunsDecklist = (): ISwuDbDecklist => ({
+            metadata: { name: 'Test Deck', author: 'Test' },
+            leader: entry(heroLeader),
+            secondleader: entry(secondHeroLeader),
+            base: entry(base),
+            deck: fillerUnits.slice(0, 80).map((unit) => entry(unit)),
+            sideboard: []
+        });
+
+        it('should accept a legal deck', async function() {
+            expect(await deckValidator.validateDeckAsync(buildTwinSunsDecklist(), SwuGameFormat.TwinSuns)).toEqual([]);
+        });
+
+        it('should require two leaders', async function() {
+            const decklist = buildTwinSunsDecklist();
+            decklist.secondleader = undefined;
+
+            expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.TwinSuns)).toEqual([{
+                reason: DeckValidationFailureReason.WrongNumberOfLeaders,
+                message: 'Deck must have exactly 2 leaders'
+            }]);
+        });
+
+        it('should not allow the same leader twice', async function() {
+            const decklist = buildTwinSunsDecklist();
+            decklist.secondleader = entry(heroLeader);
+
+            expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.TwinSuns)).toEqual([{
+                reason: DeckValidationFailureReason.TooManyCopiesOfCard,
+                message: 'Deck may include only one copy of Hero Leader',
+                card: { id: 'SOR_001', name: 'Hero Leader' }
+            }]);
+        });
+
+        it('should not allow leaders mixing Heroism and Villainy', async function() {
+            const decklist = buildTwinSunsDecklist();
+            decklist.secondleader = entry(villainLeader);
+
+            expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.TwinSuns)).toEqual([{
+                reason: DeckValidationFailureReason.LeadersMixHeroismAndVillainy,
+                message: 'Leaders cannot combine the Heroism and Villainy aspects'
+            }]);
+        });
+
+        it('should only allow one copy of each card, counting reprints', async function() {
+            const decklist = buildTwinSunsDecklist();
+            decklist.deck[1].count = 2;
+            decklist.sideboard = [{ id: reprintSetCode, count: 1 }];
+
+            expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.TwinSuns)).toEqual([
+                {
+                    reason: DeckValidationFailureReason.TooManyCopiesOfCard,
+                    message: 'Deck may include only one copy of Filler Unit 0, found 2',
+                    card: { id: 'SOR_100', name: 'Filler Unit 0' }
+                },
+                {
+                    reason: DeckValidationFailureReason.TooManyCopiesOfCard,
+                    message: 'Deck may include only one copy of Filler Unit 1, found 2',
+                    card: { id: 'SOR_101', name: 'Filler Unit 1' }
+                }
+            ]);
+        });
+
+        it('should require a main deck of at least 80 cards', async function() {
+            const decklist = buildTwinSunsDecklist();
+            decklist.deck.pop();
+
+            expect(await deckValidator.validateDeckAsync(decklist, SwuGameFormat.TwinSuns)).toEqual([{
+                reason: DeckValidationFailureReason.MinMainboardSizeNotMet,
+                message: 'Main deck must have at least 80 cards, found 79'
+            }]);
+        });
+
+        it('should reject a second leader in other formats', async function() {
+            const decklist = buildTwinSunsDecklist();
+
+            const failures = await deckValidator.validateDeckAsync(decklist, SwuGameFormat.Open);
+            expect(failures.map((failure) => failure.reason)).toEqual([DeckValidationFailureReason.WrongNumberOfLeaders]);
+        });
+    });
+});
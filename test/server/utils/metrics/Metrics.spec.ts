@@ -0,0 +1,141 @@
+import { Counter, Gauge, Histogram, MetricsRegistry } from '../../../../server/utils/metrics/Metrics';
+
+describe('Metrics', function() {
+    describe('A counter', function() {
+        it('should render its help, type and total without labels', function() {
+            const counter = new Counter('games_finished_total', 'Number of games finished');
+            counter.increment();
+            counter.increment({}, 2);
+
+            expect(counter.render()).toBe([
+                '# HELP games_finished_total Number of games finished',
+                '# TYPE games_finished_total counter',
+                'games_finished_total 3'
+            ].join('\n'));
+        });
+
+        it('should render only its help and type before anything is counted', function() {
+            expect(new Counter('games_finished_total', 'Number of games finished').render()).toBe([
+                '# HELP games_finished_total Number of games finished',
+                '# TYPE games_finished_total counter'
+            ].join('\n'));
+        });
+
+        it('should count each combination of labels separately, whatever order the labels are given in', function() {
+            const counter = new Counter('games_finished_total', 'Number of games finished');
+            counter.increment({ format: 'premier', reason: 'concede' });
+            counter.increment({ format: 'open', reason: 'concede' });
+            counter.increment({ reason: 'concede', format: 'premier' });
+
+            expect(counter.render().split('\n')
+                .slice(2)).toEqual([
+                'games_finished_total{format="premier",reason="concede"} 2',
+                'games_finished_total{format="open",reason="concede"} 1'
+            ]);
+        });
+
+        it('should escape backslashes, quotes and newlines in label values', function() {
+            const counter = new Counter('errors_total', 'Number of errors');
+            counter.increment({ message: 'a "quoted" \\path\\\nnext line' });
+
+            expect(counter.render().split('\n')
+                .pop()).toBe('errors_total{message="a \\"quoted\\" \\\\path\\\\\\nnext line"} 1');
+        });
+    });
+
+    it('should render the last level set on a gauge, and nothing for it after a reset', function() {
+        const gauge = new Gauge('queued_players', 'Number of players in the matchmaking queue');
+        gauge.set(4, { format: 'premier' });
+        gauge.set(2, { format: 'premier' });
+        gauge.set(1, { format: 'open' });
+
+        expect(gauge.render().split('\n')
+            .slice(1)).toEqual([
+            '# TYPE queued_players gauge',
+            'queued_players{format="premier"} 2',
+            'queued_players{format="open"} 1'
+        ]);
+
+        gauge.reset();
+        expect(gauge.render().split('\n').length).toBe(2);
+    });
+
+    describe('A histogram', function() {
+        it('should render cumulative buckets up to +Inf with the sum and count of the observed values', function() {
+            const histogram = new Histogram('game_duration_seconds', 'Duration of finished games', [60, 600, 1800]);
+            histogram.observe(30);
+            histogram.observe(60);
+            histogram.observe(900);
+            histogram.observe(3600);
+
+            expect(histogram.render()).toBe([
+                '# HELP game_duration_seconds Duration of finished games',
+                '# TYPE game_duration_seconds histogram',
+                'game_duration_seconds_bucket{le="60"} 2',
+                'game_duration_seconds_bucket{le="600"} 2',
+                'game_duration_seconds_bucket{le="1800"} 3',
+                'game_duration_seconds_bucket{le="+Inf"} 4',
+                'game_duration_seconds_sum 4590',
+                'game_duration_seconds_count 4'
+            ].join('\n'));
+        });
+
+        it('should render the bucket bound after the other labels', function() {
+            const histogram = new Histogram('command_duration_seconds', 'Duration of socket commands', [0.1]);
+            histogram.observe(0.05, { command: 'menuButton' });
+
+            expect(histogram.render().split('\n')
+                .slice(2)).toEqual([
+                'command_duration_seconds_bucket{command="menuButton",le="0.1"} 1',
+                'command_duration_seconds_bucket{command="menuButton",le="+Inf"} 1',
+                'command_duration_seconds_sum{command="menuButton"} 0.05',
+                'command_duration_seconds_count{command="menuButton"} 1'
+            ]);
+        });
+
+        it('should observe how long a function took, even if it throws', function() {
+            const histogram = new Histogram('command_duration_seconds', 'Duration of socket commands', [60]);
+
+            expect(histogram.time(() => 'result')).toBe('result');
+            expect(() => histogram.time(() => {
+                throw new Error('command failed');
+            })).toThrowError('command failed');
+
+            expect(histogram.render()).toContain('command_duration_seconds_bucket{le="60"} 2');
+        });
+
+        it('should observe how long a promise took to settle, even if it is rejected', async function() {
+            const histogram = new Histogram('store_duration_seconds', 'Duration of store operations', [60]);
+
+            expect(await histogram.timeAsync(Promise.resolve('result'))).toBe('result');
+            await expectAsync(histogram.timeAsync(Promise.reject(new Error('store failed')))).toBeRejectedWithError('store failed');
+
+            expect(histogram.render()).toContain('store_duration_seconds_count 2');
+        });
+    });
+
+    describe('A registry', function() {
+        it('should render all its metrics in the order they were registered, ending with a newline', function() {
+            const registry = new MetricsRegistry();
+            registry.register(new Gauge('active_lobbies', 'Number of lobbies')).set(3);
+            registry.register(new Counter('games_finished_total', 'Number of games finished')).increment();
+
+            expect(registry.render()).toBe([
+                '# HELP active_lobbies Number of lobbies',
+                '# TYPE active_lobbies gauge',
+                'active_lobbies 3',
+                '# HELP games_finished_total Number of games finished',
+                '# TYPE games_finished_total counter',
+                'games_finished_total 1',
+                ''
+            ].join('\n'));
+        });
+
+        it('should not register two metrics with the same name', function() {
+            const registry = new MetricsRegistry();
+            registry.register(new Counter('games_finished_total', 'Number of games finished'));
+
+            expect(() => registry.register(new Gauge('games_finished_total', 'Number of games finished'))).toThrowError(/already registered/);
+        });
+    });
+});